@@ -0,0 +1,184 @@
+import express from 'express';
+import Joi from 'joi';
+import { getAdapterTypes } from '../core/agent-adapters/adapter-registry.js';
+import { validateBody } from './validation.js';
+
+const agentNameSchema = Joi.string()
+  .pattern(/^[a-z0-9][a-z0-9_.-]*$/i)
+  .max(64);
+
+const configurationSchema = Joi.object({
+  adapter: Joi.string().valid(...getAdapterTypes()),
+  api_endpoint: Joi.string().uri(),
+  api_key_env: Joi.string().max(128),
+  max_concurrent_tasks: Joi.number().integer().min(1).max(100),
+  heartbeat_mode: Joi.string().valid('pull', 'push'),
+  poll_interval_ms: Joi.number().integer().min(0),
+  preferred_languages: Joi.array().items(Joi.string()),
+  specializations: Joi.array().items(Joi.string()),
+  sticky_projects: Joi.boolean(),
+  timeout_ms: Joi.number().integer().min(1000),
+  instances: Joi.array()
+    .items(
+      Joi.object({
+        id: Joi.string().max(64).required(),
+        max_concurrent_tasks: Joi.number().integer().min(1).max(100),
+        api_endpoint: Joi.string().uri(),
+      }).unknown(true)
+    )
+    .unique('id'),
+}).unknown(true);
+
+const registerAgentSchema = Joi.object({
+  name: agentNameSchema.required(),
+  type: Joi.string().max(64).required(),
+  capabilities: Joi.array().items(Joi.string()).default([]),
+  configuration: configurationSchema.default({}),
+});
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'inactive').required(),
+});
+
+const updateConfigurationSchema = Joi.object({
+  configuration: configurationSchema.min(1).required(),
+});
+
+const heartbeatSchema = Joi.object({
+  instance_id: Joi.string().max(64),
+});
+
+export function createAgentRouter(agentManager, logger) {
+  const router = express.Router();
+
+  // Resolve :id as either the numeric agent id or the agent name
+  router.param('id', async (req, res, next, id) => {
+    try {
+      req.agent = await agentManager.resolveAgent(id);
+      if (!req.agent) {
+        return res.status(404).json({ error: `Agent ${id} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post(
+    '/register',
+    validateBody(registerAgentSchema),
+    async (req, res) => {
+      try {
+        const isNew = !(await agentManager.getAgentByName(req.body.name));
+        const agent = await agentManager.registerAgent(req.body);
+        res
+          .status(isNew ? 201 : 200)
+          .json(agentManager.formatAgentStatus(agent));
+      } catch (error) {
+        if (error.code === 'INVALID_AGENT_CONFIGURATION') {
+          return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error registering agent:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  router.get('/:id', (req, res) => {
+    res.json(agentManager.formatAgentStatus(req.agent));
+  });
+
+  router.put(
+    '/:id/status',
+    validateBody(updateStatusSchema),
+    async (req, res) => {
+      try {
+        if (req.body.status === 'active') {
+          await agentManager.activateAgent(req.agent.name);
+        } else {
+          await agentManager.deactivateAgent(req.agent.name);
+        }
+        res.json(agentManager.formatAgentStatus(req.agent));
+      } catch (error) {
+        logger.error('Error updating agent status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  router.put(
+    '/:id/configuration',
+    validateBody(updateConfigurationSchema),
+    async (req, res) => {
+      try {
+        const configuration = await agentManager.updateAgentConfiguration(
+          req.agent.name,
+          req.body.configuration
+        );
+        res.json({ name: req.agent.name, configuration });
+      } catch (error) {
+        if (error.code === 'INVALID_AGENT_CONFIGURATION') {
+          return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error updating agent configuration:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  // Agents stay in ai_agents because task history references them, so
+  // unregistering takes the agent out of rotation rather than deleting the row
+  router.delete('/:id', async (req, res) => {
+    try {
+      await agentManager.deactivateAgent(req.agent.name);
+      res.json({
+        message: `Agent ${req.agent.name} unregistered`,
+        agent: agentManager.formatAgentStatus(req.agent),
+      });
+    } catch (error) {
+      logger.error('Error unregistering agent:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Pooled agents report per instance; without instance_id the heartbeat
+  // counts for every instance of the agent
+  router.post(
+    '/:id/heartbeat',
+    validateBody(heartbeatSchema),
+    async (req, res) => {
+      const { instance_id } = req.body;
+      if (
+        instance_id &&
+        !agentManager.getAgentPool(req.agent.name).getInstance(instance_id)
+      ) {
+        return res.status(404).json({
+          error: `Agent ${req.agent.name} has no instance ${instance_id}`,
+        });
+      }
+
+      try {
+        const agent = await agentManager.updateAgentHeartbeat(
+          req.agent.name,
+          instance_id
+        );
+        res.json({
+          name: agent.name,
+          status: agent.status,
+          lastHeartbeat: agent.lastHeartbeat,
+          instance: instance_id
+            ? agentManager
+                .getAgentPool(agent.name)
+                .getStatus()
+                .find(instance => instance.id === instance_id)
+            : undefined,
+        });
+      } catch (error) {
+        logger.error('Error recording agent heartbeat:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,52 @@
+import express from 'express';
+import Joi from 'joi';
+import { validateBody } from './validation.js';
+
+const decisionSchema = Joi.object({
+  decided_by: Joi.string().max(128).default('api'),
+  comment: Joi.string().max(2000),
+});
+
+export function createApprovalRouter(orchestrationService, database, logger) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const { status, project_id } = req.query;
+      res.json(await database.getApprovalRequests({ status, project_id }));
+    } catch (error) {
+      logger.error('Error fetching approval requests:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  const decide = decision => async (req, res) => {
+    try {
+      const result = await orchestrationService.decideApproval(
+        { task_id: req.params.taskId, ...req.body },
+        decision
+      );
+      res.json(result);
+    } catch (error) {
+      if (error.code === 'APPROVAL_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error(`Error recording ${decision} decision:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+
+  router.post(
+    '/:taskId/approve',
+    validateBody(decisionSchema),
+    decide('approved')
+  );
+
+  router.post(
+    '/:taskId/reject',
+    validateBody(decisionSchema),
+    decide('rejected')
+  );
+
+  return router;
+}
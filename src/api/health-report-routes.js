@@ -0,0 +1,132 @@
+import express from 'express';
+import Joi from 'joi';
+import path from 'path';
+import { toSarif } from '../features/project-health/health-report.js';
+import {
+  ANALYSIS_CATEGORIES,
+} from '../features/project-health/project-analyzer.js';
+import { validateBody } from './validation.js';
+
+const findingTaskSchema = Joi.object({
+  fingerprints: Joi.array().items(Joi.string()),
+  min_severity: Joi.string()
+    .valid('critical', 'high', 'medium', 'low')
+    .default('high'),
+  categories: Joi.array().items(Joi.string().valid(...ANALYSIS_CATEGORIES)),
+  max_tasks: Joi.number().integer().min(1).max(50).default(10),
+  project_id: Joi.string().max(128),
+  preferred_agent: Joi.string().max(64),
+});
+
+export function createHealthReportRouter(
+  orchestrationService,
+  database,
+  logger
+) {
+  const router = express.Router();
+  const { healthReports } = orchestrationService;
+
+  router.get('/', async (req, res) => {
+    try {
+      const { project_path, analysis_type } = req.query;
+      res.json(
+        await healthReports.list({
+          // Reports store the absolute path the analyzer resolved
+          project_path: project_path ? path.resolve(project_path) : undefined,
+          analysis_type,
+          limit: Math.min(parseInt(req.query.limit) || 20, 100),
+        })
+      );
+    } catch (error) {
+      logger.error('Error fetching health reports:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      res.json(await healthReports.get(req.params.id));
+    } catch (error) {
+      if (error.code === 'HEALTH_REPORT_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error fetching health report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // SARIF 2.1.0 log for code scanning uploads
+  router.get('/:id/sarif', async (req, res) => {
+    try {
+      const report = await healthReports.get(req.params.id);
+      res.type('application/sarif+json').send(JSON.stringify(toSarif(report)));
+    } catch (error) {
+      if (error.code === 'HEALTH_REPORT_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error exporting health report as SARIF:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // New and resolved findings against ?against=<report id>, or the previous run
+  router.get('/:id/diff', async (req, res) => {
+    try {
+      const diff = await healthReports.diff(
+        req.params.id,
+        req.query.against || null
+      );
+      if (!diff) {
+        return res.status(404).json({
+          error: `Health report ${req.params.id} has no earlier run to compare with`,
+        });
+      }
+      res.json(diff);
+    } catch (error) {
+      if (error.code === 'HEALTH_REPORT_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === 'HEALTH_REPORT_MISMATCH') {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error diffing health reports:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Tasks created from the report's findings
+  router.get('/:id/tasks', async (req, res) => {
+    try {
+      const report = await healthReports.get(req.params.id);
+      res.json(await database.getHealthFindingTasks(report.id));
+    } catch (error) {
+      if (error.code === 'HEALTH_REPORT_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error fetching health report tasks:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post(
+    '/:id/tasks',
+    validateBody(findingTaskSchema),
+    async (req, res) => {
+      try {
+        const result = await orchestrationService.createHealthFindingTasks({
+          report_id: req.params.id,
+          ...req.body,
+        });
+        res.status(result.created.length > 0 ? 201 : 200).json(result);
+      } catch (error) {
+        if (error.code === 'HEALTH_REPORT_NOT_FOUND') {
+          return res.status(404).json({ error: error.message });
+        }
+        logger.error('Error creating tasks from health report:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  return router;
+}
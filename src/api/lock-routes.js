@@ -0,0 +1,17 @@
+import express from 'express';
+
+export function createLockRouter(lockManager, logger) {
+  const router = express.Router();
+
+  // Held locks plus the tasks waiting on them and what blocks each one
+  router.get('/', (req, res) => {
+    try {
+      res.json(lockManager.getLocks(req.query.project_id || null));
+    } catch (error) {
+      logger.error('Error fetching resource locks:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,123 @@
+import express from 'express';
+import Joi from 'joi';
+import { validateBody } from './validation.js';
+
+const budgetSchema = Joi.object({
+  budget_limit: Joi.number().min(0).required(),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  cost_preference: Joi.number().min(0).max(1).default(0.5),
+});
+
+const reviewPolicySchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  max_rounds: Joi.number().integer().min(1).max(10).default(2),
+  reviewer_capability: Joi.string().max(64).default('code_review'),
+  approve_on_failure: Joi.boolean().default(false),
+});
+
+const approvalPolicySchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  expires_after_ms: Joi.number().integer().min(60000).default(86400000),
+});
+
+export function createProjectRouter(database, logger) {
+  const router = express.Router();
+
+  router.get('/:projectId/budget', async (req, res) => {
+    try {
+      const budget = await database.getProjectBudget(req.params.projectId);
+      if (!budget) {
+        return res
+          .status(404)
+          .json({ error: `No budget set for project ${req.params.projectId}` });
+      }
+      res.json(budget);
+    } catch (error) {
+      logger.error('Error fetching project budget:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.put(
+    '/:projectId/budget',
+    validateBody(budgetSchema),
+    async (req, res) => {
+      try {
+        const budget = await database.setProjectBudget({
+          project_id: req.params.projectId,
+          ...req.body,
+        });
+        res.json(budget);
+      } catch (error) {
+        logger.error('Error setting project budget:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  router.get('/:projectId/review-policy', async (req, res) => {
+    try {
+      const policy = await database.getReviewPolicy(
+        'project',
+        req.params.projectId
+      );
+      if (!policy) {
+        return res.status(404).json({
+          error: `No review policy set for project ${req.params.projectId}`,
+        });
+      }
+      res.json(policy);
+    } catch (error) {
+      logger.error('Error fetching review policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.put(
+    '/:projectId/review-policy',
+    validateBody(reviewPolicySchema),
+    async (req, res) => {
+      try {
+        const policy = await database.setReviewPolicy({
+          scope_type: 'project',
+          scope_value: req.params.projectId,
+          ...req.body,
+        });
+        res.json(policy);
+      } catch (error) {
+        logger.error('Error setting review policy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  // Includes the global policies the project does not override
+  router.get('/:projectId/approval-policies', async (req, res) => {
+    try {
+      res.json(await database.getApprovalPolicies(req.params.projectId));
+    } catch (error) {
+      logger.error('Error fetching approval policies:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.put(
+    '/:projectId/approval-policies/:taskType',
+    validateBody(approvalPolicySchema),
+    async (req, res) => {
+      try {
+        const policy = await database.setApprovalPolicy({
+          project_id: req.params.projectId,
+          task_type: req.params.taskType,
+          ...req.body,
+        });
+        res.json(policy);
+      } catch (error) {
+        logger.error('Error setting approval policy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  return router;
+}
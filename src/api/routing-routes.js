@@ -0,0 +1,42 @@
+import express from 'express';
+import Joi from 'joi';
+import { validateBody } from './validation.js';
+
+const explainSelectionSchema = Joi.object({
+  task: Joi.string().min(1).required(),
+  project_context: Joi.object().unknown(true).default({}),
+});
+
+export function createRoutingRouter(orchestrationService, logger) {
+  const router = express.Router();
+
+  // Dry-run agent selection: no task is created and no capacity is taken
+  router.post(
+    '/explain',
+    validateBody(explainSelectionSchema),
+    async (req, res) => {
+      try {
+        const explanation =
+          await orchestrationService.getAgentSelectionExplanation(req.body);
+        res.json(explanation);
+      } catch (error) {
+        logger.error('Error explaining agent selection:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  router.get('/weights', (req, res) => {
+    try {
+      const { agent, task_type, technology } = req.query;
+      res.json(
+        orchestrationService.getRoutingWeights({ agent, task_type, technology })
+      );
+    } catch (error) {
+      logger.error('Error fetching routing weights:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
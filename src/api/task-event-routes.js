@@ -0,0 +1,58 @@
+import express from 'express';
+
+const KEEP_ALIVE_INTERVAL_MS = 15000;
+
+function formatServerSentEvent(event) {
+  return `id: ${event.id}\nevent: ${event.event_type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+export function createTaskEventRouter(progressStream, database, logger) {
+  const router = express.Router();
+
+  // Server-Sent Events: replays the task's progress, log and status events,
+  // then streams new ones until the task finishes. Reconnecting clients resume
+  // from Last-Event-ID (or ?after_id=).
+  router.get('/:taskId/events', async (req, res) => {
+    try {
+      const task = await database.getTask(req.params.taskId);
+      if (!task) {
+        return res
+          .status(404)
+          .json({ error: `Task ${req.params.taskId} not found` });
+      }
+    } catch (error) {
+      logger.error('Error opening task event stream:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const afterId =
+      parseInt(req.get('Last-Event-ID') ?? req.query.after_id) || 0;
+    const following = progressStream.follow(
+      req.params.taskId,
+      afterId,
+      event => res.write(formatServerSentEvent(event))
+    );
+    const keepAlive = setInterval(
+      () => res.write(': keep-alive\n\n'),
+      KEEP_ALIVE_INTERVAL_MS
+    );
+
+    res.on('close', following.stop);
+    following.done.then(() => {
+      clearInterval(keepAlive);
+      if (!res.destroyed) {
+        res.write('event: end\ndata: {}\n\n');
+        res.end();
+      }
+    });
+  });
+
+  return router;
+}
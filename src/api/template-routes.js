@@ -0,0 +1,118 @@
+import express from 'express';
+import Joi from 'joi';
+import { validateBody } from './validation.js';
+
+const parameterSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_]+$/)
+    .required(),
+  description: Joi.string().max(500),
+  required: Joi.boolean().default(false),
+  default: Joi.string().allow(''),
+});
+
+const templateSchema = Joi.object({
+  description: Joi.string().max(500),
+  task: Joi.string().max(2000).required(),
+  parameters: Joi.array().items(parameterSchema).unique('name').default([]),
+  project_context: Joi.object().unknown(true).default({}),
+  preferred_agent: Joi.string().max(64),
+  acceptance_criteria: Joi.array().items(Joi.string().max(500)).default([]),
+});
+
+const delegationSchema = Joi.object({
+  parameters: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+  project_context: Joi.object().unknown(true),
+  preferred_agent: Joi.string().max(64),
+  depends_on: Joi.array().items(Joi.string()),
+  allow_duplicate: Joi.boolean(),
+});
+
+export function createTemplateRouter(orchestrationService, logger) {
+  const router = express.Router();
+  const { templateLibrary } = orchestrationService;
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await templateLibrary.list());
+    } catch (error) {
+      logger.error('Error fetching task templates:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/:name', async (req, res) => {
+    try {
+      res.json(await templateLibrary.get(req.params.name));
+    } catch (error) {
+      if (error.code === 'TEMPLATE_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error fetching task template:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.put('/:name', validateBody(templateSchema), async (req, res) => {
+    try {
+      const template = await templateLibrary.save({
+        name: req.params.name,
+        ...req.body,
+      });
+      res.json(template);
+    } catch (error) {
+      if (error.code === 'INVALID_TEMPLATE') {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error saving task template:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/:name', async (req, res) => {
+    try {
+      await templateLibrary.delete(req.params.name);
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === 'TEMPLATE_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error('Error deleting task template:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post(
+    '/:name/delegate',
+    validateBody(delegationSchema),
+    async (req, res) => {
+      try {
+        const delegation = await orchestrationService.buildTemplateDelegation({
+          template: req.params.name,
+          ...req.body,
+        });
+        const submission =
+          await orchestrationService.submitDelegation(delegation);
+        res
+          .status(submission.status === 'started' ? 200 : 202)
+          .json(submission);
+      } catch (error) {
+        if (
+          ['TEMPLATE_NOT_FOUND', 'DEPENDENCY_NOT_FOUND'].includes(error.code)
+        ) {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'INVALID_TEMPLATE_PARAMETERS') {
+          return res.status(400).json({ error: error.message });
+        }
+        if (['DUPLICATE_TASK', 'DEPENDENCY_CYCLE'].includes(error.code)) {
+          return res.status(409).json({ error: error.message });
+        }
+        logger.error('Error delegating from task template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  return router;
+}
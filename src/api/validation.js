@@ -0,0 +1,20 @@
+// Express middleware that validates req.body against a joi schema and
+// replaces it with the validated (defaulted, stripped) value
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body ?? {}, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
@@ -0,0 +1,30 @@
+import { LocalMockAdapter } from './local-mock-adapter.js';
+import { HttpAgentAdapter } from './http-agent-adapter.js';
+
+export const DEFAULT_ADAPTER_TYPE = process.env.AGENT_ADAPTER || 'local_mock';
+
+const adapterTypes = new Map([
+  ['local_mock', LocalMockAdapter],
+  ['http', HttpAgentAdapter]
+]);
+
+export function registerAdapterType(name, AdapterClass) {
+  adapterTypes.set(name, AdapterClass);
+}
+
+export function getAdapterTypes() {
+  return Array.from(adapterTypes.keys());
+}
+
+export function createAgentAdapter(agent) {
+  const adapterType = agent.configuration?.adapter || DEFAULT_ADAPTER_TYPE;
+  const AdapterClass = adapterTypes.get(adapterType);
+
+  if (!AdapterClass) {
+    const error = new Error(`Unknown adapter type '${adapterType}' for agent ${agent.name}`);
+    error.code = 'INVALID_AGENT_CONFIGURATION';
+    throw error;
+  }
+
+  return new AdapterClass(agent);
+}
@@ -0,0 +1,50 @@
+// Contract every AI Builder backend implements so the orchestrator can drive
+// it without knowing which provider sits behind an agent.
+//
+//   submit(task)      -> { handle }              start the work, return an opaque handle
+//   getStatus(handle) -> { status, progress, error, message, logs }
+//                                                message describes the current step; logs
+//                                                holds the lines written since the last call
+//   getResult(handle) -> result object            only valid once status is 'completed'
+//   cancel(handle)    -> void                     best effort abort on the provider side
+//   checkHealth()     -> boolean                  used as a heartbeat for in-process adapters
+
+export const ADAPTER_TASK_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+export const TERMINAL_ADAPTER_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class AgentAdapter {
+  constructor(agent) {
+    this.agentName = agent.name;
+    this.agentType = agent.type;
+    this.configure(agent.configuration || {});
+  }
+
+  // Applies a changed agent configuration to a live adapter. The agent pool
+  // keeps adapters whose type and endpoint did not change, so handles of
+  // tasks already submitted stay valid; throws when the configuration is unusable.
+  configure(configuration) {
+    this.configuration = configuration;
+    this.pollIntervalMs = configuration.poll_interval_ms || 2000;
+  }
+
+  async submit(task) {
+    throw new Error(`${this.constructor.name} does not implement submit()`);
+  }
+
+  async getStatus(handle) {
+    throw new Error(`${this.constructor.name} does not implement getStatus()`);
+  }
+
+  async getResult(handle) {
+    throw new Error(`${this.constructor.name} does not implement getResult()`);
+  }
+
+  async cancel(handle) {
+    throw new Error(`${this.constructor.name} does not implement cancel()`);
+  }
+
+  async checkHealth() {
+    return true;
+  }
+}
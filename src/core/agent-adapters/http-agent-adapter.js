@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { AgentAdapter } from './agent-adapter.js';
+
+// Generic REST adapter for agents that expose the orchestrator task protocol:
+//   POST /tasks, GET /tasks/:handle, GET /tasks/:handle/result,
+//   POST /tasks/:handle/cancel and GET /health
+// GET /tasks/:handle may include a progress message and the log lines written
+// since the previous request.
+export class HttpAgentAdapter extends AgentAdapter {
+  configure(configuration) {
+    if (!configuration.api_endpoint) {
+      const error = new Error(`Agent ${this.agentName} has no api_endpoint configured for the http adapter`);
+      error.code = 'INVALID_AGENT_CONFIGURATION';
+      throw error;
+    }
+    super.configure(configuration);
+
+    const headers = {};
+    const apiKey = configuration.api_key_env ? process.env[configuration.api_key_env] : null;
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    this.client = axios.create({
+      baseURL: configuration.api_endpoint,
+      timeout: configuration.request_timeout_ms || 30000,
+      headers
+    });
+  }
+
+  async submit(task) {
+    const response = await this.client.post('/tasks', {
+      task_id: task.taskId,
+      description: task.description,
+      task_type: task.taskType,
+      project_context: task.projectContext || {}
+    });
+
+    const handle = response.data.handle || response.data.id;
+    if (!handle) {
+      throw new Error(`Agent ${this.agentName} did not return a task handle`);
+    }
+
+    return { handle };
+  }
+
+  async getStatus(handle) {
+    const response = await this.client.get(`/tasks/${encodeURIComponent(handle)}`);
+    return {
+      status: response.data.status,
+      progress: response.data.progress ?? 0,
+      error: response.data.error || null,
+      message: response.data.message || null,
+      logs: response.data.logs || []
+    };
+  }
+
+  async getResult(handle) {
+    const response = await this.client.get(`/tasks/${encodeURIComponent(handle)}/result`);
+    return response.data;
+  }
+
+  async cancel(handle) {
+    await this.client.post(`/tasks/${encodeURIComponent(handle)}/cancel`);
+  }
+
+  async checkHealth() {
+    try {
+      await this.client.get('/health');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import { AgentAdapter } from './agent-adapter.js';
+
+// Deterministic in-process adapter for tests and dev environments. Every job
+// advances one step per status poll, so the full submit/poll/result path runs
+// without timers, randomness or network access.
+export class LocalMockAdapter extends AgentAdapter {
+  constructor(agent) {
+    super(agent);
+    this.reviewsGiven = 0;
+    this.jobs = new Map();
+    this.sequence = 0;
+  }
+
+  configure(configuration) {
+    super.configure(configuration);
+    const mockConfig = configuration.mock || {};
+    this.pollIntervalMs = configuration.poll_interval_ms ?? 10;
+    this.steps = Math.max(1, mockConfig.steps ?? 3);
+    this.failPattern = mockConfig.fail_pattern ? new RegExp(mockConfig.fail_pattern, 'i') : null;
+    // Review tasks are rejected this many times before the mock starts approving
+    this.rejectReviews = mockConfig.reject_reviews ?? 0;
+  }
+
+  async submit(task) {
+    this.sequence++;
+    const handle = `${this.agentName}-mock-${this.sequence}`;
+
+    this.jobs.set(handle, {
+      task,
+      step: 0,
+      status: 'queued',
+      error: null
+    });
+
+    return { handle };
+  }
+
+  async getStatus(handle) {
+    const job = this.getJob(handle);
+    const logs = [];
+
+    if (job.status === 'queued' || job.status === 'running') {
+      job.step++;
+      logs.push(`[${this.agentName}] step ${job.step}/${this.steps}: ${job.task.description}`);
+      if (this.failPattern && this.failPattern.test(job.task.description)) {
+        job.status = 'failed';
+        job.error = `Mock agent ${this.agentName} rejected task matching /${this.failPattern.source}/`;
+      } else if (job.step >= this.steps) {
+        job.status = 'completed';
+      } else {
+        job.status = 'running';
+      }
+    }
+
+    return {
+      status: job.status,
+      progress: job.status === 'completed' ? 100 : Math.floor((job.step / this.steps) * 100),
+      error: job.error,
+      message: `Step ${job.step} of ${this.steps}`,
+      logs
+    };
+  }
+
+  async getResult(handle) {
+    const job = this.getJob(handle);
+    if (job.status !== 'completed') {
+      throw new Error(`Mock job ${handle} is ${job.status}, no result available`);
+    }
+
+    if (job.task.taskType === 'review' && !job.review) {
+      this.reviewsGiven++;
+      job.review = this.reviewsGiven <= this.rejectReviews
+        ? { verdict: 'rejected', comments: `Mock review ${this.reviewsGiven} by ${this.agentName}: please address the edge cases` }
+        : { verdict: 'approved', comments: `Mock review ${this.reviewsGiven} by ${this.agentName}: looks good` };
+    }
+
+    return {
+      success: true,
+      mock: true,
+      ...(job.review ? { review: job.review } : {}),
+      agent: this.agentName,
+      agent_type: this.agentType,
+      task_type: job.task.taskType,
+      output: `[${this.agentName}] ${job.task.description}`,
+      steps: this.steps,
+      // Deterministic stand-in so cost accounting has usage to price
+      usage: {
+        total_tokens: job.task.description.length * 25 * this.steps
+      }
+    };
+  }
+
+  async cancel(handle) {
+    const job = this.getJob(handle);
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'cancelled';
+    }
+  }
+
+  getJob(handle) {
+    const job = this.jobs.get(handle);
+    if (!job) {
+      throw new Error(`Unknown mock job handle: ${handle}`);
+    }
+    return job;
+  }
+}
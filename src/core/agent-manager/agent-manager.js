@@ -1,9 +1,17 @@
 import winston from 'winston';
-import { v4 as uuidv4 } from 'uuid';
+import { estimateTaskCost } from './cost-model.js';
+import { RateLimiter } from './rate-limiter.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { AgentPool } from './agent-pool.js';
 
 export class AgentManager {
-  constructor() {
+  constructor(database) {
+    this.database = database;
     this.agents = new Map();
+    this.pools = new Map();
+    this.routingLearner = null;
+    this.rateLimiter = new RateLimiter();
+    this.circuitBreakers = new Map();
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.simple(),
@@ -11,10 +19,74 @@ export class AgentManager {
     });
   }
 
+  setRoutingLearner(routingLearner) {
+    this.routingLearner = routingLearner;
+  }
+
   async initialize() {
-    // Register default AI Builder agents
+    // Restore persisted agents first so their status, configuration and performance survive restarts
+    await this.loadAgentsFromDatabase();
+
+    // Register default AI Builder agents that are not persisted yet
     await this.registerDefaultAgents();
-    this.logger.info('Agent manager initialized with default agents');
+    this.logger.info(`Agent manager initialized with ${this.agents.size} agents`);
+  }
+
+  async loadAgentsFromDatabase() {
+    const rows = await this.database.getAllAgents();
+
+    for (const row of rows) {
+      const agent = this.hydrateAgent(row);
+      this.bindAgentPool(agent);
+      this.agents.set(agent.name, agent);
+    }
+
+    this.logger.info(`Loaded ${rows.length} agents from database`);
+  }
+
+  hydrateAgent(row) {
+    const configuration = JSON.parse(row.configuration || '{}');
+    const storedPerformance = JSON.parse(row.performance || '{}');
+
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      status: row.status || 'active',
+      capabilities: JSON.parse(row.capabilities || '[]'),
+      configuration,
+      currentTasks: 0,
+      activeTasks: [],
+      maxConcurrentTasks: row.max_concurrent_tasks || configuration.max_concurrent_tasks || 5,
+      lastHeartbeat: this.parseTimestamp(row.last_heartbeat) || new Date(),
+      performance: {
+        ...this.createEmptyPerformance(),
+        // Older rows averaged over every task, so that count stands in for the timed ones
+        timedTasks: storedPerformance.totalTasks || 0,
+        ...storedPerformance
+      },
+      createdAt: this.parseTimestamp(row.created_at) || new Date()
+    };
+  }
+
+  parseTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+  }
+
+  createEmptyPerformance() {
+    return {
+      totalTasks: 0,
+      completedTasks: 0,
+      failedTasks: 0,
+      timedTasks: 0,
+      averageExecutionTime: 0,
+      successRate: 0
+    };
   }
 
   async registerDefaultAgents() {
@@ -34,6 +106,9 @@ export class AgentManager {
         ],
         configuration: {
           api_endpoint: process.env.DEVIN_API_ENDPOINT || 'https://api.devin.ai',
+          api_key_env: 'DEVIN_API_KEY',
+          provider: 'devin',
+          cost_model: { per_minute: 0.15, currency: 'USD' },
           max_concurrent_tasks: 3,
           preferred_languages: ['javascript', 'typescript', 'python', 'go', 'rust'],
           specializations: ['web_development', 'api_development', 'microservices']
@@ -53,6 +128,9 @@ export class AgentManager {
         ],
         configuration: {
           api_endpoint: process.env.CURSOR_API_ENDPOINT || 'https://api.cursor.sh',
+          api_key_env: 'CURSOR_API_KEY',
+          provider: 'cursor',
+          cost_model: { per_task: 0.04, currency: 'USD' },
           max_concurrent_tasks: 5,
           preferred_languages: ['javascript', 'typescript', 'python', 'java', 'csharp'],
           specializations: ['ide_integration', 'real_time_coding', 'context_aware_editing']
@@ -72,6 +150,9 @@ export class AgentManager {
         ],
         configuration: {
           api_endpoint: process.env.ANTHROPIC_API_ENDPOINT || 'https://api.anthropic.com',
+          api_key_env: 'ANTHROPIC_API_KEY',
+          provider: 'anthropic',
+          cost_model: { per_1k_tokens: 0.015, currency: 'USD' },
           max_concurrent_tasks: 10,
           preferred_languages: ['javascript', 'typescript', 'python', 'go', 'rust', 'java'],
           specializations: ['reasoning', 'planning', 'complex_problem_solving']
@@ -91,6 +172,9 @@ export class AgentManager {
         ],
         configuration: {
           api_endpoint: process.env.OPENAI_API_ENDPOINT || 'https://api.openai.com',
+          api_key_env: 'OPENAI_API_KEY',
+          provider: 'openai',
+          cost_model: { per_1k_tokens: 0.03, currency: 'USD' },
           max_concurrent_tasks: 10,
           preferred_languages: ['javascript', 'typescript', 'python', 'java', 'csharp', 'go'],
           specializations: ['general_coding', 'rapid_prototyping', 'code_explanation']
@@ -108,6 +192,9 @@ export class AgentManager {
         ],
         configuration: {
           api_endpoint: process.env.GITHUB_COPILOT_API_ENDPOINT || 'https://api.github.com',
+          api_key_env: 'GITHUB_TOKEN',
+          provider: 'github',
+          cost_model: { per_task: 0.01, currency: 'USD' },
           max_concurrent_tasks: 15,
           preferred_languages: ['javascript', 'typescript', 'python', 'java', 'csharp', 'go', 'rust'],
           specializations: ['inline_suggestions', 'context_aware_completion', 'multi_language_support']
@@ -116,33 +203,58 @@ export class AgentManager {
     ];
 
     for (const agentData of defaultAgents) {
-      await this.registerAgent(agentData);
+      const existing = this.agents.get(agentData.name);
+      if (!existing) {
+        await this.registerAgent(agentData);
+        continue;
+      }
+
+      // Persisted agents keep their settings, but pick up default keys added since they were stored
+      const missingConfiguration = Object.fromEntries(
+        Object.entries(agentData.configuration).filter(([key]) => !(key in existing.configuration))
+      );
+      if (Object.keys(missingConfiguration).length > 0) {
+        await this.updateAgentConfiguration(agentData.name, missingConfiguration);
+      }
     }
   }
 
   async registerAgent(agentData) {
+    const existing = this.agents.get(agentData.name);
+    const maxConcurrentTasks = agentData.configuration?.max_concurrent_tasks || 5;
+    const performance = existing?.performance || this.createEmptyPerformance();
+
     const agent = {
-      id: uuidv4(),
+      id: existing?.id ?? null,
       name: agentData.name,
       type: agentData.type,
-      status: 'active',
+      status: agentData.status || 'active',
       capabilities: agentData.capabilities || [],
       configuration: agentData.configuration || {},
-      currentTasks: 0,
-      maxConcurrentTasks: agentData.configuration?.max_concurrent_tasks || 5,
+      currentTasks: existing?.currentTasks || 0,
+      activeTasks: existing?.activeTasks || [],
+      maxConcurrentTasks,
       lastHeartbeat: new Date(),
-      performance: {
-        totalTasks: 0,
-        completedTasks: 0,
-        failedTasks: 0,
-        averageExecutionTime: 0,
-        successRate: 0
-      },
-      createdAt: new Date()
+      performance,
+      createdAt: existing?.createdAt || new Date()
     };
 
+    // Bound before the agent is stored so a configuration its adapter rejects
+    // (an http adapter without api_endpoint) is not persisted
+    this.bindAgentPool(agent);
+
+    ({ id: agent.id } = await this.database.registerAgent({
+      name: agentData.name,
+      type: agentData.type,
+      status: agentData.status || 'active',
+      capabilities: agentData.capabilities || [],
+      configuration: agentData.configuration || {},
+      max_concurrent_tasks: maxConcurrentTasks,
+      performance
+    }));
+
     this.agents.set(agent.name, agent);
-    this.logger.info(`Registered agent: ${agent.name} (${agent.type})`);
+    this.logger.info(`Registered agent: ${agent.name} (${agent.type}) with id ${agent.id}`);
     
     return agent;
   }
@@ -155,60 +267,225 @@ export class AgentManager {
     return this.agents.get(name);
   }
 
+  async getAgentById(id) {
+    return Array.from(this.agents.values()).find(agent => agent.id === Number(id));
+  }
+
+  async resolveAgent(idOrName) {
+    if (/^\d+$/.test(String(idOrName))) {
+      return await this.getAgentById(idOrName);
+    }
+    return await this.getAgentByName(idOrName);
+  }
+
+  // Creates or resyncs the agent's instance pool; the agent's capacity is the
+  // sum of its instances' capacity
+  bindAgentPool(agent) {
+    const pool = this.pools.get(agent.name);
+    if (pool) {
+      pool.sync(agent);
+    } else {
+      this.pools.set(agent.name, new AgentPool(agent));
+    }
+    agent.maxConcurrentTasks = this.pools.get(agent.name).getTotalCapacity();
+  }
+
+  getAgentPool(name) {
+    const pool = this.pools.get(name);
+    if (!pool) {
+      throw new Error(`No instance pool bound to agent ${name}`);
+    }
+    return pool;
+  }
+
+  // Without an instance id this is the adapter of the agent's first instance
+  getAgentAdapter(name, instanceId = null) {
+    const pool = this.getAgentPool(name);
+    const instance = instanceId ? pool.getInstance(instanceId) : pool.getInstances()[0];
+    if (!instance) {
+      throw new Error(`No adapter bound to agent ${name}${instanceId ? ` instance ${instanceId}` : ''}`);
+    }
+    return instance.adapter;
+  }
+
+  getTaskInstance(agentName, taskId) {
+    return this.pools.get(agentName)?.getInstanceForTask(taskId) || null;
+  }
+
   async getAvailableAgents() {
     return Array.from(this.agents.values()).filter(agent => 
       agent.status === 'active' && 
-      agent.currentTasks < agent.maxConcurrentTasks
+      this.getAgentPool(agent.name).hasAvailableInstance() &&
+      this.getCircuitBreaker(agent).canAcceptTask()
     );
   }
 
-  async selectBestAgent(task, projectContext = {}) {
+  // Thresholds come from configuration.circuit_breaker and are re-read on every
+  // lookup so configuration updates apply to the existing breaker state
+  getCircuitBreaker(agent) {
+    let breaker = this.circuitBreakers.get(agent.name);
+    if (!breaker) {
+      breaker = new CircuitBreaker(agent.configuration.circuit_breaker);
+      this.circuitBreakers.set(agent.name, breaker);
+    } else {
+      breaker.configure(agent.configuration.circuit_breaker);
+    }
+    return breaker;
+  }
+
+  // options.taskType is the orchestrator's task category (build, test, deploy, ...)
+  // used to look up learned routing history; options.budget ({ remaining }) and
+  // options.costPreference (0 = quality only, 1 = cheapest) make routing cost aware
+  async selectBestAgent(task, projectContext = {}, options = {}) {
     const availableAgents = await this.getAvailableAgents();
     
     if (availableAgents.length === 0) {
-      throw new Error('No available agents found');
-    }
-
-    // Score agents based on task requirements
-    const scoredAgents = availableAgents.map(agent => {
-      let score = 0;
-      
-      // Base score from success rate
-      score += agent.performance.successRate * 100;
-      
-      // Bonus for matching capabilities
-      const requiredCapabilities = this.extractRequiredCapabilities(task, projectContext);
+      const error = new Error('No available agents found');
+      error.code = 'NO_AVAILABLE_AGENT';
+      throw error;
+    }
+
+    // Retries skip agents that already failed the task, unless no other agent is available
+    const excludeAgents = options.excludeAgents || [];
+    const freshAgents = availableAgents.filter(agent => !excludeAgents.includes(agent.name));
+    const candidateAgents = freshAgents.length > 0 ? freshAgents : availableAgents;
+
+    const affordableAgents = candidateAgents.filter(agent =>
+      this.fitsBudget(agent, projectContext, options.budget)
+    );
+
+    if (affordableAgents.length === 0) {
+      const error = new Error(`No available agent fits the remaining budget of ${options.budget.remaining.toFixed(2)}`);
+      error.code = 'BUDGET_EXCEEDED';
+      throw error;
+    }
+
+    const scoredAgents = this.scoreAgents(affordableAgents, task, projectContext, options);
+    return scoredAgents[0].agent;
+  }
+
+  fitsBudget(agent, projectContext, budget) {
+    if (!budget) {
+      return true;
+    }
+    return estimateTaskCost(agent, projectContext) <= budget.remaining;
+  }
+
+  // Scores each candidate and returns them best-first, with the contribution of
+  // every factor so routing decisions can be explained after the fact
+  scoreAgents(agents, task, projectContext = {}, options = {}) {
+    const requiredCapabilities = this.extractRequiredCapabilities(task, projectContext);
+    const preferredLanguages = projectContext.technology_stack || [];
+    const taskType = this.determineTaskType(task, projectContext);
+    const learnedScores = this.routingLearner && options.taskType
+      ? this.routingLearner.scoreCandidates(agents, options.taskType, preferredLanguages)
+      : null;
+    const costPreference = options.costPreference ?? 0;
+    const estimatedCosts = new Map(agents.map(agent => [agent.id, estimateTaskCost(agent, projectContext)]));
+    const highestCost = Math.max(0, ...estimatedCosts.values());
+
+    const scoredAgents = agents.map(agent => {
       const matchingCapabilities = requiredCapabilities.filter(cap => 
         agent.capabilities.includes(cap)
       );
-      score += (matchingCapabilities.length / requiredCapabilities.length) * 50;
-      
-      // Bonus for preferred languages
-      const preferredLanguages = projectContext.technology_stack || [];
       const matchingLanguages = preferredLanguages.filter(lang => 
         agent.configuration.preferred_languages?.includes(lang)
       );
-      score += (matchingLanguages.length / Math.max(preferredLanguages.length, 1)) * 30;
-      
-      // Bonus for specializations
-      const taskType = this.determineTaskType(task, projectContext);
-      if (agent.configuration.specializations?.includes(taskType)) {
-        score += 20;
-      }
-      
-      // Penalty for current load
       const loadRatio = agent.currentTasks / agent.maxConcurrentTasks;
-      score -= loadRatio * 20;
-      
-      return { agent, score };
+
+      const learned = learnedScores?.get(agent.id);
+      const breakdown = {
+        // Base score from the learned per task type success rate, or the global one without history
+        ...(learned
+          ? {
+            learned_success: learned.learned_success,
+            exploration: learned.exploration,
+            speed: learned.speed
+          }
+          : { success_rate: agent.performance.successRate * 100 }),
+        // Bonus for matching capabilities
+        capability_match: (matchingCapabilities.length / requiredCapabilities.length) * 50,
+        // Bonus for preferred languages
+        language_match: (matchingLanguages.length / Math.max(preferredLanguages.length, 1)) * 30,
+        // Bonus for specializations
+        specialization: agent.configuration.specializations?.includes(taskType) ? 20 : 0,
+        // Penalty for current load
+        load_penalty: -loadRatio * 20,
+        // Penalty for price relative to the most expensive candidate, weighted by cost preference
+        cost_penalty: highestCost > 0 ? -costPreference * 50 * (estimatedCosts.get(agent.id) / highestCost) : 0
+      };
+
+      const score = Object.values(breakdown).reduce((total, value) => total + value, 0);
+
+      return {
+        agent,
+        score,
+        breakdown,
+        matched_capabilities: matchingCapabilities,
+        missing_capabilities: requiredCapabilities.filter(cap => !agent.capabilities.includes(cap)),
+        matched_languages: matchingLanguages,
+        estimated_cost: estimatedCosts.get(agent.id)
+      };
     });
 
-    // Sort by score and return the best agent
+    // Sort by score, best first
     scoredAgents.sort((a, b) => b.score - a.score);
-    return scoredAgents[0].agent;
+    return scoredAgents;
+  }
+
+  async explainAgentSelection(task, projectContext = {}, options = {}) {
+    const allAgents = await this.getAllAgents();
+    const availableAgents = await this.getAvailableAgents();
+    const affordableAgents = availableAgents.filter(agent =>
+      this.fitsBudget(agent, projectContext, options.budget)
+    );
+    const scoredAgents = this.scoreAgents(affordableAgents, task, projectContext, options);
+
+    return {
+      required_capabilities: this.extractRequiredCapabilities(task, projectContext),
+      specialization_type: this.determineTaskType(task, projectContext),
+      selected_agent: scoredAgents[0]?.agent.name || null,
+      candidates: scoredAgents.map(({ agent, ...scoring }) => ({
+        name: agent.name,
+        type: agent.type,
+        ...scoring
+      })),
+      budget_remaining: options.budget?.remaining ?? null,
+      cost_preference: options.costPreference ?? 0,
+      excluded: allAgents
+        .filter(agent => !affordableAgents.includes(agent))
+        .map(agent => ({
+          name: agent.name,
+          reason: this.describeExclusion(agent, availableAgents, projectContext, options.budget)
+        }))
+    };
+  }
+
+  describeExclusion(agent, availableAgents, projectContext, budget) {
+    if (agent.status !== 'active') {
+      return `status is ${agent.status}`;
+    }
+    const breaker = this.getCircuitBreaker(agent);
+    if (!breaker.canAcceptTask()) {
+      const breakerStatus = breaker.getStatus();
+      return breakerStatus.state === 'open'
+        ? `circuit breaker open until ${breakerStatus.retryAt.toISOString()} (last error: ${breakerStatus.lastErrorType})`
+        : 'circuit breaker half-open, trial task already running';
+    }
+    if (!availableAgents.includes(agent)) {
+      return this.getAgentPool(agent.name).pooled
+        ? `no healthy instance with free capacity (${agent.currentTasks}/${agent.maxConcurrentTasks} overall)`
+        : `at capacity (${agent.currentTasks}/${agent.maxConcurrentTasks})`;
+    }
+    return `estimated cost ${estimateTaskCost(agent, projectContext).toFixed(2)} exceeds remaining budget ${budget.remaining.toFixed(2)}`;
   }
 
   extractRequiredCapabilities(task, projectContext) {
+    // Planned subtasks state what they need instead of relying on keywords
+    if (projectContext?.required_capabilities?.length > 0) {
+      return [...projectContext.required_capabilities];
+    }
+
     const capabilities = [];
     const taskLower = task.toLowerCase();
     
@@ -278,24 +555,43 @@ export class AgentManager {
     return 'general_development';
   }
 
-  async assignTaskToAgent(agentName, taskId) {
+  // Rate limits are checked separately from capacity so the orchestrator can
+  // hold the task in the queue instead of failing it
+  acquireQuota(agent, estimatedTokens) {
+    return this.rateLimiter.tryAcquire(agent, estimatedTokens);
+  }
+
+  settleQuota(agent, estimatedTokens, actualTokens) {
+    this.rateLimiter.settleTokens(agent, estimatedTokens, actualTokens);
+  }
+
+  // projectId lets pools with sticky_projects send the task to the instance
+  // that already holds the project's context
+  async assignTaskToAgent(agentName, taskId, projectId = null) {
     const agent = this.agents.get(agentName);
     if (!agent) {
       throw new Error(`Agent ${agentName} not found`);
     }
     
-    if (agent.currentTasks >= agent.maxConcurrentTasks) {
+    const instance = this.getAgentPool(agentName).assign(taskId, projectId);
+    if (!instance) {
       throw new Error(`Agent ${agentName} is at maximum capacity`);
     }
     
     agent.currentTasks++;
+    agent.activeTasks.push(taskId);
     agent.lastHeartbeat = new Date();
+    this.getCircuitBreaker(agent).onTaskAssigned();
     
-    this.logger.info(`Assigned task ${taskId} to agent ${agentName}`);
+    this.logger.info(`Assigned task ${taskId} to agent ${agentName} (instance: ${instance.id})`);
     return agent;
   }
 
-  async releaseTaskFromAgent(agentName, taskId, success = true) {
+  // error is the failure that ended the task; failures without one (the task was
+  // pulled off an offline agent) leave the circuit breaker untouched. A null
+  // success (cancelled, or stopped by the caller's deadline) only frees the
+  // capacity and records no outcome for the agent.
+  async releaseTaskFromAgent(agentName, taskId, success = true, executionTime = null, error = null) {
     const agent = this.agents.get(agentName);
     if (!agent) {
       this.logger.warn(`Agent ${agentName} not found when releasing task ${taskId}`);
@@ -303,7 +599,15 @@ export class AgentManager {
     }
     
     agent.currentTasks = Math.max(0, agent.currentTasks - 1);
+    agent.activeTasks = agent.activeTasks.filter(activeTaskId => activeTaskId !== taskId);
     agent.lastHeartbeat = new Date();
+    this.getAgentPool(agentName).release(taskId);
+
+    if (success === null) {
+      this.getCircuitBreaker(agent).abandonTrial();
+      this.logger.info(`Released task ${taskId} from agent ${agentName} without an outcome`);
+      return;
+    }
     
     // Update performance metrics
     agent.performance.totalTasks++;
@@ -314,15 +618,87 @@ export class AgentManager {
     }
     
     agent.performance.successRate = agent.performance.completedTasks / agent.performance.totalTasks;
+
+    // Averaged over the releases that reported a time, not every task
+    if (executionTime !== null) {
+      const timedTasks = ++agent.performance.timedTasks;
+      agent.performance.averageExecutionTime =
+        agent.performance.averageExecutionTime + (executionTime - agent.performance.averageExecutionTime) / timedTasks;
+    }
+
+    await this.database.updateAgentPerformance(agentName, agent.performance);
+
+    if (success || error) {
+      await this.recordCircuitOutcome(agent, taskId, success, error);
+    } else {
+      this.getCircuitBreaker(agent).abandonTrial();
+    }
     
     this.logger.info(`Released task ${taskId} from agent ${agentName} (success: ${success})`);
   }
 
-  async updateAgentHeartbeat(agentName) {
+  async recordCircuitOutcome(agent, taskId, success, error) {
+    const breaker = this.getCircuitBreaker(agent);
+    const transition = success ? breaker.recordSuccess() : breaker.recordFailure(error);
+    if (!transition) {
+      return;
+    }
+
+    const breakerStatus = breaker.getStatus();
+    if (transition === 'open') {
+      this.logger.warn(`Circuit breaker opened for agent ${agent.name} after ${breakerStatus.consecutiveFailures} consecutive failures (last error: ${breakerStatus.lastErrorType})`);
+    } else {
+      this.logger.info(`Circuit breaker closed for agent ${agent.name}`);
+    }
+
+    await this.database.logTaskExecution(taskId, agent.id, `circuit_${transition}`, {
+      agent_name: agent.name,
+      consecutive_failures: breakerStatus.consecutiveFailures,
+      last_error_type: breakerStatus.lastErrorType,
+      last_error: breakerStatus.lastError,
+      retry_at: breakerStatus.retryAt
+    });
+  }
+
+  // A heartbeat without an instance id counts for every instance in the pool;
+  // the agent itself stays alive as long as any of its instances reports in
+  async updateAgentHeartbeat(agentName, instanceId = null) {
     const agent = this.agents.get(agentName);
     if (agent) {
+      this.getAgentPool(agentName).recordHeartbeat(instanceId);
       agent.lastHeartbeat = new Date();
+      await this.database.updateAgentHeartbeat(agentName);
     }
+    return agent;
+  }
+
+  setInstanceStatus(agentName, instanceId, status) {
+    const instance = this.getAgentPool(agentName).getInstance(instanceId);
+    if (!instance) {
+      throw new Error(`Agent ${agentName} has no instance ${instanceId}`);
+    }
+
+    const previousStatus = instance.status;
+    instance.status = status;
+
+    this.logger.info(`Agent ${agentName} instance ${instanceId} status changed: ${previousStatus} -> ${status}`);
+    return instance;
+  }
+
+  // Health transitions driven by the heartbeat monitor; unlike activate/deactivate
+  // this leaves lastHeartbeat alone so missed beats keep accumulating
+  async setAgentStatus(agentName, status) {
+    const agent = this.agents.get(agentName);
+    if (!agent) {
+      throw new Error(`Agent ${agentName} not found`);
+    }
+
+    const previousStatus = agent.status;
+    agent.status = status;
+    await this.database.updateAgentStatus(agentName, status);
+
+    this.logger.info(`Agent ${agentName} status changed: ${previousStatus} -> ${status}`);
+    return agent;
   }
 
   async getAgentStatus(agentName = null) {
@@ -336,16 +712,24 @@ export class AgentManager {
 
   formatAgentStatus(agent) {
     return {
+      id: agent.id,
       name: agent.name,
       type: agent.type,
       status: agent.status,
       currentTasks: agent.currentTasks,
+      activeTasks: agent.activeTasks,
       maxConcurrentTasks: agent.maxConcurrentTasks,
       loadPercentage: (agent.currentTasks / agent.maxConcurrentTasks) * 100,
       capabilities: agent.capabilities,
       performance: agent.performance,
       lastHeartbeat: agent.lastHeartbeat,
-      isAvailable: agent.status === 'active' && agent.currentTasks < agent.maxConcurrentTasks
+      rateLimits: this.rateLimiter.getStatus(agent),
+      circuitBreaker: this.getCircuitBreaker(agent).getStatus(),
+      instances: this.getAgentPool(agent.name).getStatus(),
+      stickyProjects: this.getAgentPool(agent.name).stickyProjects,
+      isAvailable: agent.status === 'active' &&
+        this.getAgentPool(agent.name).hasAvailableInstance() &&
+        this.getCircuitBreaker(agent).canAcceptTask()
     };
   }
 
@@ -365,8 +749,17 @@ export class AgentManager {
       throw new Error(`Agent ${agentName} not found`);
     }
     
-    agent.configuration = { ...agent.configuration, ...newConfiguration };
+    // Resync the pool so instance, endpoint or adapter changes take effect for
+    // the next task; it is synced before the agent changes, so a configuration
+    // its adapters reject leaves the agent as it was
+    const updated = { ...agent, configuration: { ...agent.configuration, ...newConfiguration } };
+    updated.maxConcurrentTasks = updated.configuration.max_concurrent_tasks || agent.maxConcurrentTasks;
+    this.bindAgentPool(updated);
+
+    agent.configuration = updated.configuration;
+    agent.maxConcurrentTasks = updated.maxConcurrentTasks;
     agent.lastHeartbeat = new Date();
+    await this.database.updateAgentConfiguration(agentName, agent.configuration, agent.maxConcurrentTasks);
     
     this.logger.info(`Updated configuration for agent ${agentName}`);
     return agent.configuration;
@@ -380,6 +773,7 @@ export class AgentManager {
     
     agent.status = 'inactive';
     agent.lastHeartbeat = new Date();
+    await this.database.updateAgentStatus(agentName, agent.status);
     
     this.logger.info(`Deactivated agent ${agentName}`);
   }
@@ -392,6 +786,7 @@ export class AgentManager {
     
     agent.status = 'active';
     agent.lastHeartbeat = new Date();
+    await this.database.updateAgentStatus(agentName, agent.status);
     
     this.logger.info(`Activated agent ${agentName}`);
   }
@@ -0,0 +1,192 @@
+import { DEFAULT_ADAPTER_TYPE, createAgentAdapter } from '../agent-adapters/adapter-registry.js';
+
+export const DEFAULT_INSTANCE_ID = 'default';
+
+function isSameAdapter(previousConfiguration, configuration) {
+  return (previousConfiguration.adapter || DEFAULT_ADAPTER_TYPE) === (configuration.adapter || DEFAULT_ADAPTER_TYPE) &&
+    previousConfiguration.api_endpoint === configuration.api_endpoint;
+}
+
+// The running instances behind one agent name (several Devin sessions, several
+// Cursor workspaces, ...). Instances come from configuration.instances:
+//   [{ id, max_concurrent_tasks, api_endpoint, ... }]
+// where every key other than id overrides the agent configuration for that
+// instance. Agents without instances get a single implicit 'default' instance.
+// With configuration.sticky_projects, follow-up tasks for a project_id go back
+// to the instance that already worked on it while it is healthy and has room.
+export class AgentPool {
+  constructor(agent) {
+    this.agentName = agent.name;
+    this.instances = new Map();
+    this.projectAffinity = new Map();
+    this.sync(agent);
+  }
+
+  // Rebuilds instances from the agent configuration; instances that still
+  // exist keep their running tasks, health and heartbeat, and their adapter
+  // while its type and endpoint are unchanged. Every new adapter is created
+  // before anything is replaced, so a configuration an adapter rejects throws
+  // and leaves the pool as it was.
+  sync(agent) {
+    const instanceConfigs = agent.configuration.instances?.length > 0
+      ? agent.configuration.instances
+      : [{ id: DEFAULT_INSTANCE_ID, max_concurrent_tasks: agent.maxConcurrentTasks }];
+    const { instances, ...sharedConfiguration } = agent.configuration;
+
+    const previousInstances = this.instances;
+    const nextInstances = instanceConfigs.map(({ id, ...overrides }) => {
+      const previous = previousInstances.get(id);
+      const configuration = { ...sharedConfiguration, ...overrides };
+      const reuseAdapter = previous && isSameAdapter(previous.configuration, configuration);
+      return {
+        id,
+        overrides,
+        configuration,
+        previous,
+        adapter: reuseAdapter ? previous.adapter : createAgentAdapter({ ...agent, configuration }),
+        reuseAdapter
+      };
+    });
+
+    this.instances = new Map();
+    this.stickyProjects = Boolean(agent.configuration.sticky_projects);
+    this.pooled = agent.configuration.instances?.length > 0;
+
+    for (const { id, overrides, configuration, previous, adapter, reuseAdapter } of nextInstances) {
+      if (reuseAdapter) {
+        adapter.configure(configuration);
+      }
+
+      this.instances.set(id, {
+        id,
+        status: previous?.status || 'active',
+        configuration,
+        maxConcurrentTasks: overrides.max_concurrent_tasks || sharedConfiguration.max_concurrent_tasks || 5,
+        currentTasks: previous?.currentTasks || 0,
+        activeTasks: previous?.activeTasks || [],
+        lastHeartbeat: previous?.lastHeartbeat || agent.lastHeartbeat || new Date(),
+        adapter
+      });
+    }
+
+    // Tasks on removed instances keep running on their old adapter; they are
+    // released against the pool by task id so nothing leaks
+    for (const [id, instance] of previousInstances) {
+      if (!this.instances.has(id) && instance.activeTasks.length > 0) {
+        this.instances.set(id, { ...instance, status: 'removed', maxConcurrentTasks: 0 });
+      }
+    }
+
+    for (const [projectId, instanceId] of this.projectAffinity) {
+      if (!this.instances.has(instanceId)) {
+        this.projectAffinity.delete(projectId);
+      }
+    }
+  }
+
+  getTotalCapacity() {
+    return Array.from(this.instances.values())
+      .reduce((total, instance) => total + instance.maxConcurrentTasks, 0);
+  }
+
+  getInstance(instanceId) {
+    return this.instances.get(instanceId);
+  }
+
+  getInstances() {
+    return Array.from(this.instances.values());
+  }
+
+  hasAvailableInstance() {
+    return this.getInstances().some(instance => this.isInstanceAvailable(instance));
+  }
+
+  isInstanceAvailable(instance) {
+    return instance.status === 'active' && instance.currentTasks < instance.maxConcurrentTasks;
+  }
+
+  // Sticky instance first, otherwise the least loaded healthy instance
+  selectInstance(projectId = null) {
+    if (this.stickyProjects && projectId && this.projectAffinity.has(projectId)) {
+      const stickyInstance = this.instances.get(this.projectAffinity.get(projectId));
+      if (stickyInstance && this.isInstanceAvailable(stickyInstance)) {
+        return stickyInstance;
+      }
+    }
+
+    const candidates = this.getInstances().filter(instance => this.isInstanceAvailable(instance));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return candidates.reduce((best, instance) =>
+      instance.currentTasks / instance.maxConcurrentTasks < best.currentTasks / best.maxConcurrentTasks
+        ? instance
+        : best
+    );
+  }
+
+  assign(taskId, projectId = null) {
+    const instance = this.selectInstance(projectId);
+    if (!instance) {
+      return null;
+    }
+
+    instance.currentTasks++;
+    instance.activeTasks.push(taskId);
+    if (this.stickyProjects && projectId) {
+      this.projectAffinity.set(projectId, instance.id);
+    }
+    return instance;
+  }
+
+  release(taskId) {
+    const instance = this.getInstanceForTask(taskId);
+    if (!instance) {
+      return null;
+    }
+
+    instance.currentTasks = Math.max(0, instance.currentTasks - 1);
+    instance.activeTasks = instance.activeTasks.filter(activeTaskId => activeTaskId !== taskId);
+    if (instance.status === 'removed' && instance.activeTasks.length === 0) {
+      this.instances.delete(instance.id);
+    }
+    return instance;
+  }
+
+  getInstanceForTask(taskId) {
+    return this.getInstances().find(instance => instance.activeTasks.includes(taskId)) || null;
+  }
+
+  recordHeartbeat(instanceId = null) {
+    const now = new Date();
+    const instances = instanceId ? [this.instances.get(instanceId)] : this.getInstances();
+
+    if (instances.some(instance => !instance)) {
+      throw new Error(`Agent ${this.agentName} has no instance ${instanceId}`);
+    }
+
+    instances.forEach(instance => {
+      instance.lastHeartbeat = now;
+    });
+  }
+
+  getProjectsForInstance(instanceId) {
+    return Array.from(this.projectAffinity.entries())
+      .filter(([, affinityInstanceId]) => affinityInstanceId === instanceId)
+      .map(([projectId]) => projectId);
+  }
+
+  getStatus() {
+    return this.getInstances().map(instance => ({
+      id: instance.id,
+      status: instance.status,
+      currentTasks: instance.currentTasks,
+      activeTasks: instance.activeTasks,
+      maxConcurrentTasks: instance.maxConcurrentTasks,
+      lastHeartbeat: instance.lastHeartbeat,
+      projects: this.getProjectsForInstance(instance.id),
+      isAvailable: this.isInstanceAvailable(instance)
+    }));
+  }
+}
@@ -0,0 +1,140 @@
+// Error classes used by the circuit breaker (and anything else that needs to
+// tell provider trouble apart from a task the agent simply could not do)
+export const PROVIDER_ERROR_TYPES = ['network', 'timeout', 'server', 'auth', 'rate_limited'];
+
+export function classifyError(error) {
+  if (!error) {
+    return 'unknown';
+  }
+
+  if (error.errorType) {
+    return error.errorType;
+  }
+
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+    return 'timeout';
+  }
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'].includes(error.code)) {
+    return 'network';
+  }
+
+  return 'task';
+}
+
+// Per-agent breaker: closed -> open after too many consecutive failures,
+// open -> half_open after the reset timeout, half_open lets exactly one trial
+// task through and closes on its success or re-opens on its failure.
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.configure(options);
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.consecutiveProviderErrors = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastErrorType = null;
+  }
+
+  configure(options = {}) {
+    this.failureThreshold =
+      options.failure_threshold || parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5;
+    this.providerErrorThreshold =
+      options.provider_error_threshold || parseInt(process.env.CIRCUIT_BREAKER_PROVIDER_ERROR_THRESHOLD) || 3;
+    this.resetTimeoutMs =
+      options.reset_timeout_ms || parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 60000;
+  }
+
+  getState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    return this.state;
+  }
+
+  canAcceptTask() {
+    const state = this.getState();
+    return state === 'closed' || (state === 'half_open' && !this.trialInFlight);
+  }
+
+  onTaskAssigned() {
+    if (this.getState() === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  // The trial task ended without telling us anything about the agent
+  // (e.g. it was reassigned), so let the next task be the trial
+  abandonTrial() {
+    this.trialInFlight = false;
+  }
+
+  // Returns the new state when this call changed it, otherwise null
+  recordSuccess() {
+    const previousState = this.getState();
+    this.consecutiveFailures = 0;
+    this.consecutiveProviderErrors = 0;
+    this.trialInFlight = false;
+
+    if (previousState !== 'closed') {
+      this.state = 'closed';
+      this.openedAt = null;
+      return 'closed';
+    }
+    return null;
+  }
+
+  recordFailure(error) {
+    const previousState = this.getState();
+    const errorType = classifyError(error);
+
+    this.consecutiveFailures++;
+    if (PROVIDER_ERROR_TYPES.includes(errorType)) {
+      this.consecutiveProviderErrors++;
+    }
+    this.lastError = error?.message || String(error);
+    this.lastErrorType = errorType;
+    this.trialInFlight = false;
+
+    const shouldOpen =
+      previousState === 'half_open' ||
+      errorType === 'auth' ||
+      this.consecutiveFailures >= this.failureThreshold ||
+      this.consecutiveProviderErrors >= this.providerErrorThreshold;
+
+    if (shouldOpen && previousState !== 'open') {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return 'open';
+    }
+    if (shouldOpen) {
+      this.openedAt = Date.now();
+    }
+    return null;
+  }
+
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      consecutiveProviderErrors: this.consecutiveProviderErrors,
+      lastErrorType: this.lastErrorType,
+      lastError: this.lastError,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs) : null
+    };
+  }
+}
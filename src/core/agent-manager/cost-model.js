@@ -0,0 +1,40 @@
+// Agent pricing lives in configuration.cost_model:
+//   { per_task, per_1k_tokens, per_minute, currency }
+// Any component may be omitted; an agent without a cost model is free.
+
+export const DEFAULT_ESTIMATED_TOKENS = parseInt(process.env.DEFAULT_ESTIMATED_TOKENS) || 4000;
+export const DEFAULT_ESTIMATED_MINUTES = parseFloat(process.env.DEFAULT_ESTIMATED_MINUTES) || 10;
+
+export function hasCostModel(agent) {
+  const costModel = agent.configuration?.cost_model;
+  return Boolean(costModel && (costModel.per_task || costModel.per_1k_tokens || costModel.per_minute));
+}
+
+export function priceUsage(agent, { tokens = 0, minutes = 0 } = {}) {
+  const costModel = agent.configuration?.cost_model || {};
+
+  return (costModel.per_task || 0) +
+    (costModel.per_1k_tokens || 0) * (tokens / 1000) +
+    (costModel.per_minute || 0) * minutes;
+}
+
+// Estimate before routing: tokens come from the project context when the caller
+// knows them, minutes from the agent's own average execution time
+export function estimateTaskCost(agent, projectContext = {}) {
+  const averageExecutionTime = agent.performance?.averageExecutionTime || 0;
+
+  return priceUsage(agent, {
+    tokens: projectContext.estimated_tokens || DEFAULT_ESTIMATED_TOKENS,
+    minutes: averageExecutionTime > 0 ? averageExecutionTime / 60000 : DEFAULT_ESTIMATED_MINUTES
+  });
+}
+
+// Actual cost once the agent has finished, from the usage it reported
+export function calculateTaskCost(agent, result, executionTime) {
+  const usage = result?.usage || {};
+
+  return priceUsage(agent, {
+    tokens: usage.total_tokens || usage.tokens || 0,
+    minutes: executionTime / 60000
+  });
+}
@@ -0,0 +1,44 @@
+// How long an agent may work on one task before it is stopped and marked
+// timed_out. The limit comes from, in order: project_context.timeout_ms, the
+// agent's configuration.timeout_ms, the default for its type, and
+// EXECUTION_TIMEOUT_MS. A project_context.deadline caps whatever is left.
+
+export const DEFAULT_TIMEOUTS_MS = {
+  ai_builder: 2 * 60 * 60 * 1000,
+  ai_editor: 30 * 60 * 1000,
+  ai_assistant: 10 * 60 * 1000,
+  ai_copilot: 5 * 60 * 1000
+};
+
+export const DEFAULT_EXECUTION_TIMEOUT_MS = parseInt(process.env.EXECUTION_TIMEOUT_MS) || 60 * 60 * 1000;
+
+// Returns the deadline as a timestamp, null when none is set; throws on
+// anything Date cannot parse so a typo is not silently ignored
+export function parseDeadline(deadline) {
+  if (deadline === undefined || deadline === null || deadline === '') {
+    return null;
+  }
+
+  const timestamp = typeof deadline === 'number' ? deadline : Date.parse(deadline);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid deadline: ${deadline}`);
+  }
+  return timestamp;
+}
+
+export function resolveExecutionTimeout(agent, projectContext = {}, now = Date.now()) {
+  const timeoutMs = projectContext.timeout_ms ||
+    agent.configuration?.timeout_ms ||
+    DEFAULT_TIMEOUTS_MS[agent.type] ||
+    DEFAULT_EXECUTION_TIMEOUT_MS;
+
+  const deadline = parseDeadline(projectContext.deadline);
+  if (deadline === null) {
+    return { timeoutMs, reason: 'timeout' };
+  }
+
+  const remainingMs = Math.max(0, deadline - now);
+  return remainingMs < timeoutMs
+    ? { timeoutMs: remainingMs, reason: 'deadline' }
+    : { timeoutMs, reason: 'timeout' };
+}
@@ -0,0 +1,168 @@
+import { EventEmitter } from 'events';
+import winston from 'winston';
+
+// Periodically checks agent heartbeats and moves agents between
+// active -> unhealthy -> offline. Agents in 'pull' heartbeat mode (the default)
+// are probed through their adapter's checkHealth(); agents in 'push' mode must
+// report in themselves. Emits 'agent_unhealthy', 'agent_offline' and
+// 'agent_recovered' with the agent as payload. Agents with configured instances
+// are also tracked per instance, emitting 'instance_unhealthy',
+// 'instance_offline' and 'instance_recovered' with (agent, instance); the agent
+// as a whole only goes offline once none of its instances reports in.
+export class HeartbeatMonitor extends EventEmitter {
+  constructor(agentManager, database, options = {}) {
+    super();
+    this.agentManager = agentManager;
+    this.database = database;
+    this.intervalMs = options.intervalMs || parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 30000;
+    this.unhealthyAfterMissed =
+      options.unhealthyAfterMissed || parseInt(process.env.HEARTBEAT_UNHEALTHY_AFTER_MISSED) || 2;
+    this.offlineAfterMissed =
+      options.offlineAfterMissed || parseInt(process.env.HEARTBEAT_OFFLINE_AFTER_MISSED) || 5;
+    this.timer = null;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkAgents().catch(error => {
+        this.logger.error('Error checking agent heartbeats:', error);
+      });
+    }, this.intervalMs);
+
+    this.logger.info(
+      `Heartbeat monitor started (interval: ${this.intervalMs}ms, unhealthy after ${this.unhealthyAfterMissed} missed, offline after ${this.offlineAfterMissed} missed)`
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Heartbeat monitor stopped');
+    }
+  }
+
+  async checkAgents() {
+    const agents = await this.agentManager.getAllAgents();
+
+    for (const agent of agents) {
+      // Deactivated agents are out of rotation on purpose, not because they died
+      if (agent.status === 'inactive') {
+        continue;
+      }
+
+      if ((agent.configuration.heartbeat_mode || 'pull') === 'pull') {
+        await this.probeAgent(agent);
+      }
+
+      const pool = this.agentManager.getAgentPool(agent.name);
+      if (pool.pooled) {
+        for (const instance of pool.getInstances()) {
+          if (instance.status === 'removed') {
+            continue;
+          }
+
+          const instanceMissedHeartbeats = this.countMissedHeartbeats(instance);
+          const nextInstanceStatus = this.resolveStatus(instanceMissedHeartbeats);
+          if (nextInstanceStatus !== instance.status) {
+            await this.transitionInstance(agent, instance, nextInstanceStatus, instanceMissedHeartbeats);
+          }
+        }
+      }
+
+      const missedHeartbeats = this.countMissedHeartbeats(agent);
+      const nextStatus = this.resolveStatus(missedHeartbeats);
+
+      if (nextStatus !== agent.status) {
+        await this.transitionAgent(agent, nextStatus, missedHeartbeats);
+      }
+    }
+  }
+
+  async probeAgent(agent) {
+    const instances = this.agentManager.getAgentPool(agent.name).getInstances()
+      .filter(instance => instance.status !== 'removed');
+
+    for (const instance of instances) {
+      try {
+        if (await instance.adapter.checkHealth()) {
+          await this.agentManager.updateAgentHeartbeat(agent.name, instance.id);
+        }
+      } catch (error) {
+        this.logger.warn(`Health probe failed for agent ${agent.name} instance ${instance.id}: ${error.message}`);
+      }
+    }
+  }
+
+  // Works for agents and for pool instances, both carry lastHeartbeat
+  countMissedHeartbeats(target) {
+    const elapsed = Date.now() - new Date(target.lastHeartbeat).getTime();
+    return Math.max(0, Math.floor(elapsed / this.intervalMs));
+  }
+
+  resolveStatus(missedHeartbeats) {
+    if (missedHeartbeats >= this.offlineAfterMissed) {
+      return 'offline';
+    }
+    if (missedHeartbeats >= this.unhealthyAfterMissed) {
+      return 'unhealthy';
+    }
+    return 'active';
+  }
+
+  async transitionAgent(agent, status, missedHeartbeats) {
+    const previousStatus = agent.status;
+    await this.agentManager.setAgentStatus(agent.name, status);
+
+    const action = status === 'active' ? 'agent_recovered' : `agent_${status}`;
+    const details = {
+      agent_name: agent.name,
+      previous_status: previousStatus,
+      status,
+      missed_heartbeats: missedHeartbeats,
+      last_heartbeat: agent.lastHeartbeat
+    };
+
+    // Record the transition against every task the agent was holding, or once
+    // without a task so idle agents still leave a trail
+    const taskIds = agent.activeTasks.length > 0 ? [...agent.activeTasks] : [null];
+    for (const taskId of taskIds) {
+      await this.database.logTaskExecution(taskId, agent.id, action, details);
+    }
+
+    this.logger.warn(`Agent ${agent.name} is now ${status} (${missedHeartbeats} missed heartbeats)`);
+    this.emit(action, agent);
+  }
+
+  async transitionInstance(agent, instance, status, missedHeartbeats) {
+    const previousStatus = instance.status;
+    this.agentManager.setInstanceStatus(agent.name, instance.id, status);
+
+    const action = status === 'active' ? 'instance_recovered' : `instance_${status}`;
+    const details = {
+      agent_name: agent.name,
+      instance_id: instance.id,
+      previous_status: previousStatus,
+      status,
+      missed_heartbeats: missedHeartbeats,
+      last_heartbeat: instance.lastHeartbeat
+    };
+
+    const taskIds = instance.activeTasks.length > 0 ? [...instance.activeTasks] : [null];
+    for (const taskId of taskIds) {
+      await this.database.logTaskExecution(taskId, agent.id, action, details);
+    }
+
+    this.logger.warn(`Agent ${agent.name} instance ${instance.id} is now ${status} (${missedHeartbeats} missed heartbeats)`);
+    this.emit(action, agent, instance);
+  }
+}
@@ -0,0 +1,151 @@
+import winston from 'winston';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export class TokenBucket {
+  constructor(capacity, refillIntervalMs) {
+    this.capacity = capacity;
+    this.refillRate = capacity / refillIntervalMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  // A single request larger than the bucket can still go through once the bucket is full
+  msUntilAvailable(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity) - this.tokens;
+    return needed <= 0 ? 0 : Math.ceil(needed / this.refillRate);
+  }
+
+  // Negative amounts refund; the balance may go below zero when actual usage exceeds the estimate
+  remove(amount) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens - amount);
+  }
+}
+
+// Token-bucket limits per agent (configuration.rate_limits) and per shared
+// provider (configuration.provider, limits from PROVIDER_RATE_LIMITS), each
+// with optional requests_per_minute and tokens_per_day.
+export class RateLimiter {
+  constructor(providerLimits = null) {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+    this.providerLimits = providerLimits || this.parseProviderLimits(process.env.PROVIDER_RATE_LIMITS);
+    this.buckets = new Map();
+  }
+
+  parseProviderLimits(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      this.logger.warn(`Ignoring invalid PROVIDER_RATE_LIMITS: ${error.message}`);
+      return {};
+    }
+  }
+
+  setProviderLimits(provider, limits) {
+    this.providerLimits[provider] = limits;
+  }
+
+  getBucket(key, capacity, refillIntervalMs) {
+    const existing = this.buckets.get(key);
+
+    // Limits changed since the bucket was created: start over with the new capacity
+    if (!existing || existing.capacity !== capacity) {
+      this.buckets.set(key, new TokenBucket(capacity, refillIntervalMs));
+    }
+
+    return this.buckets.get(key);
+  }
+
+  getLimitBuckets(agent) {
+    const scopes = [
+      { scope: `agent:${agent.name}`, limits: agent.configuration.rate_limits },
+      {
+        scope: `provider:${agent.configuration.provider}`,
+        limits: agent.configuration.provider ? this.providerLimits[agent.configuration.provider] : null
+      }
+    ];
+
+    const buckets = [];
+    for (const { scope, limits } of scopes) {
+      if (limits?.requests_per_minute) {
+        buckets.push({
+          scope,
+          kind: 'requests_per_minute',
+          bucket: this.getBucket(`${scope}:rpm`, limits.requests_per_minute, MINUTE_MS)
+        });
+      }
+      if (limits?.tokens_per_day) {
+        buckets.push({
+          scope,
+          kind: 'tokens_per_day',
+          bucket: this.getBucket(`${scope}:tpd`, limits.tokens_per_day, DAY_MS)
+        });
+      }
+    }
+    return buckets;
+  }
+
+  // Takes one request and the estimated tokens from every applicable bucket, or
+  // nothing at all if any of them is exhausted
+  tryAcquire(agent, estimatedTokens = 0) {
+    const limitBuckets = this.getLimitBuckets(agent);
+    const amountFor = ({ kind }) => (kind === 'requests_per_minute' ? 1 : estimatedTokens);
+
+    const blocked = limitBuckets
+      .map(limit => ({ ...limit, waitMs: limit.bucket.msUntilAvailable(amountFor(limit)) }))
+      .filter(limit => limit.waitMs > 0);
+
+    if (blocked.length > 0) {
+      const longest = blocked.reduce((max, limit) => (limit.waitMs > max.waitMs ? limit : max));
+      return {
+        allowed: false,
+        retryAfterMs: longest.waitMs,
+        reason: `${longest.scope} ${longest.kind} limit reached`
+      };
+    }
+
+    limitBuckets.forEach(limit => limit.bucket.remove(amountFor(limit)));
+    return { allowed: true, retryAfterMs: 0, reason: null };
+  }
+
+  // Reconcile the token estimate taken at acquire time with what the agent actually used
+  settleTokens(agent, estimatedTokens, actualTokens) {
+    const delta = actualTokens - estimatedTokens;
+    if (delta === 0) {
+      return;
+    }
+
+    this.getLimitBuckets(agent)
+      .filter(limit => limit.kind === 'tokens_per_day')
+      .forEach(limit => limit.bucket.remove(delta));
+  }
+
+  getStatus(agent) {
+    return this.getLimitBuckets(agent).map(({ scope, kind, bucket }) => {
+      bucket.refill();
+      return {
+        scope,
+        kind,
+        limit: bucket.capacity,
+        remaining: Math.max(0, Math.floor(bucket.tokens))
+      };
+    });
+  }
+}
@@ -0,0 +1,159 @@
+import winston from 'winston';
+
+const ANY_TECHNOLOGY = '*';
+
+// Learns per (agent, task_type, technology) success rates and execution times
+// from task history and turns them into routing scores. Exploitation uses the
+// Beta(1,1)-smoothed success rate of the bucket; exploration adds a UCB1 style
+// bonus that shrinks as an agent accumulates history for that kind of task, so
+// newly registered agents still receive traffic.
+export class RoutingLearner {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.explorationWeight =
+      options.explorationWeight ?? (parseFloat(process.env.ROUTING_EXPLORATION_WEIGHT) || 20);
+    this.speedWeight = options.speedWeight ?? 10;
+    this.buckets = new Map();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  async initialize() {
+    this.buckets.clear();
+
+    const outcomes = await this.database.getTaskOutcomeStats();
+    for (const row of outcomes) {
+      const bucket = this.getBucket(row.agent_id, row.agent_name, row.task_type, row.technology);
+      bucket.successes += row.successes;
+      bucket.failures += row.failures;
+    }
+
+    const executionTimes = await this.database.getExecutionTimeStats();
+    for (const row of executionTimes) {
+      const bucket = this.getBucket(row.agent_id, row.agent_name, row.task_type, row.technology);
+      bucket.totalExecutionTime += row.total_execution_time;
+      bucket.timedTasks += row.timed_tasks;
+    }
+
+    this.logger.info(`Routing learner loaded ${this.buckets.size} buckets from task history`);
+  }
+
+  bucketKey(agentId, taskType, technology) {
+    return `${agentId}|${taskType}|${technology}`;
+  }
+
+  getBucket(agentId, agentName, taskType, technology) {
+    const key = this.bucketKey(agentId, taskType, technology);
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        agentId,
+        agentName,
+        taskType,
+        technology,
+        successes: 0,
+        failures: 0,
+        totalExecutionTime: 0,
+        timedTasks: 0
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  normalizeTechnologies(technologies = []) {
+    return technologies.map(technology => String(technology).toLowerCase());
+  }
+
+  recordOutcome(agent, taskType, technologies, success, executionTime = null) {
+    // Every outcome counts towards the technology-agnostic bucket and each technology bucket
+    for (const technology of [ANY_TECHNOLOGY, ...this.normalizeTechnologies(technologies)]) {
+      const bucket = this.getBucket(agent.id, agent.name, taskType, technology);
+      if (success) {
+        bucket.successes++;
+      } else {
+        bucket.failures++;
+      }
+      if (executionTime !== null) {
+        bucket.totalExecutionTime += executionTime;
+        bucket.timedTasks++;
+      }
+    }
+  }
+
+  // Aggregates the buckets relevant to this task: the technology buckets if the
+  // agent has history with any of them, otherwise the technology-agnostic one
+  getAgentStats(agentId, taskType, technologies) {
+    const technologyBuckets = this.normalizeTechnologies(technologies)
+      .map(technology => this.buckets.get(this.bucketKey(agentId, taskType, technology)))
+      .filter(bucket => bucket && bucket.successes + bucket.failures > 0);
+
+    const buckets = technologyBuckets.length > 0
+      ? technologyBuckets
+      : [this.buckets.get(this.bucketKey(agentId, taskType, ANY_TECHNOLOGY))].filter(Boolean);
+
+    return buckets.reduce((stats, bucket) => ({
+      successes: stats.successes + bucket.successes,
+      failures: stats.failures + bucket.failures,
+      totalExecutionTime: stats.totalExecutionTime + bucket.totalExecutionTime,
+      timedTasks: stats.timedTasks + bucket.timedTasks
+    }), { successes: 0, failures: 0, totalExecutionTime: 0, timedTasks: 0 });
+  }
+
+  // Returns a Map of agent id -> { learned_success, exploration, speed } score contributions
+  scoreCandidates(agents, taskType, technologies = []) {
+    const stats = new Map(agents.map(agent => [agent.id, this.getAgentStats(agent.id, taskType, technologies)]));
+    const totalTrials = Array.from(stats.values())
+      .reduce((total, agentStats) => total + agentStats.successes + agentStats.failures, 0);
+
+    const averageTimes = Array.from(stats.values())
+      .filter(agentStats => agentStats.timedTasks > 0)
+      .map(agentStats => agentStats.totalExecutionTime / agentStats.timedTasks);
+    const fastestTime = averageTimes.length > 0 ? Math.min(...averageTimes) : null;
+
+    const scores = new Map();
+    for (const agent of agents) {
+      const agentStats = stats.get(agent.id);
+      const trials = agentStats.successes + agentStats.failures;
+      const averageTime = agentStats.timedTasks > 0 ? agentStats.totalExecutionTime / agentStats.timedTasks : null;
+
+      scores.set(agent.id, {
+        learned_success: ((agentStats.successes + 1) / (trials + 2)) * 100,
+        exploration: totalTrials > 0
+          ? this.explorationWeight * Math.sqrt(Math.log(totalTrials + 1) / (trials + 1))
+          : 0,
+        speed: averageTime && fastestTime ? this.speedWeight * Math.max(fastestTime, 1) / Math.max(averageTime, 1) : 0,
+        trials
+      });
+    }
+
+    return scores;
+  }
+
+  getWeights(filters = {}) {
+    return Array.from(this.buckets.values())
+      .filter(bucket => !filters.agent || bucket.agentName === filters.agent)
+      .filter(bucket => !filters.task_type || bucket.taskType === filters.task_type)
+      .filter(bucket => !filters.technology || bucket.technology === String(filters.technology).toLowerCase())
+      .map(bucket => {
+        const trials = bucket.successes + bucket.failures;
+        return {
+          agent_id: bucket.agentId,
+          agent_name: bucket.agentName,
+          task_type: bucket.taskType,
+          technology: bucket.technology,
+          successes: bucket.successes,
+          failures: bucket.failures,
+          trials,
+          learned_success_rate: (bucket.successes + 1) / (trials + 2),
+          average_execution_time: bucket.timedTasks > 0 ? bucket.totalExecutionTime / bucket.timedTasks : null
+        };
+      })
+      .sort((a, b) =>
+        a.task_type.localeCompare(b.task_type) ||
+        a.technology.localeCompare(b.technology) ||
+        b.learned_success_rate - a.learned_success_rate
+      );
+  }
+}
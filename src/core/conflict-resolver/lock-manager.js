@@ -0,0 +1,168 @@
+import winston from 'winston';
+
+// Keeps agents from working on the same code at the same time. A task claims
+// resources in its project context:
+//   { project_id, paths: ['src/auth', 'package.json'], modules: ['billing'] }
+// Paths overlap when one contains the other, modules when their names match.
+// Locks live in memory (executions do not survive restarts) and are mirrored
+// to resource_locks so they can be inspected.
+export class LockManager {
+  constructor(database) {
+    this.database = database;
+    this.locks = new Map();
+    this.waiting = new Map();
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  // Locks persisted by a previous run belong to executions that no longer exist
+  async initialize() {
+    const cleared = await this.database.clearResourceLocks();
+    if (cleared > 0) {
+      this.logger.info(`Cleared ${cleared} stale resource locks`);
+    }
+  }
+
+  getClaims(projectContext) {
+    if (!projectContext?.project_id) {
+      return [];
+    }
+
+    const paths = (projectContext.paths || []).map(path => this.normalizePath(path)).filter(Boolean);
+    const modules = (projectContext.modules || []).map(name => `module:${String(name).trim().toLowerCase()}`);
+    return [...new Set([...paths, ...modules])];
+  }
+
+  normalizePath(path) {
+    return String(path)
+      .trim()
+      .replace(/\\/g, '/')
+      .replace(/^\.\//, '')
+      .replace(/\/\*\*?$/, '')
+      .replace(/\/+$/, '');
+  }
+
+  resourcesOverlap(a, b) {
+    if (a.startsWith('module:') || b.startsWith('module:')) {
+      return a === b;
+    }
+    return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+  }
+
+  findConflicts(taskId, projectId, resources) {
+    const conflicts = [];
+
+    for (const lock of this.locks.values()) {
+      if (lock.taskId === taskId || lock.projectId !== projectId) {
+        continue;
+      }
+
+      for (const resource of resources) {
+        const held = lock.resources.find(heldResource => this.resourcesOverlap(resource, heldResource));
+        if (held) {
+          conflicts.push({ resource, held_resource: held, task_id: lock.taskId, agent_name: lock.agentName });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  // All-or-nothing: either every claim is granted or none is and the conflicts
+  // are returned. Re-acquiring for a task that already holds its locks is a no-op.
+  async acquire(taskId, projectContext, agent = null) {
+    const projectId = projectContext?.project_id;
+    const resources = this.getClaims(projectContext);
+    if (resources.length === 0 || this.locks.has(taskId)) {
+      return { acquired: true, conflicts: [] };
+    }
+
+    const conflicts = this.findConflicts(taskId, projectId, resources);
+    if (conflicts.length > 0) {
+      return { acquired: false, conflicts };
+    }
+
+    this.locks.set(taskId, {
+      taskId,
+      projectId,
+      resources,
+      agentName: agent?.name || null,
+      acquiredAt: new Date()
+    });
+    this.waiting.delete(taskId);
+    await this.database.insertResourceLocks(taskId, projectId, resources, agent?.id);
+
+    this.logger.info(`Task ${taskId} locked ${resources.join(', ')} in project ${projectId}`);
+    return { acquired: true, conflicts: [] };
+  }
+
+  // Records that a task is waiting on other tasks' locks so getLocks() can say
+  // why it has not started. Returns true the first time the task starts waiting.
+  markWaiting(taskId, projectContext, conflicts) {
+    const existing = this.waiting.get(taskId);
+    this.waiting.set(taskId, {
+      taskId,
+      projectId: projectContext?.project_id,
+      resources: this.getClaims(projectContext),
+      conflicts,
+      since: existing?.since || new Date()
+    });
+    return !existing;
+  }
+
+  async release(taskId) {
+    this.waiting.delete(taskId);
+    if (!this.locks.delete(taskId)) {
+      return;
+    }
+
+    await this.database.deleteResourceLocks(taskId);
+    this.logger.info(`Task ${taskId} released its resource locks`);
+  }
+
+  describeConflicts(conflicts) {
+    const blockingTasks = [...new Set(conflicts.map(conflict => conflict.task_id))];
+    const resources = [...new Set(conflicts.map(conflict => conflict.resource))];
+    return `${resources.join(', ')} locked by task ${blockingTasks.join(', ')}`;
+  }
+
+  // Same project, same description (ignoring case, spacing and punctuation)
+  // and not finished yet
+  async findDuplicateTask(projectId, description) {
+    if (!projectId) {
+      return null;
+    }
+
+    const normalized = this.normalizeDescription(description);
+    const openTasks = await this.database.getOpenProjectTasks(projectId);
+    return openTasks.find(task => this.normalizeDescription(task.task_description) === normalized) || null;
+  }
+
+  normalizeDescription(description) {
+    return String(description).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  getLocks(projectId = null) {
+    const matchesProject = entry => !projectId || entry.projectId === projectId;
+
+    return {
+      locks: Array.from(this.locks.values()).filter(matchesProject).map(lock => ({
+        task_id: lock.taskId,
+        project_id: lock.projectId,
+        resources: lock.resources,
+        agent_name: lock.agentName,
+        acquired_at: lock.acquiredAt
+      })),
+      waiting: Array.from(this.waiting.values()).filter(matchesProject).map(waiter => ({
+        task_id: waiter.taskId,
+        project_id: waiter.projectId,
+        resources: waiter.resources,
+        blocked_by: waiter.conflicts,
+        waiting_since: waiter.since
+      }))
+    };
+  }
+}
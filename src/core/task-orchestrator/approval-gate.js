@@ -0,0 +1,107 @@
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import winston from 'winston';
+
+// Human sign-off for risky task types. Approval policies (per project and task
+// type, see approval_policies) decide which tasks wait in 'awaiting_approval';
+// every request is announced to the active chatbot integrations and expires
+// after the policy's expires_after_ms. Emits 'approval_expired' with the request.
+export class ApprovalGate extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.intervalMs = options.intervalMs || parseInt(process.env.APPROVAL_EXPIRY_CHECK_INTERVAL_MS) || 60000;
+    this.timer = null;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.expireStaleRequests().catch(error => {
+        this.logger.error('Error expiring approval requests:', error);
+      });
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Returns the policy when the task must wait for approval, otherwise null
+  async getRequiredPolicy(projectId, taskType) {
+    const policy = await this.database.resolveApprovalPolicy(projectId, taskType);
+    return policy?.enabled ? policy : null;
+  }
+
+  async requestApproval(taskId, taskArgs, taskType, policy) {
+    const request = await this.database.createApprovalRequest({
+      task_id: taskId,
+      project_id: taskArgs.project_context?.project_id,
+      task_type: taskType,
+      task_args: taskArgs,
+      expires_at: new Date(Date.now() + policy.expires_after_ms).toISOString()
+    });
+
+    this.logger.info(`Task ${taskId} (${taskType}) is waiting for approval until ${request.expires_at}`);
+    await this.notify('approval_requested', request);
+    return request;
+  }
+
+  async decide(request, decision, decidedBy, comment = null) {
+    const decided = await this.database.decideApprovalRequest(request.id, decision, decidedBy, comment);
+    if (!decided) {
+      throw new Error(`Approval request ${request.id} was already decided`);
+    }
+
+    this.logger.info(`Task ${request.task_id} ${decision} by ${decidedBy}`);
+    return await this.database.getApprovalRequest(request.id);
+  }
+
+  async expireStaleRequests() {
+    const expired = await this.database.getExpiredApprovalRequests();
+
+    for (const request of expired) {
+      if (!(await this.database.decideApprovalRequest(request.id, 'expired', 'system'))) {
+        continue;
+      }
+
+      this.logger.warn(`Approval request ${request.id} for task ${request.task_id} expired`);
+      await this.notify('approval_expired', request);
+      this.emit('approval_expired', request);
+    }
+
+    return expired.length;
+  }
+
+  // Best effort: a chatbot that cannot be reached must not block the task
+  async notify(event, request) {
+    const integrations = await this.database.getAllChatbotIntegrations();
+
+    for (const integration of integrations.filter(integration => integration.webhook_url)) {
+      try {
+        await axios.post(integration.webhook_url, {
+          event,
+          approval_id: request.id,
+          task_id: request.task_id,
+          project_id: request.project_id,
+          task_type: request.task_type,
+          task: request.task_args.task,
+          expires_at: request.expires_at
+        }, { timeout: 10000 });
+      } catch (error) {
+        this.logger.warn(`Could not notify ${integration.platform} chatbot about ${event}: ${error.message}`);
+      }
+    }
+  }
+}
@@ -1,11 +1,67 @@
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
+import { calculateTaskCost, DEFAULT_ESTIMATED_TOKENS } from '../agent-manager/cost-model.js';
+import { DEFAULT_INSTANCE_ID } from '../agent-manager/agent-pool.js';
+import { parseDeadline, resolveExecutionTimeout } from '../agent-manager/execution-timeout.js';
+import { classifyError } from '../agent-manager/circuit-breaker.js';
+import { ADAPTER_TASK_STATUSES } from '../agent-adapters/agent-adapter.js';
+import { TaskPlanner } from './task-planner.js';
+import { buildReviewRequest, buildRevisionRequest, parseReviewVerdict } from './review-stage.js';
+import { getRetryDelay, isRetryableError, resolveRetryPolicy } from './retry-policy.js';
+import { ApprovalGate } from './approval-gate.js';
+import { ProgressStream, TERMINAL_TASK_STATUSES } from './progress-stream.js';
+import { TaskTemplateLibrary } from './task-templates.js';
+import { LockManager } from '../conflict-resolver/lock-manager.js';
+import { ProjectAnalyzer } from '../../features/project-health/project-analyzer.js';
+import { HealthReportStore, toSarif } from '../../features/project-health/health-report.js';
+import { buildFindingTask, selectFindings } from '../../features/project-health/finding-tasks.js';
+import { WorkflowScheduler } from '../workflow-engine/workflow-scheduler.js';
+import {
+  AUTOMATION_FEATURES,
+  DEFAULT_DEPLOYMENT_CONFIG,
+  DEFAULT_UPGRADE_SCHEDULE,
+  buildAutomationWorkflows,
+  buildUpgradeSteps
+} from '../workflow-engine/automation-workflows.js';
+
+const FAILED_TASK_STATUSES = ['failed', 'timed_out', 'rejected'];
+
+// Statuses of a task whose execution is under way
+const RUNNING_TASK_STATUSES = ['in_progress', 'in_review', 'changes_requested'];
+
+// Rejects with the signal's reason as soon as it aborts
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 export class OrchestrationService {
   constructor(database, agentManager) {
     this.database = database;
     this.agentManager = agentManager;
+    this.runningExecutions = new Map();
+    this.taskPlanner = new TaskPlanner();
+    this.lockManager = new LockManager(database);
+    this.approvalGate = new ApprovalGate(database);
+    this.progressStream = new ProgressStream(database);
+    this.templateLibrary = new TaskTemplateLibrary(database);
+    this.projectAnalyzer = new ProjectAnalyzer();
+    this.healthReports = new HealthReportStore(database);
+    this.approvalGate.on('approval_expired', request => {
+      this.handleExpiredApproval(request).catch(error => {
+        this.logger.error(`Error expiring approval for task ${request.task_id}:`, error);
+      });
+    });
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.simple(),
@@ -13,224 +69,2100 @@ export class OrchestrationService {
     });
   }
 
+  attachHeartbeatMonitor(heartbeatMonitor) {
+    heartbeatMonitor.on('agent_offline', agent => {
+      this.reassignTasksFromAgent(agent).catch(error => {
+        this.logger.error(`Error reassigning tasks from agent ${agent.name}:`, error);
+      });
+    });
+
+    heartbeatMonitor.on('instance_offline', (agent, instance) => {
+      this.reassignTasksFromAgent(agent, instance.id).catch(error => {
+        this.logger.error(`Error reassigning tasks from agent ${agent.name} instance ${instance.id}:`, error);
+      });
+    });
+  }
+
+  attachWorkflowScheduler(workflowScheduler) {
+    this.workflowScheduler = workflowScheduler;
+    workflowScheduler.on('workflow_due', schedule => {
+      this.runAutonomousWorkflow(schedule.workflow_id, 'scheduled').catch(error => {
+        this.logger.error(`Error running scheduled workflow ${schedule.workflow_id}:`, error);
+      });
+    });
+  }
+
+  attachTaskQueue(taskQueue) {
+    this.taskQueue = taskQueue;
+    this.taskQueue.registerHandler('delegation', queueTask => this.processQueuedDelegation(queueTask));
+    this.taskQueue.registerCancelHandler('delegation', queueTask => this.abortExecution(queueTask.id, queueTask.cancelReason));
+    this.taskQueue.registerDependencyResolver('delegation', queueTask => this.resolveQueuedDependencies(queueTask));
+  }
+
+  // With a TaskQueue attached the task is persisted, queued and its id returned
+  // right away; the queue worker (processQueuedDelegation) runs it. Without a
+  // queue the task is executed inline. Tasks with depends_on stay 'blocked'
+  // until every prerequisite task has completed.
+  async submitDelegation(args) {
+    if (!args.task) {
+      throw new Error('Task description is required');
+    }
+
+    await this.rejectDuplicateTask(args);
+    parseDeadline(args.project_context?.deadline);
+    const dependsOn = await this.validateDependencies(args.depends_on);
+    if (dependsOn.length > 0 && !this.taskQueue) {
+      throw new Error('Task dependencies require the task queue');
+    }
+
+    // Generate unique task ID
+    const taskId = uuidv4();
+    const priority = args.project_context?.priority || 'medium';
+
+    // Select the best agent for the task. The queue worker routes again when
+    // it picks the task up, so a busy pool only delays a queued task
+    let selectedAgent = null;
+    try {
+      selectedAgent = await this.selectAgentForTask(args);
+    } catch (error) {
+      if (error.code !== 'NO_AVAILABLE_AGENT' || !this.taskQueue) {
+        throw error;
+      }
+    }
+
+    // Create task in database
+    await this.database.createTask({
+      task_id: taskId,
+      agent_id: selectedAgent?.id ?? null,
+      task_type: this.resolveTaskType(args),
+      task_description: args.task,
+      project_context: args.project_context,
+      priority,
+      depends_on: dependsOn,
+      preferred_agent: args.preferred_agent
+    });
+
+    const submission = {
+      task_id: taskId,
+      agent: selectedAgent ? { name: selectedAgent.name, type: selectedAgent.type } : null,
+      priority,
+      depends_on: dependsOn
+    };
+
+    const approval = await this.holdForApproval(selectedAgent, taskId, args);
+    if (approval) {
+      return { ...submission, status: 'awaiting_approval', approval_id: approval.id, expires_at: approval.expires_at };
+    }
+
+    if (this.taskQueue) {
+      return { ...submission, status: await this.queueDelegation(selectedAgent, taskId, args) };
+    }
+
+    // Execute the task, unless the agent's rate limits park it in the queue first
+    const dispatch = await this.dispatchTask(selectedAgent, taskId, args);
+    if (dispatch.status === 'held') {
+      return { ...submission, status: 'held', reason: dispatch.reason, retry_after_ms: dispatch.retryAfterMs };
+    }
+    return { ...submission, status: 'started' };
+  }
+
+  // Creates the parent task plus one queued subtask per plan step. Subtasks
+  // carry their required capabilities in the project context so the queue
+  // worker routes them by capability, and wait in the queue until the
+  // subtasks they depend on have completed. The request's own depends_on
+  // applies to the subtasks that have no prerequisite within the plan.
+  // Every subtask is routed before any row is written, and a failure while
+  // writing them cancels the parent with whatever subtasks it already has.
+  async submitDecomposedDelegation(args) {
+    if (!args.task) {
+      throw new Error('Task description is required');
+    }
+    if (!this.taskQueue) {
+      throw new Error('Task decomposition requires the task queue');
+    }
+
+    await this.rejectDuplicateTask(args);
+    parseDeadline(args.project_context?.deadline);
+    const externalDependsOn = await this.validateDependencies(args.depends_on);
+
+    const plan = this.taskPlanner.plan(args.task, args.subtasks);
+    const projectContext = args.project_context || {};
+    const priority = projectContext.priority || 'medium';
+    const parentTaskId = uuidv4();
+    const subtaskIds = new Map(plan.map(subtask => [subtask.key, uuidv4()]));
+
+    const routedSubtasks = [];
+    for (const subtask of this.taskPlanner.topologicalOrder(plan)) {
+      const subtaskArgs = {
+        task: subtask.task,
+        preferred_agent: subtask.preferred_agent,
+        project_context: subtask.required_capabilities.length > 0
+          ? { ...projectContext, required_capabilities: subtask.required_capabilities }
+          : projectContext
+      };
+
+      // The queue worker routes again, falling back from an unavailable preferred agent
+      let agent = null;
+      try {
+        agent = await this.selectAgentForTask(subtaskArgs);
+      } catch (error) {
+        if (error.code !== 'NO_AVAILABLE_AGENT' && error.code !== 'PREFERRED_AGENT_UNAVAILABLE') {
+          throw error;
+        }
+      }
+      routedSubtasks.push({ subtask, subtaskArgs, agent });
+    }
+
+    await this.database.createTask({
+      task_id: parentTaskId,
+      agent_id: null,
+      task_type: this.resolveTaskType(args),
+      task_description: args.task,
+      project_context: projectContext,
+      priority,
+      depends_on: externalDependsOn
+    });
+
+    const subtasks = [];
+    try {
+      await this.updateTaskStatus(parentTaskId, 'queued', 0);
+
+      for (const { subtask, subtaskArgs, agent } of routedSubtasks) {
+        const taskId = subtaskIds.get(subtask.key);
+        const dependsOn = subtask.depends_on.length > 0
+          ? subtask.depends_on.map(key => subtaskIds.get(key))
+          : externalDependsOn;
+        await this.database.createTask({
+          task_id: taskId,
+          agent_id: agent?.id ?? null,
+          task_type: this.determineTaskType(subtask.task),
+          task_description: subtask.task,
+          project_context: subtaskArgs.project_context,
+          priority,
+          parent_task_id: parentTaskId,
+          depends_on: dependsOn,
+          preferred_agent: subtask.preferred_agent
+        });
+        const approval = await this.holdForApproval(agent, taskId, subtaskArgs);
+        if (!approval) {
+          await this.queueDelegation(agent, taskId, subtaskArgs);
+        }
+
+        subtasks.push({
+          task_id: taskId,
+          key: subtask.key,
+          task: subtask.task,
+          agent: agent ? { name: agent.name, type: agent.type } : null,
+          required_capabilities: subtask.required_capabilities,
+          depends_on: dependsOn,
+          awaiting_approval: Boolean(approval)
+        });
+      }
+    } catch (error) {
+      // A parent without all its subtasks must not be picked up again as a plain task
+      await this.cancelDelegatedTask({
+        task_id: parentTaskId,
+        cancelled_by: 'system',
+        reason: `Decomposition failed: ${error.message}`
+      }).catch(cancelError => {
+        this.logger.warn(`Could not cancel decomposed task ${parentTaskId}: ${cancelError.message}`);
+      });
+      throw error;
+    }
+
+    await this.database.logTaskExecution(parentTaskId, null, 'task_decomposed', {
+      subtasks: subtasks.map(({ task_id, key, agent, depends_on }) => ({
+        task_id,
+        key,
+        agent_name: agent?.name || null,
+        depends_on
+      }))
+    });
+
+    return { task_id: parentTaskId, status: 'queued', priority, subtasks };
+  }
+
   async delegateToAIBuilder(args) {
-    const startTime = Date.now();
-    
     try {
-      if (!args.task) {
-        throw new Error('Task description is required');
+      if (args.decompose || args.subtasks?.length > 0) {
+        return this.formatDecomposedDelegation(args, await this.submitDecomposedDelegation(args));
+      }
+
+      const submission = await this.submitDelegation(args);
+      const assignedAgent = submission.agent
+        ? `${submission.agent.name} (${submission.agent.type})`
+        : 'Next available agent';
+
+      if (submission.status === 'awaiting_approval') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🛂 **Approval Required**\n\n` +
+                    `**Task ID:** ${submission.task_id}\n` +
+                    `**Task:** ${args.task}\n` +
+                    `**Task Type:** ${this.resolveTaskType(args)}\n` +
+                    `**Status:** Awaiting approval\n` +
+                    `**Expires:** ${new Date(submission.expires_at).toLocaleString()}\n\n` +
+                    `The task is queued once someone approves it with approve_task; reject_task or expiry cancels it.`
+            }
+          ]
+        };
+      }
+
+      if (submission.status === 'held') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `⏳ **Task Queued**\n\n` +
+                    `**Task ID:** ${submission.task_id}\n` +
+                    `**Assigned Agent:** ${assignedAgent}\n` +
+                    `**Task:** ${args.task}\n` +
+                    `**Status:** Queued (${submission.reason})\n` +
+                    `**Retry In:** ${Math.ceil(submission.retry_after_ms / 1000)}s\n\n` +
+                    `The task will start automatically once the agent has quota available.`
+            }
+          ]
+        };
       }
 
-      // Generate unique task ID
-      const taskId = uuidv4();
+      const queued = ['queued', 'blocked'].includes(submission.status);
+      const status = submission.status === 'blocked'
+        ? `Blocked until ${submission.depends_on.length} prerequisite task(s) complete`
+        : queued ? 'Queued' : 'In Progress';
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🤖 **Task Delegated Successfully**\n\n` +
+                  `**Task ID:** ${submission.task_id}\n` +
+                  `**Assigned Agent:** ${assignedAgent}\n` +
+                  `**Task:** ${args.task}\n` +
+                  `**Status:** ${status}\n` +
+                  `**Priority:** ${submission.priority}\n\n` +
+                  (queued
+                    ? `The task will start as soon as the queue picks it up. Use monitor_ai_builder with the task ID to follow its progress.`
+                    : `The AI Builder is now working on your task. You can monitor progress using the task ID.`)
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error delegating to AI Builder:', error);
       
-      // Select the best agent for the task
-      let selectedAgent;
-      if (args.preferred_agent && args.preferred_agent !== 'auto') {
-        selectedAgent = await this.agentManager.getAgentByName(args.preferred_agent);
-        if (!selectedAgent) {
-          throw new Error(`Preferred agent '${args.preferred_agent}' not found`);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error delegating task: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Turns a template and its parameter values into delegate_to_ai_builder
+  // arguments; the caller's project_context and preferred_agent win over the
+  // template's defaults
+  async buildTemplateDelegation(args) {
+    if (!args.template) {
+      throw new Error('Template name is required');
+    }
+
+    const template = await this.templateLibrary.get(args.template);
+    const rendered = this.templateLibrary.render(template, args.parameters || {});
+    return {
+      task: rendered.task,
+      preferred_agent: args.preferred_agent || rendered.preferred_agent,
+      project_context: {
+        ...rendered.project_context,
+        ...(args.project_context || {}),
+        template: rendered.project_context.template
+      },
+      depends_on: args.depends_on,
+      allow_duplicate: args.allow_duplicate
+    };
+  }
+
+  async delegateFromTemplate(args) {
+    try {
+      return await this.delegateToAIBuilder(await this.buildTemplateDelegation(args));
+    } catch (error) {
+      this.logger.error('Error delegating from template:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error delegating from template: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  formatDecomposedDelegation(args, submission) {
+    const keysById = new Map(submission.subtasks.map(subtask => [subtask.task_id, subtask.key]));
+    const lines = submission.subtasks.map(subtask =>
+      `• **${subtask.key}** → ${subtask.agent?.name || 'next available agent'}` +
+      (subtask.depends_on.length > 0 ? ` (after ${subtask.depends_on.map(id => keysById.get(id)).join(', ')})` : '') +
+      (subtask.awaiting_approval ? ' — awaiting approval' : '') +
+      `\n  ${subtask.task}\n  Task ID: ${subtask.task_id}`
+    );
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🧩 **Task Decomposed**\n\n` +
+                `**Task ID:** ${submission.task_id}\n` +
+                `**Task:** ${args.task}\n` +
+                `**Status:** Queued\n` +
+                `**Priority:** ${submission.priority}\n\n` +
+                `**Subtasks (${submission.subtasks.length}):**\n${lines.join('\n')}\n\n` +
+                `Subtasks start as soon as their prerequisites complete. Monitor the parent task ID to follow overall progress.`
         }
-      } else {
-        selectedAgent = await this.agentManager.selectBestAgent(args.task, args.project_context);
+      ]
+    };
+  }
+
+  // Parks tasks whose type needs a human sign-off; returns the approval
+  // request, or null when the task can go straight to the queue
+  async holdForApproval(agent, taskId, taskArgs) {
+    const projectId = taskArgs.project_context?.project_id;
+    const declaredType = this.resolveTaskType(taskArgs);
+    const inferredType = this.determineTaskType(taskArgs.task);
+
+    // A declared task_type cannot opt a deployment out of its sign-off: the
+    // type the description implies is checked as well
+    let taskType = declaredType;
+    let policy = await this.approvalGate.getRequiredPolicy(projectId, declaredType);
+    if (!policy && inferredType !== declaredType) {
+      taskType = inferredType;
+      policy = await this.approvalGate.getRequiredPolicy(projectId, inferredType);
+    }
+    if (!policy) {
+      return null;
+    }
+
+    await this.updateTaskStatus(taskId, 'awaiting_approval', 0);
+    const request = await this.approvalGate.requestApproval(taskId, taskArgs, taskType, policy);
+    await this.database.logTaskExecution(taskId, agent?.id ?? null, 'approval_requested', {
+      approval_id: request.id,
+      task_type: taskType,
+      expires_at: request.expires_at
+    });
+    return request;
+  }
+
+  async decideApproval(args, decision) {
+    if (!args.task_id) {
+      throw new Error('Task ID is required');
+    }
+
+    const request = await this.database.getPendingApprovalRequest(args.task_id);
+    if (!request) {
+      const error = new Error(`Task ${args.task_id} has no pending approval request`);
+      error.code = 'APPROVAL_NOT_FOUND';
+      throw error;
+    }
+
+    const decidedBy = args.decided_by || 'unknown';
+    const decided = await this.approvalGate.decide(request, decision, decidedBy, args.comment || null);
+    await this.database.logTaskExecution(request.task_id, null, decision === 'approved' ? 'task_approved' : 'task_rejected', {
+      approval_id: request.id,
+      decided_by: decidedBy,
+      comment: args.comment || null
+    });
+
+    let taskStatus = 'rejected';
+    if (decision === 'approved') {
+      taskStatus = await this.releaseApprovedTask(request);
+    } else {
+      await this.updateTaskStatus(
+        request.task_id,
+        'rejected',
+        null,
+        null,
+        `Rejected by ${decidedBy}${args.comment ? `: ${args.comment}` : ''}`
+      );
+      await this.rollUpParentStatus(request.task_id);
+    }
+
+    return {
+      task_id: request.task_id,
+      approval_id: request.id,
+      decision: decided.status,
+      decided_by: decidedBy,
+      comment: decided.comment,
+      task_status: taskStatus
+    };
+  }
+
+  async releaseApprovedTask(request) {
+    if (this.taskQueue) {
+      await this.queueDelegation(null, request.task_id, request.task_args);
+      return 'queued';
+    }
+
+    // Without a queue the approved task runs in the background
+    const agent = await this.selectAgentForTask(request.task_args);
+    await this.database.updateTaskAgent(request.task_id, agent.id);
+    this.dispatchTask(agent, request.task_id, request.task_args).catch(error => {
+      this.logger.error(`Error running approved task ${request.task_id}:`, error);
+    });
+    return 'started';
+  }
+
+  async handleExpiredApproval(request) {
+    const task = await this.database.getTask(request.task_id);
+    if (task?.status !== 'awaiting_approval') {
+      return;
+    }
+
+    const message = `Approval request expired at ${new Date(request.expires_at).toISOString()}`;
+    await this.updateTaskStatus(request.task_id, 'cancelled', null, null, message);
+    await this.database.logTaskExecution(request.task_id, null, 'approval_expired', {
+      approval_id: request.id,
+      expires_at: request.expires_at
+    });
+    await this.rollUpParentStatus(request.task_id);
+  }
+
+  async rejectDuplicateTask(args) {
+    if (args.allow_duplicate) {
+      return;
+    }
+
+    const projectId = args.project_context?.project_id;
+    const duplicate = await this.lockManager.findDuplicateTask(projectId, args.task);
+    if (duplicate) {
+      const error = new Error(
+        `Duplicate of task ${duplicate.task_id} (${duplicate.status}) in project ${projectId}; pass allow_duplicate to submit it anyway`
+      );
+      error.code = 'DUPLICATE_TASK';
+      throw error;
+    }
+  }
+
+  createLockedError(conflicts) {
+    const error = new Error(`Resources locked: ${this.lockManager.describeConflicts(conflicts)}`);
+    error.code = 'RESOURCE_LOCKED';
+    error.conflicts = conflicts;
+    return error;
+  }
+
+  async selectAgentForTask(args) {
+    if (!args.preferred_agent || args.preferred_agent === 'auto') {
+      return await this.agentManager.selectBestAgent(
+        args.task,
+        args.project_context,
+        await this.getRoutingOptions(args)
+      );
+    }
+
+    const preferredAgent = await this.agentManager.getAgentByName(args.preferred_agent);
+    if (!preferredAgent) {
+      throw this.createPreferredAgentError(`Preferred agent '${args.preferred_agent}' not found`);
+    }
+    if (preferredAgent.status !== 'active') {
+      throw this.createPreferredAgentError(`Preferred agent '${args.preferred_agent}' is ${preferredAgent.status}`);
+    }
+    if (!this.agentManager.getAgentPool(preferredAgent.name).hasAvailableInstance()) {
+      const error = new Error(`Preferred agent '${args.preferred_agent}' has no free capacity`);
+      error.code = 'NO_AVAILABLE_AGENT';
+      throw error;
+    }
+    const breaker = this.agentManager.getCircuitBreaker(preferredAgent);
+    if (!breaker.canAcceptTask()) {
+      const breakerStatus = breaker.getStatus();
+      throw this.createPreferredAgentError(breakerStatus.state === 'open'
+        ? `Preferred agent '${args.preferred_agent}' is failing (circuit breaker open until ${breakerStatus.retryAt.toISOString()})`
+        : `Preferred agent '${args.preferred_agent}' is already running its circuit breaker trial task`);
+    }
+    const { budget } = await this.getRoutingOptions(args);
+    if (!this.agentManager.fitsBudget(preferredAgent, args.project_context || {}, budget)) {
+      throw this.createPreferredAgentError(
+        `Preferred agent '${args.preferred_agent}' exceeds the remaining budget of ${budget.remaining.toFixed(2)}`
+      );
+    }
+    return preferredAgent;
+  }
+
+  // The preferred agent cannot take the task, though another agent might
+  createPreferredAgentError(message) {
+    const error = new Error(message);
+    error.code = 'PREFERRED_AGENT_UNAVAILABLE';
+    return error;
+  }
+
+  estimateTokens(taskArgs) {
+    return taskArgs.project_context?.estimated_tokens || DEFAULT_ESTIMATED_TOKENS;
+  }
+
+  // Takes rate limit quota and runs the task on the agent, or parks it in the
+  // TaskQueue until the agent's (or its provider's) limits allow it. A task
+  // that cannot start and has no queue to wait in fails.
+  async dispatchTask(agent, taskId, taskArgs) {
+    const locks = await this.lockManager.acquire(taskId, taskArgs.project_context, agent);
+    if (!locks.acquired) {
+      throw await this.failUndispatchedTask(taskId, this.createLockedError(locks.conflicts));
+    }
+
+    const quota = this.agentManager.acquireQuota(agent, this.estimateTokens(taskArgs));
+
+    if (!quota.allowed) {
+      if (!this.taskQueue) {
+        const error = new Error(`Agent ${agent.name} is rate limited (${quota.reason}) and no task queue is attached`);
+        error.code = 'RATE_LIMITED';
+        throw await this.failUndispatchedTask(taskId, error);
       }
+      await this.holdTask(agent, taskId, taskArgs, quota);
+      return { status: 'held', reason: quota.reason, retryAfterMs: quota.retryAfterMs };
+    }
 
-      // Create task in database
-      await this.database.createTask({
-        task_id: taskId,
-        agent_id: selectedAgent.id,
-        task_type: this.determineTaskType(args.task),
-        task_description: args.task,
-        project_context: args.project_context,
-        priority: args.project_context?.priority || 'medium'
+    const result = await this.startTaskOnAgent(agent, taskId, taskArgs);
+    return { status: 'started', result };
+  }
+
+  async startTaskOnAgent(agent, taskId, taskArgs) {
+    // Assign task to agent (and to one of its instances)
+    await this.agentManager.assignTaskToAgent(agent.name, taskId, taskArgs.project_context?.project_id);
+    const instance = this.agentManager.getTaskInstance(agent.name, taskId);
+
+    // Update task status to in_progress
+    await this.updateTaskStatus(taskId, 'in_progress', 0);
+    await this.rollUpParentStatus(taskId);
+
+    // Log task execution
+    await this.database.logTaskExecution(taskId, agent.id, 'task_assigned', {
+      agent_name: agent.name,
+      instance_id: instance?.id,
+      attempt: taskArgs.attempt || 1,
+      task_description: taskArgs.task
+    });
+
+    return await this.executeTaskWithAgent(agent, taskId, taskArgs);
+  }
+
+  // Marks the task failed and frees its locks, so neither is left behind; returns the error
+  async failUndispatchedTask(taskId, error) {
+    await this.updateTaskStatus(taskId, 'failed', 0, null, error.message);
+    await this.database.logTaskExecution(taskId, null, 'task_failed', { error: error.message });
+    await this.lockManager.release(taskId);
+    await this.rollUpParentStatus(taskId);
+    return error;
+  }
+
+  async holdTask(agent, taskId, taskArgs, quota) {
+    await this.updateTaskStatus(taskId, 'queued', 0);
+    await this.database.logTaskExecution(taskId, agent.id, 'task_held', {
+      agent_name: agent.name,
+      reason: quota.reason,
+      retry_after_ms: quota.retryAfterMs
+    });
+
+    await this.enqueueDelegation(agent, taskId, taskArgs, Date.now() + quota.retryAfterMs);
+  }
+
+  // Returns the status the task was queued with: 'blocked' while prerequisites are unfinished
+  async queueDelegation(agent, taskId, taskArgs) {
+    const dependencies = await this.getDependencyState(taskId);
+    const status = dependencies.pending.length > 0 ? 'blocked' : 'queued';
+
+    await this.updateTaskStatus(taskId, status, 0);
+    await this.database.logTaskExecution(taskId, agent?.id, 'task_queued', {
+      agent_name: agent?.name || null,
+      priority: taskArgs.project_context?.priority || 'medium',
+      blocked_by: dependencies.pending.map(dependency => dependency.task_id)
+    });
+
+    await this.enqueueDelegation(agent, taskId, taskArgs);
+    return status;
+  }
+
+  async enqueueDelegation(agent, taskId, taskArgs, availableAt = null, holdReason = null) {
+    const task = await this.database.getTask(taskId);
+
+    await this.taskQueue.addTask({
+      id: taskId,
+      type: 'delegation',
+      priority: taskArgs.project_context?.priority || 'medium',
+      agentName: agent?.name || null,
+      args: taskArgs,
+      availableAt,
+      holdReason,
+      deadline: parseDeadline(taskArgs.project_context?.deadline),
+      dependsOn: JSON.parse(task?.depends_on || '[]')
+    });
+  }
+
+  // Queued delegations only live in memory, so put the ones persisted as
+  // 'queued' or 'blocked' back on the queue after a restart, with the routing
+  // and retry state stored on the task. Executions do not survive a restart
+  // either: tasks that were still running are queued again for the same attempt.
+  async restoreQueuedDelegations() {
+    const storedTasks = await this.database.getTasksByStatus([
+      'queued',
+      'blocked',
+      ...RUNNING_TASK_STATUSES
+    ]);
+
+    // Decomposed parents are never run themselves, only their subtasks are
+    const tasks = [];
+    for (const task of storedTasks) {
+      if ((await this.database.getSubtasks(task.task_id)).length === 0) {
+        tasks.push(task);
+      }
+    }
+
+    for (const task of tasks) {
+      const agent = task.agent_id ? await this.agentManager.getAgentById(task.agent_id) : null;
+
+      if (RUNNING_TASK_STATUSES.includes(task.status)) {
+        const reason = `Orchestrator restarted while the task was ${task.status}`;
+        await this.updateTaskStatus(task.task_id, 'queued', 0);
+        await this.database.logTaskExecution(task.task_id, task.agent_id, 'task_requeued', {
+          previous_status: task.status,
+          reason
+        });
+        await this.rollUpParentStatus(task.task_id);
+      }
+
+      await this.enqueueDelegation(agent, task.task_id, {
+        task: task.task_description,
+        task_type: task.task_type,
+        preferred_agent: task.preferred_agent || undefined,
+        project_context: JSON.parse(task.project_context || '{}'),
+        attempt: task.attempt || 1,
+        failed_agents: JSON.parse(task.failed_agents || '[]')
       });
+    }
+
+    if (tasks.length > 0) {
+      this.logger.info(`Restored ${tasks.length} queued delegations`);
+    }
+    return tasks.length;
+  }
+
+  createHeldError(message, retryAfterMs) {
+    const error = new Error(message);
+    error.code = 'TASK_HELD';
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  }
+
+  // TaskQueue handler for delegations that were held back: routing is redone
+  // because the original agent may no longer be the best (or an available) choice
+  async processQueuedDelegation(queueTask) {
+    const taskId = queueTask.id;
+    const taskArgs = queueTask.args;
+
+    if (await this.isTaskCancelled(taskId)) {
+      return null;
+    }
 
-      // Assign task to agent
-      await this.agentManager.assignTaskToAgent(selectedAgent.name, taskId);
+    const deadline = parseDeadline(taskArgs.project_context?.deadline);
+    if (deadline !== null && deadline <= Date.now()) {
+      const error = new Error(`Deadline ${new Date(deadline).toISOString()} passed before the task could start`);
+      error.code = 'TASK_TIMED_OUT';
+      await this.lockManager.release(taskId);
+      await this.updateTaskStatus(taskId, 'timed_out', 0, null, error.message);
+      await this.database.logTaskExecution(taskId, null, 'task_timed_out', {
+        error: error.message,
+        reason: 'deadline'
+      });
+      await this.rollUpParentStatus(taskId);
+      throw error;
+    }
 
-      // Update task status to in_progress
-      await this.database.updateTaskStatus(taskId, 'in_progress', 0);
+    // Check for overlapping claims before routing; the locks themselves are
+    // taken once the agent is known
+    const conflicts = this.lockManager.findConflicts(
+      taskId,
+      taskArgs.project_context?.project_id,
+      this.lockManager.getClaims(taskArgs.project_context)
+    );
+    if (conflicts.length > 0) {
+      await this.waitForLocks(taskId, taskArgs, conflicts);
+    }
 
-      // Log task execution
-      await this.database.logTaskExecution(taskId, selectedAgent.id, 'task_assigned', {
-        agent_name: selectedAgent.name,
-        task_description: args.task
+    let agent;
+    try {
+      // A preferred agent that went inactive, unhealthy or over budget while
+      // the task waited gives way to automatic routing
+      agent = await this.selectAgentForTask(taskArgs).catch(error => {
+        if (error.code !== 'PREFERRED_AGENT_UNAVAILABLE') {
+          throw error;
+        }
+        this.logger.warn(`${error.message}, routing task ${taskId} automatically`);
+        return this.selectAgentForTask({ ...taskArgs, preferred_agent: 'auto' });
       });
+    } catch (error) {
+      if (error.code === 'NO_AVAILABLE_AGENT') {
+        throw this.createHeldError(error.message, 5000);
+      }
+      await this.updateTaskStatus(taskId, 'failed', 0, null, error.message);
+      await this.database.logTaskExecution(taskId, null, 'task_failed', { error: error.message });
+      await this.lockManager.release(taskId);
+      await this.rollUpParentStatus(taskId);
+      throw error;
+    }
+
+    // Locks first: a task that has to wait for them must not have used up
+    // quota it never spends
+    const locks = await this.lockManager.acquire(taskId, taskArgs.project_context, agent);
+    if (!locks.acquired) {
+      await this.waitForLocks(taskId, taskArgs, locks.conflicts);
+    }
+
+    // Cancelled while it was being routed
+    if (await this.isTaskCancelled(taskId)) {
+      await this.lockManager.release(taskId);
+      return null;
+    }
+
+    const quota = this.agentManager.acquireQuota(agent, this.estimateTokens(taskArgs));
+    if (!quota.allowed) {
+      await this.lockManager.release(taskId);
+      throw this.createHeldError(quota.reason, quota.retryAfterMs);
+    }
+
+    if (agent.name !== queueTask.agentName) {
+      await this.database.updateTaskAgent(taskId, agent.id);
+      queueTask.agentName = agent.name;
+    }
 
-      // Execute the task (this would integrate with actual AI Builder APIs)
-      const result = await this.executeTaskWithAgent(selectedAgent, taskId, args);
+    return await this.startTaskOnAgent(agent, taskId, await this.withPrerequisiteResults(taskId, taskArgs));
+  }
 
-      const responseTime = Date.now() - startTime;
+  // Serializes behind the conflicting tasks (the default), or fails the task
+  // when its project context asks for conflict_strategy 'reject'
+  async waitForLocks(taskId, taskArgs, conflicts) {
+    const error = this.createLockedError(conflicts);
+
+    if (taskArgs.project_context?.conflict_strategy === 'reject') {
+      await this.lockManager.release(taskId);
+      await this.updateTaskStatus(taskId, 'failed', 0, null, error.message);
+      await this.database.logTaskExecution(taskId, null, 'task_failed', {
+        error: error.message,
+        conflicts
+      });
+      await this.rollUpParentStatus(taskId);
+      throw error;
+    }
+
+    if (this.lockManager.markWaiting(taskId, taskArgs.project_context, conflicts)) {
+      await this.database.logTaskExecution(taskId, null, 'task_waiting_for_lock', { conflicts });
+    }
+    throw this.createHeldError(error.message, 3000);
+  }
+
+  // Prerequisites must exist, and following their own depends_on must not
+  // loop back, or the dependent task would stay blocked forever
+  async validateDependencies(dependsOn = []) {
+    const ids = [...new Set(dependsOn)];
+    for (const id of ids) {
+      if (!(await this.database.getTask(id))) {
+        const error = new Error(`Prerequisite task ${id} not found`);
+        error.code = 'DEPENDENCY_NOT_FOUND';
+        throw error;
+      }
+    }
+
+    const checked = new Set();
+    const visit = async (id, path) => {
+      if (path.includes(id)) {
+        const error = new Error(`Dependency cycle detected: ${[...path.slice(path.indexOf(id)), id].join(' -> ')}`);
+        error.code = 'DEPENDENCY_CYCLE';
+        throw error;
+      }
+      if (checked.has(id)) {
+        return;
+      }
+
+      const task = await this.database.getTask(id);
+      for (const next of JSON.parse(task?.depends_on || '[]')) {
+        await visit(next, [...path, id]);
+      }
+      checked.add(id);
+    };
+
+    for (const id of ids) {
+      await visit(id, []);
+    }
+    return ids;
+  }
+
+  async getDependencyState(taskId) {
+    const task = await this.database.getTask(taskId);
+    const dependencyIds = JSON.parse(task?.depends_on || '[]');
+    const dependencies = await Promise.all(dependencyIds.map(id => this.database.getTask(id)));
+
+    return {
+      failed: dependencies.find(dependency => !dependency || [...FAILED_TASK_STATUSES, 'cancelled', 'skipped'].includes(dependency.status)) || null,
+      pending: dependencies.filter(dependency => dependency && !TERMINAL_TASK_STATUSES.includes(dependency.status))
+    };
+  }
+
+  // TaskQueue dependency resolver for delegations. A failed prerequisite fails
+  // the task, or skips it when its project context sets on_dependency_failure
+  // to 'skip'; either way its own dependents follow.
+  async resolveQueuedDependencies(queueTask) {
+    const taskId = queueTask.id;
+    const dependencies = await this.getDependencyState(taskId);
+
+    if (dependencies.failed) {
+      const outcome = {
+        cancelled: 'was cancelled',
+        timed_out: 'timed out',
+        rejected: 'was rejected',
+        skipped: 'was skipped'
+      }[dependencies.failed.status] || 'failed';
+      const message = `Prerequisite task ${dependencies.failed.task_id} ${outcome}`;
+      const status = queueTask.args.project_context?.on_dependency_failure === 'skip' ? 'skipped' : 'failed';
+
+      await this.lockManager.release(taskId);
+      await this.updateTaskStatus(taskId, status, 0, null, message);
+      await this.database.logTaskExecution(taskId, null, `task_${status}`, {
+        error: message,
+        dependency: dependencies.failed.task_id
+      });
+      await this.rollUpParentStatus(taskId);
+      return { status, reason: message };
+    }
+
+    const task = await this.database.getTask(taskId);
+    if (dependencies.pending.length > 0) {
+      if (task.status === 'queued') {
+        await this.updateTaskStatus(taskId, 'blocked');
+      }
+      return { status: 'blocked', reason: `Waiting for ${dependencies.pending.length} prerequisite task(s)` };
+    }
+
+    if (task.status === 'blocked') {
+      await this.updateTaskStatus(taskId, 'queued');
+      await this.database.logTaskExecution(taskId, null, 'task_unblocked', {
+        depends_on: JSON.parse(task.depends_on || '[]')
+      });
+    }
+    return { status: 'ready' };
+  }
+
+  // Hands the outcome of each prerequisite to the dependent task through
+  // project_context.prerequisite_results
+  async withPrerequisiteResults(taskId, taskArgs) {
+    const task = await this.database.getTask(taskId);
+    const dependencyIds = JSON.parse(task?.depends_on || '[]');
+    if (dependencyIds.length === 0) {
+      return taskArgs;
+    }
+
+    const prerequisites = await Promise.all(dependencyIds.map(id => this.database.getTask(id)));
+    return {
+      ...taskArgs,
+      project_context: {
+        ...taskArgs.project_context,
+        prerequisite_results: prerequisites.map(prerequisite => ({
+          task_id: prerequisite.task_id,
+          task: prerequisite.task_description,
+          result: JSON.parse(prerequisite.result || 'null')
+        }))
+      }
+    };
+  }
+
+  // Derives a decomposed parent's status and progress from its subtasks: failed
+  // as soon as one subtask fails, completed once all are (or were skipped),
+  // cancelled once all are finished and one was cancelled, otherwise in progress
+  // after the first subtask started. A cancelled parent stays cancelled.
+  async rollUpParentStatus(taskId) {
+    const task = await this.database.getTask(taskId);
+    if (!task?.parent_task_id) {
+      return;
+    }
+
+    const parent = await this.database.getTask(task.parent_task_id);
+    if (parent.status === 'cancelled') {
+      return;
+    }
+
+    const subtasks = await this.database.getSubtasks(task.parent_task_id);
+    const progress = Math.round(subtasks.reduce((total, subtask) => total + (subtask.progress || 0), 0) / subtasks.length);
+    const failedSubtask = subtasks.find(subtask => FAILED_TASK_STATUSES.includes(subtask.status));
+
+    let status = 'queued';
+    if (failedSubtask) {
+      status = 'failed';
+    } else if (subtasks.every(subtask => ['completed', 'skipped'].includes(subtask.status))) {
+      status = 'completed';
+    } else if (subtasks.every(subtask => TERMINAL_TASK_STATUSES.includes(subtask.status))) {
+      status = 'cancelled';
+    } else if (subtasks.some(subtask => !['pending', 'queued', 'blocked', 'awaiting_approval'].includes(subtask.status))) {
+      status = 'in_progress';
+    }
+
+    if (status === parent.status) {
+      if (progress !== parent.progress) {
+        await this.updateTaskProgress(parent.task_id, progress);
+      }
+      return;
+    }
+
+    const finished = TERMINAL_TASK_STATUSES.includes(status);
+    await this.updateTaskStatus(
+      parent.task_id,
+      status,
+      progress,
+      finished
+        ? {
+          subtasks: subtasks.map(subtask => ({
+            task_id: subtask.task_id,
+            task: subtask.task_description,
+            agent: subtask.agent_name,
+            status: subtask.status
+          }))
+        }
+        : null,
+      failedSubtask ? `Subtask ${failedSubtask.task_id} failed: ${failedSubtask.error_message}` : null
+    );
+
+    if (finished) {
+      await this.database.logTaskExecution(parent.task_id, null, `task_${status}`, {
+        rolled_up_from: taskId
+      });
+    }
+  }
+
+  async getRoutingOptions(args) {
+    const projectId = args.project_context?.project_id;
+    const budget = projectId ? await this.database.getProjectBudget(projectId) : null;
+
+    return {
+      taskType: this.resolveTaskType(args),
+      budget,
+      costPreference: args.project_context?.cost_preference ?? budget?.cost_preference ?? 0,
+      // Agents that already failed this task, skipped by retries
+      excludeAgents: args.failed_agents || []
+    };
+  }
+
+  async executeTaskWithAgent(agent, taskId, taskArgs) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    let adapter = null;
+
+    const instanceId = this.agentManager.getTaskInstance(agent.name, taskId)?.id || null;
+
+    // handle always points at the agent's latest submission (revisions replace it)
+    const execution = {
+      agent,
+      instanceId,
+      controller,
+      taskArgs,
+      handle: null,
+      reportProgress: this.createProgressReporter(taskId)
+    };
+    this.runningExecutions.set(taskId, execution);
+
+    const timeout = resolveExecutionTimeout(agent, taskArgs.project_context || {});
+    const timeoutTimer = setTimeout(() => {
+      const error = new Error(timeout.reason === 'deadline'
+        ? `Deadline ${taskArgs.project_context.deadline} passed before agent ${agent.name} finished`
+        : `Agent ${agent.name} did not finish within ${timeout.timeoutMs}ms`);
+      error.code = 'TASK_TIMED_OUT';
+      error.timeoutReason = timeout.reason;
+      // Only an exceeded execution limit counts against the agent, not a tight deadline
+      if (timeout.reason === 'timeout') {
+        error.errorType = 'timeout';
+      }
+      controller.abort(error);
+    }, timeout.timeoutMs);
+
+    try {
+      this.logger.info(`Executing task ${taskId} with agent ${agent.name}`);
+
+      adapter = this.agentManager.getAgentAdapter(agent.name, instanceId);
+      ({ handle: execution.handle } = await adapter.submit({
+        taskId,
+        description: taskArgs.task,
+        taskType: this.resolveTaskType(taskArgs),
+        projectContext: taskArgs.project_context || {}
+      }));
+
+      await this.database.logTaskExecution(taskId, agent.id, 'task_submitted', {
+        agent_name: agent.name,
+        instance_id: instanceId,
+        handle: execution.handle
+      });
+
+      let result = await this.waitForAgentResult(adapter, execution.handle, controller.signal, execution.reportProgress);
+
+      const review = await this.runReviewStage(agent, adapter, taskId, execution, result);
+      result = review.result;
+      // The result may have arrived just as the task was cancelled
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      if (!review.approved) {
+        const error = review.inconclusive
+          ? new Error(`Review inconclusive after ${review.rounds} round(s): ${review.comments}`)
+          : new Error(`Rejected in review after ${review.rounds} round(s): ${review.comments}`);
+        error.code = review.inconclusive ? 'REVIEW_INCONCLUSIVE' : 'REVIEW_REJECTED';
+        throw error;
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      // Update task as completed
+      await this.updateTaskStatus(taskId, 'completed', 100, result);
+      await this.lockManager.release(taskId);
+      await this.rollUpParentStatus(taskId);
+      await this.recordTaskSpend(agent, taskId, result, executionTime);
+      if (result?.usage?.total_tokens !== undefined) {
+        this.agentManager.settleQuota(agent, this.estimateTokens(taskArgs), result.usage.total_tokens);
+      }
+      await this.agentManager.releaseTaskFromAgent(agent.name, taskId, true, executionTime);
+      this.recordRoutingOutcome(agent, taskArgs, true, executionTime);
+      await this.database.recordPerformanceMetric(agent.id, 'execution_time', executionTime, {
+        task_id: taskId,
+        success: true
+      });
+
+      // Log successful completion
+      await this.database.logTaskExecution(taskId, agent.id, 'task_completed', {
+        result: result,
+        execution_time: executionTime
+      });
+
+      return result;
+    } catch (error) {
+      const executionTime = Date.now() - startTime;
+
+      if (error.code === 'AGENT_OFFLINE') {
+        if (adapter && execution.handle) {
+          await adapter.cancel(execution.handle).catch(cancelError => {
+            this.logger.warn(`Could not cancel task ${taskId} on offline agent ${agent.name}: ${cancelError.message}`);
+          });
+        }
+        await this.agentManager.releaseTaskFromAgent(agent.name, taskId, false, executionTime);
+        return await this.reassignTask(agent, taskId, taskArgs, error.message);
+      }
+
+      if (error.code === 'TASK_CANCELLED') {
+        if (adapter && execution.handle) {
+          await adapter.cancel(execution.handle).catch(cancelError => {
+            this.logger.warn(`Could not cancel task ${taskId} on agent ${agent.name}: ${cancelError.message}`);
+          });
+        }
+        // Written again here so a status update racing the abort cannot win
+        await this.updateTaskStatus(taskId, 'cancelled', null, null, error.message);
+        await this.lockManager.release(taskId);
+        await this.rollUpParentStatus(taskId);
+        await this.recordTaskSpend(agent, taskId, null, executionTime);
+        // Cancelling says nothing about the agent, so no outcome is recorded
+        await this.agentManager.releaseTaskFromAgent(agent.name, taskId, null, executionTime);
+        this.logger.info(`Task ${taskId} cancelled on agent ${agent.name}`);
+        return null;
+      }
+
+      if (error.code === 'TASK_TIMED_OUT') {
+        if (adapter && execution.handle) {
+          await adapter.cancel(execution.handle).catch(cancelError => {
+            this.logger.warn(`Could not cancel timed out task ${taskId} on agent ${agent.name}: ${cancelError.message}`);
+          });
+        }
+        await this.recordTaskSpend(agent, taskId, null, executionTime);
+        const agentFailed = this.isAgentFailure(error);
+        await this.agentManager.releaseTaskFromAgent(
+          agent.name,
+          taskId,
+          agentFailed ? false : null,
+          executionTime,
+          agentFailed ? error : null
+        );
+        if (agentFailed) {
+          this.recordRoutingOutcome(agent, taskArgs, false);
+        }
+        if (await this.retryFailedAttempt(agent, taskId, taskArgs, error, executionTime)) {
+          return null;
+        }
+
+        await this.updateTaskStatus(taskId, 'timed_out', null, null, error.message);
+        await this.lockManager.release(taskId);
+        await this.rollUpParentStatus(taskId);
+        await this.database.logTaskExecution(taskId, agent.id, 'task_timed_out', {
+          error: error.message,
+          reason: error.timeoutReason,
+          timeout_ms: timeout.timeoutMs,
+          execution_time: executionTime
+        });
+        this.logger.warn(`Task ${taskId} timed out on agent ${agent.name}: ${error.message}`);
+        throw error;
+      }
+
+      this.logger.error(`Error executing task ${taskId} with agent ${agent.name}:`, error);
+
+      // Time already spent on the provider is still billed
+      await this.recordTaskSpend(agent, taskId, null, executionTime);
+      const agentFailed = this.isAgentFailure(error);
+      await this.agentManager.releaseTaskFromAgent(
+        agent.name,
+        taskId,
+        agentFailed ? false : null,
+        executionTime,
+        agentFailed ? error : null
+      );
+      if (agentFailed) {
+        this.recordRoutingOutcome(agent, taskArgs, false);
+      }
+
+      if (await this.retryFailedAttempt(agent, taskId, taskArgs, error, executionTime)) {
+        return null;
+      }
+
+      // Update task as failed
+      await this.updateTaskStatus(taskId, 'failed', 0, null, error.message);
+      await this.lockManager.release(taskId);
+      await this.rollUpParentStatus(taskId);
+
+      // Log failure
+      await this.database.logTaskExecution(taskId, agent.id, 'task_failed', {
+        error: error.message,
+        execution_time: executionTime,
+        attempts: taskArgs.attempt || 1
+      });
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutTimer);
+      if (this.runningExecutions.get(taskId)?.controller === controller) {
+        this.runningExecutions.delete(taskId);
+      }
+    }
+  }
+
+  // Whether a failed execution counts against the agent that ran it. A passed
+  // deadline is the caller's limit rather than an exceeded execution timeout,
+  // and an inconclusive review means the author delivered.
+  isAgentFailure(error) {
+    if (error.code === 'TASK_TIMED_OUT') {
+      return Boolean(error.errorType);
+    }
+    return error.code !== 'REVIEW_INCONCLUSIVE';
+  }
+
+  // Records the failed attempt and, when the task's retry policy allows another
+  // one, puts the task back on the queue after the backoff delay with the agents
+  // that already failed it excluded from routing. Returns false when the task
+  // has no attempts left, the error is not retryable or there is no queue.
+  async retryFailedAttempt(agent, taskId, taskArgs, error, executionTime) {
+    const policy = resolveRetryPolicy(taskArgs.project_context || {});
+    const attempt = taskArgs.attempt || 1;
+    const retry = Boolean(this.taskQueue) && attempt < policy.max_attempts && isRetryableError(policy, error);
+    const delayMs = retry ? getRetryDelay(policy, attempt + 1) : null;
+
+    await this.database.logTaskExecution(taskId, agent.id, 'task_attempt_failed', {
+      attempt,
+      max_attempts: policy.max_attempts,
+      agent_name: agent.name,
+      error: error.message,
+      error_type: classifyError(error),
+      // Read back by getTaskOutcomeStats when the routing learner is rebuilt
+      agent_failure: this.isAgentFailure(error),
+      execution_time: executionTime,
+      retry_in_ms: delayMs
+    });
+
+    if (!retry) {
+      return false;
+    }
+
+    const failedAgents = [...new Set([...(taskArgs.failed_agents || []), agent.name])];
+    const nextArgs = {
+      ...taskArgs,
+      attempt: attempt + 1,
+      failed_agents: failedAgents,
+      // A preferred agent that failed the task gives way to automatic routing
+      preferred_agent: failedAgents.includes(taskArgs.preferred_agent) ? 'auto' : taskArgs.preferred_agent
+    };
+
+    await this.lockManager.release(taskId);
+    await this.database.updateTaskAttempt(taskId, nextArgs.attempt, failedAgents, nextArgs.preferred_agent);
+    await this.updateTaskStatus(taskId, 'queued', 0);
+    await this.rollUpParentStatus(taskId);
+    await this.enqueueDelegation(
+      null,
+      taskId,
+      nextArgs,
+      Date.now() + delayMs,
+      `Retry ${attempt + 1}/${policy.max_attempts} after ${agent.name} failed: ${error.message}`
+    );
+
+    this.logger.warn(`Task ${taskId} failed on ${agent.name} (attempt ${attempt}/${policy.max_attempts}), retrying in ${delayMs}ms`);
+    return true;
+  }
+
+  // Optional cross-agent review (review_policies, per project or priority):
+  // a different agent with the reviewer capability checks the result, and a
+  // rejection sends the task back to its author with the feedback until the
+  // policy's max_rounds is used up. Without a policy the result is accepted as
+  // is. A round without a verdict (no eligible reviewer, a failed review or
+  // output naming no verdict) is recorded as inconclusive and only accepts the
+  // result when the policy sets approve_on_failure.
+  async runReviewStage(author, authorAdapter, taskId, execution, result) {
+    const { taskArgs, controller } = execution;
+    const policy = await this.database.resolveReviewPolicy(
+      taskArgs.project_context?.project_id,
+      taskArgs.project_context?.priority
+    );
+
+    if (!policy?.enabled) {
+      return { result, approved: true, rounds: 0 };
+    }
+
+    let currentResult = result;
+    for (let round = 1; round <= policy.max_rounds; round++) {
+      const reviewer = await this.selectReviewer(author, policy.reviewer_capability, taskArgs);
+      let review;
+      if (!reviewer) {
+        const reason = `no available agent other than ${author.name} with ${policy.reviewer_capability}`;
+        await this.database.logTaskExecution(taskId, author.id, 'review_skipped', { round, reason });
+        review = { verdict: 'inconclusive', comments: `Review skipped: ${reason}` };
+      } else {
+        await this.updateTaskStatus(taskId, 'in_review');
+        try {
+          review = await this.requestReview(reviewer, author, taskId, taskArgs, currentResult, round, controller.signal);
+        } catch (error) {
+          // Offline author or cancelled task; either way the whole execution stops
+          if (controller.signal.aborted) {
+            throw error;
+          }
+          await this.database.logTaskExecution(taskId, reviewer.id, 'review_failed', {
+            round,
+            reviewer: reviewer.name,
+            error: error.message
+          });
+          review = { verdict: 'inconclusive', comments: `Review by ${reviewer.name} failed: ${error.message}` };
+        }
+      }
+
+      await this.database.recordTaskReview(taskId, round, reviewer?.id, review.verdict, review.comments);
+      await this.database.logTaskExecution(taskId, reviewer?.id ?? null, 'task_reviewed', {
+        round,
+        reviewer: reviewer?.name ?? null,
+        verdict: review.verdict,
+        comments: review.comments
+      });
+
+      if (review.verdict === 'approved') {
+        return { result: currentResult, approved: true, rounds: round };
+      }
+      if (review.verdict === 'inconclusive') {
+        return {
+          result: currentResult,
+          approved: policy.approve_on_failure,
+          inconclusive: true,
+          rounds: round,
+          comments: review.comments
+        };
+      }
+      if (round === policy.max_rounds) {
+        return { result: currentResult, approved: false, rounds: round, comments: review.comments };
+      }
+
+      // Back to the author with the reviewer's feedback attached
+      await this.updateTaskStatus(taskId, 'changes_requested');
+      ({ handle: execution.handle } = await authorAdapter.submit({
+        taskId,
+        description: buildRevisionRequest(taskArgs, review, round),
+        taskType: this.resolveTaskType(taskArgs),
+        projectContext: {
+          ...(taskArgs.project_context || {}),
+          review_feedback: review.comments,
+          review_round: round
+        }
+      }));
+      await this.database.logTaskExecution(taskId, author.id, 'revision_submitted', {
+        round,
+        agent_name: author.name,
+        handle: execution.handle
+      });
+
+      currentResult = await this.waitForAgentResult(
+        authorAdapter,
+        execution.handle,
+        controller.signal,
+        execution.reportProgress
+      );
+    }
+  }
+
+  async selectReviewer(author, capability, taskArgs) {
+    const candidates = (await this.agentManager.getAvailableAgents())
+      .filter(agent => agent.name !== author.name && agent.capabilities.includes(capability));
+    const { costPreference } = await this.getRoutingOptions(taskArgs);
+
+    const ranked = this.agentManager.scoreAgents(
+      candidates,
+      taskArgs.task,
+      { ...(taskArgs.project_context || {}), required_capabilities: [capability] },
+      { costPreference }
+    );
+    // Reviews count against the reviewer's rate limits; a rate limited
+    // candidate gives way to the next one instead of holding up the task
+    const estimatedTokens = this.estimateTokens(taskArgs);
+    return ranked.find(({ agent }) => this.agentManager.acquireQuota(agent, estimatedTokens).allowed)?.agent || null;
+  }
+
+  // Runs one review on the reviewer's own capacity, with the quota selectReviewer
+  // took for it; its cost is billed to the reviewed task
+  async requestReview(reviewer, author, taskId, taskArgs, result, round, signal) {
+    const reviewTaskId = `${taskId}:review-${round}`;
+    const startTime = Date.now();
+    let adapter = null;
+    let handle = null;
+
+    await this.agentManager.assignTaskToAgent(reviewer.name, reviewTaskId, taskArgs.project_context?.project_id);
+    try {
+      const instance = this.agentManager.getTaskInstance(reviewer.name, reviewTaskId);
+      adapter = this.agentManager.getAgentAdapter(reviewer.name, instance?.id);
+      ({ handle } = await adapter.submit({
+        taskId: reviewTaskId,
+        description: buildReviewRequest(author, taskArgs, result, round),
+        taskType: 'review',
+        projectContext: taskArgs.project_context || {}
+      }));
+
+      const reviewResult = await this.waitForAgentResult(adapter, handle, signal);
+      const executionTime = Date.now() - startTime;
+
+      await this.recordTaskSpend(reviewer, taskId, reviewResult, executionTime);
+      if (reviewResult?.usage?.total_tokens !== undefined) {
+        this.agentManager.settleQuota(reviewer, this.estimateTokens(taskArgs), reviewResult.usage.total_tokens);
+      }
+      await this.agentManager.releaseTaskFromAgent(reviewer.name, reviewTaskId, true, executionTime);
+      return parseReviewVerdict(reviewResult);
+    } catch (error) {
+      if (signal?.aborted && handle) {
+        await adapter.cancel(handle).catch(cancelError => {
+          this.logger.warn(`Could not cancel review ${reviewTaskId} on agent ${reviewer.name}: ${cancelError.message}`);
+        });
+      }
+      // An aborted review (the task was cancelled or timed out) is not the reviewer's failure
+      await this.agentManager.releaseTaskFromAgent(
+        reviewer.name,
+        reviewTaskId,
+        signal?.aborted ? null : false,
+        Date.now() - startTime,
+        signal?.aborted ? null : error
+      );
+      throw error;
+    }
+  }
+
+  async waitForAgentResult(adapter, handle, signal, onStatus = null) {
+    while (true) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      const status = await adapter.getStatus(handle);
+      if (onStatus) {
+        await onStatus(status);
+      }
+
+      if (status.status === 'completed') {
+        return await adapter.getResult(handle);
+      }
+
+      if (status.status === 'failed') {
+        throw new Error(status.error || `Agent ${adapter.agentName} reported task failure`);
+      }
+
+      if (status.status === 'cancelled') {
+        throw new Error(`Agent ${adapter.agentName} cancelled the task`);
+      }
+
+      // A status outside the adapter contract would otherwise be polled forever
+      if (!ADAPTER_TASK_STATUSES.includes(status.status)) {
+        const error = new Error(`Agent ${adapter.agentName} reported unknown task status '${status.status}'`);
+        error.code = 'INVALID_AGENT_STATUS';
+        throw error;
+      }
+
+      await sleep(adapter.pollIntervalMs, signal);
+    }
+  }
+
+  // Persists what the author agent reports on each poll: its log lines, and its
+  // progress whenever it moves. 100% is left to the completed status so a task
+  // in review does not look finished.
+  createProgressReporter(taskId) {
+    let lastProgress = null;
+
+    return async agentStatus => {
+      for (const line of agentStatus.logs || []) {
+        await this.progressStream.record(taskId, 'log', { message: line });
+      }
+
+      const progress = Math.min(99, Math.round(agentStatus.progress ?? 0));
+      if (agentStatus.status !== 'completed' && progress !== lastProgress) {
+        lastProgress = progress;
+        await this.updateTaskProgress(taskId, progress, agentStatus.message || null);
+        await this.rollUpParentStatus(taskId);
+      }
+    };
+  }
+
+  // Status and progress changes go through these so progress followers see them
+  async updateTaskStatus(taskId, status, progress = null, result = null, errorMessage = null) {
+    await this.database.updateTaskStatus(taskId, status, progress, result, errorMessage);
+    await this.progressStream.record(taskId, 'status', { status, progress, message: errorMessage });
+  }
+
+  async updateTaskProgress(taskId, progress, message = null) {
+    await this.database.updateTaskProgress(taskId, progress);
+    await this.progressStream.record(taskId, 'progress', { progress, message });
+  }
+
+  async recordTaskSpend(agent, taskId, result, executionTime) {
+    const cost = calculateTaskCost(agent, result, executionTime);
+    if (cost <= 0) {
+      return;
+    }
+
+    await this.database.recordTaskCost(taskId, cost);
+    await this.database.recordPerformanceMetric(agent.id, 'cost', cost, {
+      task_id: taskId,
+      currency: agent.configuration.cost_model?.currency || 'USD'
+    });
+  }
+
+  recordRoutingOutcome(agent, taskArgs, success, executionTime = null) {
+    this.agentManager.routingLearner?.recordOutcome(
+      agent,
+      this.resolveTaskType(taskArgs),
+      taskArgs.project_context?.technology_stack || [],
+      success,
+      executionTime
+    );
+  }
+
+  // With an instance id only the tasks running on that pool instance are moved
+  async reassignTasksFromAgent(agent, instanceId = null) {
+    for (const taskId of [...agent.activeTasks]) {
+      const execution = this.runningExecutions.get(taskId);
+      if (!execution || (instanceId && execution.instanceId !== instanceId)) {
+        continue;
+      }
+
+      const error = new Error(instanceId
+        ? `Agent ${agent.name} instance ${instanceId} went offline`
+        : `Agent ${agent.name} went offline`);
+      error.code = 'AGENT_OFFLINE';
+      execution.controller.abort(error);
+    }
+  }
+
+  // With a TaskQueue the task goes back on it, so it is routed again with its
+  // priority, dependencies and cancellation handled like any queued task.
+  // Without one it is moved to the best agent right away, or fails when none
+  // is available.
+  async reassignTask(previousAgent, taskId, taskArgs, reason) {
+    if (this.taskQueue) {
+      await this.lockManager.release(taskId);
+      await this.updateTaskStatus(taskId, 'queued', 0);
+      await this.database.logTaskExecution(taskId, previousAgent.id, 'task_requeued', {
+        previous_agent: previousAgent.name,
+        reason
+      });
+      await this.enqueueDelegation(null, taskId, taskArgs, null, reason);
+      this.logger.warn(`Task ${taskId} requeued: ${reason}`);
+      return null;
+    }
+
+    let nextAgent;
+    try {
+      nextAgent = await this.agentManager.selectBestAgent(
+        taskArgs.task,
+        taskArgs.project_context,
+        await this.getRoutingOptions(taskArgs)
+      );
+    } catch (error) {
+      const message = `${reason} and no other agent is available: ${error.message}`;
+      await this.updateTaskStatus(taskId, 'failed', 0, null, message);
+      await this.lockManager.release(taskId);
+      await this.rollUpParentStatus(taskId);
+      await this.database.logTaskExecution(taskId, previousAgent.id, 'task_failed', { error: message });
+      this.logger.warn(`Task ${taskId} failed: ${message}`);
+      return null;
+    }
+
+    await this.database.updateTaskAgent(taskId, nextAgent.id);
+    await this.database.logTaskExecution(taskId, nextAgent.id, 'task_reassigned', {
+      previous_agent: previousAgent.name,
+      agent_name: nextAgent.name
+    });
+
+    this.logger.info(`Task ${taskId} reassigned from ${previousAgent.name} to ${nextAgent.name}`);
+    const dispatch = await this.dispatchTask(nextAgent, taskId, taskArgs);
+    return dispatch.result ?? null;
+  }
+
+  // Cancels a queued or running task. Running executions are aborted and clean
+  // up after themselves (adapter cancel, capacity, locks); cancelling a
+  // decomposed parent cancels its unfinished subtasks too.
+  async cancelDelegatedTask(args) {
+    if (!args.task_id) {
+      throw new Error('Task ID is required');
+    }
+
+    const task = await this.database.getTask(args.task_id);
+    if (!task) {
+      const error = new Error(`Task ${args.task_id} not found`);
+      error.code = 'TASK_NOT_FOUND';
+      throw error;
+    }
+    if (TERMINAL_TASK_STATUSES.includes(task.status)) {
+      const error = new Error(`Task ${args.task_id} is already ${task.status}`);
+      error.code = 'TASK_NOT_CANCELLABLE';
+      throw error;
+    }
+
+    const cancelledBy = args.cancelled_by || 'unknown';
+    const reason = args.reason || null;
+
+    await this.cancelSingleTask(task, cancelledBy, reason);
+
+    const subtasks = (await this.database.getSubtasks(task.task_id))
+      .filter(subtask => !TERMINAL_TASK_STATUSES.includes(subtask.status));
+    for (const subtask of subtasks) {
+      await this.cancelSingleTask(subtask, cancelledBy, reason);
+    }
+
+    await this.rollUpParentStatus(task.task_id);
+
+    return {
+      task_id: task.task_id,
+      previous_status: task.status,
+      status: 'cancelled',
+      cancelled_by: cancelledBy,
+      reason,
+      subtasks_cancelled: subtasks.map(subtask => subtask.task_id)
+    };
+  }
+
+  async cancelSingleTask(task, cancelledBy, reason) {
+    const taskId = task.task_id;
+    const message = reason ? `Cancelled by ${cancelledBy}: ${reason}` : `Cancelled by ${cancelledBy}`;
+
+    await this.updateTaskStatus(taskId, 'cancelled', null, null, message);
+    await this.database.logTaskExecution(taskId, task.agent_id, 'task_cancelled', {
+      cancelled_by: cancelledBy,
+      reason,
+      previous_status: task.status
+    });
+
+    const approval = await this.database.getPendingApprovalRequest(taskId);
+    if (approval) {
+      await this.database.decideApprovalRequest(approval.id, 'cancelled', cancelledBy, reason);
+    }
+
+    const queueStatus = this.taskQueue ? await this.taskQueue.getTaskStatus(taskId) : null;
+    if (['queued', 'blocked', 'processing'].includes(queueStatus?.status)) {
+      await this.taskQueue.cancelTask(taskId, message);
+    }
+
+    // Executions started outside the queue (inline or reassigned) are aborted directly
+    this.abortExecution(taskId, message);
+    if (!this.runningExecutions.has(taskId)) {
+      await this.lockManager.release(taskId);
+    }
+
+    this.logger.info(`Task ${taskId} cancelled by ${cancelledBy}`);
+  }
+
+  abortExecution(taskId, message) {
+    const execution = this.runningExecutions.get(taskId);
+    if (!execution || execution.controller.signal.aborted) {
+      return;
+    }
+
+    const error = new Error(message || 'Task cancelled');
+    error.code = 'TASK_CANCELLED';
+    execution.controller.abort(error);
+  }
+
+  async isTaskCancelled(taskId) {
+    return (await this.database.getTask(taskId))?.status === 'cancelled';
+  }
+
+  async cancelTask(args) {
+    try {
+      const cancellation = await this.cancelDelegatedTask({
+        ...args,
+        cancelled_by: args.cancelled_by || 'mcp'
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🛑 **Task Cancelled**\n\n` +
+                  `**Task ID:** ${cancellation.task_id}\n` +
+                  `**Previous Status:** ${cancellation.previous_status}\n` +
+                  `**Cancelled By:** ${cancellation.cancelled_by}\n` +
+                  `${cancellation.reason ? `**Reason:** ${cancellation.reason}\n` : ''}` +
+                  `${cancellation.subtasks_cancelled.length > 0 ? `**Subtasks Cancelled:** ${cancellation.subtasks_cancelled.length}\n` : ''}` +
+                  `\nRunning work was stopped on the agent and its capacity released.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error cancelling task:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error cancelling task: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async getAgentSelectionExplanation(args) {
+    if (!args.task) {
+      throw new Error('Task description is required');
+    }
+
+    const explanation = await this.agentManager.explainAgentSelection(
+      args.task,
+      args.project_context || {},
+      await this.getRoutingOptions(args)
+    );
+
+    return {
+      task: args.task,
+      task_type: this.resolveTaskType(args),
+      ...explanation
+    };
+  }
+
+  async explainAgentSelection(args) {
+    try {
+      const explanation = await this.getAgentSelectionExplanation(args);
+      const formatScore = value => (value >= 0 ? '+' : '') + value.toFixed(1);
+
+      let text = `🧭 **Agent Selection (dry run)**\n\n` +
+                 `**Task:** ${explanation.task}\n` +
+                 `**Task Type:** ${explanation.task_type}\n` +
+                 `**Specialization:** ${explanation.specialization_type}\n` +
+                 `**Required Capabilities:** ${explanation.required_capabilities.join(', ')}\n` +
+                 `**Would Select:** ${explanation.selected_agent || 'No available agent'}\n` +
+                 `${explanation.budget_remaining !== null ? `**Remaining Budget:** ${explanation.budget_remaining.toFixed(2)}\n` : ''}` +
+                 `**Cost Preference:** ${explanation.cost_preference}\n\n`;
+
+      explanation.candidates.forEach((candidate, index) => {
+        text += `**${index + 1}. ${candidate.name}** (${candidate.type}) - score ${candidate.score.toFixed(1)}, est. cost ${candidate.estimated_cost.toFixed(2)}\n`;
+        text += `  ${Object.entries(candidate.breakdown).map(([factor, value]) => `${factor}: ${formatScore(value)}`).join(' | ')}\n`;
+        if (candidate.missing_capabilities.length > 0) {
+          text += `  Missing: ${candidate.missing_capabilities.join(', ')}\n`;
+        }
+        text += '\n';
+      });
+
+      if (explanation.excluded.length > 0) {
+        text += `**Excluded:**\n${explanation.excluded.map(agent => `• ${agent.name}: ${agent.reason}`).join('\n')}`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error explaining agent selection:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error explaining agent selection: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  getRoutingWeights(filters = {}) {
+    const routingLearner = this.agentManager.routingLearner;
+    return {
+      exploration_weight: routingLearner?.explorationWeight ?? null,
+      buckets: routingLearner ? routingLearner.getWeights(filters) : []
+    };
+  }
+
+  async getRoutingWeightsReport(args) {
+    try {
+      const { buckets } = this.getRoutingWeights(args);
+
+      if (buckets.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📈 **Learned Routing Weights**\n\nNo routing history recorded yet${args.agent || args.task_type ? ' for these filters' : ''}.`
+            }
+          ]
+        };
+      }
+
+      let text = `📈 **Learned Routing Weights**\n\n`;
+      let currentGroup = null;
+
+      buckets.forEach(bucket => {
+        const group = `${bucket.task_type} / ${bucket.technology === '*' ? 'any technology' : bucket.technology}`;
+        if (group !== currentGroup) {
+          text += `**${group}**\n`;
+          currentGroup = group;
+        }
+        text += `  ${bucket.agent_name}: ${(bucket.learned_success_rate * 100).toFixed(1)}% ` +
+                `(${bucket.successes}/${bucket.trials})` +
+                `${bucket.average_execution_time !== null ? ` | avg ${(bucket.average_execution_time / 1000).toFixed(1)}s` : ''}\n`;
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error getting routing weights:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error getting routing weights: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async setProjectBudget(args) {
+    try {
+      if (!args.project_id || args.budget_limit === undefined) {
+        throw new Error('Project ID and budget limit are required');
+      }
+
+      const budget = await this.database.setProjectBudget(args);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `💰 **Project Budget Set**\n\n` +
+                  `**Project ID:** ${budget.project_id}\n` +
+                  `**Budget:** ${budget.budget_limit.toFixed(2)} ${budget.currency}\n` +
+                  `**Spent:** ${budget.spent.toFixed(2)} ${budget.currency}\n` +
+                  `**Remaining:** ${budget.remaining.toFixed(2)} ${budget.currency}\n` +
+                  `**Cost Preference:** ${budget.cost_preference} (0 = quality only, 1 = cheapest capable agent)`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error setting project budget:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error setting project budget: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async approveTask(args) {
+    try {
+      const decision = await this.decideApproval({ ...args, decided_by: args.decided_by || 'mcp' }, 'approved');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ **Task Approved**\n\n` +
+                  `**Task ID:** ${decision.task_id}\n` +
+                  `**Approved By:** ${decision.decided_by}\n` +
+                  `${decision.comment ? `**Comment:** ${decision.comment}\n` : ''}` +
+                  `**Status:** ${decision.task_status === 'queued' ? 'Queued' : 'In Progress'}\n\n` +
+                  `The task is on its way to the best available agent.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error approving task:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error approving task: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async rejectTask(args) {
+    try {
+      const decision = await this.decideApproval({ ...args, decided_by: args.decided_by || 'mcp' }, 'rejected');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🚫 **Task Rejected**\n\n` +
+                  `**Task ID:** ${decision.task_id}\n` +
+                  `**Rejected By:** ${decision.decided_by}\n` +
+                  `${decision.comment ? `**Comment:** ${decision.comment}\n` : ''}\n` +
+                  `The task will not run.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error rejecting task:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error rejecting task: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async setApprovalPolicy(args) {
+    try {
+      if (!args.task_type) {
+        throw new Error('Task type is required');
+      }
+
+      const policy = await this.database.setApprovalPolicy({
+        project_id: args.project_id,
+        task_type: args.task_type,
+        enabled: args.enabled,
+        expires_after_ms: args.expires_after_ms
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🛂 **Approval Policy Set**\n\n` +
+                  `**Applies To:** ${policy.project_id === '*' ? 'all projects' : `project ${policy.project_id}`}\n` +
+                  `**Task Type:** ${policy.task_type}\n` +
+                  `**Approval Required:** ${policy.enabled ? 'Yes' : 'No'}\n` +
+                  `**Requests Expire After:** ${Math.round(policy.expires_after_ms / 60000)} minutes\n\n` +
+                  `Matching tasks wait for approve_task before they are queued.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error setting approval policy:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error setting approval policy: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async listTaskTemplates() {
+    try {
+      const templates = await this.templateLibrary.list();
+      const lines = templates.map(template => {
+        const parameters = template.parameters.map(parameter =>
+          parameter.required
+            ? `${parameter.name} (required)`
+            : `${parameter.name}${parameter.default !== undefined ? ` = "${parameter.default}"` : ''}`
+        );
+        return `• **${template.name}**${template.description ? ` — ${template.description}` : ''}\n` +
+          `  Task: ${template.task}\n` +
+          `  Parameters: ${parameters.join(', ') || 'none'}\n` +
+          `  Agent: ${template.preferred_agent || 'auto'}\n` +
+          (template.acceptance_criteria.length > 0
+            ? `  Acceptance criteria:\n${template.acceptance_criteria.map(criterion => `    - ${criterion}`).join('\n')}`
+            : '  Acceptance criteria: none');
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `📚 **Task Templates (${templates.length})**\n\n` +
+                  (lines.length > 0 ? lines.join('\n\n') : 'No templates defined.') +
+                  `\n\nUse delegate_from_template with a template name and its parameters to submit one.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error listing task templates:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error listing task templates: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async setReviewPolicy(args) {
+    try {
+      if (!args.project_id === !args.priority) {
+        throw new Error('Exactly one of project ID or priority is required');
+      }
+      // Same range as the REST route; the review loop needs at least one round
+      if (args.max_rounds !== undefined && !(Number.isInteger(args.max_rounds) && args.max_rounds >= 1 && args.max_rounds <= 10)) {
+        throw new Error('Max rounds must be an integer from 1 to 10');
+      }
+
+      const policy = await this.database.setReviewPolicy({
+        scope_type: args.project_id ? 'project' : 'priority',
+        scope_value: args.project_id || args.priority,
+        enabled: args.enabled,
+        max_rounds: args.max_rounds,
+        reviewer_capability: args.reviewer_capability,
+        approve_on_failure: args.approve_on_failure
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🔍 **Review Policy Set**\n\n` +
+                  `**Applies To:** ${policy.scope_type} ${policy.scope_value}\n` +
+                  `**Enabled:** ${policy.enabled ? 'Yes' : 'No'}\n` +
+                  `**Max Rounds:** ${policy.max_rounds}\n` +
+                  `**Reviewer Capability:** ${policy.reviewer_capability}\n` +
+                  `**Approve On Failure:** ${policy.approve_on_failure ? 'Yes' : 'No'}\n\n` +
+                  `Results are reviewed by a different agent before the task completes; ` +
+                  `rejected work goes back to its author with the feedback.`
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error setting review policy:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error setting review policy: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async listLocks(args = {}) {
+    try {
+      const { locks, waiting } = this.lockManager.getLocks(args.project_id || null);
+
+      let text = `🔒 **Resource Locks**${args.project_id ? ` for ${args.project_id}` : ''}\n\n`;
+
+      if (locks.length === 0) {
+        text += `No resources are locked.\n`;
+      } else {
+        locks.forEach(lock => {
+          text += `• **${lock.task_id}** (${lock.agent_name || 'unassigned'}, project ${lock.project_id})\n` +
+                  `  ${lock.resources.join(', ')}\n` +
+                  `  Since: ${new Date(lock.acquired_at).toLocaleString()}\n`;
+        });
+      }
+
+      if (waiting.length > 0) {
+        text += `\n**Waiting Tasks:**\n`;
+        waiting.forEach(waiter => {
+          text += `• **${waiter.task_id}** (project ${waiter.project_id})\n` +
+                  `  Blocked: ${this.lockManager.describeConflicts(waiter.blocked_by)}\n` +
+                  `  Waiting Since: ${new Date(waiter.waiting_since).toLocaleString()}\n`;
+        });
+      }
 
       return {
         content: [
           {
             type: 'text',
-            text: `🤖 **Task Delegated Successfully**\n\n` +
-                  `**Task ID:** ${taskId}\n` +
-                  `**Assigned Agent:** ${selectedAgent.name} (${selectedAgent.type})\n` +
-                  `**Task:** ${args.task}\n` +
-                  `**Status:** In Progress\n` +
-                  `**Priority:** ${args.project_context?.priority || 'medium'}\n\n` +
-                  `The AI Builder is now working on your task. You can monitor progress using the task ID.`
+            text
           }
         ]
       };
     } catch (error) {
-      this.logger.error('Error delegating to AI Builder:', error);
-      const responseTime = Date.now() - startTime;
-      
+      this.logger.error('Error listing locks:', error);
+
       return {
         content: [
           {
             type: 'text',
-            text: `❌ Error delegating task: ${error.message}`
+            text: `❌ Error listing locks: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async executeTaskWithAgent(agent, taskId, taskArgs) {
-    try {
-      // This is where you would integrate with actual AI Builder APIs
-      // For now, we'll simulate the execution
-      
-      this.logger.info(`Executing task ${taskId} with agent ${agent.name}`);
-      
-      // Simulate task execution based on agent type
-      let result;
-      switch (agent.type) {
-        case 'ai_builder':
-          result = await this.executeWithAIBuilder(agent, taskArgs);
-          break;
-        case 'ai_editor':
-          result = await this.executeWithAIEditor(agent, taskArgs);
-          break;
-        case 'ai_assistant':
-          result = await this.executeWithAIAssistant(agent, taskArgs);
-          break;
-        case 'ai_copilot':
-          result = await this.executeWithAICopilot(agent, taskArgs);
-          break;
-        default:
-          result = await this.executeWithGenericAgent(agent, taskArgs);
-      }
-
-      // Update task as completed
-      await this.database.updateTaskStatus(taskId, 'completed', 100, result);
-      await this.agentManager.releaseTaskFromAgent(agent.name, taskId, true);
-
-      // Log successful completion
-      await this.database.logTaskExecution(taskId, agent.id, 'task_completed', {
-        result: result,
-        execution_time: Date.now()
-      });
-
-      return result;
-    } catch (error) {
-      this.logger.error(`Error executing task ${taskId} with agent ${agent.name}:`, error);
-      
-      // Update task as failed
-      await this.database.updateTaskStatus(taskId, 'failed', 0, null, error.message);
-      await this.agentManager.releaseTaskFromAgent(agent.name, taskId, false);
-
-      // Log failure
-      await this.database.logTaskExecution(taskId, agent.id, 'task_failed', {
-        error: error.message,
-        execution_time: Date.now()
-      });
-
-      throw error;
-    }
-  }
-
-  async executeWithAIBuilder(agent, taskArgs) {
-    // Simulate Devin or similar AI Builder execution
-    this.logger.info(`Executing with AI Builder: ${agent.name}`);
-    
-    // In a real implementation, this would call the actual AI Builder API
-    // For now, we'll return a simulated result
-    return {
-      success: true,
-      output: `Task completed by ${agent.name}: ${taskArgs.task}`,
-      files_modified: ['src/components/Example.js', 'package.json'],
-      tests_run: 5,
-      tests_passed: 5,
-      deployment_url: 'https://example-app.vercel.app',
-      execution_time: '2m 30s'
-    };
-  }
-
-  async executeWithAIEditor(agent, taskArgs) {
-    // Simulate Cursor or similar AI Editor execution
-    this.logger.info(`Executing with AI Editor: ${agent.name}`);
-    
-    return {
-      success: true,
-      output: `Code edited by ${agent.name}: ${taskArgs.task}`,
-      files_modified: ['src/index.js', 'src/utils/helpers.js'],
-      lines_added: 45,
-      lines_removed: 12,
-      suggestions_provided: 8
-    };
-  }
-
-  async executeWithAIAssistant(agent, taskArgs) {
-    // Simulate Claude or GPT-4 execution
-    this.logger.info(`Executing with AI Assistant: ${agent.name}`);
-    
-    return {
-      success: true,
-      output: `Analysis completed by ${agent.name}: ${taskArgs.task}`,
-      recommendations: [
-        'Implement error handling for edge cases',
-        'Add comprehensive unit tests',
-        'Consider using TypeScript for better type safety'
-      ],
-      code_suggestions: 3,
-      documentation_generated: true
-    };
-  }
-
-  async executeWithAICopilot(agent, taskArgs) {
-    // Simulate GitHub Copilot execution
-    this.logger.info(`Executing with AI Copilot: ${agent.name}`);
-    
-    return {
-      success: true,
-      output: `Code suggestions provided by ${agent.name}: ${taskArgs.task}`,
-      suggestions_count: 12,
-      accepted_suggestions: 8,
-      files_affected: ['src/components/Button.js', 'src/hooks/useAuth.js']
-    };
-  }
-
-  async executeWithGenericAgent(agent, taskArgs) {
-    // Generic execution for unknown agent types
-    this.logger.info(`Executing with Generic Agent: ${agent.name}`);
-    
-    return {
-      success: true,
-      output: `Task processed by ${agent.name}: ${taskArgs.task}`,
-      processing_time: '1m 15s',
-      status: 'completed'
-    };
-  }
-
-  async monitorAIBuilder(args) {
+  // With follow set, waits until the task finishes (or follow_timeout_ms passes)
+  // and reports its progress through onProgress along the way
+  async monitorAIBuilder(args, onProgress = null) {
     try {
       if (!args.task_id) {
         throw new Error('Task ID is required');
       }
 
-      const task = await this.database.getTask(args.task_id);
+      let task = await this.database.getTask(args.task_id);
       if (!task) {
         throw new Error(`Task ${args.task_id} not found`);
       }
 
-      const agent = await this.agentManager.getAgentByName(args.agent_id);
+      if (args.follow) {
+        await this.followTaskProgress(task.task_id, args.follow_timeout_ms, onProgress);
+        task = await this.database.getTask(args.task_id);
+      }
+
+      const agent = args.agent_id
+        ? await this.agentManager.getAgentByName(args.agent_id)
+        : await this.agentManager.getAgentById(task.agent_id);
       const agentStatus = agent ? this.agentManager.formatAgentStatus(agent) : null;
+      const queueStatus = this.taskQueue ? await this.taskQueue.getTaskStatus(task.task_id) : null;
+      const subtasks = await this.database.getSubtasks(task.task_id);
+      const reviews = await this.database.getTaskReviews(task.task_id);
+      const dependsOn = JSON.parse(task.depends_on || '[]');
+      const approval = task.status === 'awaiting_approval'
+        ? await this.database.getPendingApprovalRequest(task.task_id)
+        : null;
+      const activity = (await this.database.getRecentTaskProgressEvents(task.task_id, 5))
+        .filter(event => event.message);
 
       return {
         content: [
@@ -240,10 +2172,29 @@ export class OrchestrationService {
                   `**Task ID:** ${task.task_id}\n` +
                   `**Status:** ${task.status}\n` +
                   `**Progress:** ${task.progress}%\n` +
-                  `**Agent:** ${agentStatus?.name || 'Unknown'}\n` +
+                  `**Agent:** ${agentStatus?.name || (subtasks.length > 0 ? 'See subtasks' : 'Unknown')}\n` +
+                  `${queueStatus ? `**Queue:** ${this.formatQueueStatus(queueStatus)}\n` : ''}` +
+                  `${approval ? `**Approval:** pending (${approval.task_type}), expires ${new Date(approval.expires_at).toLocaleString()}\n` : ''}` +
+                  `${task.parent_task_id ? `**Parent Task:** ${task.parent_task_id}\n` : ''}` +
+                  `${dependsOn.length > 0 ? `**Depends On:** ${dependsOn.join(', ')}\n` : ''}` +
                   `**Created:** ${new Date(task.created_at).toLocaleString()}\n` +
                   `**Started:** ${task.started_at ? new Date(task.started_at).toLocaleString() : 'Not started'}\n` +
                   `**Completed:** ${task.completed_at ? new Date(task.completed_at).toLocaleString() : 'Not completed'}\n\n` +
+                  `${subtasks.length > 0
+                    ? `**Subtasks:**\n${subtasks.map(subtask =>
+                      `• ${subtask.status} (${subtask.progress}%) — ${subtask.task_description} [${subtask.agent_name || 'unassigned'}]`
+                    ).join('\n')}\n\n`
+                    : ''}` +
+                  `${activity.length > 0
+                    ? `**Recent Activity:**\n${activity.map(event =>
+                      `• ${new Date(event.created_at).toLocaleTimeString()} ${event.message}`
+                    ).join('\n')}\n\n`
+                    : ''}` +
+                  `${reviews.length > 0
+                    ? `**Reviews:**\n${reviews.map(review =>
+                      `• Round ${review.round}: ${review.verdict} by ${review.reviewer || 'unknown'}${review.comments ? ` — ${review.comments}` : ''}`
+                    ).join('\n')}\n\n`
+                    : ''}` +
                   `${task.error_message ? `**Error:** ${task.error_message}\n\n` : ''}` +
                   `${task.result ? `**Result:** ${JSON.stringify(task.result, null, 2)}` : ''}`
           }
@@ -263,6 +2214,50 @@ export class OrchestrationService {
     }
   }
 
+  async followTaskProgress(taskId, timeoutMs = 5 * 60 * 1000, onProgress = null) {
+    let lastProgress = -1;
+    const following = this.progressStream.follow(taskId, 0, event => {
+      // Progress notifications must increase, and replayed history may go back and forth
+      if (onProgress && event.progress !== null && event.progress > lastProgress) {
+        lastProgress = event.progress;
+        Promise.resolve(onProgress(event.progress, event.message)).catch(error => {
+          this.logger.warn(`Could not send progress for task ${taskId}: ${error.message}`);
+        });
+      }
+    });
+
+    let timer;
+    await Promise.race([
+      following.done,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      })
+    ]);
+    clearTimeout(timer);
+    following.stop();
+  }
+
+  formatQueueStatus(queueStatus) {
+    if (queueStatus.status === 'blocked') {
+      return `blocked (position ${queueStatus.position}): ${queueStatus.blockedReason}`;
+    }
+    if (queueStatus.status !== 'queued') {
+      return queueStatus.status;
+    }
+
+    let text = `queued (position ${queueStatus.position})`;
+    if (queueStatus.holdReason) {
+      text += `, held: ${queueStatus.holdReason}`;
+    }
+    if (queueStatus.originalPriority) {
+      text += `, escalated from ${queueStatus.originalPriority} to ${queueStatus.priority} as its deadline approaches`;
+    }
+    if (queueStatus.availableAt && queueStatus.availableAt > Date.now()) {
+      text += `, next attempt ${new Date(queueStatus.availableAt).toLocaleString()}`;
+    }
+    return text;
+  }
+
   async getAIBuilderStatus(args) {
     try {
       const agentStatus = await this.agentManager.getAgentStatus(args.agent_id);
@@ -284,7 +2279,15 @@ export class OrchestrationService {
                     `**Available:** ${agentStatus.isAvailable ? 'Yes' : 'No'}\n` +
                     `**Success Rate:** ${(agentStatus.performance.successRate * 100).toFixed(1)}%\n` +
                     `**Total Tasks:** ${agentStatus.performance.totalTasks}\n` +
-                    `**Last Heartbeat:** ${new Date(agentStatus.lastHeartbeat).toLocaleString()}\n\n` +
+                    `**Last Heartbeat:** ${new Date(agentStatus.lastHeartbeat).toLocaleString()}\n` +
+                    `**Circuit Breaker:** ${this.formatCircuitBreaker(agentStatus.circuitBreaker)}\n\n` +
+                    (agentStatus.instances.length > 1 || agentStatus.instances[0]?.id !== DEFAULT_INSTANCE_ID
+                      ? `**Instances${agentStatus.stickyProjects ? ' (sticky projects)' : ''}:**\n` +
+                        agentStatus.instances.map(instance =>
+                          `• ${instance.id}: ${instance.status} | ${instance.currentTasks}/${instance.maxConcurrentTasks} tasks` +
+                          (instance.projects.length > 0 ? ` | projects: ${instance.projects.join(', ')}` : '')
+                        ).join('\n') + '\n\n'
+                      : '') +
                     `**Capabilities:**\n${agentStatus.capabilities.map(cap => `• ${cap}`).join('\n')}`
             }
           ]
@@ -296,7 +2299,8 @@ export class OrchestrationService {
         agentStatus.forEach(agent => {
           statusText += `**${agent.name}** (${agent.type})\n`;
           statusText += `  Status: ${agent.status} | Load: ${agent.loadPercentage.toFixed(1)}% | Available: ${agent.isAvailable ? 'Yes' : 'No'}\n`;
-          statusText += `  Success Rate: ${(agent.performance.successRate * 100).toFixed(1)}% | Tasks: ${agent.performance.totalTasks}\n\n`;
+          statusText += `  Success Rate: ${(agent.performance.successRate * 100).toFixed(1)}% | Tasks: ${agent.performance.totalTasks}\n`;
+          statusText += `  Circuit Breaker: ${this.formatCircuitBreaker(agent.circuitBreaker)}\n\n`;
         });
         
         return {
@@ -322,25 +2326,45 @@ export class OrchestrationService {
     }
   }
 
+  formatCircuitBreaker(breaker) {
+    if (breaker.state === 'closed') {
+      return breaker.consecutiveFailures > 0
+        ? `closed (${breaker.consecutiveFailures} consecutive failures)`
+        : 'closed';
+    }
+    if (breaker.state === 'open') {
+      return `🔴 open after ${breaker.consecutiveFailures} consecutive failures ` +
+        `(last: ${breaker.lastErrorType}), retry at ${breaker.retryAt.toLocaleString()}`;
+    }
+    return `🟡 half-open, next task is a trial (last: ${breaker.lastErrorType})`;
+  }
+
+  // Stores the upgrade as a workflow of delegated steps whose deploy step goes
+  // through approval; runs it now, or on a cron schedule via the scheduler
   async scheduleAutonomousUpgrade(args) {
     try {
       if (!args.project_id || !args.upgrade_type) {
         throw new Error('Project ID and upgrade type are required');
       }
 
+      const scheduleExpression = !args.schedule || args.schedule === 'immediate'
+        ? null
+        : args.schedule === 'scheduled' ? DEFAULT_UPGRADE_SCHEDULE : args.schedule;
+      if (scheduleExpression) {
+        WorkflowScheduler.validate(scheduleExpression);
+      }
+
       // Create autonomous workflow for the upgrade
       const workflowName = `autonomous_upgrade_${args.upgrade_type}_${args.project_id}`;
-      
+      const steps = buildUpgradeSteps(args.project_id, args.upgrade_type, args.requirements || []);
+
+      // Upgrades are not part of the project's autonomous system, so they
+      // keep no project_id and survive deploying or tearing that down
       const workflow = await this.database.createAutonomousWorkflow({
         name: workflowName,
         description: `Autonomous ${args.upgrade_type} upgrade for project ${args.project_id}`,
-        triggers: ['scheduled', 'manual'],
-        actions: [
-          `analyze_project_health:${args.project_id}`,
-          `delegate_to_ai_builder:${args.upgrade_type}_upgrade`,
-          `test_upgrade:${args.project_id}`,
-          `deploy_upgrade:${args.project_id}`
-        ],
+        triggers: [scheduleExpression ? 'scheduled' : 'manual'],
+        actions: steps,
         conditions: {
           project_id: args.project_id,
           upgrade_type: args.upgrade_type,
@@ -348,6 +2372,17 @@ export class OrchestrationService {
         }
       });
 
+      let run = null;
+      if (scheduleExpression) {
+        const schedule = await this.database.createWorkflowSchedule({
+          workflow_id: workflow.id,
+          cron_expression: scheduleExpression
+        });
+        this.workflowScheduler?.add(schedule);
+      } else {
+        run = await this.runAutonomousWorkflow(workflow.id, 'manual');
+      }
+
       return {
         content: [
           {
@@ -356,9 +2391,11 @@ export class OrchestrationService {
                   `**Project ID:** ${args.project_id}\n` +
                   `**Upgrade Type:** ${args.upgrade_type}\n` +
                   `**Workflow ID:** ${workflow.id}\n` +
-                  `**Schedule:** ${args.schedule || 'immediate'}\n` +
-                  `**Requirements:** ${args.requirements?.join(', ') || 'None specified'}\n\n` +
-                  `The autonomous upgrade system will now monitor and upgrade your project automatically.`
+                  `**Schedule:** ${scheduleExpression ? `\`${scheduleExpression}\`` : 'immediate'}\n` +
+                  `**Requirements:** ${args.requirements?.join(', ') || 'None specified'}\n` +
+                  `**Steps:** ${steps.map(step => step.key).join(' → ')}\n` +
+                  (run ? `**Run:** ${run.status}${run.error_message ? ` (${run.error_message})` : ''}\n` : '') +
+                  `\nThe deploy step waits for approval when a policy requires it.`
           }
         ]
       };
@@ -464,36 +2501,67 @@ export class OrchestrationService {
         throw new Error('Project path is required');
       }
 
-      // This would integrate with actual project analysis tools
-      const analysisResult = {
-        project_path: args.project_path,
-        analysis_type: args.analysis_type || 'comprehensive',
-        health_score: 85,
-        issues_found: 3,
-        recommendations: [
-          'Update dependencies to latest versions',
-          'Add missing unit tests for critical functions',
-          'Implement proper error handling'
-        ],
-        security_issues: 1,
-        performance_issues: 2,
-        code_quality_score: 78
-      };
+      const analysis = await this.projectAnalyzer.analyze(args.project_path, args.analysis_type || 'comprehensive');
+      const { report: analysisResult, diff } = await this.healthReports.save(analysis);
+      const sarifPath = args.sarif_path ? await this.healthReports.writeSarif(analysisResult, args.sarif_path) : null;
+      const tasks = args.create_tasks
+        ? await this.createHealthFindingTasks({ ...args, report_id: analysisResult.id })
+        : null;
+
+      if (args.output_format === 'json' || args.output_format === 'sarif') {
+        const output = args.output_format === 'json' ? { ...analysisResult, diff, tasks } : toSarif(analysisResult);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(output, null, 2)
+            }
+          ]
+        };
+      }
+
+      const { metrics, findings } = analysisResult;
+      const severityCounts = ['critical', 'high', 'medium', 'low']
+        .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+        .filter(([, count]) => count > 0)
+        .map(([severity, count]) => `${count} ${severity}`);
+      const topFindings = findings.slice(0, 10).map(finding =>
+        `• [${finding.severity}] ${finding.category}: ${finding.message}`
+      );
 
       return {
         content: [
           {
             type: 'text',
             text: `🔍 **Project Health Analysis**\n\n` +
-                  `**Project:** ${args.project_path}\n` +
+                  `**Report ID:** ${analysisResult.id}\n` +
+                  `**Project:** ${analysisResult.project_path}\n` +
                   `**Analysis Type:** ${analysisResult.analysis_type}\n` +
                   `**Health Score:** ${analysisResult.health_score}/100\n` +
-                  `**Issues Found:** ${analysisResult.issues_found}\n` +
-                  `**Security Issues:** ${analysisResult.security_issues}\n` +
-                  `**Performance Issues:** ${analysisResult.performance_issues}\n` +
-                  `**Code Quality:** ${analysisResult.code_quality_score}/100\n\n` +
-                  `**Recommendations:**\n${analysisResult.recommendations.map(rec => `• ${rec}`).join('\n')}\n\n` +
-                  `Would you like me to schedule autonomous fixes for these issues?`
+                  (diff
+                    ? `**Since Report ${diff.previous_report_id}:** score ${diff.health_score_change >= 0 ? '+' : ''}${diff.health_score_change}, ` +
+                      `${diff.new_findings.length} new, ${diff.resolved_findings.length} resolved finding(s)\n`
+                    : '') +
+                  (analysisResult.analysis_type === 'comprehensive'
+                    ? `**Scores:** ${Object.entries(analysisResult.scores).map(([category, score]) => `${category} ${score}`).join(' · ')}\n`
+                    : '') +
+                  `**Files:** ${metrics.files} (${metrics.source_files} source, ${metrics.test_files} test, ${metrics.total_lines} lines of code)\n` +
+                  `**Dependencies:** ${metrics.dependencies} runtime, ${metrics.dev_dependencies} dev${metrics.lockfile ? ` (${metrics.lockfile})` : ''}\n` +
+                  `**Markers:** ${metrics.todo_count} TODO, ${metrics.fixme_count} FIXME/HACK\n` +
+                  `**Issues Found:** ${findings.length}${severityCounts.length > 0 ? ` (${severityCounts.join(', ')})` : ''}\n\n` +
+                  (topFindings.length > 0
+                    ? `**Top Findings:**\n${topFindings.join('\n')}${findings.length > 10 ? `\n…and ${findings.length - 10} more` : ''}\n\n`
+                    : '') +
+                  (analysisResult.recommendations.length > 0
+                    ? `**Recommendations:**\n${analysisResult.recommendations.map(rec => `• ${rec}`).join('\n')}\n\n`
+                    : '') +
+                  (sarifPath ? `**SARIF:** ${sarifPath}\n\n` : '') +
+                  (tasks
+                    ? this.formatHealthFindingTasks(tasks)
+                    : findings.length > 0
+                      ? `Would you like me to schedule autonomous fixes for these issues? ` +
+                        `Use create_tasks_from_health_report with report_id ${analysisResult.id}.`
+                      : 'No issues to fix.')
           }
         ]
       };
@@ -511,27 +2579,148 @@ export class OrchestrationService {
     }
   }
 
+  // Delegates one task per selected finding of a stored health report. Findings
+  // that already have an unfinished task are skipped, as are those the
+  // delegation refuses (duplicates, locked paths, no available agent).
+  async createHealthFindingTasks(args) {
+    if (!args.report_id) {
+      throw new Error('Report ID is required');
+    }
+
+    const report = await this.healthReports.get(args.report_id);
+    const created = [];
+    const skipped = [];
+
+    for (const finding of selectFindings(report, args)) {
+      const openTask = await this.database.getOpenHealthFindingTask(report.project_path, finding.fingerprint);
+      if (openTask) {
+        skipped.push({ finding, reason: `Task ${openTask.task_id} is already ${openTask.status}` });
+        continue;
+      }
+
+      const delegation = buildFindingTask(report, finding, args);
+      let submission;
+      try {
+        submission = await this.submitDelegation(delegation);
+      } catch (error) {
+        if (!error.code) {
+          throw error;
+        }
+        skipped.push({ finding, reason: error.message });
+        continue;
+      }
+
+      await this.database.createHealthFindingTask({
+        report_id: report.id,
+        project_path: report.project_path,
+        fingerprint: finding.fingerprint,
+        task_id: submission.task_id
+      });
+      await this.database.logTaskExecution(submission.task_id, null, 'health_finding_linked', {
+        report_id: report.id,
+        fingerprint: finding.fingerprint,
+        rule_id: finding.rule_id
+      });
+      created.push({ ...submission, task: delegation.task, task_type: delegation.task_type, finding });
+    }
+
+    this.logger.info(`Created ${created.length} tasks from health report ${report.id} (${skipped.length} skipped)`);
+    return { report_id: report.id, created, skipped };
+  }
+
+  async createTasksFromHealthReport(args) {
+    try {
+      const result = await this.createHealthFindingTasks(args);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🛠️ **Health Report ${result.report_id}**\n\n` + this.formatHealthFindingTasks(result)
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error creating tasks from health report:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error creating tasks from health report: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  formatHealthFindingTasks(result) {
+    if (result.created.length === 0 && result.skipped.length === 0) {
+      return 'No findings matched the selection, so no tasks were created.';
+    }
+
+    const created = result.created.map(task =>
+      `• ${task.task_id} [${task.priority}, ${task.task_type}] ${task.status}: ${task.task}`
+    );
+    const skipped = result.skipped.map(entry => `• ${entry.finding.message}: ${entry.reason}`);
+
+    return `**Follow-up Tasks:** ${result.created.length} created, ${result.skipped.length} skipped\n` +
+           (created.length > 0 ? `${created.join('\n')}\n` : '') +
+           (skipped.length > 0 ? `\n**Skipped:**\n${skipped.join('\n')}\n` : '') +
+           (created.length > 0 ? '\nUse monitor_ai_builder to follow the tasks.' : '');
+  }
+
+  // Creates a scheduled workflow for every enabled deployment_config flag.
+  // Deploying again replaces the project's previous setup.
   async deployAutonomousSystem(args) {
     try {
       if (!args.project_id) {
         throw new Error('Project ID is required');
       }
 
-      const deploymentConfig = args.deployment_config || {
-        auto_testing: true,
-        auto_deployment: true,
-        auto_monitoring: true,
-        auto_scaling: false
-      };
+      const deploymentConfig = { ...DEFAULT_DEPLOYMENT_CONFIG, ...args.deployment_config };
+      const definitions = buildAutomationWorkflows(args.project_id, deploymentConfig, args.project_path || null);
+      definitions.forEach(definition => WorkflowScheduler.validate(definition.schedule));
+
+      const previous = await this.removeAutonomousSystem(args.project_id);
 
       // Create project integration
       const integration = await this.database.createProjectIntegration({
         project_id: args.project_id,
         project_name: `Project ${args.project_id}`,
+        project_path: args.project_path || null,
         integration_type: 'autonomous_system',
         configuration: deploymentConfig
       });
 
+      const workflows = [];
+      for (const definition of definitions) {
+        const workflow = await this.database.createAutonomousWorkflow({
+          name: definition.name,
+          description: definition.description,
+          triggers: ['scheduled'],
+          actions: definition.steps,
+          conditions: { project_id: args.project_id, project_path: args.project_path || null, feature: definition.flag },
+          project_id: args.project_id
+        });
+        const schedule = await this.database.createWorkflowSchedule({
+          workflow_id: workflow.id,
+          project_id: args.project_id,
+          cron_expression: definition.schedule
+        });
+        this.workflowScheduler?.add(schedule);
+        workflows.push({ ...definition, workflow_id: workflow.id, schedule_id: schedule.id });
+      }
+
+      this.logger.info(`Deployed autonomous system for project ${args.project_id} with ${workflows.length} workflows`);
+
+      const featureLines = Object.entries(AUTOMATION_FEATURES).map(([flag, feature]) => {
+        const workflow = workflows.find(entry => entry.flag === flag);
+        return workflow
+          ? `**${feature.label}:** Enabled — workflow ${workflow.workflow_id}, \`${workflow.schedule}\`, ${workflow.steps.map(step => step.key).join(' → ')}`
+          : `**${feature.label}:** Disabled`;
+      });
+
       return {
         content: [
           {
@@ -539,11 +2728,12 @@ export class OrchestrationService {
             text: `🚀 **Autonomous System Deployed**\n\n` +
                   `**Project ID:** ${args.project_id}\n` +
                   `**Integration ID:** ${integration.id}\n` +
-                  `**Auto Testing:** ${deploymentConfig.auto_testing ? 'Enabled' : 'Disabled'}\n` +
-                  `**Auto Deployment:** ${deploymentConfig.auto_deployment ? 'Enabled' : 'Disabled'}\n` +
-                  `**Auto Monitoring:** ${deploymentConfig.auto_monitoring ? 'Enabled' : 'Disabled'}\n` +
-                  `**Auto Scaling:** ${deploymentConfig.auto_scaling ? 'Enabled' : 'Disabled'}\n\n` +
-                  `Your project now has an autonomous development system that will automatically test, deploy, and monitor your application.`
+                  (previous.workflows_removed > 0 ? `**Replaced:** ${previous.workflows_removed} previous workflow(s)\n` : '') +
+                  `${featureLines.join('\n')}\n\n` +
+                  (this.workflowScheduler
+                    ? `Each workflow delegates its steps on schedule; deploy steps wait for approval when a policy requires it. ` +
+                      `Use get_autonomous_system_status to see what is active and teardown_autonomous_system to remove it.`
+                    : `No workflow scheduler is attached, so the workflows are stored but will not run.`)
           }
         ]
       };
@@ -561,6 +2751,266 @@ export class OrchestrationService {
     }
   }
 
+  // Delegates the workflow's steps in order, wiring depends_on between them.
+  // A run is skipped while the tasks of an earlier run are still open; that is
+  // checked for every step before any is submitted, and steps already
+  // submitted are cancelled when a later one fails, so a run never goes ahead
+  // half way.
+  async runAutonomousWorkflow(workflowId, triggerType = 'manual') {
+    const workflow = await this.database.getAutonomousWorkflow(workflowId);
+    if (!workflow || !workflow.is_active) {
+      const error = new Error(`Workflow ${workflowId} not found`);
+      error.code = 'WORKFLOW_NOT_FOUND';
+      throw error;
+    }
+
+    // Upgrade workflows are not tied to the project's autonomous system
+    const projectId = workflow.project_id ?? workflow.conditions.project_id;
+    const steps = this.getWorkflowSteps(workflow);
+    const taskIds = {};
+    let healthReportId = null;
+    let status = 'started';
+    let errorMessage = null;
+
+    try {
+      if (!steps) {
+        throw new Error(`Workflow ${workflow.name} has no runnable steps`);
+      }
+
+      for (const step of steps.filter(entry => entry.type === 'delegate')) {
+        await this.rejectDuplicateTask({ task: step.task, project_context: { project_id: projectId } });
+      }
+
+      for (const step of steps) {
+        if (step.type === 'health_check') {
+          const analysis = await this.projectAnalyzer.analyze(workflow.conditions.project_path);
+          const { report } = await this.healthReports.save(analysis);
+          const findingTasks = await this.createHealthFindingTasks({
+            report_id: report.id,
+            min_severity: step.min_severity,
+            project_id: projectId
+          });
+          healthReportId = report.id;
+          taskIds[step.key] = findingTasks.created.map(task => task.task_id);
+          continue;
+        }
+
+        const submission = await this.submitDelegation({
+          task: step.task,
+          task_type: step.task_type,
+          project_context: {
+            project_id: projectId,
+            priority: step.priority,
+            ...(step.on_dependency_failure ? { on_dependency_failure: step.on_dependency_failure } : {}),
+            autonomous_workflow: { workflow_id: workflow.id, name: workflow.name, step: step.key }
+          },
+          depends_on: (step.depends_on || []).map(key => taskIds[key])
+        });
+        taskIds[step.key] = submission.task_id;
+      }
+    } catch (error) {
+      status = error.code === 'DUPLICATE_TASK' ? 'skipped' : 'failed';
+      errorMessage = error.message;
+      if (status === 'failed') {
+        this.logger.error(`Workflow ${workflow.name} run failed:`, error);
+      }
+
+      const submitted = Object.values(taskIds).flat();
+      for (const taskId of submitted) {
+        await this.cancelDelegatedTask({
+          task_id: taskId,
+          cancelled_by: 'system',
+          reason: `Workflow ${workflow.name} run ${status}: ${error.message}`
+        }).catch(cancelError => {
+          this.logger.warn(`Could not cancel task ${taskId} of workflow ${workflow.name}: ${cancelError.message}`);
+        });
+      }
+    }
+
+    const run = await this.database.createWorkflowRun({
+      workflow_id: workflow.id,
+      trigger_type: triggerType,
+      status,
+      task_ids: taskIds,
+      health_report_id: healthReportId,
+      error_message: errorMessage
+    });
+    await this.database.markWorkflowExecuted(workflow.id);
+
+    this.logger.info(`Workflow ${workflow.name} run ${run.id} ${status}${errorMessage ? `: ${errorMessage}` : ''}`);
+    return run;
+  }
+
+  // Upgrades scheduled before they were stored as steps only hold descriptive
+  // action strings; their steps are rebuilt from the workflow conditions.
+  // Returns null for other workflows without steps.
+  getWorkflowSteps(workflow) {
+    if (workflow.actions.length > 0 && workflow.actions.every(step => typeof step === 'object')) {
+      return workflow.actions;
+    }
+    if (workflow.conditions.upgrade_type) {
+      return buildUpgradeSteps(
+        workflow.conditions.project_id,
+        workflow.conditions.upgrade_type,
+        workflow.conditions.requirements || []
+      );
+    }
+    return null;
+  }
+
+  // Stops and deletes the project's workflow schedules, workflows and run
+  // history and deactivates its integration; optionally cancels the tasks
+  // those workflows started that have not finished yet
+  async removeAutonomousSystem(projectId, options = {}) {
+    const workflows = await this.database.getProjectWorkflows(projectId);
+    const schedules = await this.database.getProjectWorkflowSchedules(projectId);
+    schedules.forEach(schedule => this.workflowScheduler?.remove(schedule.id));
+
+    const cancelledTasks = [];
+    if (options.cancel_tasks) {
+      for (const workflow of workflows) {
+        for (const run of await this.database.getWorkflowRuns(workflow.id)) {
+          for (const taskId of Object.values(run.task_ids).flat()) {
+            const task = await this.database.getTask(taskId);
+            if (task && !TERMINAL_TASK_STATUSES.includes(task.status)) {
+              await this.cancelDelegatedTask({
+                task_id: taskId,
+                cancelled_by: options.cancelled_by || 'system',
+                reason: `Autonomous system for project ${projectId} was torn down`
+              });
+              cancelledTasks.push(taskId);
+            }
+          }
+        }
+      }
+    }
+
+    const workflowsRemoved = await this.database.deleteProjectWorkflows(projectId);
+    const integrationsDeactivated = await this.database.deactivateProjectIntegrations(projectId, 'autonomous_system');
+
+    if (workflowsRemoved > 0 || integrationsDeactivated > 0) {
+      this.logger.info(`Removed autonomous system for project ${projectId} (${workflowsRemoved} workflows)`);
+    }
+    return {
+      project_id: projectId,
+      workflows_removed: workflowsRemoved,
+      schedules_removed: schedules.length,
+      integrations_deactivated: integrationsDeactivated,
+      cancelled_tasks: cancelledTasks
+    };
+  }
+
+  async teardownAutonomousSystem(args) {
+    try {
+      if (!args.project_id) {
+        throw new Error('Project ID is required');
+      }
+
+      const removal = await this.removeAutonomousSystem(args.project_id, {
+        cancel_tasks: args.cancel_running_tasks,
+        cancelled_by: args.cancelled_by || 'mcp'
+      });
+      if (removal.workflows_removed === 0 && removal.integrations_deactivated === 0) {
+        throw new Error(`No autonomous system is deployed for project ${args.project_id}`);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🧹 **Autonomous System Removed**\n\n` +
+                  `**Project ID:** ${removal.project_id}\n` +
+                  `**Workflows Removed:** ${removal.workflows_removed}\n` +
+                  `**Schedules Stopped:** ${removal.schedules_removed}\n` +
+                  `**Tasks Cancelled:** ${removal.cancelled_tasks.length}\n\n` +
+                  (args.cancel_running_tasks
+                    ? 'Nothing will be scheduled for this project anymore.'
+                    : 'Nothing will be scheduled for this project anymore; tasks already started keep running.')
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error tearing down autonomous system:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error tearing down autonomous system: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async getAutonomousSystemStatus(args) {
+    try {
+      if (!args.project_id) {
+        throw new Error('Project ID is required');
+      }
+
+      const integration = await this.database.getProjectIntegration(args.project_id, 'autonomous_system');
+      const workflows = await this.database.getProjectWorkflows(args.project_id);
+      if (!integration && workflows.length === 0) {
+        throw new Error(`No autonomous system is deployed for project ${args.project_id}`);
+      }
+
+      const schedules = await this.database.getProjectWorkflowSchedules(args.project_id);
+      const sections = [];
+      for (const workflow of workflows) {
+        const feature = AUTOMATION_FEATURES[workflow.conditions.feature];
+        const schedule = schedules.find(entry => entry.workflow_id === workflow.id);
+        const active = schedule && this.workflowScheduler?.isScheduled(schedule.id);
+        const lastRun = await this.database.getLatestWorkflowRun(workflow.id);
+
+        let runLine = '  Last run: never';
+        if (lastRun) {
+          const steps = [];
+          for (const [key, value] of Object.entries(lastRun.task_ids)) {
+            for (const taskId of [value].flat()) {
+              const task = await this.database.getTask(taskId);
+              steps.push(`${key} ${taskId} (${task?.status || 'unknown'})`);
+            }
+          }
+          runLine = `  Last run: ${lastRun.started_at} ${lastRun.status}` +
+            (lastRun.error_message ? ` — ${lastRun.error_message}` : '') +
+            (steps.length > 0 ? `\n  Tasks: ${steps.join(', ')}` : '') +
+            (lastRun.health_report_id ? `\n  Health report: ${lastRun.health_report_id}` : '');
+        }
+
+        sections.push(
+          `**${feature?.label || workflow.name}** — workflow ${workflow.id}, ` +
+          `\`${schedule?.cron_expression || 'unscheduled'}\` ${active ? '(active)' : '(not scheduled)'}, ` +
+          `${workflow.execution_count} run(s)\n${runLine}`
+        );
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🤖 **Autonomous System Status**\n\n` +
+                  `**Project ID:** ${args.project_id}\n` +
+                  `**Integration:** ${integration ? `${integration.id} (since ${integration.created_at})` : 'inactive'}\n` +
+                  `**Workflows:** ${workflows.length}\n\n` +
+                  (sections.length > 0 ? sections.join('\n\n') : 'No automation flags are enabled.')
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error('Error getting autonomous system status:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error getting autonomous system status: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
   async handleChatbotMessage(messageData) {
     try {
       // Process chatbot message and delegate to appropriate AI Builder
@@ -615,15 +3065,21 @@ export class OrchestrationService {
     return null;
   }
 
+  // Callers may name the task type; otherwise it is inferred from the description
+  resolveTaskType(args) {
+    return args.task_type || this.determineTaskType(args.task);
+  }
+
   determineTaskType(task) {
     const taskLower = task.toLowerCase();
     
-    if (taskLower.includes('build') || taskLower.includes('create')) {
+    // Deploy comes first so "deploy the new build" is not mistaken for a build
+    if (taskLower.includes('deploy')) {
+      return 'deploy';
+    } else if (taskLower.includes('build') || taskLower.includes('create')) {
       return 'build';
     } else if (taskLower.includes('test')) {
       return 'test';
-    } else if (taskLower.includes('deploy')) {
-      return 'deploy';
     } else if (taskLower.includes('fix') || taskLower.includes('debug')) {
       return 'fix';
     } else if (taskLower.includes('refactor')) {
@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events';
+import winston from 'winston';
+
+export const TERMINAL_TASK_STATUSES = ['completed', 'failed', 'cancelled', 'timed_out', 'rejected', 'skipped'];
+
+// Live view of running tasks. Progress updates, agent log lines and status
+// changes are persisted in task_progress_events and fanned out to followers
+// (the SSE endpoint and MCP progress notifications), so a client that connects
+// late or reconnects replays what it missed before receiving new events.
+export class ProgressStream extends EventEmitter {
+  constructor(database) {
+    super();
+    this.database = database;
+    // One listener per open SSE connection or followed MCP request
+    this.setMaxListeners(0);
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  async record(taskId, eventType, data = {}) {
+    const event = await this.database.createTaskProgressEvent({
+      task_id: taskId,
+      event_type: eventType,
+      ...data
+    });
+
+    this.emit(`task:${taskId}`, event);
+    return event;
+  }
+
+  // Replays the events recorded after afterId, then forwards new ones until the
+  // task reaches a terminal status or stop() is called. done resolves either way.
+  follow(taskId, afterId, listener) {
+    let lastId = afterId;
+    let replayed = false;
+    let stopped = false;
+    let finish;
+    const done = new Promise(resolve => {
+      finish = resolve;
+    });
+    const buffered = [];
+
+    const stop = () => {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      this.off(`task:${taskId}`, onEvent);
+      finish();
+    };
+
+    const deliver = event => {
+      if (stopped || event.id <= lastId) {
+        return;
+      }
+      lastId = event.id;
+      listener(event);
+      if (event.event_type === 'status' && TERMINAL_TASK_STATUSES.includes(event.status)) {
+        stop();
+      }
+    };
+
+    // Events recorded while the history is read are held back to keep the order
+    const onEvent = event => (replayed ? deliver(event) : buffered.push(event));
+    this.on(`task:${taskId}`, onEvent);
+
+    (async () => {
+      const task = await this.database.getTask(taskId);
+      for (const event of await this.database.getTaskProgressEvents(taskId, afterId)) {
+        deliver(event);
+      }
+      replayed = true;
+      buffered.forEach(deliver);
+
+      if (!task || TERMINAL_TASK_STATUSES.includes(task.status)) {
+        stop();
+      }
+    })().catch(error => {
+      this.logger.error(`Error replaying progress for task ${taskId}:`, error);
+      stop();
+    });
+
+    return { stop, done };
+  }
+}
@@ -0,0 +1,41 @@
+import { classifyError } from '../agent-manager/circuit-breaker.js';
+
+// Failed executions are retried with exponential backoff, each attempt on the
+// best agent that has not failed the task yet. A task's policy comes from
+// project_context.retry_policy:
+//   { max_attempts, backoff_ms, backoff_multiplier, max_backoff_ms, retryable_errors }
+// with the RETRY_* environment variables as defaults. retryable_errors lists
+// classifyError() types; 'task' covers failures the agent reported itself.
+export const DEFAULT_RETRY_POLICY = {
+  max_attempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  backoff_ms: parseInt(process.env.RETRY_BACKOFF_MS) || 5000,
+  backoff_multiplier: 2,
+  max_backoff_ms: parseInt(process.env.RETRY_MAX_BACKOFF_MS) || 5 * 60 * 1000,
+  retryable_errors: ['network', 'timeout', 'server', 'rate_limited', 'task']
+};
+
+// Outcomes another attempt cannot change
+const NON_RETRYABLE_CODES = ['REVIEW_REJECTED', 'REVIEW_INCONCLUSIVE', 'TASK_CANCELLED'];
+
+export function resolveRetryPolicy(projectContext = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...(projectContext.retry_policy || {}) };
+}
+
+export function isRetryableError(policy, error) {
+  if (NON_RETRYABLE_CODES.includes(error.code)) {
+    return false;
+  }
+  // Retrying cannot bring a passed deadline back
+  if (error.code === 'TASK_TIMED_OUT' && error.timeoutReason === 'deadline') {
+    return false;
+  }
+  return policy.retryable_errors.includes(classifyError(error));
+}
+
+// Delay before the given attempt (2 is the first retry)
+export function getRetryDelay(policy, attempt) {
+  return Math.min(
+    policy.max_backoff_ms,
+    policy.backoff_ms * Math.pow(policy.backoff_multiplier, attempt - 2)
+  );
+}
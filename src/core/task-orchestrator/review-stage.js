@@ -0,0 +1,43 @@
+// Reviews are ordinary adapter submissions with taskType 'review'. Reviewers
+// report their verdict as result.review = { verdict, comments }; plain text
+// output works too, where output starting with APPROVED accepts the work and
+// output starting with REJECTED or CHANGES REQUESTED sends it back to its
+// author. Anything else is inconclusive, as is a review that could not run.
+export const REVIEW_VERDICTS = ['approved', 'rejected', 'inconclusive'];
+
+export function buildReviewRequest(author, taskArgs, result, round) {
+  const criteria = taskArgs.project_context?.acceptance_criteria || [];
+
+  return `Review round ${round}: check the work ${author.name} delivered for the task below and ` +
+    `answer APPROVED or REJECTED with comments.\n\n` +
+    `Task: ${taskArgs.task}\n\n` +
+    (criteria.length > 0 ? `Acceptance criteria:\n${criteria.map(criterion => `- ${criterion}`).join('\n')}\n\n` : '') +
+    `Result:\n${formatResultForReview(result)}`;
+}
+
+export function buildRevisionRequest(taskArgs, review, round) {
+  return `${taskArgs.task}\n\n` +
+    `Your previous result was rejected in review round ${round}. Address this feedback:\n${review.comments || 'No comments given'}`;
+}
+
+export function parseReviewVerdict(result) {
+  if (result?.review && REVIEW_VERDICTS.includes(result.review.verdict)) {
+    return { verdict: result.review.verdict, comments: result.review.comments || '' };
+  }
+
+  const output = String(result?.output ?? '').trim();
+  if (/^(rejected|changes requested)\b/i.test(output)) {
+    return { verdict: 'rejected', comments: output };
+  }
+  if (/^approved\b/i.test(output)) {
+    return { verdict: 'approved', comments: output };
+  }
+  return { verdict: 'inconclusive', comments: output || 'The reviewer gave no verdict' };
+}
+
+function formatResultForReview(result) {
+  if (typeof result?.output === 'string') {
+    return result.output;
+  }
+  return JSON.stringify(result, null, 2);
+}
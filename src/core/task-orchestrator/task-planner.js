@@ -0,0 +1,156 @@
+// Capabilities each planning phase asks the router for. Where several agents
+// share a phase's core capability a second one is listed, so the agent that
+// covers the whole phase ranks first (claude for design, devin for
+// implementation, cursor for review, ...).
+export const PHASE_CAPABILITIES = {
+  design: ['architecture_design', 'planning'],
+  implementation: ['full_stack_development', 'code_generation'],
+  testing: ['testing', 'debugging'],
+  review: ['code_review']
+};
+
+// Breaks a large request into a DAG of subtasks. Callers may pass their own
+// subtasks ({ key, task, capabilities, agent, depends_on }); otherwise the request is
+// split into a design step, one implementation step per listed feature
+// ("... with auth, billing and a dashboard") and test and review steps that
+// depend on every implementation step.
+export class TaskPlanner {
+  plan(task, explicitSubtasks = null) {
+    const subtasks = explicitSubtasks?.length > 0
+      ? this.normalizeSubtasks(explicitSubtasks)
+      : this.buildDefaultPlan(task);
+
+    this.validatePlan(subtasks);
+    return subtasks;
+  }
+
+  normalizeSubtasks(subtasks) {
+    return subtasks.map((subtask, index) => ({
+      key: subtask.key || `step-${index + 1}`,
+      task: subtask.task,
+      required_capabilities: subtask.capabilities || [],
+      preferred_agent: subtask.agent,
+      depends_on: subtask.depends_on || []
+    }));
+  }
+
+  buildDefaultPlan(task) {
+    const { subject, features } = this.splitFeatures(task);
+    const subtasks = [
+      {
+        key: 'design',
+        task: `Design the architecture for: ${task}`,
+        required_capabilities: PHASE_CAPABILITIES.design,
+        depends_on: []
+      }
+    ];
+
+    const implementationKeys = [];
+    if (features.length === 0) {
+      implementationKeys.push('implement');
+      subtasks.push({
+        key: 'implement',
+        task: `Implement: ${task}`,
+        required_capabilities: PHASE_CAPABILITIES.implementation,
+        depends_on: ['design']
+      });
+    } else {
+      features.forEach(feature => {
+        const baseKey = `implement-${feature.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'feature'}`;
+        // "C++" and "C#" both slug to implement-c; later ones get a numeric suffix
+        let key = baseKey;
+        for (let suffix = 2; implementationKeys.includes(key); suffix++) {
+          key = `${baseKey}-${suffix}`;
+        }
+        implementationKeys.push(key);
+        subtasks.push({
+          key,
+          task: `Implement ${feature} for ${subject}`,
+          required_capabilities: PHASE_CAPABILITIES.implementation,
+          depends_on: ['design']
+        });
+      });
+    }
+
+    subtasks.push(
+      {
+        key: 'test',
+        task: `Write and run tests for: ${task}`,
+        required_capabilities: PHASE_CAPABILITIES.testing,
+        depends_on: implementationKeys
+      },
+      {
+        key: 'review',
+        task: `Review the implementation of: ${task}`,
+        required_capabilities: PHASE_CAPABILITIES.review,
+        depends_on: implementationKeys
+      }
+    );
+
+    return subtasks;
+  }
+
+  // "build a SaaS app with auth, billing and a dashboard"
+  //   -> { subject: 'build a SaaS app', features: ['auth', 'billing', 'dashboard'] }
+  splitFeatures(task) {
+    const match = task.match(/^(.*?)\s+\b(?:with|including|featuring)\b\s+(.+)$/i);
+    if (!match) {
+      return { subject: task, features: [] };
+    }
+
+    const features = match[2]
+      .split(/,|\band\b|\bplus\b/i)
+      .map(feature => feature.trim().replace(/^(?:an?|the)\s+/i, '').replace(/[.!]+$/, ''))
+      .filter(Boolean);
+
+    return { subject: match[1].trim(), features: [...new Set(features)] };
+  }
+
+  // Keys must be unique, dependencies must exist and the graph must be acyclic
+  validatePlan(subtasks) {
+    const keys = new Set();
+    for (const subtask of subtasks) {
+      if (!subtask.task) {
+        throw new Error(`Subtask ${subtask.key} has no task description`);
+      }
+      if (keys.has(subtask.key)) {
+        throw new Error(`Duplicate subtask key: ${subtask.key}`);
+      }
+      keys.add(subtask.key);
+    }
+
+    for (const subtask of subtasks) {
+      const unknown = subtask.depends_on.filter(key => !keys.has(key));
+      if (unknown.length > 0) {
+        throw new Error(`Subtask ${subtask.key} depends on unknown subtasks: ${unknown.join(', ')}`);
+      }
+    }
+
+    this.topologicalOrder(subtasks);
+  }
+
+  topologicalOrder(subtasks) {
+    const byKey = new Map(subtasks.map(subtask => [subtask.key, subtask]));
+    const visiting = new Set();
+    const visited = new Set();
+    const order = [];
+
+    const visit = (key, path) => {
+      if (visited.has(key)) {
+        return;
+      }
+      if (visiting.has(key)) {
+        throw new Error(`Subtask dependencies form a cycle: ${[...path, key].join(' -> ')}`);
+      }
+
+      visiting.add(key);
+      byKey.get(key).depends_on.forEach(dependency => visit(dependency, [...path, key]));
+      visiting.delete(key);
+      visited.add(key);
+      order.push(byKey.get(key));
+    };
+
+    subtasks.forEach(subtask => visit(subtask.key, []));
+    return order;
+  }
+}
@@ -0,0 +1,190 @@
+import winston from 'winston';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+// Seeded on startup when missing; edits made through the API are kept
+export const DEFAULT_TASK_TEMPLATES = [
+  {
+    name: 'crud-endpoint',
+    description: 'REST endpoints to create, read, update, delete and list a resource',
+    task: 'Add CRUD endpoints for {{resource}} to {{service}}',
+    parameters: [
+      { name: 'resource', description: 'Resource the endpoints manage, e.g. invoices', required: true },
+      { name: 'service', description: 'Service or API that gets the endpoints', default: 'the API' }
+    ],
+    project_context: { priority: 'medium' },
+    preferred_agent: 'devin',
+    acceptance_criteria: [
+      'Create, read, update, delete and list endpoints exist for {{resource}}',
+      'Invalid input is rejected with a 4xx response that names the problem',
+      'Tests cover every endpoint, including not-found cases'
+    ]
+  },
+  {
+    name: 'upgrade-dependency',
+    description: 'Upgrade a dependency and fix what its breaking changes break',
+    task: 'Upgrade {{package}} to {{version}} and fix any breaking changes',
+    parameters: [
+      { name: 'package', description: 'Dependency to upgrade', required: true },
+      { name: 'version', description: 'Target version', default: 'the latest version' }
+    ],
+    project_context: { priority: 'medium', paths: ['package.json', 'package-lock.json'] },
+    preferred_agent: 'cursor',
+    acceptance_criteria: [
+      'The manifest and lockfile pin {{package}} to {{version}}',
+      'The build and the test suite pass',
+      'Breaking changes that needed code changes are listed in the result'
+    ]
+  },
+  {
+    name: 'fix-bug',
+    description: 'Reproduce a bug with a test, then fix it',
+    task: 'Fix bug: {{summary}}',
+    parameters: [
+      { name: 'summary', description: 'What goes wrong', required: true },
+      { name: 'reproduction', description: 'Steps or input that trigger the bug' }
+    ],
+    project_context: { priority: 'high', reproduction: '{{reproduction}}' },
+    preferred_agent: 'auto',
+    acceptance_criteria: [
+      'A regression test reproduces the bug and passes with the fix',
+      'Existing tests still pass'
+    ]
+  },
+  {
+    name: 'write-tests',
+    description: 'Add automated tests for an existing module',
+    task: 'Write tests for {{target}}',
+    parameters: [
+      { name: 'target', description: 'Module, file or feature to test', required: true },
+      { name: 'coverage', description: 'Minimum line coverage in percent', default: '80' }
+    ],
+    project_context: { priority: 'low' },
+    preferred_agent: 'auto',
+    acceptance_criteria: [
+      'Line coverage of {{target}} is at least {{coverage}}%',
+      'Tests run in the existing test suite without network access'
+    ]
+  }
+];
+
+// Named, parameterized tasks for work that is requested over and over. The
+// task text, acceptance criteria and string values of the default
+// project_context may use {{parameter}} placeholders; rendering fills them in
+// and produces delegate_to_ai_builder arguments.
+export class TaskTemplateLibrary {
+  constructor(database) {
+    this.database = database;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  async initialize() {
+    let seeded = 0;
+    for (const template of DEFAULT_TASK_TEMPLATES) {
+      if (!(await this.database.getTaskTemplate(template.name))) {
+        await this.database.saveTaskTemplate(template);
+        seeded++;
+      }
+    }
+
+    if (seeded > 0) {
+      this.logger.info(`Seeded ${seeded} default task templates`);
+    }
+  }
+
+  async list() {
+    return await this.database.getTaskTemplates();
+  }
+
+  async get(name) {
+    const template = await this.database.getTaskTemplate(name);
+    if (!template) {
+      const error = new Error(`Task template ${name} not found`);
+      error.code = 'TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+    return template;
+  }
+
+  async save(templateData) {
+    this.validate(templateData);
+    return await this.database.saveTaskTemplate(templateData);
+  }
+
+  async delete(name) {
+    await this.get(name);
+    await this.database.deleteTaskTemplate(name);
+  }
+
+  // Every placeholder must refer to a declared parameter
+  validate(template) {
+    const declared = new Set((template.parameters || []).map(parameter => parameter.name));
+    const texts = [
+      template.task,
+      ...(template.acceptance_criteria || []),
+      ...Object.values(template.project_context || {}).filter(value => typeof value === 'string')
+    ];
+
+    const undeclared = new Set();
+    for (const text of texts) {
+      for (const [, name] of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!declared.has(name)) {
+          undeclared.add(name);
+        }
+      }
+    }
+
+    if (undeclared.size > 0) {
+      const error = new Error(`Template ${template.name} uses undeclared parameter(s): ${[...undeclared].join(', ')}`);
+      error.code = 'INVALID_TEMPLATE';
+      throw error;
+    }
+  }
+
+  render(template, values = {}) {
+    const declared = new Set(template.parameters.map(parameter => parameter.name));
+    const unknown = Object.keys(values).filter(name => !declared.has(name));
+    const missing = template.parameters
+      .filter(parameter => parameter.required && (values[parameter.name] ?? '') === '')
+      .map(parameter => parameter.name);
+
+    if (unknown.length > 0 || missing.length > 0) {
+      const problems = [
+        missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+        unknown.length > 0 ? `unknown ${unknown.join(', ')}` : null
+      ].filter(Boolean);
+      const error = new Error(`Invalid parameters for template ${template.name}: ${problems.join('; ')}`);
+      error.code = 'INVALID_TEMPLATE_PARAMETERS';
+      throw error;
+    }
+
+    const resolved = Object.fromEntries(template.parameters.map(parameter => [
+      parameter.name,
+      String(values[parameter.name] ?? parameter.default ?? '')
+    ]));
+    const fill = text => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => resolved[name]);
+
+    // Context values left empty by an optional parameter are dropped
+    const projectContext = {};
+    for (const [key, value] of Object.entries(template.project_context)) {
+      const rendered = typeof value === 'string' ? fill(value) : value;
+      if (rendered !== '') {
+        projectContext[key] = rendered;
+      }
+    }
+
+    return {
+      task: fill(template.task),
+      preferred_agent: template.preferred_agent || undefined,
+      project_context: {
+        ...projectContext,
+        acceptance_criteria: template.acceptance_criteria.map(fill),
+        template: { name: template.name, parameters: resolved }
+      }
+    };
+  }
+}
@@ -0,0 +1,148 @@
+// What each deploy_autonomous_system flag sets up: a workflow of steps run on a
+// cron schedule. 'delegate' steps go through the normal delegation path, so
+// approval policies (deploys need one by default), duplicate detection and
+// task dependencies apply; 'health_check' steps analyze the project on disk and
+// delegate fixes for critical findings.
+export const AUTOMATION_FEATURES = {
+  auto_testing: {
+    key: 'testing',
+    label: 'Auto Testing',
+    schedule: '0 */6 * * *',
+    steps: ({ projectId }) => [
+      {
+        key: 'test',
+        type: 'delegate',
+        task: `Run the full test suite of project ${projectId} and fix any failing tests`,
+        task_type: 'test',
+        priority: 'medium'
+      }
+    ]
+  },
+  auto_deployment: {
+    key: 'deployment',
+    label: 'Auto Deployment',
+    schedule: '0 3 * * *',
+    steps: ({ projectId }) => [
+      {
+        key: 'verify',
+        type: 'delegate',
+        task: `Verify that the main branch of project ${projectId} builds and passes its tests before release`,
+        task_type: 'test',
+        priority: 'high'
+      },
+      {
+        key: 'deploy',
+        type: 'delegate',
+        task: `Deploy the verified main branch of project ${projectId} to production`,
+        task_type: 'deploy',
+        priority: 'high',
+        depends_on: ['verify'],
+        // A failed verification skips the release instead of failing it
+        on_dependency_failure: 'skip'
+      }
+    ]
+  },
+  auto_monitoring: {
+    key: 'monitoring',
+    label: 'Auto Monitoring',
+    schedule: '0 * * * *',
+    steps: ({ projectId, projectPath }) => [
+      projectPath
+        ? { key: 'health', type: 'health_check', min_severity: 'critical' }
+        : {
+          key: 'monitor',
+          type: 'delegate',
+          task: `Review error rates, logs and uptime of project ${projectId} and report anomalies`,
+          task_type: 'general',
+          priority: 'medium'
+        }
+    ]
+  },
+  auto_scaling: {
+    key: 'scaling',
+    label: 'Auto Scaling',
+    schedule: '30 * * * *',
+    steps: ({ projectId }) => [
+      {
+        key: 'scale',
+        type: 'delegate',
+        task: `Review resource usage of project ${projectId} and adjust its scaling to the current load`,
+        task_type: 'scale',
+        priority: 'medium'
+      }
+    ]
+  }
+};
+
+export const DEFAULT_DEPLOYMENT_CONFIG = {
+  auto_testing: true,
+  auto_deployment: true,
+  auto_monitoring: true,
+  auto_scaling: false
+};
+
+// Cron expression used when an upgrade is 'scheduled' without one: Sundays at 02:00
+export const DEFAULT_UPGRADE_SCHEDULE = '0 2 * * 0';
+
+const UPGRADE_TASK_TYPES = {
+  security: 'fix',
+  performance: 'refactor',
+  features: 'build',
+  dependencies: 'build',
+  architecture: 'refactor'
+};
+
+// Steps of a schedule_autonomous_upgrade workflow. The release is an ordinary
+// deploy step, so it waits for approval like any other deployment.
+export function buildUpgradeSteps(projectId, upgradeType, requirements = []) {
+  const details = requirements.length > 0 ? ` Requirements: ${requirements.join('; ')}.` : '';
+
+  return [
+    {
+      key: 'analyze',
+      type: 'delegate',
+      task: `Analyze project ${projectId} and plan a ${upgradeType} upgrade.${details}`,
+      task_type: 'general',
+      priority: 'medium'
+    },
+    {
+      key: 'upgrade',
+      type: 'delegate',
+      task: `Carry out the planned ${upgradeType} upgrade of project ${projectId}.${details}`,
+      task_type: UPGRADE_TASK_TYPES[upgradeType] || 'general',
+      priority: 'high',
+      depends_on: ['analyze']
+    },
+    {
+      key: 'test',
+      type: 'delegate',
+      task: `Run the full test suite of project ${projectId} against the ${upgradeType} upgrade`,
+      task_type: 'test',
+      priority: 'high',
+      depends_on: ['upgrade']
+    },
+    {
+      key: 'deploy',
+      type: 'delegate',
+      task: `Deploy the tested ${upgradeType} upgrade of project ${projectId} to production`,
+      task_type: 'deploy',
+      priority: 'high',
+      depends_on: ['test'],
+      on_dependency_failure: 'skip'
+    }
+  ];
+}
+
+// Workflow definitions for the enabled flags; deploymentConfig.schedules may
+// override the cron expression per feature key (testing, deployment, ...)
+export function buildAutomationWorkflows(projectId, deploymentConfig, projectPath = null) {
+  return Object.entries(AUTOMATION_FEATURES)
+    .filter(([flag]) => deploymentConfig[flag])
+    .map(([flag, feature]) => ({
+      flag,
+      name: `autonomous_${feature.key}_${projectId}`,
+      description: `${feature.label} for project ${projectId}`,
+      schedule: deploymentConfig.schedules?.[feature.key] || feature.schedule,
+      steps: feature.steps({ projectId, projectPath })
+    }));
+}
@@ -1,18 +1,27 @@
 import winston from 'winston';
 import { v4 as uuidv4 } from 'uuid';
 
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
 export class TaskQueue {
   constructor() {
     this.queue = [];
-    this.processing = new Set();
+    this.processing = new Map();
     this.completed = new Map();
     this.failed = new Map();
+    this.cancelled = new Map();
+    this.handlers = new Map();
+    this.cancelHandlers = new Map();
+    this.dependencyResolvers = new Map();
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.simple(),
       transports: [new winston.transports.Console()],
     });
     this.isRunning = false;
+    // Tasks whose deadline falls inside this window are escalated one priority
+    // level, and to urgent inside its last quarter
+    this.escalationWindowMs = parseInt(process.env.DEADLINE_ESCALATION_WINDOW_MS) || 60 * 60 * 1000;
   }
 
   async start() {
@@ -28,15 +37,56 @@ export class TaskQueue {
     this.logger.info('Task queue stopped');
   }
 
+  // Handlers run real work for a task type; types without a handler fall back to the simulations below
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Cancel handlers stop the work a handler is running for a task of that type;
+  // without one, a processing task is only marked cancelled and left to finish
+  registerCancelHandler(type, handler) {
+    this.cancelHandlers.set(type, handler);
+  }
+
+  // Dependency resolvers decide whether a task's prerequisites allow it to run:
+  // resolver(task) -> { status: 'ready' | 'blocked' | 'failed' | 'skipped', reason }.
+  // Types without one wait for their depends_on ids to complete in this queue
+  registerDependencyResolver(type, resolver) {
+    this.dependencyResolvers.set(type, resolver);
+  }
+
   async addTask(taskData) {
     const task = {
-      id: uuidv4(),
+      id: taskData.id || uuidv4(),
       ...taskData,
       status: 'queued',
       createdAt: new Date(),
-      priority: taskData.priority || 'medium'
+      priority: taskData.priority || 'medium',
+      // Tasks are not picked up before this time (used to hold rate limited work)
+      availableAt: taskData.availableAt || null,
+      // Timestamp the task should be done by; orders tasks within a priority level
+      deadline: taskData.deadline || null,
+      // Ids of tasks that must complete before this one runs
+      dependsOn: taskData.dependsOn || []
     };
 
+    const cycle = this.findDependencyCycle(task);
+    if (cycle) {
+      const error = new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+      error.code = 'DEPENDENCY_CYCLE';
+      throw error;
+    }
+
+    // Re-added from inside its own handler (a retry or reassignment): the new
+    // entry is queued once the running one has finished, so the two never
+    // share an id in processing and the old one is not recorded as completed
+    const running = this.processing.get(task.id);
+    if (running) {
+      running.requeued = task;
+      this.logger.info(`Task ${task.id} will be queued again once its current run finishes`);
+      return task;
+    }
+
     this.queue.push(task);
     this.logger.info(`Task added to queue: ${task.id}`);
     
@@ -46,16 +96,21 @@ export class TaskQueue {
   async processQueue() {
     while (this.isRunning) {
       try {
-        // Sort queue by priority
+        // Sort queue by priority, then by deadline (earliest first, none last)
+        this.escalateApproachingDeadlines();
         this.queue.sort((a, b) => {
-          const priorityOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
-          return priorityOrder[b.priority] - priorityOrder[a.priority];
+          const byPriority = PRIORITY_LEVELS.indexOf(b.priority) - PRIORITY_LEVELS.indexOf(a.priority);
+          if (byPriority !== 0) {
+            return byPriority;
+          }
+          return (a.deadline || Number.MAX_SAFE_INTEGER) - (b.deadline || Number.MAX_SAFE_INTEGER);
         });
 
-        // Process next task if available and not at capacity
-        if (this.queue.length > 0 && this.processing.size < 10) {
-          const task = this.queue.shift();
-          this.processing.add(task.id);
+        // Process next task if one is due, unblocked and not at capacity
+        const task = this.processing.size < 10 ? await this.findNextReadyTask() : null;
+        if (task) {
+          this.queue.splice(this.queue.indexOf(task), 1);
+          this.processing.set(task.id, task);
           
           // Process task asynchronously
           this.processTask(task).catch(error => {
@@ -74,6 +129,116 @@ export class TaskQueue {
     }
   }
 
+  // Walks the queue in order; tasks whose prerequisites failed are dropped on the way
+  async findNextReadyTask() {
+    for (const task of [...this.queue]) {
+      if (task.availableAt && task.availableAt > Date.now()) {
+        continue;
+      }
+
+      const dependencies = await this.resolveDependencies(task);
+      // The task may have been cancelled while the resolver ran
+      if (!this.queue.includes(task)) {
+        continue;
+      }
+
+      if (dependencies.status === 'ready') {
+        task.blockedReason = null;
+        return task;
+      }
+      if (dependencies.status === 'blocked') {
+        task.blockedReason = dependencies.reason;
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(task), 1);
+      if (dependencies.status === 'skipped') {
+        task.status = 'skipped';
+        task.cancelReason = dependencies.reason;
+        this.recordCancelled(task);
+      } else {
+        task.status = 'failed';
+        task.error = dependencies.reason;
+        task.failedAt = new Date();
+        this.failed.set(task.id, { task, error: dependencies.reason });
+        this.logger.warn(`Task failed: ${task.id} (${dependencies.reason})`);
+      }
+    }
+
+    return null;
+  }
+
+  async resolveDependencies(task) {
+    if (!task.dependsOn?.length) {
+      return { status: 'ready' };
+    }
+
+    const resolver = this.dependencyResolvers.get(task.type);
+    if (resolver) {
+      return await resolver(task);
+    }
+
+    for (const id of task.dependsOn) {
+      if (this.failed.has(id) || this.cancelled.has(id)) {
+        return {
+          status: 'failed',
+          reason: `Prerequisite task ${id} ${this.failed.has(id) ? 'failed' : 'was cancelled'}`
+        };
+      }
+    }
+
+    const pending = task.dependsOn.filter(id => !this.completed.has(id));
+    if (pending.length > 0) {
+      return { status: 'blocked', reason: `Waiting for ${pending.length} prerequisite task(s)` };
+    }
+    return { status: 'ready' };
+  }
+
+  // Follows depends_on through the queued and processing tasks; returns the
+  // cycle as a list of ids when the new task would close one
+  findDependencyCycle(task) {
+    const dependsOn = new Map([...this.queue, ...this.processing.values()].map(queued => [queued.id, queued.dependsOn || []]));
+    dependsOn.set(task.id, task.dependsOn);
+
+    const visit = (id, path) => {
+      if (path.includes(id)) {
+        return [...path.slice(path.indexOf(id)), id];
+      }
+      for (const next of dependsOn.get(id) || []) {
+        const cycle = visit(next, [...path, id]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      return null;
+    };
+
+    return visit(task.id, []);
+  }
+
+  escalateApproachingDeadlines(now = Date.now()) {
+    for (const task of this.queue) {
+      if (!task.deadline) {
+        continue;
+      }
+
+      const remainingMs = task.deadline - now;
+      const originalPriority = task.originalPriority || task.priority;
+      let target = null;
+      if (remainingMs <= this.escalationWindowMs / 4) {
+        target = 'urgent';
+      } else if (remainingMs <= this.escalationWindowMs) {
+        target = PRIORITY_LEVELS[Math.min(PRIORITY_LEVELS.indexOf(originalPriority) + 1, PRIORITY_LEVELS.length - 1)];
+      }
+
+      if (target && PRIORITY_LEVELS.indexOf(target) > PRIORITY_LEVELS.indexOf(task.priority)) {
+        task.originalPriority = originalPriority;
+        task.priority = target;
+        this.logger.info(`Task ${task.id} escalated to ${target} priority, deadline in ${Math.round(remainingMs / 1000)}s`);
+      }
+    }
+  }
+
   async processTask(task) {
     try {
       this.logger.info(`Processing task: ${task.id}`);
@@ -85,6 +250,16 @@ export class TaskQueue {
       // Simulate task processing
       await this.executeTask(task);
 
+      if (task.status === 'cancelled') {
+        this.recordCancelled(task);
+        return;
+      }
+
+      if (task.requeued) {
+        this.requeue(task);
+        return;
+      }
+
       // Mark as completed
       task.status = 'completed';
       task.completedAt = new Date();
@@ -93,6 +268,27 @@ export class TaskQueue {
 
       this.logger.info(`Task completed: ${task.id}`);
     } catch (error) {
+      if (task.status === 'cancelled') {
+        this.recordCancelled(task);
+        return;
+      }
+
+      if (task.requeued) {
+        this.requeue(task);
+        return;
+      }
+
+      // Handler asked to hold the task (e.g. rate limited): put it back until it is due again
+      if (error.code === 'TASK_HELD') {
+        task.status = 'queued';
+        task.availableAt = Date.now() + (error.retryAfterMs || 1000);
+        task.holdReason = error.message;
+        this.queue.push(task);
+        this.processing.delete(task.id);
+        this.logger.info(`Task held: ${task.id} (${error.message}), retrying in ${error.retryAfterMs}ms`);
+        return;
+      }
+
       task.status = 'failed';
       task.error = error.message;
       task.failedAt = new Date();
@@ -104,10 +300,27 @@ export class TaskQueue {
     }
   }
 
+  requeue(task) {
+    this.processing.delete(task.id);
+    this.queue.push(task.requeued);
+    this.logger.info(`Task requeued: ${task.id}`);
+  }
+
+  recordCancelled(task) {
+    task.cancelledAt = task.cancelledAt || new Date();
+    this.cancelled.set(task.id, task);
+    this.processing.delete(task.id);
+    this.logger.info(`Task ${task.status === 'skipped' ? 'skipped' : 'cancelled'}: ${task.id}`);
+  }
+
   async executeTask(task) {
-    // This would integrate with actual task execution logic
-    // For now, we'll simulate different types of tasks
-    
+    const handler = this.handlers.get(task.type);
+    if (handler) {
+      task.result = await handler(task);
+      return;
+    }
+
+    // No handler registered for this type, so simulate it
     switch (task.type) {
       case 'build':
         await this.simulateBuildTask(task);
@@ -201,14 +414,16 @@ export class TaskQueue {
   async getAllTasks() {
     return {
       queued: this.queue,
-      processing: Array.from(this.processing).map(id => ({ id, status: 'processing' })),
+      processing: Array.from(this.processing.keys()).map(id => ({ id, status: 'processing' })),
       completed: Array.from(this.completed.values()),
       failed: Array.from(this.failed.values()).map(item => item.task),
+      cancelled: Array.from(this.cancelled.values()),
       stats: {
         totalQueued: this.queue.length,
         totalProcessing: this.processing.size,
         totalCompleted: this.completed.size,
-        totalFailed: this.failed.size
+        totalFailed: this.failed.size,
+        totalCancelled: this.cancelled.size
       }
     };
   }
@@ -217,7 +432,11 @@ export class TaskQueue {
     // Check if task is in queue
     const queuedTask = this.queue.find(task => task.id === taskId);
     if (queuedTask) {
-      return { ...queuedTask, status: 'queued' };
+      return {
+        ...queuedTask,
+        status: queuedTask.blockedReason ? 'blocked' : 'queued',
+        position: this.queue.indexOf(queuedTask) + 1
+      };
     }
 
     // Check if task is processing
@@ -237,22 +456,40 @@ export class TaskQueue {
       return { ...failedTask.task, status: 'failed' };
     }
 
+    // Also holds tasks skipped because a prerequisite failed
+    const cancelledTask = this.cancelled.get(taskId);
+    if (cancelledTask) {
+      return { ...cancelledTask };
+    }
+
     return null;
   }
 
-  async cancelTask(taskId) {
+  async cancelTask(taskId, reason = null) {
     // Remove from queue if queued
     const queueIndex = this.queue.findIndex(task => task.id === taskId);
     if (queueIndex !== -1) {
       const task = this.queue.splice(queueIndex, 1)[0];
       task.status = 'cancelled';
+      task.cancelReason = reason;
+      task.cancelledAt = new Date();
+      this.cancelled.set(taskId, task);
       this.logger.info(`Task cancelled: ${taskId}`);
       return task;
     }
 
-    // Cannot cancel processing tasks
-    if (this.processing.has(taskId)) {
-      throw new Error('Cannot cancel task that is currently processing');
+    // Processing tasks are recorded as cancelled once their handler returns
+    const processingTask = this.processing.get(taskId);
+    if (processingTask) {
+      processingTask.status = 'cancelled';
+      processingTask.cancelReason = reason;
+      processingTask.cancelledAt = new Date();
+
+      const cancelHandler = this.cancelHandlers.get(processingTask.type);
+      if (cancelHandler) {
+        await cancelHandler(processingTask);
+      }
+      return processingTask;
     }
 
     throw new Error(`Task ${taskId} not found`);
@@ -298,6 +535,7 @@ export class TaskQueue {
       processingCount: this.processing.size,
       completedCount: this.completed.size,
       failedCount: this.failed.size,
+      cancelledCount: this.cancelled.size,
       isRunning: this.isRunning,
       uptime: process.uptime()
     };
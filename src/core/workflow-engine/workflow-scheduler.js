@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+import winston from 'winston';
+
+// Runs persisted workflow schedules (see workflow_schedules) on their cron
+// expressions. The scheduler only keeps time: it emits 'workflow_due' with the
+// schedule and leaves running the workflow to whoever listens.
+export class WorkflowScheduler extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.timezone = options.timezone || process.env.WORKFLOW_SCHEDULE_TIMEZONE || undefined;
+    this.jobs = new Map();
+    this.started = false;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  static validate(expression) {
+    if (!cron.validate(expression)) {
+      const error = new Error(`Invalid cron expression: ${expression}`);
+      error.code = 'INVALID_SCHEDULE';
+      throw error;
+    }
+  }
+
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    const schedules = await this.database.getActiveWorkflowSchedules();
+    schedules.forEach(schedule => this.add(schedule));
+    this.logger.info(`Workflow scheduler started with ${schedules.length} schedules`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.stop();
+    }
+    this.jobs.clear();
+    this.started = false;
+  }
+
+  // Schedules added before start() are picked up from the database by start()
+  add(schedule) {
+    if (!this.started) {
+      return;
+    }
+
+    this.remove(schedule.id);
+    const job = cron.schedule(
+      schedule.cron_expression,
+      () => this.emit('workflow_due', schedule),
+      { timezone: this.timezone }
+    );
+    this.jobs.set(schedule.id, job);
+  }
+
+  remove(scheduleId) {
+    const job = this.jobs.get(scheduleId);
+    if (job) {
+      job.stop();
+      this.jobs.delete(scheduleId);
+    }
+  }
+
+  isScheduled(scheduleId) {
+    return this.jobs.has(scheduleId);
+  }
+}
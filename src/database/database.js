@@ -2,10 +2,14 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import winston from 'winston';
+import { TERMINAL_TASK_STATUSES } from '../core/task-orchestrator/progress-stream.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Placeholders for the TERMINAL_TASK_STATUSES parameters of an IN (...) list
+const TERMINAL_STATUS_PLACEHOLDERS = TERMINAL_TASK_STATUSES.map(() => '?').join(', ');
+
 export class DatabaseManager {
   constructor() {
     this.db = null;
@@ -16,15 +20,14 @@ export class DatabaseManager {
     });
   }
 
-  async initialize() {
+  // The database file lives in the project root unless a path is given;
+  // ':memory:' opens a throwaway database (used by the tests)
+  async initialize(dbPath = join(__dirname, '../../data/orchestrator.db')) {
     try {
-      // Create database file in the project root
-      const dbPath = join(__dirname, '../../data/orchestrator.db');
-      
       // Ensure data directory exists
       const fs = await import('fs');
-      const dataDir = join(__dirname, '../../data');
-      if (!fs.existsSync(dataDir)) {
+      const dataDir = dirname(dbPath);
+      if (dbPath !== ':memory:' && !fs.existsSync(dataDir)) {
         fs.mkdirSync(dataDir, { recursive: true });
       }
 
@@ -50,6 +53,8 @@ export class DatabaseManager {
         status TEXT DEFAULT 'active',
         capabilities TEXT, -- JSON array
         configuration TEXT, -- JSON object
+        max_concurrent_tasks INTEGER DEFAULT 5,
+        performance TEXT, -- JSON object
         last_heartbeat DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -71,6 +76,7 @@ export class DatabaseManager {
         result TEXT, -- JSON object
         error_message TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME,
         started_at DATETIME,
         completed_at DATETIME,
         FOREIGN KEY (agent_id) REFERENCES ai_agents (id)
@@ -110,6 +116,187 @@ export class DatabaseManager {
       )
     `);
 
+    // Project budgets table
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS project_budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT NOT NULL UNIQUE,
+        budget_limit REAL NOT NULL,
+        spent REAL DEFAULT 0,
+        currency TEXT DEFAULT 'USD',
+        cost_preference REAL DEFAULT 0.5, -- 0 = quality only, 1 = cheapest capable agent
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Review policies: scope_type is 'project' or 'priority'; project policies win
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS review_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope_type TEXT NOT NULL,
+        scope_value TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT 1,
+        max_rounds INTEGER DEFAULT 2,
+        reviewer_capability TEXT DEFAULT 'code_review',
+        approve_on_failure BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scope_type, scope_value)
+      )
+    `);
+
+    // Review verdicts, one row per review round
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        reviewer_agent_id INTEGER,
+        verdict TEXT NOT NULL, -- approved, rejected or inconclusive
+        comments TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks (id),
+        FOREIGN KEY (reviewer_agent_id) REFERENCES ai_agents (id)
+      )
+    `);
+
+    // Resource locks held by running tasks (paths or module:<name> within a project)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS resource_locks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        agent_id INTEGER,
+        acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (project_id, resource, task_id),
+        FOREIGN KEY (agent_id) REFERENCES ai_agents (id)
+      )
+    `);
+
+    // Tasks of these types need a human sign-off before they run; project_id '*'
+    // applies to every project without a policy of its own
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS approval_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT NOT NULL DEFAULT '*',
+        task_type TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT true,
+        expires_after_ms INTEGER DEFAULT 86400000,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (project_id, task_type)
+      )
+    `);
+
+    // Deploys need approval unless a policy says otherwise
+    this.db.exec(`
+      INSERT OR IGNORE INTO approval_policies (project_id, task_type) VALUES ('*', 'deploy')
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS approval_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        project_id TEXT,
+        task_type TEXT NOT NULL,
+        task_args TEXT, -- JSON object, used to queue the task once approved
+        status TEXT DEFAULT 'pending', -- pending, approved, rejected, expired or cancelled
+        requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        decided_by TEXT,
+        decided_at DATETIME,
+        comment TEXT
+      )
+    `);
+
+    // What agents report while a task runs, replayed to late stream subscribers
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_progress_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        event_type TEXT NOT NULL, -- progress, log or status
+        progress INTEGER,
+        status TEXT,
+        message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Reusable task descriptions with {{parameter}} placeholders
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS task_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        task TEXT NOT NULL,
+        parameters TEXT, -- JSON array of { name, description, required, default }
+        project_context TEXT, -- JSON object, defaults under the caller's project_context
+        preferred_agent TEXT,
+        acceptance_criteria TEXT, -- JSON array
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Results of analyze_project_health runs, kept to diff findings between runs
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS health_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_path TEXT NOT NULL,
+        analysis_type TEXT NOT NULL,
+        health_score INTEGER NOT NULL,
+        scores TEXT, -- JSON object of category scores
+        metrics TEXT, -- JSON object
+        findings TEXT, -- JSON array of { rule_id, category, severity, message, file, line, fingerprint }
+        recommendations TEXT, -- JSON array
+        analyzed_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tasks created to fix health report findings; the fingerprint identifies
+    // the finding across later reports of the same project
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS health_finding_tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        project_path TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (report_id) REFERENCES health_reports (id)
+      )
+    `);
+
+    // Cron schedules of autonomous workflows, run by the WorkflowScheduler
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS workflow_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workflow_id INTEGER NOT NULL,
+        project_id TEXT,
+        cron_expression TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workflow_id) REFERENCES autonomous_workflows (id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS workflow_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workflow_id INTEGER NOT NULL,
+        trigger_type TEXT NOT NULL, -- scheduled or manual
+        status TEXT NOT NULL, -- started, skipped or failed
+        task_ids TEXT, -- JSON object of step key -> task_id (array for health_check steps)
+        health_report_id INTEGER,
+        error_message TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workflow_id) REFERENCES autonomous_workflows (id)
+      )
+    `);
+
     // Chatbot integrations table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS chatbot_integrations (
@@ -152,38 +339,85 @@ export class DatabaseManager {
       )
     `);
 
+    // Columns added after the initial schema, for databases created by older versions
+    this.ensureColumn('ai_agents', 'max_concurrent_tasks', 'INTEGER DEFAULT 5');
+    this.ensureColumn('ai_agents', 'performance', 'TEXT');
+    this.ensureColumn('tasks', 'updated_at', 'DATETIME');
+    this.ensureColumn('tasks', 'project_id', 'TEXT');
+    this.ensureColumn('tasks', 'cost', 'REAL DEFAULT 0');
+    // Subtasks of a decomposed task: parent task_id and a JSON array of prerequisite task_ids
+    this.ensureColumn('tasks', 'parent_task_id', 'TEXT');
+    this.ensureColumn('tasks', 'depends_on', 'TEXT');
+    // Routing state of a delegation, so tasks restored after a restart keep
+    // their preferred agent and retry progress (failed_agents is a JSON array)
+    this.ensureColumn('tasks', 'preferred_agent', 'TEXT');
+    this.ensureColumn('tasks', 'attempt', 'INTEGER DEFAULT 1');
+    this.ensureColumn('tasks', 'failed_agents', 'TEXT');
+    this.ensureColumn('review_policies', 'approve_on_failure', 'BOOLEAN DEFAULT 0');
+    // Workflows set up by deploy_autonomous_system belong to a project
+    this.ensureColumn('autonomous_workflows', 'project_id', 'TEXT');
+
     // Create indexes for better performance
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
       CREATE INDEX IF NOT EXISTS idx_tasks_agent_id ON tasks(agent_id);
       CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+      CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+      CREATE INDEX IF NOT EXISTS idx_tasks_parent_task_id ON tasks(parent_task_id);
+      CREATE INDEX IF NOT EXISTS idx_task_reviews_task_id ON task_reviews(task_id);
+      CREATE INDEX IF NOT EXISTS idx_resource_locks_project_id ON resource_locks(project_id);
+      CREATE INDEX IF NOT EXISTS idx_approval_requests_task_id ON approval_requests(task_id);
+      CREATE INDEX IF NOT EXISTS idx_approval_requests_status ON approval_requests(status);
+      CREATE INDEX IF NOT EXISTS idx_task_progress_events_task_id ON task_progress_events(task_id, id);
+      CREATE INDEX IF NOT EXISTS idx_health_reports_project ON health_reports(project_path, analysis_type, id);
+      CREATE INDEX IF NOT EXISTS idx_health_finding_tasks_fingerprint ON health_finding_tasks(project_path, fingerprint);
       CREATE INDEX IF NOT EXISTS idx_agents_status ON ai_agents(status);
       CREATE INDEX IF NOT EXISTS idx_workflows_active ON autonomous_workflows(is_active);
+      CREATE INDEX IF NOT EXISTS idx_workflows_project_id ON autonomous_workflows(project_id);
+      CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow_id ON workflow_runs(workflow_id, id);
       CREATE INDEX IF NOT EXISTS idx_integrations_active ON project_integrations(is_active);
       CREATE INDEX IF NOT EXISTS idx_chatbot_active ON chatbot_integrations(is_active);
     `);
   }
 
+  ensureColumn(table, column, definition) {
+    const columns = this.db.pragma(`table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   // AI Agent management methods
   async registerAgent(agentData) {
+    // Upsert on name so the integer id, and every task row pointing at it, survives re-registration
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO ai_agents (name, type, status, capabilities, configuration, last_heartbeat)
-      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO ai_agents (name, type, status, capabilities, configuration, max_concurrent_tasks, performance, last_heartbeat)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(name) DO UPDATE SET
+        type = excluded.type,
+        status = excluded.status,
+        capabilities = excluded.capabilities,
+        configuration = excluded.configuration,
+        max_concurrent_tasks = excluded.max_concurrent_tasks,
+        performance = COALESCE(ai_agents.performance, excluded.performance),
+        last_heartbeat = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
     `);
 
-    const capabilities = JSON.stringify(agentData.capabilities || []);
-    const configuration = JSON.stringify(agentData.configuration || {});
-
-    const result = stmt.run(
+    stmt.run(
       agentData.name,
       agentData.type,
       agentData.status || 'active',
-      capabilities,
-      configuration
+      JSON.stringify(agentData.capabilities || []),
+      JSON.stringify(agentData.configuration || {}),
+      agentData.max_concurrent_tasks || 5,
+      JSON.stringify(agentData.performance || {})
     );
 
+    const { id } = this.db.prepare('SELECT id FROM ai_agents WHERE name = ?').get(agentData.name);
+
     return {
-      id: result.lastInsertRowid,
+      id,
       message: 'Agent registered successfully'
     };
   }
@@ -195,9 +429,33 @@ export class DatabaseManager {
     stmt.run(agentName);
   }
 
+  async updateAgentStatus(agentName, status) {
+    const stmt = this.db.prepare(`
+      UPDATE ai_agents SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?
+    `);
+    stmt.run(status, agentName);
+  }
+
+  async updateAgentConfiguration(agentName, configuration, maxConcurrentTasks) {
+    const stmt = this.db.prepare(`
+      UPDATE ai_agents
+      SET configuration = ?, max_concurrent_tasks = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE name = ?
+    `);
+    stmt.run(JSON.stringify(configuration || {}), maxConcurrentTasks, agentName);
+  }
+
+  async updateAgentPerformance(agentName, performance) {
+    const stmt = this.db.prepare(`
+      UPDATE ai_agents SET performance = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?
+    `);
+    stmt.run(JSON.stringify(performance || {}), agentName);
+  }
+
   async getAllAgents() {
     const stmt = this.db.prepare(`
-      SELECT id, name, type, status, capabilities, configuration, last_heartbeat, created_at
+      SELECT id, name, type, status, capabilities, configuration, max_concurrent_tasks,
+             performance, last_heartbeat, created_at
       FROM ai_agents 
       ORDER BY last_heartbeat DESC
     `);
@@ -214,18 +472,25 @@ export class DatabaseManager {
   // Task management methods
   async createTask(taskData) {
     const stmt = this.db.prepare(`
-      INSERT INTO tasks (task_id, agent_id, task_type, task_description, project_context, priority)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (
+        task_id, agent_id, project_id, task_type, task_description, project_context, priority,
+        parent_task_id, depends_on, preferred_agent
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const projectContext = JSON.stringify(taskData.project_context || {});
     const result = stmt.run(
       taskData.task_id,
       taskData.agent_id,
+      taskData.project_context?.project_id ?? null,
       taskData.task_type,
       taskData.task_description,
       projectContext,
-      taskData.priority || 'medium'
+      taskData.priority || 'medium',
+      taskData.parent_task_id ?? null,
+      taskData.depends_on?.length ? JSON.stringify(taskData.depends_on) : null,
+      taskData.preferred_agent ?? null
     );
 
     return {
@@ -256,7 +521,7 @@ export class DatabaseManager {
 
     if (status === 'in_progress') {
       sql += ', started_at = CURRENT_TIMESTAMP';
-    } else if (status === 'completed' || status === 'failed') {
+    } else if (TERMINAL_TASK_STATUSES.includes(status)) {
       sql += ', completed_at = CURRENT_TIMESTAMP';
     }
 
@@ -267,6 +532,45 @@ export class DatabaseManager {
     stmt.run(...params);
   }
 
+  async updateTaskProgress(taskId, progress) {
+    const stmt = this.db.prepare(`
+      UPDATE tasks SET progress = ?, updated_at = CURRENT_TIMESTAMP WHERE task_id = ?
+    `);
+    stmt.run(progress, taskId);
+  }
+
+  async updateTaskAgent(taskId, agentId) {
+    const stmt = this.db.prepare(`
+      UPDATE tasks SET agent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE task_id = ?
+    `);
+    stmt.run(agentId, taskId);
+  }
+
+  async updateTaskAttempt(taskId, attempt, failedAgents, preferredAgent) {
+    this.db.prepare(`
+      UPDATE tasks
+      SET attempt = ?, failed_agents = ?, preferred_agent = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE task_id = ?
+    `).run(attempt, JSON.stringify(failedAgents), preferredAgent ?? null, taskId);
+  }
+
+  // Adds the cost to the task and to its project's budget in one go
+  async recordTaskCost(taskId, cost) {
+    const recordCost = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE tasks SET cost = COALESCE(cost, 0) + ?, updated_at = CURRENT_TIMESTAMP WHERE task_id = ?
+      `).run(cost, taskId);
+
+      this.db.prepare(`
+        UPDATE project_budgets
+        SET spent = spent + ?, updated_at = CURRENT_TIMESTAMP
+        WHERE project_id = (SELECT project_id FROM tasks WHERE task_id = ?)
+      `).run(cost, taskId);
+    });
+
+    recordCost();
+  }
+
   async getTask(taskId) {
     const stmt = this.db.prepare(`
       SELECT * FROM tasks WHERE task_id = ?
@@ -274,6 +578,26 @@ export class DatabaseManager {
     return stmt.get(taskId);
   }
 
+  async getSubtasks(parentTaskId) {
+    const stmt = this.db.prepare(`
+      SELECT t.*, a.name as agent_name
+      FROM tasks t
+      LEFT JOIN ai_agents a ON t.agent_id = a.id
+      WHERE t.parent_task_id = ?
+      ORDER BY t.id ASC
+    `);
+    return stmt.all(parentTaskId);
+  }
+
+  async getTasksByStatus(statuses) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM tasks
+      WHERE status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY created_at ASC
+    `);
+    return stmt.all(...statuses);
+  }
+
   async getAllTasks(limit = 100) {
     const stmt = this.db.prepare(`
       SELECT t.*, a.name as agent_name 
@@ -288,8 +612,8 @@ export class DatabaseManager {
   // Autonomous workflow methods
   async createAutonomousWorkflow(workflowData) {
     const stmt = this.db.prepare(`
-      INSERT INTO autonomous_workflows (name, description, triggers, actions, conditions)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO autonomous_workflows (name, description, triggers, actions, conditions, project_id)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -297,7 +621,8 @@ export class DatabaseManager {
       workflowData.description || '',
       JSON.stringify(workflowData.triggers),
       JSON.stringify(workflowData.actions),
-      JSON.stringify(workflowData.conditions || {})
+      JSON.stringify(workflowData.conditions || {}),
+      workflowData.project_id ?? null
     );
 
     return {
@@ -315,6 +640,113 @@ export class DatabaseManager {
     return stmt.all();
   }
 
+  async getAutonomousWorkflow(id) {
+    return this.formatWorkflow(
+      this.db.prepare('SELECT * FROM autonomous_workflows WHERE id = ?').get(id)
+    );
+  }
+
+  async getProjectWorkflows(projectId) {
+    return this.db.prepare(`
+      SELECT * FROM autonomous_workflows WHERE project_id = ? ORDER BY id ASC
+    `).all(projectId).map(workflow => this.formatWorkflow(workflow));
+  }
+
+  async markWorkflowExecuted(id) {
+    this.db.prepare(`
+      UPDATE autonomous_workflows
+      SET last_executed = CURRENT_TIMESTAMP, execution_count = execution_count + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+  }
+
+  // Removes the project's workflows together with their schedules and run history
+  async deleteProjectWorkflows(projectId) {
+    const deleteWorkflows = this.db.transaction(() => {
+      const workflowIds = this.db.prepare('SELECT id FROM autonomous_workflows WHERE project_id = ?')
+        .all(projectId)
+        .map(workflow => workflow.id);
+      for (const workflowId of workflowIds) {
+        this.db.prepare('DELETE FROM workflow_runs WHERE workflow_id = ?').run(workflowId);
+        this.db.prepare('DELETE FROM workflow_schedules WHERE workflow_id = ?').run(workflowId);
+        this.db.prepare('DELETE FROM autonomous_workflows WHERE id = ?').run(workflowId);
+      }
+      return workflowIds.length;
+    });
+    return deleteWorkflows();
+  }
+
+  formatWorkflow(workflow) {
+    return workflow
+      ? {
+        ...workflow,
+        is_active: Boolean(workflow.is_active),
+        triggers: JSON.parse(workflow.triggers || '[]'),
+        actions: JSON.parse(workflow.actions || '[]'),
+        conditions: JSON.parse(workflow.conditions || '{}')
+      }
+      : null;
+  }
+
+  // Workflow schedule methods
+  async createWorkflowSchedule(scheduleData) {
+    const result = this.db.prepare(`
+      INSERT INTO workflow_schedules (workflow_id, project_id, cron_expression)
+      VALUES (?, ?, ?)
+    `).run(scheduleData.workflow_id, scheduleData.project_id ?? null, scheduleData.cron_expression);
+
+    return this.db.prepare('SELECT * FROM workflow_schedules WHERE id = ?').get(result.lastInsertRowid);
+  }
+
+  async getActiveWorkflowSchedules() {
+    return this.db.prepare(`
+      SELECT ws.* FROM workflow_schedules ws
+      JOIN autonomous_workflows aw ON aw.id = ws.workflow_id
+      WHERE ws.is_active = true AND aw.is_active = true
+    `).all();
+  }
+
+  async getProjectWorkflowSchedules(projectId) {
+    return this.db.prepare(`
+      SELECT * FROM workflow_schedules WHERE project_id = ? ORDER BY id ASC
+    `).all(projectId);
+  }
+
+  // Workflow run methods
+  async createWorkflowRun(runData) {
+    const result = this.db.prepare(`
+      INSERT INTO workflow_runs (workflow_id, trigger_type, status, task_ids, health_report_id, error_message)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      runData.workflow_id,
+      runData.trigger_type,
+      runData.status,
+      JSON.stringify(runData.task_ids || {}),
+      runData.health_report_id ?? null,
+      runData.error_message ?? null
+    );
+
+    return this.formatWorkflowRun(
+      this.db.prepare('SELECT * FROM workflow_runs WHERE id = ?').get(result.lastInsertRowid)
+    );
+  }
+
+  async getLatestWorkflowRun(workflowId) {
+    return this.formatWorkflowRun(this.db.prepare(`
+      SELECT * FROM workflow_runs WHERE workflow_id = ? ORDER BY id DESC LIMIT 1
+    `).get(workflowId));
+  }
+
+  async getWorkflowRuns(workflowId) {
+    return this.db.prepare(`
+      SELECT * FROM workflow_runs WHERE workflow_id = ? ORDER BY id ASC
+    `).all(workflowId).map(run => this.formatWorkflowRun(run));
+  }
+
+  formatWorkflowRun(run) {
+    return run ? { ...run, task_ids: JSON.parse(run.task_ids || '{}') } : null;
+  }
+
   // Project integration methods
   async createProjectIntegration(integrationData) {
     const stmt = this.db.prepare(`
@@ -336,6 +768,23 @@ export class DatabaseManager {
     };
   }
 
+  async getProjectIntegration(projectId, integrationType) {
+    const integration = this.db.prepare(`
+      SELECT * FROM project_integrations
+      WHERE project_id = ? AND integration_type = ? AND is_active = true
+      ORDER BY id DESC LIMIT 1
+    `).get(projectId, integrationType);
+
+    return integration ? { ...integration, configuration: JSON.parse(integration.configuration || '{}') } : null;
+  }
+
+  async deactivateProjectIntegrations(projectId, integrationType) {
+    return this.db.prepare(`
+      UPDATE project_integrations SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE project_id = ? AND integration_type = ? AND is_active = true
+    `).run(projectId, integrationType).changes;
+  }
+
   async getAllProjectIntegrations() {
     const stmt = this.db.prepare(`
       SELECT * FROM project_integrations 
@@ -345,6 +794,428 @@ export class DatabaseManager {
     return stmt.all();
   }
 
+  // Project budget methods
+  async setProjectBudget(budgetData) {
+    const stmt = this.db.prepare(`
+      INSERT INTO project_budgets (project_id, budget_limit, currency, cost_preference)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(project_id) DO UPDATE SET
+        budget_limit = excluded.budget_limit,
+        currency = excluded.currency,
+        cost_preference = excluded.cost_preference,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(
+      budgetData.project_id,
+      budgetData.budget_limit,
+      budgetData.currency || 'USD',
+      budgetData.cost_preference ?? 0.5
+    );
+
+    return await this.getProjectBudget(budgetData.project_id);
+  }
+
+  async getProjectBudget(projectId) {
+    const budget = this.db.prepare(`
+      SELECT * FROM project_budgets WHERE project_id = ?
+    `).get(projectId);
+
+    return budget ? { ...budget, remaining: budget.budget_limit - budget.spent } : null;
+  }
+
+  // Review policy methods
+  async setReviewPolicy(policyData) {
+    const stmt = this.db.prepare(`
+      INSERT INTO review_policies (scope_type, scope_value, enabled, max_rounds, reviewer_capability, approve_on_failure)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(scope_type, scope_value) DO UPDATE SET
+        enabled = excluded.enabled,
+        max_rounds = excluded.max_rounds,
+        reviewer_capability = excluded.reviewer_capability,
+        approve_on_failure = excluded.approve_on_failure,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(
+      policyData.scope_type,
+      policyData.scope_value,
+      policyData.enabled === false ? 0 : 1,
+      policyData.max_rounds || 2,
+      policyData.reviewer_capability || 'code_review',
+      policyData.approve_on_failure ? 1 : 0
+    );
+
+    return await this.getReviewPolicy(policyData.scope_type, policyData.scope_value);
+  }
+
+  async getReviewPolicy(scopeType, scopeValue) {
+    const policy = this.db.prepare(`
+      SELECT * FROM review_policies WHERE scope_type = ? AND scope_value = ?
+    `).get(scopeType, scopeValue);
+
+    return policy
+      ? { ...policy, enabled: Boolean(policy.enabled), approve_on_failure: Boolean(policy.approve_on_failure) }
+      : null;
+  }
+
+  // The project policy applies when there is one, otherwise the policy for the task's priority
+  async resolveReviewPolicy(projectId, priority) {
+    const projectPolicy = projectId ? await this.getReviewPolicy('project', projectId) : null;
+    return projectPolicy || await this.getReviewPolicy('priority', priority || 'medium');
+  }
+
+  async recordTaskReview(taskId, round, reviewerAgentId, verdict, comments) {
+    const stmt = this.db.prepare(`
+      INSERT INTO task_reviews (task_id, round, reviewer_agent_id, verdict, comments)
+      VALUES ((SELECT id FROM tasks WHERE task_id = ?), ?, ?, ?, ?)
+    `);
+    stmt.run(taskId, round, reviewerAgentId ?? null, verdict, comments || null);
+  }
+
+  async getTaskReviews(taskId) {
+    const stmt = this.db.prepare(`
+      SELECT r.round, r.verdict, r.comments, r.created_at, a.name as reviewer
+      FROM task_reviews r
+      JOIN tasks t ON r.task_id = t.id
+      LEFT JOIN ai_agents a ON r.reviewer_agent_id = a.id
+      WHERE t.task_id = ?
+      ORDER BY r.round ASC
+    `);
+    return stmt.all(taskId);
+  }
+
+  // Approval methods
+  async setApprovalPolicy(policyData) {
+    const stmt = this.db.prepare(`
+      INSERT INTO approval_policies (project_id, task_type, enabled, expires_after_ms)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(project_id, task_type) DO UPDATE SET
+        enabled = excluded.enabled,
+        expires_after_ms = excluded.expires_after_ms,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    const projectId = policyData.project_id || '*';
+    stmt.run(
+      projectId,
+      policyData.task_type,
+      policyData.enabled === false ? 0 : 1,
+      policyData.expires_after_ms || 86400000
+    );
+
+    return await this.getApprovalPolicy(projectId, policyData.task_type);
+  }
+
+  async getApprovalPolicy(projectId, taskType) {
+    const policy = this.db.prepare(`
+      SELECT * FROM approval_policies WHERE project_id = ? AND task_type = ?
+    `).get(projectId, taskType);
+
+    return policy ? { ...policy, enabled: Boolean(policy.enabled) } : null;
+  }
+
+  // Policies for the project plus the global ones it does not override
+  async getApprovalPolicies(projectId) {
+    const policies = this.db.prepare(`
+      SELECT * FROM approval_policies
+      WHERE project_id = ? OR (project_id = '*' AND task_type NOT IN (
+        SELECT task_type FROM approval_policies WHERE project_id = ?
+      ))
+      ORDER BY task_type ASC
+    `).all(projectId, projectId);
+
+    return policies.map(policy => ({ ...policy, enabled: Boolean(policy.enabled) }));
+  }
+
+  // The project's policy for the task type when there is one, otherwise the global one
+  async resolveApprovalPolicy(projectId, taskType) {
+    const projectPolicy = projectId ? await this.getApprovalPolicy(projectId, taskType) : null;
+    return projectPolicy || await this.getApprovalPolicy('*', taskType);
+  }
+
+  async createApprovalRequest(requestData) {
+    const result = this.db.prepare(`
+      INSERT INTO approval_requests (task_id, project_id, task_type, task_args, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      requestData.task_id,
+      requestData.project_id ?? null,
+      requestData.task_type,
+      JSON.stringify(requestData.task_args || {}),
+      requestData.expires_at
+    );
+
+    return await this.getApprovalRequest(result.lastInsertRowid);
+  }
+
+  async getApprovalRequest(id) {
+    return this.formatApprovalRequest(
+      this.db.prepare('SELECT * FROM approval_requests WHERE id = ?').get(id)
+    );
+  }
+
+  async getPendingApprovalRequest(taskId) {
+    return this.formatApprovalRequest(this.db.prepare(`
+      SELECT * FROM approval_requests WHERE task_id = ? AND status = 'pending'
+      ORDER BY id DESC LIMIT 1
+    `).get(taskId));
+  }
+
+  async getApprovalRequests(filters = {}) {
+    let sql = 'SELECT * FROM approval_requests WHERE 1 = 1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.project_id) {
+      sql += ' AND project_id = ?';
+      params.push(filters.project_id);
+    }
+
+    sql += ' ORDER BY requested_at DESC';
+    return this.db.prepare(sql).all(...params).map(request => this.formatApprovalRequest(request));
+  }
+
+  // Only pending requests can be decided; returns false if someone else got there first
+  async decideApprovalRequest(id, status, decidedBy, comment = null) {
+    const result = this.db.prepare(`
+      UPDATE approval_requests
+      SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, comment = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(status, decidedBy, comment, id);
+
+    return result.changes > 0;
+  }
+
+  async getExpiredApprovalRequests(now = new Date()) {
+    return this.db.prepare(`
+      SELECT * FROM approval_requests WHERE status = 'pending' AND expires_at <= ?
+    `).all(now.toISOString()).map(request => this.formatApprovalRequest(request));
+  }
+
+  formatApprovalRequest(request) {
+    return request ? { ...request, task_args: JSON.parse(request.task_args || '{}') } : null;
+  }
+
+  // Task progress methods
+  async createTaskProgressEvent(eventData) {
+    const result = this.db.prepare(`
+      INSERT INTO task_progress_events (task_id, event_type, progress, status, message)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      eventData.task_id,
+      eventData.event_type,
+      eventData.progress ?? null,
+      eventData.status ?? null,
+      eventData.message ?? null
+    );
+
+    return this.db.prepare('SELECT * FROM task_progress_events WHERE id = ?').get(result.lastInsertRowid);
+  }
+
+  async getTaskProgressEvents(taskId, afterId = 0) {
+    return this.db.prepare(`
+      SELECT * FROM task_progress_events WHERE task_id = ? AND id > ? ORDER BY id ASC
+    `).all(taskId, afterId);
+  }
+
+  async getRecentTaskProgressEvents(taskId, limit = 5) {
+    return this.db.prepare(`
+      SELECT * FROM task_progress_events WHERE task_id = ? ORDER BY id DESC LIMIT ?
+    `).all(taskId, limit).reverse();
+  }
+
+  // Task template methods
+  async saveTaskTemplate(templateData) {
+    this.db.prepare(`
+      INSERT INTO task_templates (
+        name, description, task, parameters, project_context, preferred_agent, acceptance_criteria
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        description = excluded.description,
+        task = excluded.task,
+        parameters = excluded.parameters,
+        project_context = excluded.project_context,
+        preferred_agent = excluded.preferred_agent,
+        acceptance_criteria = excluded.acceptance_criteria,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      templateData.name,
+      templateData.description ?? null,
+      templateData.task,
+      JSON.stringify(templateData.parameters || []),
+      JSON.stringify(templateData.project_context || {}),
+      templateData.preferred_agent ?? null,
+      JSON.stringify(templateData.acceptance_criteria || [])
+    );
+
+    return await this.getTaskTemplate(templateData.name);
+  }
+
+  async getTaskTemplate(name) {
+    return this.formatTaskTemplate(
+      this.db.prepare('SELECT * FROM task_templates WHERE name = ?').get(name)
+    );
+  }
+
+  async getTaskTemplates() {
+    return this.db.prepare('SELECT * FROM task_templates ORDER BY name ASC').all()
+      .map(template => this.formatTaskTemplate(template));
+  }
+
+  async deleteTaskTemplate(name) {
+    this.db.prepare('DELETE FROM task_templates WHERE name = ?').run(name);
+  }
+
+  formatTaskTemplate(template) {
+    return template
+      ? {
+        ...template,
+        parameters: JSON.parse(template.parameters || '[]'),
+        project_context: JSON.parse(template.project_context || '{}'),
+        acceptance_criteria: JSON.parse(template.acceptance_criteria || '[]')
+      }
+      : null;
+  }
+
+  // Health report methods
+  async createHealthReport(report) {
+    const result = this.db.prepare(`
+      INSERT INTO health_reports (
+        project_path, analysis_type, health_score, scores, metrics, findings, recommendations, analyzed_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      report.project_path,
+      report.analysis_type,
+      report.health_score,
+      JSON.stringify(report.scores || {}),
+      JSON.stringify(report.metrics || {}),
+      JSON.stringify(report.findings || []),
+      JSON.stringify(report.recommendations || []),
+      report.analyzed_at
+    );
+
+    return await this.getHealthReport(result.lastInsertRowid);
+  }
+
+  async getHealthReport(id) {
+    return this.formatHealthReport(
+      this.db.prepare('SELECT * FROM health_reports WHERE id = ?').get(id)
+    );
+  }
+
+  // The run of the same analysis on the same project that came before the given report
+  async getPreviousHealthReport(report) {
+    return this.formatHealthReport(this.db.prepare(`
+      SELECT * FROM health_reports
+      WHERE project_path = ? AND analysis_type = ? AND id < ?
+      ORDER BY id DESC LIMIT 1
+    `).get(report.project_path, report.analysis_type, report.id));
+  }
+
+  // Summaries without findings, newest first
+  async getHealthReports(filters = {}) {
+    let sql = `
+      SELECT id, project_path, analysis_type, health_score, scores, analyzed_at, created_at,
+        json_array_length(findings) AS finding_count
+      FROM health_reports WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (filters.project_path) {
+      sql += ' AND project_path = ?';
+      params.push(filters.project_path);
+    }
+    if (filters.analysis_type) {
+      sql += ' AND analysis_type = ?';
+      params.push(filters.analysis_type);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(filters.limit || 20);
+    return this.db.prepare(sql).all(...params)
+      .map(report => ({ ...report, scores: JSON.parse(report.scores || '{}') }));
+  }
+
+  formatHealthReport(report) {
+    return report
+      ? {
+        ...report,
+        scores: JSON.parse(report.scores || '{}'),
+        metrics: JSON.parse(report.metrics || '{}'),
+        findings: JSON.parse(report.findings || '[]'),
+        recommendations: JSON.parse(report.recommendations || '[]')
+      }
+      : null;
+  }
+
+  async createHealthFindingTask(link) {
+    this.db.prepare(`
+      INSERT INTO health_finding_tasks (report_id, project_path, fingerprint, task_id)
+      VALUES (?, ?, ?, ?)
+    `).run(link.report_id, link.project_path, link.fingerprint, link.task_id);
+  }
+
+  async getHealthFindingTasks(reportId) {
+    return this.db.prepare(`
+      SELECT hft.report_id, hft.fingerprint, hft.task_id, hft.created_at,
+        t.task_description, t.task_type, t.priority, t.status, t.progress
+      FROM health_finding_tasks hft
+      LEFT JOIN tasks t ON t.task_id = hft.task_id
+      WHERE hft.report_id = ?
+      ORDER BY hft.id ASC
+    `).all(reportId);
+  }
+
+  // An unfinished task already working on the finding, created from any report of the project
+  async getOpenHealthFindingTask(projectPath, fingerprint) {
+    return this.db.prepare(`
+      SELECT hft.report_id, hft.task_id, t.status
+      FROM health_finding_tasks hft
+      JOIN tasks t ON t.task_id = hft.task_id
+      WHERE hft.project_path = ? AND hft.fingerprint = ?
+        AND t.status NOT IN (${TERMINAL_STATUS_PLACEHOLDERS})
+      ORDER BY hft.id DESC LIMIT 1
+    `).get(projectPath, fingerprint, ...TERMINAL_TASK_STATUSES);
+  }
+
+  // Resource lock methods
+  async insertResourceLocks(taskId, projectId, resources, agentId) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO resource_locks (project_id, resource, task_id, agent_id)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const insertLocks = this.db.transaction(() => {
+      resources.forEach(resource => stmt.run(projectId, resource, taskId, agentId ?? null));
+    });
+    insertLocks();
+  }
+
+  async deleteResourceLocks(taskId) {
+    this.db.prepare('DELETE FROM resource_locks WHERE task_id = ?').run(taskId);
+  }
+
+  async clearResourceLocks() {
+    return this.db.prepare('DELETE FROM resource_locks').run().changes;
+  }
+
+  // Tasks that have not finished yet, for duplicate detection
+  async getOpenProjectTasks(projectId) {
+    const stmt = this.db.prepare(`
+      SELECT task_id, task_description, status, parent_task_id
+      FROM tasks
+      WHERE project_id = ? AND status NOT IN (${TERMINAL_STATUS_PLACEHOLDERS})
+      ORDER BY created_at ASC
+    `);
+    return stmt.all(projectId, ...TERMINAL_TASK_STATUSES);
+  }
+
   // Chatbot integration methods
   async createChatbotIntegration(integrationData) {
     const stmt = this.db.prepare(`
@@ -375,11 +1246,12 @@ export class DatabaseManager {
 
   // Logging methods
   async logTaskExecution(taskId, agentId, action, details) {
+    // Callers pass the public task uuid; the log references the tasks row id
     const stmt = this.db.prepare(`
       INSERT INTO task_execution_logs (task_id, agent_id, action, details)
-      VALUES (?, ?, ?, ?)
+      VALUES ((SELECT id FROM tasks WHERE task_id = ?), ?, ?, ?)
     `);
-    stmt.run(taskId, agentId, action, JSON.stringify(details || {}));
+    stmt.run(taskId, agentId ?? null, action, JSON.stringify(details || {}));
   }
 
   async recordPerformanceMetric(agentId, metricType, metricValue, context = {}) {
@@ -390,6 +1262,58 @@ export class DatabaseManager {
     stmt.run(agentId, metricType, metricValue, JSON.stringify(context));
   }
 
+  // Routing history, bucketed by agent, task type and technology ('*' = any technology).
+  // Built from the per-attempt log so it matches what the routing learner records
+  // live: every completion, and every failed attempt that counted against its
+  // agent (rows from before agent_failure was logged all did).
+  async getTaskOutcomeStats() {
+    return this.db.prepare(`
+      WITH outcomes AS (
+        SELECT l.agent_id, t.task_type, t.project_context,
+               CASE WHEN l.action = 'task_completed' THEN 1 ELSE 0 END as success
+        FROM task_execution_logs l
+        JOIN tasks t ON t.id = l.task_id
+        WHERE l.agent_id IS NOT NULL
+          AND (l.action = 'task_completed'
+            OR (l.action = 'task_attempt_failed'
+              AND COALESCE(json_extract(l.details, '$.agent_failure'), 1) = 1))
+      )
+      SELECT o.agent_id, a.name as agent_name, o.task_type, '*' as technology,
+             SUM(o.success) as successes, SUM(1 - o.success) as failures
+      FROM outcomes o
+      JOIN ai_agents a ON a.id = o.agent_id
+      GROUP BY o.agent_id, a.name, o.task_type
+      UNION ALL
+      SELECT o.agent_id, a.name as agent_name, o.task_type, LOWER(tech.value) as technology,
+             SUM(o.success) as successes, SUM(1 - o.success) as failures
+      FROM outcomes o
+      JOIN ai_agents a ON a.id = o.agent_id
+      JOIN json_each(o.project_context, '$.technology_stack') tech
+      GROUP BY o.agent_id, a.name, o.task_type, LOWER(tech.value)
+    `).all();
+  }
+
+  async getExecutionTimeStats() {
+    return this.db.prepare(`
+      SELECT pm.agent_id, a.name as agent_name, t.task_type, '*' as technology,
+             SUM(pm.metric_value) as total_execution_time, COUNT(*) as timed_tasks
+      FROM performance_metrics pm
+      JOIN ai_agents a ON a.id = pm.agent_id
+      JOIN tasks t ON t.task_id = json_extract(pm.context, '$.task_id')
+      WHERE pm.metric_type = 'execution_time'
+      GROUP BY pm.agent_id, a.name, t.task_type
+      UNION ALL
+      SELECT pm.agent_id, a.name as agent_name, t.task_type, LOWER(tech.value) as technology,
+             SUM(pm.metric_value) as total_execution_time, COUNT(*) as timed_tasks
+      FROM performance_metrics pm
+      JOIN ai_agents a ON a.id = pm.agent_id
+      JOIN tasks t ON t.task_id = json_extract(pm.context, '$.task_id')
+      JOIN json_each(t.project_context, '$.technology_stack') tech
+      WHERE pm.metric_type = 'execution_time'
+      GROUP BY pm.agent_id, a.name, t.task_type, LOWER(tech.value)
+    `).all();
+  }
+
   // Analytics methods
   async getAnalytics() {
     const totalAgents = this.db.prepare('SELECT COUNT(*) as count FROM ai_agents').get();
@@ -414,6 +1338,27 @@ export class DatabaseManager {
       GROUP BY a.id, a.name
     `).all();
 
+    const spendByProject = this.db.prepare(`
+      SELECT t.project_id, SUM(t.cost) as spent, COUNT(t.id) as task_count,
+             b.budget_limit, b.currency
+      FROM tasks t
+      LEFT JOIN project_budgets b ON b.project_id = t.project_id
+      WHERE t.project_id IS NOT NULL
+      GROUP BY t.project_id, b.budget_limit, b.currency
+      ORDER BY spent DESC
+    `).all();
+
+    // From the per-agent cost metrics: tasks.cost also holds what reviewers and
+    // earlier attempts on other agents spent, and tasks.agent_id names only the last agent
+    const spendByAgent = this.db.prepare(`
+      SELECT a.name, SUM(pm.metric_value) as spent,
+             COUNT(DISTINCT json_extract(pm.context, '$.task_id')) as task_count
+      FROM ai_agents a
+      JOIN performance_metrics pm ON pm.agent_id = a.id AND pm.metric_type = 'cost'
+      GROUP BY a.id, a.name
+      ORDER BY spent DESC
+    `).all();
+
     return {
       totalAgents: totalAgents.count,
       activeAgents: activeAgents.count,
@@ -421,7 +1366,9 @@ export class DatabaseManager {
       completedTasks: completedTasks.count,
       totalWorkflows: totalWorkflows.count,
       recentTasks,
-      agentPerformance
+      agentPerformance,
+      spendByProject,
+      spendByAgent
     };
   }
 
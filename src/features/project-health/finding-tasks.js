@@ -0,0 +1,69 @@
+import { getRecommendation } from './project-analyzer.js';
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+export const SEVERITY_PRIORITIES = { critical: 'urgent', high: 'high', medium: 'medium', low: 'low' };
+
+// Findings not listed here are bugs to fix
+const RULE_TASK_TYPES = {
+  'missing-test-script': 'test',
+  'missing-tests': 'test',
+  'low-test-ratio': 'test',
+  'large-file': 'refactor',
+  'complexity-hotspot': 'refactor',
+  'circular-import': 'refactor',
+  'sync-io': 'refactor',
+  'missing-package-json': 'build',
+  'missing-lint-config': 'build',
+  'missing-lint-script': 'build',
+  'missing-readme': 'build',
+  'todo-markers': 'general'
+};
+
+// Picks findings by fingerprint, or by minimum severity and categories, most
+// severe first
+export function selectFindings(report, options = {}) {
+  const { fingerprints = null, min_severity: minSeverity = 'high', categories = null, max_tasks: maxTasks = 10 } = options;
+
+  const selected = fingerprints?.length > 0
+    ? report.findings.filter(finding => fingerprints.includes(finding.fingerprint))
+    : report.findings.filter(finding =>
+      SEVERITY_ORDER.indexOf(finding.severity) <= SEVERITY_ORDER.indexOf(minSeverity) &&
+      (!categories?.length || categories.includes(finding.category))
+    );
+
+  return selected
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .slice(0, maxTasks);
+}
+
+// delegate_to_ai_builder arguments for one finding. The finding travels in
+// project_context.health_finding so the task can be traced back to its report.
+export function buildFindingTask(report, finding, options = {}) {
+  const files = [...new Set([finding.file, ...(finding.locations || []).map(location => location.file)].filter(Boolean))];
+  const recommendation = getRecommendation(finding.rule_id);
+
+  return {
+    task: recommendation ? `${recommendation}: ${finding.message}` : finding.message,
+    task_type: RULE_TASK_TYPES[finding.rule_id] || 'fix',
+    preferred_agent: options.preferred_agent,
+    project_context: {
+      ...(options.project_id ? { project_id: options.project_id } : {}),
+      priority: SEVERITY_PRIORITIES[finding.severity],
+      // Lock the affected files so overlapping fixes run one after another
+      ...(files.length > 0 ? { paths: files } : {}),
+      project_path: report.project_path,
+      health_finding: {
+        report_id: report.id,
+        fingerprint: finding.fingerprint,
+        rule_id: finding.rule_id,
+        category: finding.category,
+        severity: finding.severity,
+        message: finding.message,
+        file: finding.file,
+        line: finding.line,
+        ...(finding.locations ? { locations: finding.locations } : {})
+      }
+    }
+  };
+}
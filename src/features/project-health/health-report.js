@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import winston from 'winston';
+import { getRecommendation } from './project-analyzer.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+// Code scanning tools rank security alerts by this 0-10 score
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0' };
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Findings that list their occurrences (TODO markers, sync calls) get one
+// location each; others point at their file, and project-wide ones have none
+function findingLocations(finding) {
+  const locations = finding.locations || (finding.file ? [{ file: finding.file, line: finding.line }] : []);
+  return locations.map(location => ({
+    physicalLocation: {
+      artifactLocation: { uri: location.file, uriBaseId: 'PROJECTROOT' },
+      ...(location.line ? { region: { startLine: location.line } } : {})
+    }
+  }));
+}
+
+// SARIF 2.1.0 log of a report, as consumed by code scanning tools. Fingerprints
+// are passed on as partialFingerprints so alerts are tracked across runs.
+export function toSarif(report) {
+  const rules = [];
+  for (const finding of report.findings) {
+    const rule = rules.find(entry => entry.id === finding.rule_id);
+    if (!rule) {
+      const recommendation = getRecommendation(finding.rule_id) || finding.message;
+      rules.push({
+        id: finding.rule_id,
+        shortDescription: { text: recommendation },
+        help: { text: recommendation },
+        defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+        properties: {
+          tags: [finding.category],
+          severity: finding.severity,
+          ...(finding.category === 'security' ? { 'security-severity': SECURITY_SEVERITY[finding.severity] } : {})
+        }
+      });
+    } else if (SEVERITY_ORDER.indexOf(finding.severity) < SEVERITY_ORDER.indexOf(rule.properties.severity)) {
+      // A rule is as severe as its worst finding
+      rule.defaultConfiguration.level = SARIF_LEVELS[finding.severity];
+      rule.properties.severity = finding.severity;
+      if (finding.category === 'security') {
+        rule.properties['security-severity'] = SECURITY_SEVERITY[finding.severity];
+      }
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'ai-builder-orchestrator project health',
+            version: '1.0.0',
+            rules
+          }
+        },
+        automationDetails: { id: `project-health/${report.analysis_type}/` },
+        originalUriBaseIds: {
+          PROJECTROOT: { uri: pathToFileURL(`${report.project_path}${path.sep}`).href }
+        },
+        invocations: [{ executionSuccessful: true, endTimeUtc: report.analyzed_at }],
+        results: report.findings.map(finding => ({
+          ruleId: finding.rule_id,
+          ruleIndex: rules.findIndex(rule => rule.id === finding.rule_id),
+          level: SARIF_LEVELS[finding.severity],
+          message: { text: finding.message },
+          locations: findingLocations(finding),
+          partialFingerprints: { 'projectHealth/v1': finding.fingerprint },
+          properties: { category: finding.category, severity: finding.severity }
+        })),
+        properties: {
+          report_id: report.id,
+          health_score: report.health_score,
+          scores: report.scores
+        }
+      }
+    ]
+  };
+}
+
+// Findings are matched by fingerprint, so moved lines do not count as changes
+export function diffHealthReports(previous, current) {
+  const previousFingerprints = new Set(previous.findings.map(finding => finding.fingerprint));
+  const currentFingerprints = new Set(current.findings.map(finding => finding.fingerprint));
+
+  return {
+    report_id: current.id,
+    previous_report_id: previous.id,
+    previous_analyzed_at: previous.analyzed_at,
+    health_score_change: current.health_score - previous.health_score,
+    score_changes: Object.fromEntries(Object.entries(current.scores).map(([category, score]) => [
+      category,
+      score - (previous.scores[category] ?? score)
+    ])),
+    new_findings: current.findings.filter(finding => !previousFingerprints.has(finding.fingerprint)),
+    resolved_findings: previous.findings.filter(finding => !currentFingerprints.has(finding.fingerprint)),
+    unchanged_count: current.findings.filter(finding => previousFingerprints.has(finding.fingerprint)).length
+  };
+}
+
+// Persisted analyze_project_health results. Each run is stored and compared
+// with the previous run of the same analysis type on the same project.
+export class HealthReportStore {
+  constructor(database) {
+    this.database = database;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  // Returns the stored report and its diff against the previous run, if any
+  async save(analysis) {
+    const report = await this.database.createHealthReport(analysis);
+    const previous = await this.database.getPreviousHealthReport(report);
+
+    this.logger.info(`Stored health report ${report.id} for ${report.project_path} (score ${report.health_score})`);
+    return { report, diff: previous ? diffHealthReports(previous, report) : null };
+  }
+
+  async get(id) {
+    const report = await this.database.getHealthReport(id);
+    if (!report) {
+      const error = new Error(`Health report ${id} not found`);
+      error.code = 'HEALTH_REPORT_NOT_FOUND';
+      throw error;
+    }
+    return report;
+  }
+
+  async list(filters = {}) {
+    return await this.database.getHealthReports(filters);
+  }
+
+  // Compares with againstId, or with the run before the report when omitted;
+  // null when the report is the first of its project and analysis type
+  async diff(id, againstId = null) {
+    const report = await this.get(id);
+    const previous = againstId ? await this.get(againstId) : await this.database.getPreviousHealthReport(report);
+    if (!previous) {
+      return null;
+    }
+
+    if (previous.project_path !== report.project_path || previous.analysis_type !== report.analysis_type) {
+      const error = new Error(`Health reports ${id} and ${previous.id} cover different projects or analysis types`);
+      error.code = 'HEALTH_REPORT_MISMATCH';
+      throw error;
+    }
+    return diffHealthReports(previous, report);
+  }
+
+  // Relative paths are resolved against the analyzed project
+  async writeSarif(report, filePath) {
+    const target = path.resolve(report.project_path, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, `${JSON.stringify(toSarif(report), null, 2)}\n`);
+    return target;
+  }
+}
@@ -0,0 +1,578 @@
+import { createHash } from 'crypto';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import winston from 'winston';
+
+const execFileAsync = promisify(execFile);
+
+export const ANALYSIS_CATEGORIES = ['security', 'performance', 'code_quality', 'dependencies', 'architecture'];
+
+// Points a finding takes off its category score
+export const SEVERITY_WEIGHTS = { critical: 25, high: 15, medium: 8, low: 3 };
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.cache', 'vendor'];
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.rb', '.go', '.java'];
+
+// Text files worth scanning for secrets besides source files
+const CONFIG_EXTENSIONS = ['.json', '.yml', '.yaml', '.env', '.ini', '.toml', '.sh', '.properties', '.xml'];
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'];
+
+const LINT_CONFIGS = [
+  /^\.eslintrc(\.(js|cjs|mjs|json|ya?ml))?$/,
+  /^eslint\.config\.(js|cjs|mjs|ts)$/,
+  /^biome\.jsonc?$/,
+  /^\.jshintrc$/,
+  /^(\.)?standard(rc)?$/
+];
+
+const TEST_FILE_PATTERN = /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[a-z]+$/i;
+
+// The script npm init writes, which fails without running anything
+const PLACEHOLDER_TEST_SCRIPT = /no test specified/i;
+
+const SECRET_PATTERNS = [
+  { rule: 'secret-private-key', name: 'Private key', pattern: /-----BEGIN (RSA |EC |DSA |OPENSSH |PGP )?PRIVATE KEY( BLOCK)?-----/, severity: 'critical' },
+  { rule: 'secret-aws-access-key', name: 'AWS access key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, severity: 'critical' },
+  { rule: 'secret-github-token', name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/, severity: 'critical' },
+  { rule: 'secret-slack-token', name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/, severity: 'high' },
+  { rule: 'secret-stripe-key', name: 'Stripe live key', pattern: /\b[sr]k_live_[0-9a-zA-Z]{20,}\b/, severity: 'critical' },
+  { rule: 'secret-google-api-key', name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/, severity: 'high' },
+  {
+    rule: 'secret-hardcoded-credential',
+    name: 'Hard-coded credential',
+    pattern: /\b(api[_-]?key|secret|password|passwd|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["'][^"'\s$]{12,}["']/i,
+    severity: 'high'
+  }
+];
+
+const MARKER_PATTERN = /\b(TODO|FIXME|HACK|XXX)\b/g;
+
+// Branching constructs counted towards a file's cyclomatic complexity estimate
+const DECISION_PATTERN = /\b(if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?=[^.?:])/g;
+
+const SYNC_IO_PATTERN = /\b(readFileSync|writeFileSync|readdirSync|statSync|existsSync|execSync|spawnSync)\b/g;
+
+const IMPORT_PATTERN = /(?:import\s[^'"]*?from\s*|import\s*\(\s*|require\s*\(\s*|export\s[^'"]*?from\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+
+const RECOMMENDATIONS = {
+  'secret-': 'Remove committed secrets, rotate the exposed credentials and load them from the environment',
+  'env-file-committed': 'Stop tracking .env files and add them to .gitignore',
+  'missing-package-json': 'Add a package.json that declares the project dependencies and scripts',
+  'invalid-package-json': 'Fix the syntax errors in package.json',
+  'missing-lockfile': 'Commit a lockfile so installs are reproducible',
+  'lockfile-out-of-sync': 'Reinstall dependencies to bring the lockfile in line with package.json',
+  'unpinned-dependency': 'Pin dependencies to a version range instead of *, latest or a bare tag',
+  'duplicate-dependency': 'Declare each package either as a dependency or as a dev dependency',
+  'many-dependencies': 'Audit the dependency list and drop packages that are no longer used',
+  'missing-test-script': 'Add a test script to package.json',
+  'missing-tests': 'Add automated tests for the critical code paths',
+  'low-test-ratio': 'Raise test coverage; few source files have tests',
+  'missing-lint-config': 'Add a linter configuration (e.g. ESLint) and run it in CI',
+  'missing-lint-script': 'Add a lint script to package.json',
+  'fixme-markers': 'Resolve the FIXME/HACK markers, which flag known broken code',
+  'todo-markers': 'Turn the outstanding TODO comments into tracked tasks',
+  'large-file': 'Split very large files into smaller modules',
+  'complexity-hotspot': 'Refactor the most complex files into smaller, testable functions',
+  'large-asset': 'Move large binary assets out of the repository or compress them',
+  'sync-io': 'Replace synchronous filesystem and process calls in request paths with async ones',
+  'circular-import': 'Break circular imports by extracting the shared code into its own module',
+  'missing-readme': 'Add a README describing how to run and develop the project'
+};
+
+export function getRecommendation(ruleId) {
+  return RECOMMENDATIONS[ruleId.startsWith('secret-') ? 'secret-' : ruleId] || null;
+}
+
+// Inspects a project directory on disk: package.json and lockfiles, tests and
+// test scripts, TODO/FIXME markers, committed secrets, lint configuration,
+// file sizes, complexity and circular imports. Each finding carries a rule id,
+// category, severity and a fingerprint that stays stable between runs; every
+// category starts at 100 and loses SEVERITY_WEIGHTS points per finding.
+export class ProjectAnalyzer {
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles || 5000;
+    // Larger files are measured but not read
+    this.maxScanBytes = options.maxScanBytes || 512 * 1024;
+    this.largeFileLines = options.largeFileLines || 500;
+    this.largeAssetBytes = options.largeAssetBytes || 1024 * 1024;
+    this.complexityThreshold = options.complexityThreshold || 60;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [new winston.transports.Console()],
+    });
+  }
+
+  async analyze(projectPath, analysisType = 'comprehensive') {
+    if (analysisType !== 'comprehensive' && !ANALYSIS_CATEGORIES.includes(analysisType)) {
+      throw new Error(`Unknown analysis type: ${analysisType}`);
+    }
+
+    const root = path.resolve(projectPath);
+    const stats = await fs.stat(root).catch(() => null);
+    if (!stats?.isDirectory()) {
+      const error = new Error(`Project path ${projectPath} is not a directory`);
+      error.code = 'PROJECT_NOT_FOUND';
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const files = await this.listFiles(root);
+    // imports maps each scanned source file to its relative import specifiers
+    const context = { root, files, findings: [], metrics: this.createMetrics(files), imports: new Map() };
+
+    const packageJson = await this.checkPackageJson(context);
+    await this.checkLockfile(context, packageJson);
+    this.checkDependencies(context, packageJson);
+    await this.scanFiles(context);
+    this.checkTests(context, packageJson);
+    this.checkLintConfig(context, packageJson);
+    this.checkCircularImports(context);
+    if (!files.some(file => /^readme(\.[a-z]+)?$/i.test(file.path))) {
+      this.addFinding(context, 'missing-readme', 'architecture', 'low', 'The project has no README');
+    }
+
+    const findings = context.findings
+      .filter(finding => analysisType === 'comprehensive' || finding.category === analysisType)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+    const scores = this.computeScores(context.findings);
+
+    this.logger.info(`Analyzed ${files.length} files in ${root} (${analysisType}) in ${Date.now() - startTime}ms`);
+
+    return {
+      project_path: root,
+      analysis_type: analysisType,
+      analyzed_at: new Date().toISOString(),
+      health_score: analysisType === 'comprehensive'
+        ? Math.round(ANALYSIS_CATEGORIES.reduce((total, category) => total + scores[category], 0) / ANALYSIS_CATEGORIES.length)
+        : scores[analysisType],
+      scores,
+      findings,
+      metrics: context.metrics,
+      recommendations: this.buildRecommendations(findings)
+    };
+  }
+
+  // Files git would commit (tracked plus untracked but not ignored); outside a
+  // git repository the tree is walked, skipping dependency and build folders
+  async listFiles(root) {
+    let relativePaths;
+    try {
+      const { stdout } = await execFileAsync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+        cwd: root,
+        timeout: 10000,
+        maxBuffer: 32 * 1024 * 1024
+      });
+      relativePaths = [...new Set(stdout.split('\0').filter(Boolean))];
+    } catch (error) {
+      relativePaths = await this.walk(root, '');
+    }
+
+    if (relativePaths.length > this.maxFiles) {
+      this.logger.warn(`Project has ${relativePaths.length} files, analyzing the first ${this.maxFiles}`);
+      relativePaths = relativePaths.slice(0, this.maxFiles);
+    }
+
+    const files = [];
+    for (const relativePath of relativePaths) {
+      const stats = await fs.lstat(path.join(root, relativePath)).catch(() => null);
+      if (stats?.isFile()) {
+        files.push({ path: relativePath.split(path.sep).join('/'), size: stats.size });
+      }
+    }
+    return files;
+  }
+
+  async walk(root, directory) {
+    const entries = await fs.readdir(path.join(root, directory), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const relativePath = directory ? `${directory}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+          files.push(...(await this.walk(root, relativePath)));
+        }
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+      if (files.length > this.maxFiles) {
+        break;
+      }
+    }
+    return files;
+  }
+
+  createMetrics(files) {
+    return {
+      files: files.length,
+      source_files: 0,
+      test_files: 0,
+      total_lines: 0,
+      todo_count: 0,
+      fixme_count: 0,
+      dependencies: 0,
+      dev_dependencies: 0,
+      lockfile: null,
+      largest_files: [],
+      complexity_hotspots: []
+    };
+  }
+
+  async checkPackageJson(context) {
+    if (!context.files.some(file => file.path === 'package.json')) {
+      this.addFinding(context, 'missing-package-json', 'dependencies', 'medium', 'No package.json at the project root');
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(context.root, 'package.json'), 'utf8'));
+    } catch (error) {
+      this.addFinding(context, 'invalid-package-json', 'dependencies', 'high', `package.json cannot be parsed: ${error.message}`, {
+        file: 'package.json'
+      });
+      return null;
+    }
+  }
+
+  async checkLockfile(context, packageJson) {
+    if (!packageJson) {
+      return;
+    }
+
+    const lockfile = LOCKFILES.find(name => context.files.some(file => file.path === name));
+    context.metrics.lockfile = lockfile || null;
+    if (!lockfile) {
+      this.addFinding(context, 'missing-lockfile', 'dependencies', 'medium', 'No lockfile is committed, so installs are not reproducible');
+      return;
+    }
+
+    if (lockfile !== 'package-lock.json' && lockfile !== 'npm-shrinkwrap.json') {
+      return;
+    }
+
+    // lockfileVersion 2+ records the root package's declared dependencies
+    let lock;
+    try {
+      lock = JSON.parse(await fs.readFile(path.join(context.root, lockfile), 'utf8'));
+    } catch (error) {
+      this.addFinding(context, 'lockfile-out-of-sync', 'dependencies', 'high', `${lockfile} cannot be parsed: ${error.message}`, {
+        file: lockfile
+      });
+      return;
+    }
+
+    const lockedRoot = lock.packages?.[''];
+    if (!lockedRoot) {
+      return;
+    }
+
+    const declared = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const locked = { ...lockedRoot.dependencies, ...lockedRoot.devDependencies };
+    const missing = Object.keys(declared).filter(name => !(name in locked));
+    const changed = Object.keys(declared).filter(name => name in locked && locked[name] !== declared[name]);
+    if (missing.length > 0 || changed.length > 0) {
+      const names = [...missing, ...changed];
+      this.addFinding(
+        context,
+        'lockfile-out-of-sync',
+        'dependencies',
+        'medium',
+        `${lockfile} does not match package.json for ${names.slice(0, 5).join(', ')}${names.length > 5 ? ` and ${names.length - 5} more` : ''}`,
+        { file: lockfile, evidence: names.join(',') }
+      );
+    }
+  }
+
+  checkDependencies(context, packageJson) {
+    if (!packageJson) {
+      return;
+    }
+
+    const dependencies = packageJson.dependencies || {};
+    const devDependencies = packageJson.devDependencies || {};
+    context.metrics.dependencies = Object.keys(dependencies).length;
+    context.metrics.dev_dependencies = Object.keys(devDependencies).length;
+
+    for (const [name, range] of Object.entries({ ...devDependencies, ...dependencies })) {
+      if (['', '*', 'x', 'latest', 'next'].includes(String(range).trim())) {
+        this.addFinding(context, 'unpinned-dependency', 'dependencies', 'medium', `${name} is not pinned (${range || 'empty range'})`, {
+          file: 'package.json',
+          evidence: name
+        });
+      }
+    }
+
+    for (const name of Object.keys(dependencies).filter(name => name in devDependencies)) {
+      this.addFinding(context, 'duplicate-dependency', 'dependencies', 'low', `${name} is both a dependency and a dev dependency`, {
+        file: 'package.json',
+        evidence: name
+      });
+    }
+
+    if (context.metrics.dependencies > 75) {
+      this.addFinding(
+        context,
+        'many-dependencies',
+        'performance',
+        'low',
+        `${context.metrics.dependencies} runtime dependencies increase install size and startup time`,
+        { file: 'package.json' }
+      );
+    }
+  }
+
+  async scanFiles(context) {
+    const markers = { TODO: [], FIXME: [] };
+    const syncCalls = [];
+
+    for (const file of context.files) {
+      const extension = path.extname(file.path).toLowerCase();
+      const basename = path.basename(file.path);
+      const isSource = SOURCE_EXTENSIONS.includes(extension);
+      const isEnvFile = /^\.env(\..+)?$/.test(basename) && !/\.(example|sample|template)$/.test(basename);
+
+      if (isEnvFile) {
+        this.addFinding(context, 'env-file-committed', 'security', 'high', `${file.path} is not ignored by git`, { file: file.path });
+      }
+
+      if (isSource && TEST_FILE_PATTERN.test(file.path)) {
+        context.metrics.test_files++;
+      } else if (isSource) {
+        context.metrics.source_files++;
+      }
+
+      if (!isSource && !isEnvFile && !CONFIG_EXTENSIONS.includes(extension)) {
+        if (file.size > this.largeAssetBytes) {
+          this.addFinding(context, 'large-asset', 'performance', 'medium', `${file.path} is ${this.formatBytes(file.size)}`, {
+            file: file.path
+          });
+        }
+        continue;
+      }
+      if (file.size > this.maxScanBytes || LOCKFILES.includes(basename)) {
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(context.root, file.path), 'utf8').catch(() => null);
+      if (content === null || content.includes('\0')) {
+        continue;
+      }
+
+      const lines = content.split('\n');
+      this.scanSecrets(context, file, lines);
+      if (!isSource) {
+        continue;
+      }
+
+      context.metrics.total_lines += lines.length;
+      lines.forEach((line, index) => {
+        for (const [, marker] of line.matchAll(MARKER_PATTERN)) {
+          (marker === 'TODO' ? markers.TODO : markers.FIXME).push({ file: file.path, line: index + 1 });
+        }
+      });
+
+      const decisions = this.stripComments(content).match(DECISION_PATTERN)?.length || 0;
+      context.metrics.largest_files.push({ file: file.path, lines: lines.length });
+      context.metrics.complexity_hotspots.push({ file: file.path, complexity: decisions + 1, lines: lines.length });
+
+      if (lines.length > this.largeFileLines) {
+        this.addFinding(
+          context,
+          'large-file',
+          'code_quality',
+          lines.length > this.largeFileLines * 2 ? 'high' : 'medium',
+          `${file.path} has ${lines.length} lines`,
+          { file: file.path }
+        );
+      }
+
+      if (!TEST_FILE_PATTERN.test(file.path) && !/(^|\/)(scripts?|bin)\//.test(file.path)) {
+        const calls = content.match(SYNC_IO_PATTERN)?.length || 0;
+        if (calls > 0) {
+          syncCalls.push({ file: file.path, calls });
+        }
+      }
+
+      context.imports.set(file.path, [...content.matchAll(IMPORT_PATTERN)].map(match => match[1]));
+    }
+
+    context.metrics.todo_count = markers.TODO.length;
+    context.metrics.fixme_count = markers.FIXME.length;
+    if (markers.FIXME.length > 0) {
+      this.addFinding(context, 'fixme-markers', 'code_quality', markers.FIXME.length > 10 ? 'high' : 'medium',
+        `${markers.FIXME.length} FIXME/HACK/XXX markers flag known problems`, { locations: markers.FIXME.slice(0, 50) });
+    }
+    if (markers.TODO.length > 0) {
+      this.addFinding(context, 'todo-markers', 'code_quality', markers.TODO.length > 25 ? 'medium' : 'low',
+        `${markers.TODO.length} TODO comments are outstanding`, { locations: markers.TODO.slice(0, 50) });
+    }
+
+    if (syncCalls.length > 0) {
+      const total = syncCalls.reduce((sum, entry) => sum + entry.calls, 0);
+      this.addFinding(context, 'sync-io', 'performance', total > 20 ? 'medium' : 'low',
+        `${total} synchronous filesystem or process calls in ${syncCalls.length} file(s) block the event loop`,
+        { locations: syncCalls.slice(0, 50).map(entry => ({ file: entry.file })) });
+    }
+
+    context.metrics.largest_files = context.metrics.largest_files.sort((a, b) => b.lines - a.lines).slice(0, 5);
+    context.metrics.complexity_hotspots = context.metrics.complexity_hotspots
+      .sort((a, b) => b.complexity - a.complexity)
+      .slice(0, 5);
+    for (const hotspot of context.metrics.complexity_hotspots.filter(entry => entry.complexity > this.complexityThreshold)) {
+      this.addFinding(
+        context,
+        'complexity-hotspot',
+        'code_quality',
+        hotspot.complexity > this.complexityThreshold * 3 ? 'high' : 'medium',
+        `${hotspot.file} has an estimated cyclomatic complexity of ${hotspot.complexity}`,
+        { file: hotspot.file }
+      );
+    }
+  }
+
+  scanSecrets(context, file, lines) {
+    lines.forEach((line, index) => {
+      for (const secret of SECRET_PATTERNS) {
+        const match = line.match(secret.pattern);
+        if (!match) {
+          continue;
+        }
+        // Placeholders and environment lookups are not secrets
+        if (/process\.env|example|placeholder|your[_-]|changeme|<[^>]+>|\$\{/i.test(line)) {
+          continue;
+        }
+
+        this.addFinding(context, secret.rule, 'security', secret.severity, `${secret.name} in ${file.path}:${index + 1}`, {
+          file: file.path,
+          line: index + 1,
+          // Only a hash of the match is kept, never the secret itself
+          evidence: createHash('sha256').update(match[0]).digest('hex').slice(0, 12)
+        });
+        break;
+      }
+    });
+  }
+
+  checkTests(context, packageJson) {
+    const testScript = packageJson?.scripts?.test;
+    if (packageJson && (!testScript || PLACEHOLDER_TEST_SCRIPT.test(testScript))) {
+      this.addFinding(context, 'missing-test-script', 'code_quality', 'medium', 'package.json has no working test script', {
+        file: 'package.json'
+      });
+    }
+
+    const { source_files: sourceFiles, test_files: testFiles } = context.metrics;
+    if (sourceFiles > 0 && testFiles === 0) {
+      this.addFinding(context, 'missing-tests', 'code_quality', 'high', `No test files found for ${sourceFiles} source files`);
+    } else if (sourceFiles >= 10 && testFiles / sourceFiles < 0.1) {
+      this.addFinding(context, 'low-test-ratio', 'code_quality', 'medium',
+        `Only ${testFiles} test files for ${sourceFiles} source files`);
+    }
+  }
+
+  checkLintConfig(context, packageJson) {
+    const hasConfig = context.files.some(file => LINT_CONFIGS.some(pattern => pattern.test(path.basename(file.path)))) ||
+      Boolean(packageJson?.eslintConfig);
+    if (!hasConfig && context.metrics.source_files > 0) {
+      this.addFinding(context, 'missing-lint-config', 'code_quality', 'medium', 'No linter configuration found');
+    }
+    if (packageJson && !packageJson.scripts?.lint) {
+      this.addFinding(context, 'missing-lint-script', 'code_quality', 'low', 'package.json has no lint script', {
+        file: 'package.json'
+      });
+    }
+  }
+
+  // Cycles between relative imports of the scanned source files
+  checkCircularImports(context) {
+    const { imports } = context;
+    const resolve = (from, specifier) => {
+      const base = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier));
+      const candidates = [base, ...SOURCE_EXTENSIONS.map(extension => `${base}${extension}`),
+        ...SOURCE_EXTENSIONS.map(extension => `${base}/index${extension}`)];
+      return candidates.find(candidate => imports.has(candidate)) || null;
+    };
+
+    const state = new Map();
+    const reported = new Set();
+    const visit = (file, stack) => {
+      state.set(file, 'visiting');
+      for (const specifier of imports.get(file) || []) {
+        const target = resolve(file, specifier);
+        if (!target) {
+          continue;
+        }
+        if (state.get(target) === 'visiting') {
+          const cycle = [...stack.slice(stack.indexOf(target)), target];
+          const key = [...cycle.slice(0, -1)].sort().join('|');
+          if (!reported.has(key) && reported.size < 20) {
+            reported.add(key);
+            this.addFinding(context, 'circular-import', 'architecture', 'medium', `Circular import: ${cycle.join(' -> ')}`, {
+              file: target,
+              evidence: key
+            });
+          }
+        } else if (!state.has(target)) {
+          visit(target, [...stack, target]);
+        }
+      }
+      state.set(file, 'done');
+    };
+
+    for (const file of imports.keys()) {
+      if (!state.has(file)) {
+        visit(file, [file]);
+      }
+    }
+  }
+
+  addFinding(context, ruleId, category, severity, message, details = {}) {
+    const { file = null, line = null, evidence = null, locations = null } = details;
+    context.findings.push({
+      rule_id: ruleId,
+      category,
+      severity,
+      message,
+      file,
+      line,
+      ...(locations ? { locations } : {}),
+      // Line numbers move between runs, so they are left out
+      fingerprint: createHash('sha1').update(`${ruleId}|${file || ''}|${evidence || ''}`).digest('hex').slice(0, 16)
+    });
+  }
+
+  computeScores(findings) {
+    return Object.fromEntries(ANALYSIS_CATEGORIES.map(category => [
+      category,
+      Math.max(0, 100 - findings
+        .filter(finding => finding.category === category)
+        .reduce((total, finding) => total + SEVERITY_WEIGHTS[finding.severity], 0))
+    ]));
+  }
+
+  buildRecommendations(findings) {
+    const recommendations = [];
+    for (const finding of findings) {
+      const recommendation = getRecommendation(finding.rule_id);
+      if (recommendation && !recommendations.includes(recommendation)) {
+        recommendations.push(recommendation);
+      }
+    }
+    return recommendations;
+  }
+
+  stripComments(content) {
+    return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:'"`])\/\/.*$/gm, '$1');
+  }
+
+  formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+  }
+}
@@ -16,6 +16,17 @@ import { OrchestrationService } from './orchestrator/orchestration.js';
 import { AgentManager } from './agents/agent-manager.js';
 import { TaskQueue } from './services/task-queue.js';
 import { AIKnowledgeExtractor } from './services/ai-knowledge-extractor.js';
+import { HeartbeatMonitor } from './core/agent-manager/heartbeat-monitor.js';
+import { RoutingLearner } from './core/agent-manager/routing-learner.js';
+import { WorkflowScheduler } from './core/workflow-engine/workflow-scheduler.js';
+import { createAgentRouter } from './api/agent-routes.js';
+import { createRoutingRouter } from './api/routing-routes.js';
+import { createProjectRouter } from './api/project-routes.js';
+import { createLockRouter } from './api/lock-routes.js';
+import { createApprovalRouter } from './api/approval-routes.js';
+import { createTaskEventRouter } from './api/task-event-routes.js';
+import { createTemplateRouter } from './api/template-routes.js';
+import { createHealthReportRouter } from './api/health-report-routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -56,12 +67,22 @@ class AIBuilderOrchestrator {
     );
 
     this.database = new DatabaseManager();
-    this.agentManager = new AgentManager();
+    this.agentManager = new AgentManager(this.database);
+    this.routingLearner = new RoutingLearner(this.database);
+    this.agentManager.setRoutingLearner(this.routingLearner);
     this.orchestrationService = new OrchestrationService(
       this.database,
       this.agentManager
     );
+    this.heartbeatMonitor = new HeartbeatMonitor(
+      this.agentManager,
+      this.database
+    );
+    this.orchestrationService.attachHeartbeatMonitor(this.heartbeatMonitor);
     this.taskQueue = new TaskQueue();
+    this.orchestrationService.attachTaskQueue(this.taskQueue);
+    this.workflowScheduler = new WorkflowScheduler(this.database);
+    this.orchestrationService.attachWorkflowScheduler(this.workflowScheduler);
     this.knowledgeExtractor = new AIKnowledgeExtractor();
 
     this.setupHandlers();
@@ -76,7 +97,7 @@ class AIBuilderOrchestrator {
           {
             name: 'delegate_to_ai_builder',
             description:
-              'Delegate a development task to the best available AI Builder (Devin, Cursor, etc.)',
+              'Delegate a development task to the best available AI Builder (Devin, Cursor, etc.). The task is queued and its ID returned immediately; use monitor_ai_builder to follow it',
             inputSchema: {
               type: 'object',
               properties: {
@@ -97,16 +118,130 @@ class AIBuilderOrchestrator {
                       type: 'string',
                       enum: ['low', 'medium', 'high', 'urgent'],
                     },
-                    deadline: { type: 'string' },
+                    deadline: {
+                      type: 'string',
+                      description:
+                        'ISO date the task must be done by; the task is escalated as it approaches and marked timed_out once it passes',
+                    },
+                    timeout_ms: {
+                      type: 'number',
+                      description:
+                        'Maximum execution time, overriding the agent default',
+                    },
+                    retry_policy: {
+                      type: 'object',
+                      description:
+                        'How failed attempts are retried; each retry goes to the best agent that has not failed the task yet',
+                      properties: {
+                        max_attempts: { type: 'number', minimum: 1 },
+                        backoff_ms: { type: 'number', minimum: 0 },
+                        backoff_multiplier: { type: 'number', minimum: 1 },
+                        max_backoff_ms: { type: 'number', minimum: 0 },
+                        retryable_errors: {
+                          type: 'array',
+                          items: {
+                            type: 'string',
+                            enum: [
+                              'network',
+                              'timeout',
+                              'server',
+                              'auth',
+                              'rate_limited',
+                              'task',
+                            ],
+                          },
+                        },
+                      },
+                    },
                     requirements: { type: 'array', items: { type: 'string' } },
+                    project_id: {
+                      type: 'string',
+                      description:
+                        'Project the task belongs to; used for budgets and spend tracking',
+                    },
+                    cost_preference: {
+                      type: 'number',
+                      minimum: 0,
+                      maximum: 1,
+                      description:
+                        'Trade-off between quality (0) and cost (1); defaults to the project budget setting',
+                    },
+                    estimated_tokens: {
+                      type: 'number',
+                      description:
+                        'Expected token usage, used to estimate cost for per-token agents',
+                    },
+                    paths: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description:
+                        'Files or directories the task will touch; tasks with overlapping paths in the same project run one at a time',
+                    },
+                    modules: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description:
+                        'Named modules the task will touch, locked like paths',
+                    },
+                    conflict_strategy: {
+                      type: 'string',
+                      enum: ['wait', 'reject'],
+                      description:
+                        'Wait for conflicting tasks to release their locks (default) or fail right away',
+                    },
+                    on_dependency_failure: {
+                      type: 'string',
+                      enum: ['fail', 'skip'],
+                      description:
+                        'Fail the task (default) or mark it skipped when a prerequisite task does not complete',
+                    },
                   },
                 },
+                allow_duplicate: {
+                  type: 'boolean',
+                  description:
+                    'Submit even if an unfinished task with the same description exists for the project',
+                },
+                depends_on: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description:
+                    'IDs of tasks that must complete first; the task stays blocked until then and receives their results in project_context.prerequisite_results',
+                },
                 preferred_agent: {
                   type: 'string',
                   description:
                     'Preferred AI Builder agent (devin, cursor, claude, gpt-4, auto)',
                   enum: ['devin', 'cursor', 'claude', 'gpt-4', 'auto'],
                 },
+                decompose: {
+                  type: 'boolean',
+                  description:
+                    'Break the task into dependent subtasks (design, one implementation step per feature, tests, review), each routed to the best agent for its capabilities',
+                },
+                subtasks: {
+                  type: 'array',
+                  description:
+                    'Explicit decomposition instead of the built-in planner; implies decompose',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      key: { type: 'string' },
+                      task: { type: 'string' },
+                      capabilities: {
+                        type: 'array',
+                        items: { type: 'string' },
+                      },
+                      agent: { type: 'string' },
+                      depends_on: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Keys of subtasks that must complete first',
+                      },
+                    },
+                    required: ['task'],
+                  },
+                },
               },
               required: ['task'],
             },
@@ -125,10 +260,58 @@ class AIBuilderOrchestrator {
                   type: 'string',
                   description: 'ID of the AI Builder agent',
                 },
+                follow: {
+                  type: 'boolean',
+                  description:
+                    'Wait for the task to finish, sending progress notifications when the request carries a progress token',
+                },
+                follow_timeout_ms: {
+                  type: 'number',
+                  minimum: 1000,
+                  description:
+                    'How long to follow the task before returning its current state (default 5 minutes)',
+                },
+              },
+              required: ['task_id'],
+            },
+          },
+          {
+            name: 'cancel_task',
+            description:
+              'Cancel a queued or running AI Builder task; running work is stopped on the agent and its capacity released',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task_id: {
+                  type: 'string',
+                  description: 'ID of the task to cancel',
+                },
+                reason: {
+                  type: 'string',
+                  description: 'Why the task is being cancelled',
+                },
+                cancelled_by: {
+                  type: 'string',
+                  description: 'Who is cancelling the task (recorded in the task log)',
+                },
               },
               required: ['task_id'],
             },
           },
+          {
+            name: 'list_locks',
+            description:
+              'List the resource locks agents currently hold and the tasks waiting on them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description: 'Only show locks for this project',
+                },
+              },
+            },
+          },
           {
             name: 'get_ai_builder_status',
             description:
@@ -143,6 +326,263 @@ class AIBuilderOrchestrator {
               },
             },
           },
+          {
+            name: 'explain_agent_selection',
+            description:
+              'Dry-run agent selection for a task and show every candidate with its per-factor score breakdown',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task: {
+                  type: 'string',
+                  description: 'The development task to route',
+                },
+                project_context: {
+                  type: 'object',
+                  description: 'Context about the project and requirements',
+                  properties: {
+                    project_type: { type: 'string' },
+                    technology_stack: {
+                      type: 'array',
+                      items: { type: 'string' },
+                    },
+                    priority: {
+                      type: 'string',
+                      enum: ['low', 'medium', 'high', 'urgent'],
+                    },
+                  },
+                },
+              },
+              required: ['task'],
+            },
+          },
+          {
+            name: 'get_routing_weights',
+            description:
+              'Inspect learned routing weights per agent, task type and technology',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                agent: {
+                  type: 'string',
+                  description: 'Only show weights for this agent name',
+                },
+                task_type: {
+                  type: 'string',
+                  description:
+                    'Only show weights for this task type (build, test, deploy, fix, refactor, general)',
+                },
+                technology: {
+                  type: 'string',
+                  description: 'Only show weights for this technology',
+                },
+              },
+            },
+          },
+          {
+            name: 'set_project_budget',
+            description:
+              'Set the spending budget and cost-vs-quality preference for a project',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description: 'ID of the project',
+                },
+                budget_limit: {
+                  type: 'number',
+                  minimum: 0,
+                  description: 'Total budget for AI Builder work on this project',
+                },
+                currency: {
+                  type: 'string',
+                  description: 'Currency of the budget (default USD)',
+                },
+                cost_preference: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1,
+                  description:
+                    'Trade-off between quality (0) and cost (1) when routing tasks',
+                },
+              },
+              required: ['project_id', 'budget_limit'],
+            },
+          },
+          {
+            name: 'approve_task',
+            description:
+              'Approve a task that is waiting for human sign-off so it gets queued',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task_id: {
+                  type: 'string',
+                  description: 'ID of the task awaiting approval',
+                },
+                decided_by: {
+                  type: 'string',
+                  description:
+                    'Who approves the task (recorded in the task log)',
+                },
+                comment: { type: 'string' },
+              },
+              required: ['task_id'],
+            },
+          },
+          {
+            name: 'reject_task',
+            description: 'Reject a task that is waiting for human sign-off',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task_id: {
+                  type: 'string',
+                  description: 'ID of the task awaiting approval',
+                },
+                decided_by: {
+                  type: 'string',
+                  description:
+                    'Who rejects the task (recorded in the task log)',
+                },
+                comment: {
+                  type: 'string',
+                  description: 'Why the task was rejected',
+                },
+              },
+              required: ['task_id'],
+            },
+          },
+          {
+            name: 'set_approval_policy',
+            description:
+              'Require human approval before tasks of a type run, for one project or all of them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task_type: {
+                  type: 'string',
+                  enum: [
+                    'build',
+                    'test',
+                    'deploy',
+                    'fix',
+                    'refactor',
+                    'general',
+                  ],
+                  description: 'Task type the policy applies to',
+                },
+                project_id: {
+                  type: 'string',
+                  description:
+                    'Project the policy applies to; omit for all projects without their own policy',
+                },
+                enabled: {
+                  type: 'boolean',
+                  description:
+                    'Turn the approval requirement on or off (default on)',
+                },
+                expires_after_ms: {
+                  type: 'number',
+                  description:
+                    'How long an approval request stays open before the task is cancelled (default 24h)',
+                },
+              },
+              required: ['task_type'],
+            },
+          },
+          {
+            name: 'list_task_templates',
+            description:
+              'List the task templates with their parameters, default agent and acceptance criteria',
+            inputSchema: {
+              type: 'object',
+              properties: {},
+            },
+          },
+          {
+            name: 'delegate_from_template',
+            description:
+              'Delegate a task built from a stored template, filling in its parameters',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                template: {
+                  type: 'string',
+                  description:
+                    'Name of the template, as shown by list_task_templates',
+                },
+                parameters: {
+                  type: 'object',
+                  description: 'Values for the template parameters',
+                  additionalProperties: { type: 'string' },
+                },
+                project_context: {
+                  type: 'object',
+                  description:
+                    'Overrides the template defaults; accepts the same fields as delegate_to_ai_builder',
+                },
+                preferred_agent: {
+                  type: 'string',
+                  description: 'Overrides the template agent',
+                  enum: ['devin', 'cursor', 'claude', 'gpt-4', 'auto'],
+                },
+                depends_on: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'IDs of tasks that must complete first',
+                },
+                allow_duplicate: {
+                  type: 'boolean',
+                  description:
+                    'Submit even if an unfinished task with the same description exists for the project',
+                },
+              },
+              required: ['template'],
+            },
+          },
+          {
+            name: 'set_review_policy',
+            description:
+              'Require a second agent to review task results before they complete, for a project or a priority level',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description:
+                    'Project the policy applies to (takes precedence over priority policies)',
+                },
+                priority: {
+                  type: 'string',
+                  enum: ['low', 'medium', 'high', 'urgent'],
+                  description: 'Task priority the policy applies to',
+                },
+                enabled: {
+                  type: 'boolean',
+                  description: 'Turn the review stage on or off (default on)',
+                },
+                max_rounds: {
+                  type: 'number',
+                  minimum: 1,
+                  maximum: 10,
+                  description:
+                    'Review rounds before a rejected task fails (default 2)',
+                },
+                reviewer_capability: {
+                  type: 'string',
+                  description:
+                    'Capability the reviewing agent must have (default code_review)',
+                },
+                approve_on_failure: {
+                  type: 'boolean',
+                  description:
+                    'Accept the result when the review reaches no verdict, e.g. no reviewer is available or the review fails (default off)',
+                },
+              },
+            },
+          },
           {
             name: 'schedule_autonomous_upgrade',
             description:
@@ -173,7 +613,7 @@ class AIBuilderOrchestrator {
                 schedule: {
                   type: 'string',
                   description:
-                    'When to perform the upgrade (immediate, scheduled, or cron expression)',
+                    'When to perform the upgrade: immediate (default), scheduled (weekly, Sundays 02:00) or a cron expression',
                 },
               },
               required: ['project_id', 'upgrade_type'],
@@ -244,8 +684,10 @@ class AIBuilderOrchestrator {
                 },
                 analysis_type: {
                   type: 'string',
-                  description: 'Type of analysis to perform',
+                  description:
+                    'Type of analysis to perform; comprehensive scores every category',
                   enum: [
+                    'comprehensive',
                     'security',
                     'performance',
                     'code_quality',
@@ -253,14 +695,98 @@ class AIBuilderOrchestrator {
                     'architecture',
                   ],
                 },
+                output_format: {
+                  type: 'string',
+                  description:
+                    'markdown summary, the stored report as JSON (with the diff against the previous run), or a SARIF 2.1.0 log',
+                  enum: ['markdown', 'json', 'sarif'],
+                  default: 'markdown',
+                },
+                sarif_path: {
+                  type: 'string',
+                  description:
+                    'Also write the findings as a SARIF file to this path (relative to the project)',
+                },
+                create_tasks: {
+                  type: 'boolean',
+                  description:
+                    'Delegate a follow-up task for each finding at or above min_severity',
+                },
+                min_severity: {
+                  type: 'string',
+                  enum: ['critical', 'high', 'medium', 'low'],
+                  default: 'high',
+                  description:
+                    'Least severe finding that create_tasks turns into a task',
+                },
+                project_id: {
+                  type: 'string',
+                  description: 'Project the follow-up tasks belong to',
+                },
               },
               required: ['project_path'],
             },
           },
+          {
+            name: 'create_tasks_from_health_report',
+            description:
+              'Delegate follow-up tasks for findings of a stored health report. Priority follows the finding severity, the finding is passed as project_context.health_finding, and findings that already have an unfinished task are skipped',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                report_id: {
+                  type: 'number',
+                  description: 'Report ID returned by analyze_project_health',
+                },
+                fingerprints: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description:
+                    'Fingerprints of the findings to fix; overrides min_severity and categories',
+                },
+                min_severity: {
+                  type: 'string',
+                  enum: ['critical', 'high', 'medium', 'low'],
+                  default: 'high',
+                  description: 'Least severe finding to turn into a task',
+                },
+                categories: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    enum: [
+                      'security',
+                      'performance',
+                      'code_quality',
+                      'dependencies',
+                      'architecture',
+                    ],
+                  },
+                  description: 'Only findings in these categories',
+                },
+                max_tasks: {
+                  type: 'number',
+                  minimum: 1,
+                  default: 10,
+                  description:
+                    'Most tasks to create, most severe findings first',
+                },
+                project_id: {
+                  type: 'string',
+                  description: 'Project the tasks belong to',
+                },
+                preferred_agent: {
+                  type: 'string',
+                  enum: ['devin', 'cursor', 'claude', 'gpt-4', 'auto'],
+                },
+              },
+              required: ['report_id'],
+            },
+          },
           {
             name: 'deploy_autonomous_system',
             description:
-              'Deploy an autonomous development system for a project',
+              'Deploy an autonomous development system for a project: each enabled flag creates a workflow that delegates its tasks on a cron schedule. Deploying again replaces the previous setup',
             inputSchema: {
               type: 'object',
               properties: {
@@ -269,6 +795,11 @@ class AIBuilderOrchestrator {
                   description:
                     'ID of the project to deploy autonomous system for',
                 },
+                project_path: {
+                  type: 'string',
+                  description:
+                    'Local checkout of the project; auto_monitoring then runs health analyses instead of delegating a monitoring task',
+                },
                 deployment_config: {
                   type: 'object',
                   description: 'Configuration for the autonomous deployment',
@@ -277,12 +808,62 @@ class AIBuilderOrchestrator {
                     auto_deployment: { type: 'boolean' },
                     auto_monitoring: { type: 'boolean' },
                     auto_scaling: { type: 'boolean' },
+                    schedules: {
+                      type: 'object',
+                      description:
+                        'Cron expressions overriding the default schedules',
+                      properties: {
+                        testing: { type: 'string' },
+                        deployment: { type: 'string' },
+                        monitoring: { type: 'string' },
+                        scaling: { type: 'string' },
+                      },
+                    },
                   },
                 },
               },
               required: ['project_id'],
             },
           },
+          {
+            name: 'get_autonomous_system_status',
+            description:
+              'Show the workflows and schedules deployed for a project and the tasks of their last runs',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description: 'ID of the project',
+                },
+              },
+              required: ['project_id'],
+            },
+          },
+          {
+            name: 'teardown_autonomous_system',
+            description:
+              'Stop and remove the workflows and schedules deployed for a project',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_id: {
+                  type: 'string',
+                  description: 'ID of the project',
+                },
+                cancel_running_tasks: {
+                  type: 'boolean',
+                  description:
+                    'Also cancel unfinished tasks the workflows started',
+                },
+                cancelled_by: {
+                  type: 'string',
+                  description: 'Who is tearing the system down',
+                },
+              },
+              required: ['project_id'],
+            },
+          },
           {
             name: 'extract_tool_knowledge',
             description:
@@ -386,11 +967,49 @@ class AIBuilderOrchestrator {
             return await this.orchestrationService.delegateToAIBuilder(args);
 
           case 'monitor_ai_builder':
-            return await this.orchestrationService.monitorAIBuilder(args);
+            return await this.orchestrationService.monitorAIBuilder(
+              args,
+              this.createProgressNotifier(request)
+            );
 
           case 'get_ai_builder_status':
             return await this.orchestrationService.getAIBuilderStatus(args);
 
+          case 'explain_agent_selection':
+            return await this.orchestrationService.explainAgentSelection(args);
+
+          case 'get_routing_weights':
+            return await this.orchestrationService.getRoutingWeightsReport(
+              args
+            );
+
+          case 'set_project_budget':
+            return await this.orchestrationService.setProjectBudget(args);
+
+          case 'set_review_policy':
+            return await this.orchestrationService.setReviewPolicy(args);
+
+          case 'approve_task':
+            return await this.orchestrationService.approveTask(args);
+
+          case 'reject_task':
+            return await this.orchestrationService.rejectTask(args);
+
+          case 'set_approval_policy':
+            return await this.orchestrationService.setApprovalPolicy(args);
+
+          case 'list_task_templates':
+            return await this.orchestrationService.listTaskTemplates();
+
+          case 'delegate_from_template':
+            return await this.orchestrationService.delegateFromTemplate(args);
+
+          case 'cancel_task':
+            return await this.orchestrationService.cancelTask(args);
+
+          case 'list_locks':
+            return await this.orchestrationService.listLocks(args);
+
           case 'schedule_autonomous_upgrade':
             return await this.orchestrationService.scheduleAutonomousUpgrade(
               args
@@ -407,9 +1026,24 @@ class AIBuilderOrchestrator {
           case 'analyze_project_health':
             return await this.orchestrationService.analyzeProjectHealth(args);
 
+          case 'create_tasks_from_health_report':
+            return await this.orchestrationService.createTasksFromHealthReport(
+              args
+            );
+
           case 'deploy_autonomous_system':
             return await this.orchestrationService.deployAutonomousSystem(args);
 
+          case 'get_autonomous_system_status':
+            return await this.orchestrationService.getAutonomousSystemStatus(
+              args
+            );
+
+          case 'teardown_autonomous_system':
+            return await this.orchestrationService.teardownAutonomousSystem(
+              args
+            );
+
           case 'extract_tool_knowledge':
             return await this.handleExtractToolKnowledge(args);
 
@@ -439,6 +1073,21 @@ class AIBuilderOrchestrator {
     });
   }
 
+  // Forwards task progress as MCP progress notifications, when the client asked
+  // for them by sending a progress token with the request
+  createProgressNotifier(request) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) {
+      return null;
+    }
+
+    return progress =>
+      this.server.notification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total: 100 },
+      });
+  }
+
   setupExpress() {
     this.app = express();
     this.app.use(helmet());
@@ -466,6 +1115,41 @@ class AIBuilderOrchestrator {
       }
     });
 
+    this.app.use(
+      '/api/agents',
+      createAgentRouter(this.agentManager, logger)
+    );
+
+    this.app.use(
+      '/api/routing',
+      createRoutingRouter(this.orchestrationService, logger)
+    );
+
+    this.app.use(
+      '/api/projects',
+      createProjectRouter(this.database, logger)
+    );
+
+    this.app.use(
+      '/api/locks',
+      createLockRouter(this.orchestrationService.lockManager, logger)
+    );
+
+    this.app.use(
+      '/api/approvals',
+      createApprovalRouter(this.orchestrationService, this.database, logger)
+    );
+
+    this.app.use(
+      '/api/templates',
+      createTemplateRouter(this.orchestrationService, logger)
+    );
+
+    this.app.use(
+      '/api/health-reports',
+      createHealthReportRouter(this.orchestrationService, this.database, logger)
+    );
+
     this.app.get('/api/tasks', async (req, res) => {
       try {
         const tasks = await this.taskQueue.getAllTasks();
@@ -476,13 +1160,55 @@ class AIBuilderOrchestrator {
       }
     });
 
+    this.app.post('/api/tasks/:id/cancel', async (req, res) => {
+      try {
+        const cancellation =
+          await this.orchestrationService.cancelDelegatedTask({
+            task_id: req.params.id,
+            reason: req.body?.reason,
+            cancelled_by: req.body?.cancelled_by || 'api',
+          });
+        res.json(cancellation);
+      } catch (error) {
+        if (error.code === 'TASK_NOT_FOUND') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'TASK_NOT_CANCELLABLE') {
+          return res.status(409).json({ error: error.message });
+        }
+        logger.error('Error cancelling task:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    this.app.use(
+      '/api/tasks',
+      createTaskEventRouter(
+        this.orchestrationService.progressStream,
+        this.database,
+        logger
+      )
+    );
+
+    // Returns as soon as the task is queued; follow it with monitor_ai_builder
+    // or GET /api/tasks/:id/events
     this.app.post('/api/delegate', async (req, res) => {
+      if (!req.body?.task) {
+        return res.status(400).json({ error: 'Task description is required' });
+      }
+
       try {
-        const result = await this.orchestrationService.delegateToAIBuilder(
+        const submission = await this.orchestrationService.submitDelegation(
           req.body
         );
-        res.json(result);
+        res.status(submission.status === 'started' ? 200 : 202).json(submission);
       } catch (error) {
+        if (error.code === 'DEPENDENCY_NOT_FOUND') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (['DUPLICATE_TASK', 'DEPENDENCY_CYCLE'].includes(error.code)) {
+          return res.status(409).json({ error: error.message });
+        }
         logger.error('Error delegating task:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
@@ -690,10 +1416,32 @@ class AIBuilderOrchestrator {
       await this.agentManager.initialize();
       logger.info('Agent manager initialized successfully');
 
+      // Load learned routing weights from task history
+      await this.routingLearner.initialize();
+      logger.info('Routing learner initialized successfully');
+
+      // Start agent liveness checks
+      this.heartbeatMonitor.start();
+
+      // Expire approval requests nobody decided on in time
+      this.orchestrationService.approvalGate.start();
+
+      // Drop resource locks left behind by executions of a previous run
+      await this.orchestrationService.lockManager.initialize();
+
+      // Add the built-in task templates that are not stored yet
+      await this.orchestrationService.templateLibrary.initialize();
+
+      // Put delegations that were still queued or running at shutdown back on the queue
+      await this.orchestrationService.restoreQueuedDelegations();
+
       // Start task queue
       await this.taskQueue.start();
       logger.info('Task queue started successfully');
 
+      // Run the workflow schedules of deployed autonomous systems
+      await this.workflowScheduler.start();
+
       // Start Express server
       const port = process.env.PORT || 3000;
       this.app.listen(port, () => {
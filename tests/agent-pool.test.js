@@ -0,0 +1,171 @@
+import { AgentPool, DEFAULT_INSTANCE_ID } from '../src/core/agent-manager/agent-pool.js';
+import { createServices, stopServices } from './helpers.js';
+
+const createAgent = (configuration = {}) => ({
+  name: 'devin',
+  maxConcurrentTasks: 3,
+  lastHeartbeat: new Date(),
+  configuration: { adapter: 'local_mock', ...configuration }
+});
+
+const pooledAgent = (configuration = {}) => createAgent({
+  instances: [{ id: 'one', max_concurrent_tasks: 2 }, { id: 'two', max_concurrent_tasks: 2 }],
+  ...configuration
+});
+
+describe('AgentPool', () => {
+  test('gives agents without instances a single default instance', () => {
+    const pool = new AgentPool(createAgent());
+
+    expect(pool.pooled).toBe(false);
+    expect(pool.getStatus()).toMatchObject([{ id: DEFAULT_INSTANCE_ID, maxConcurrentTasks: 3, isAvailable: true }]);
+  });
+
+  test('assigns to the least loaded instance', () => {
+    const pool = new AgentPool(pooledAgent());
+
+    expect(['a', 'b', 'c', 'd'].map(taskId => pool.assign(taskId).id)).toEqual(['one', 'two', 'one', 'two']);
+    expect(pool.hasAvailableInstance()).toBe(false);
+    expect(pool.assign('e')).toBeNull();
+
+    expect(pool.release('b').id).toBe('two');
+    expect(pool.assign('e').id).toBe('two');
+  });
+
+  test('sends follow-up tasks of a project back to the same instance', () => {
+    const pool = new AgentPool(pooledAgent({ sticky_projects: true }));
+
+    expect(pool.assign('shop-1', 'shop').id).toBe('one');
+    expect(pool.assign('blog-1', 'blog').id).toBe('two');
+    // shop stays on 'one' even though 'two' is now idle
+    pool.release('blog-1');
+    expect(pool.assign('shop-2', 'shop').id).toBe('one');
+    expect(pool.getProjectsForInstance('one')).toEqual(['shop']);
+  });
+
+  test('moves a sticky project on when its instance is unhealthy or full', () => {
+    const pool = new AgentPool(pooledAgent({ sticky_projects: true }));
+    pool.assign('shop-1', 'shop');
+
+    pool.getInstance('one').status = 'unhealthy';
+    expect(pool.assign('shop-2', 'shop').id).toBe('two');
+    expect(pool.getProjectsForInstance('two')).toEqual(['shop']);
+    expect(pool.assign('filler', null).id).toBe('two');
+
+    pool.getInstance('one').status = 'active';
+    expect(pool.assign('shop-3', 'shop').id).toBe('one');
+  });
+
+  test('ignores project affinity unless sticky_projects is set', () => {
+    const pool = new AgentPool(pooledAgent());
+
+    expect(pool.assign('shop-1', 'shop').id).toBe('one');
+    expect(pool.assign('shop-2', 'shop').id).toBe('two');
+    expect(pool.getProjectsForInstance('one')).toEqual([]);
+  });
+
+  test('keeps running tasks, health and adapters of instances that survive a resync', () => {
+    const pool = new AgentPool(pooledAgent());
+    pool.assign('a');
+    pool.getInstance('two').status = 'unhealthy';
+    const adapter = pool.getInstance('one').adapter;
+
+    pool.sync(pooledAgent({
+      instances: [{ id: 'one', max_concurrent_tasks: 4 }, { id: 'two', max_concurrent_tasks: 2, api_endpoint: 'http://two' }]
+    }));
+
+    expect(pool.getInstance('one')).toMatchObject({ currentTasks: 1, activeTasks: ['a'], maxConcurrentTasks: 4 });
+    expect(pool.getInstance('one').adapter).toBe(adapter);
+    expect(pool.getInstance('two').status).toBe('unhealthy');
+    expect(pool.getInstance('two').adapter).not.toBe(adapter);
+    expect(pool.getInstance('two').configuration.api_endpoint).toBe('http://two');
+  });
+
+  test('keeps removed instances until their tasks are released', () => {
+    const pool = new AgentPool(pooledAgent({ sticky_projects: true }));
+    pool.assign('shop-1', 'shop');
+
+    pool.sync(createAgent({ sticky_projects: true, instances: [{ id: 'two', max_concurrent_tasks: 2 }] }));
+
+    expect(pool.getInstance('one')).toMatchObject({ status: 'removed', maxConcurrentTasks: 0, activeTasks: ['shop-1'] });
+    expect(pool.getTotalCapacity()).toBe(2);
+    expect(pool.assign('shop-2', 'shop').id).toBe('two');
+    expect(pool.getProjectsForInstance('two')).toEqual(['shop']);
+
+    pool.release('shop-1');
+    expect(pool.getInstance('one')).toBeUndefined();
+  });
+
+  test('forgets the projects of instances that are gone', () => {
+    const pool = new AgentPool(pooledAgent({ sticky_projects: true }));
+    pool.assign('shop-1', 'shop');
+    pool.assign('blog-1', 'blog');
+    pool.release('blog-1');
+
+    pool.sync(createAgent({ sticky_projects: true, instances: [{ id: 'one', max_concurrent_tasks: 2 }] }));
+
+    expect(pool.getInstance('two')).toBeUndefined();
+    expect(pool.getProjectsForInstance('one')).toEqual(['shop']);
+    expect(pool.getProjectsForInstance('two')).toEqual([]);
+  });
+
+  test('leaves the pool as it was when the new configuration is rejected', () => {
+    const pool = new AgentPool(pooledAgent());
+    pool.assign('a');
+    const before = pool.getStatus();
+
+    expect(() => pool.sync(pooledAgent({
+      instances: [{ id: 'one', max_concurrent_tasks: 2 }, { id: 'three', adapter: 'carrier_pigeon' }]
+    }))).toThrow("Unknown adapter type 'carrier_pigeon' for agent devin");
+    expect(pool.getStatus()).toEqual(before);
+  });
+
+  test('records heartbeats for one instance or all of them', () => {
+    const pool = new AgentPool(pooledAgent({ instances: [{ id: 'one' }, { id: 'two' }] }));
+    pool.getInstances().forEach(instance => {
+      instance.lastHeartbeat = new Date(0);
+    });
+
+    pool.recordHeartbeat('one');
+    expect(pool.getInstance('one').lastHeartbeat.getTime()).toBeGreaterThan(0);
+    expect(pool.getInstance('two').lastHeartbeat.getTime()).toBe(0);
+
+    pool.recordHeartbeat();
+    expect(pool.getInstance('two').lastHeartbeat.getTime()).toBeGreaterThan(0);
+    expect(() => pool.recordHeartbeat('three')).toThrow('Agent devin has no instance three');
+  });
+});
+
+describe('agent instance pools', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('resync when the agent configuration changes', async () => {
+    const { agentManager } = services;
+    await agentManager.updateAgentConfiguration('devin', {
+      sticky_projects: true,
+      instances: [{ id: 'one', max_concurrent_tasks: 1 }, { id: 'two', max_concurrent_tasks: 1 }]
+    });
+
+    await agentManager.assignTaskToAgent('devin', 'shop-1', 'shop');
+    expect(agentManager.getTaskInstance('devin', 'shop-1').id).toBe('one');
+
+    await expect(agentManager.updateAgentConfiguration('devin', { adapter: 'carrier_pigeon' }))
+      .rejects.toMatchObject({ code: 'INVALID_AGENT_CONFIGURATION' });
+    expect((await agentManager.getAgentByName('devin')).configuration.adapter).not.toBe('carrier_pigeon');
+
+    await agentManager.updateAgentConfiguration('devin', {
+      instances: [{ id: 'one', max_concurrent_tasks: 2 }, { id: 'two', max_concurrent_tasks: 1 }]
+    });
+    await agentManager.assignTaskToAgent('devin', 'shop-2', 'shop');
+    expect(agentManager.getTaskInstance('devin', 'shop-2').id).toBe('one');
+    expect(agentManager.getAgentPool('devin').getInstance('one').activeTasks).toEqual(['shop-1', 'shop-2']);
+  });
+});
@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  buildAutomationWorkflows,
+  buildUpgradeSteps,
+  DEFAULT_DEPLOYMENT_CONFIG
+} from '../src/core/workflow-engine/automation-workflows.js';
+import { WorkflowScheduler } from '../src/core/workflow-engine/workflow-scheduler.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('buildAutomationWorkflows', () => {
+  test('creates a workflow for every enabled flag', () => {
+    const workflows = buildAutomationWorkflows('shop', DEFAULT_DEPLOYMENT_CONFIG);
+
+    expect(workflows.map(workflow => [workflow.flag, workflow.name, workflow.schedule])).toEqual([
+      ['auto_testing', 'autonomous_testing_shop', '0 */6 * * *'],
+      ['auto_deployment', 'autonomous_deployment_shop', '0 3 * * *'],
+      ['auto_monitoring', 'autonomous_monitoring_shop', '0 * * * *']
+    ]);
+    expect(workflows[1].steps).toMatchObject([
+      { key: 'verify', type: 'delegate', task_type: 'test' },
+      { key: 'deploy', type: 'delegate', task_type: 'deploy', depends_on: ['verify'], on_dependency_failure: 'skip' }
+    ]);
+  });
+
+  test('takes schedule overrides by feature key', () => {
+    const workflows = buildAutomationWorkflows('shop', {
+      auto_scaling: true,
+      schedules: { scaling: '*/5 * * * *', testing: '0 0 * * *' }
+    });
+
+    expect(workflows.map(workflow => [workflow.flag, workflow.schedule])).toEqual([['auto_scaling', '*/5 * * * *']]);
+  });
+
+  test('monitors a project on disk with health checks instead of a delegated review', () => {
+    const [withoutPath] = buildAutomationWorkflows('shop', { auto_monitoring: true });
+    const [withPath] = buildAutomationWorkflows('shop', { auto_monitoring: true }, '/srv/shop');
+
+    expect(withoutPath.steps).toMatchObject([{ key: 'monitor', type: 'delegate' }]);
+    expect(withPath.steps).toEqual([{ key: 'health', type: 'health_check', min_severity: 'critical' }]);
+  });
+});
+
+describe('buildUpgradeSteps', () => {
+  test('chains analysis, upgrade, tests and release', () => {
+    const steps = buildUpgradeSteps('shop', 'security', ['Patch CVE-2024-0001']);
+
+    expect(steps.map(step => [step.key, step.task_type, step.depends_on])).toEqual([
+      ['analyze', 'general', undefined],
+      ['upgrade', 'fix', ['analyze']],
+      ['test', 'test', ['upgrade']],
+      ['deploy', 'deploy', ['test']]
+    ]);
+    expect(steps[0].task).toBe('Analyze project shop and plan a security upgrade. Requirements: Patch CVE-2024-0001.');
+    expect(buildUpgradeSteps('shop', 'features')[1].task_type).toBe('build');
+  });
+});
+
+describe('autonomous systems', () => {
+  let services;
+  let scheduler;
+  const roots = [];
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+    scheduler = new WorkflowScheduler(services.database);
+    services.orchestrationService.attachWorkflowScheduler(scheduler);
+    await scheduler.start();
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await stopServices(services);
+    for (const root of roots.splice(0)) {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  // A project on disk with a committed AWS key, which the health check reports as critical
+  const createLeakyProject = async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'automation-workflows-'));
+    roots.push(root);
+    await fs.mkdir(path.join(root, 'src'));
+    // Built at runtime so the fixture key never appears in the repository
+    await fs.writeFile(path.join(root, 'src', 'config.js'), `export const awsKey = '${`AKIA${'Q'.repeat(16)}`}';\n`);
+    return root;
+  };
+
+  const getWorkflow = async (projectId, name) =>
+    (await services.database.getProjectWorkflows(projectId)).find(workflow => workflow.name === name);
+
+  test('stores and schedules a workflow per enabled flag, and replaces them on redeploy', async () => {
+    const { database, orchestrationService } = services;
+
+    const result = await orchestrationService.deployAutonomousSystem({
+      project_id: 'shop',
+      deployment_config: { auto_monitoring: false, schedules: { testing: '0 0 * * *' } }
+    });
+
+    expect(result.content[0].text).toContain('**Auto Testing:** Enabled');
+    expect(result.content[0].text).toContain('**Auto Monitoring:** Disabled');
+    const schedules = await database.getProjectWorkflowSchedules('shop');
+    expect(schedules.map(schedule => schedule.cron_expression)).toEqual(['0 0 * * *', '0 3 * * *']);
+    expect(schedules.every(schedule => scheduler.isScheduled(schedule.id))).toBe(true);
+    expect((await database.getProjectIntegration('shop', 'autonomous_system')).configuration)
+      .toMatchObject({ auto_testing: true, auto_monitoring: false });
+
+    const redeploy = await orchestrationService.deployAutonomousSystem({
+      project_id: 'shop',
+      deployment_config: { auto_deployment: false, auto_monitoring: false }
+    });
+
+    expect(redeploy.content[0].text).toContain('**Replaced:** 2 previous workflow(s)');
+    expect((await database.getProjectWorkflows('shop')).map(workflow => workflow.name))
+      .toEqual(['autonomous_testing_shop']);
+    expect(schedules.some(schedule => scheduler.isScheduled(schedule.id))).toBe(false);
+  });
+
+  test('leaves a deployed system alone when the new schedule is invalid', async () => {
+    const { database, orchestrationService } = services;
+    await orchestrationService.deployAutonomousSystem({ project_id: 'shop' });
+
+    const result = await orchestrationService.deployAutonomousSystem({
+      project_id: 'shop',
+      deployment_config: { schedules: { testing: 'every morning' } }
+    });
+
+    expect(result.content[0].text).toBe('❌ Error deploying autonomous system: Invalid cron expression: every morning');
+    expect(await database.getProjectWorkflows('shop')).toHaveLength(3);
+  });
+
+  test('runs workflow steps as dependent delegations and skips runs while the last one is open', async () => {
+    const { database, orchestrationService } = services;
+    await orchestrationService.deployAutonomousSystem({ project_id: 'shop' });
+    const workflow = await getWorkflow('shop', 'autonomous_deployment_shop');
+
+    const run = await orchestrationService.runAutonomousWorkflow(workflow.id);
+
+    expect(run.status).toBe('started');
+    const deploy = await database.getTask(run.task_ids.deploy);
+    expect(deploy.task_type).toBe('deploy');
+    expect(JSON.parse(deploy.project_context)).toMatchObject({
+      project_id: 'shop',
+      on_dependency_failure: 'skip',
+      autonomous_workflow: { workflow_id: workflow.id, step: 'deploy' }
+    });
+    expect(JSON.parse(deploy.depends_on)).toEqual([run.task_ids.verify]);
+
+    const skipped = await orchestrationService.runAutonomousWorkflow(workflow.id, 'scheduled');
+    expect(skipped).toMatchObject({ status: 'skipped', task_ids: {} });
+    expect((await getWorkflow('shop', 'autonomous_deployment_shop')).execution_count).toBe(2);
+  });
+
+  test('cancels the tasks of health findings when a later step fails', async () => {
+    const { database, orchestrationService } = services;
+    const projectPath = await createLeakyProject();
+    const workflow = await database.createAutonomousWorkflow({
+      name: 'autonomous_monitoring_shop',
+      description: 'Health check, then a review',
+      triggers: ['scheduled'],
+      actions: [
+        { key: 'health', type: 'health_check', min_severity: 'critical' },
+        { key: 'review', type: 'delegate', task: 'Review the health report of project shop', task_type: 'general' }
+      ],
+      conditions: { project_id: 'shop', project_path: projectPath, feature: 'auto_monitoring' },
+      project_id: 'shop'
+    });
+    const submitDelegation = orchestrationService.submitDelegation.bind(orchestrationService);
+    jest.spyOn(orchestrationService, 'submitDelegation').mockImplementation(async args => {
+      if (args.task.startsWith('Review the health report')) {
+        throw new Error('Review agent unavailable');
+      }
+      return submitDelegation(args);
+    });
+
+    const run = await orchestrationService.runAutonomousWorkflow(workflow.id);
+
+    expect(run).toMatchObject({ status: 'failed', error_message: 'Review agent unavailable' });
+    // The report is kept; only the tasks created from it are cancelled
+    expect(run.health_report_id).toEqual(expect.any(Number));
+    expect(run.task_ids.health).toHaveLength(1);
+    expect((await database.getTask(run.task_ids.health[0])).status).toBe('cancelled');
+  });
+
+  test('tears down schedules, workflows and the integration, cancelling open tasks when asked', async () => {
+    const { database, orchestrationService } = services;
+    await orchestrationService.deployAutonomousSystem({ project_id: 'shop' });
+    const schedules = await database.getProjectWorkflowSchedules('shop');
+    const workflow = await getWorkflow('shop', 'autonomous_deployment_shop');
+    const run = await orchestrationService.runAutonomousWorkflow(workflow.id);
+    await waitForTaskStatus(database, run.task_ids.verify, ['completed']);
+
+    const status = await orchestrationService.getAutonomousSystemStatus({ project_id: 'shop' });
+    expect(status.content[0].text).toContain('**Workflows:** 3');
+    expect(status.content[0].text).toContain(`verify ${run.task_ids.verify} (completed)`);
+
+    const result = await orchestrationService.teardownAutonomousSystem({
+      project_id: 'shop',
+      cancel_running_tasks: true
+    });
+
+    expect(result.content[0].text).toContain('**Workflows Removed:** 3');
+    expect(result.content[0].text).toContain('**Tasks Cancelled:** 1');
+    expect((await database.getTask(run.task_ids.deploy)).status).toBe('cancelled');
+    expect(schedules.some(schedule => scheduler.isScheduled(schedule.id))).toBe(false);
+    expect(await database.getProjectWorkflowSchedules('shop')).toEqual([]);
+    expect(await database.getProjectIntegration('shop', 'autonomous_system')).toBeFalsy();
+    expect((await orchestrationService.getAutonomousSystemStatus({ project_id: 'shop' })).content[0].text)
+      .toBe('❌ Error getting autonomous system status: No autonomous system is deployed for project shop');
+    expect((await orchestrationService.teardownAutonomousSystem({ project_id: 'shop' })).content[0].text)
+      .toBe('❌ Error tearing down autonomous system: No autonomous system is deployed for project shop');
+  });
+});
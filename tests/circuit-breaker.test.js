@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker, classifyError } from '../src/core/agent-manager/circuit-breaker.js';
+import { createServices, getTaskActions, stopServices } from './helpers.js';
+
+// Stops Date.now; returns a function that moves it forward
+const mockClock = () => {
+  let now = Date.now();
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  return ms => {
+    now += ms;
+  };
+};
+
+const providerError = (errorType, message = `${errorType} error`) => Object.assign(new Error(message), { errorType });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('classifyError', () => {
+  test('tells provider trouble apart from tasks the agent could not do', () => {
+    expect(classifyError(providerError('server'))).toBe('server');
+    expect(classifyError({ response: { status: 403 } })).toBe('auth');
+    expect(classifyError({ response: { status: 429 } })).toBe('rate_limited');
+    expect(classifyError({ response: { status: 502 } })).toBe('server');
+    expect(classifyError({ code: 'ETIMEDOUT' })).toBe('timeout');
+    expect(classifyError({ code: 'ECONNRESET' })).toBe('network');
+    expect(classifyError(new Error('Tests failed'))).toBe('task');
+    expect(classifyError(null)).toBe('unknown');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  const options = { failure_threshold: 3, provider_error_threshold: 2, reset_timeout_ms: 1000 };
+
+  test('opens after consecutive task failures, and a success resets the count', () => {
+    const breaker = new CircuitBreaker(options);
+
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBeNull();
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBeNull();
+    expect(breaker.recordSuccess()).toBeNull();
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBeNull();
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBeNull();
+    expect(breaker.getState()).toBe('closed');
+
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBe('open');
+    expect(breaker.canAcceptTask()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', consecutiveFailures: 3, lastErrorType: 'task' });
+  });
+
+  test('opens sooner on provider errors, and at once on auth errors', () => {
+    const providerBreaker = new CircuitBreaker(options);
+    expect(providerBreaker.recordFailure(providerError('network'))).toBeNull();
+    expect(providerBreaker.recordFailure(providerError('server'))).toBe('open');
+
+    const authBreaker = new CircuitBreaker(options);
+    expect(authBreaker.recordFailure({ message: 'Bad key', response: { status: 401 } })).toBe('open');
+    expect(authBreaker.getStatus()).toMatchObject({ lastErrorType: 'auth', lastError: 'Bad key' });
+  });
+
+  test('goes half-open after the reset timeout and lets one trial task through', () => {
+    const advance = mockClock();
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(providerError('auth'));
+
+    advance(999);
+    expect(breaker.getState()).toBe('open');
+    expect(breaker.getStatus().retryAt).toEqual(new Date(Date.now() + 1));
+
+    advance(1);
+    expect(breaker.getState()).toBe('half_open');
+    expect(breaker.canAcceptTask()).toBe(true);
+
+    breaker.onTaskAssigned();
+    expect(breaker.canAcceptTask()).toBe(false);
+
+    // A trial without an outcome hands the trial to the next task
+    breaker.abandonTrial();
+    expect(breaker.canAcceptTask()).toBe(true);
+  });
+
+  test('closes when the trial succeeds', () => {
+    const advance = mockClock();
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(providerError('auth'));
+    advance(1000);
+    breaker.onTaskAssigned();
+
+    expect(breaker.recordSuccess()).toBe('closed');
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null });
+  });
+
+  test('re-opens for another reset timeout when the trial fails', () => {
+    const advance = mockClock();
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(providerError('auth'));
+    advance(1000);
+    breaker.onTaskAssigned();
+
+    expect(breaker.recordFailure(new Error('Tests failed'))).toBe('open');
+    expect(breaker.getStatus().openedAt).toEqual(new Date(Date.now()));
+
+    advance(999);
+    expect(breaker.getState()).toBe('open');
+  });
+
+  test('restarts the reset timeout on failures while open', () => {
+    const advance = mockClock();
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(providerError('auth'));
+
+    advance(500);
+    expect(breaker.recordFailure(providerError('auth'))).toBeNull();
+    advance(500);
+    expect(breaker.getState()).toBe('open');
+  });
+});
+
+describe('agent circuit breakers', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('take a failing agent out of routing until its trial task succeeds', async () => {
+    const { database, agentManager } = services;
+    const advance = mockClock();
+    await agentManager.updateAgentConfiguration('devin', {
+      circuit_breaker: { failure_threshold: 5, provider_error_threshold: 2, reset_timeout_ms: 1000 }
+    });
+    const assignToDevin = async taskId => {
+      await database.createTask({ task_id: taskId, agent_id: null, task_type: 'build', task_description: taskId });
+      await agentManager.assignTaskToAgent('devin', taskId);
+    };
+    const runOnDevin = async (taskId, success, error = null) => {
+      await assignToDevin(taskId);
+      await agentManager.releaseTaskFromAgent('devin', taskId, success, 100, error);
+    };
+    const availableNames = async () => (await agentManager.getAvailableAgents()).map(agent => agent.name);
+
+    await runOnDevin('first', false, providerError('server'));
+    await runOnDevin('second', false, providerError('server'));
+
+    expect(await availableNames()).not.toContain('devin');
+    expect(await getTaskActions(database, 'second')).toContain('circuit_open');
+    const devin = await agentManager.getAgentByName('devin');
+    expect(agentManager.describeExclusion(devin, [], {}, null))
+      .toMatch(/^circuit breaker open until .+ \(last error: server\)$/);
+
+    advance(1000);
+    await assignToDevin('trial');
+    expect(await availableNames()).not.toContain('devin');
+    expect(agentManager.describeExclusion(devin, [], {}, null))
+      .toBe('circuit breaker half-open, trial task already running');
+
+    await agentManager.releaseTaskFromAgent('devin', 'trial', true, 100);
+    expect(await availableNames()).toContain('devin');
+    expect(await getTaskActions(database, 'trial')).toContain('circuit_closed');
+  });
+});
@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { createServices, getTaskActions, stopServices } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('delegation', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('runs a task to completion on a LocalMockAdapter agent', async () => {
+    const { database, agentManager, orchestrationService } = services;
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      preferred_agent: 'devin'
+    });
+
+    expect(submission).toMatchObject({ status: 'started', agent: { name: 'devin' } });
+    const task = await database.getTask(submission.task_id);
+    expect(task.status).toBe('completed');
+    expect(JSON.parse(task.result)).toMatchObject({ success: true, mock: true, agent: 'devin' });
+    expect(await getTaskActions(database, submission.task_id))
+      .toEqual(['task_assigned', 'task_submitted', 'task_completed']);
+
+    const devin = await agentManager.getAgentByName('devin');
+    expect(devin.currentTasks).toBe(0);
+    expect(devin.performance).toMatchObject({ totalTasks: 1, completedTasks: 1 });
+  });
+
+  test('holds deployments for approval whatever task type they declare', async () => {
+    const { database, orchestrationService } = services;
+
+    const inferred = await orchestrationService.submitDelegation({ task: 'Deploy the new build to production' });
+    const declared = await orchestrationService.submitDelegation({
+      task: 'Deploy the hotfix to production',
+      task_type: 'general'
+    });
+
+    for (const submission of [inferred, declared]) {
+      expect(submission.status).toBe('awaiting_approval');
+      expect((await database.getTask(submission.task_id)).status).toBe('awaiting_approval');
+    }
+  });
+
+  describe('without a task queue', () => {
+    const submitAuthTask = () => services.orchestrationService.submitDelegation({
+      task: 'Refactor the login handler',
+      preferred_agent: 'devin',
+      project_context: { project_id: 'shop', paths: ['src/auth/login.js'] }
+    });
+
+    const expectFailedWithoutLocks = async message => {
+      const { database, orchestrationService } = services;
+      const [task] = await database.getAllTasks();
+      expect(task.status).toBe('failed');
+      expect(task.error_message).toMatch(message);
+      expect(orchestrationService.lockManager.getLocks('shop').locks.map(lock => lock.task_id))
+        .not.toContain(task.task_id);
+      expect(database.db.prepare('SELECT * FROM resource_locks WHERE task_id = ?').all(task.task_id)).toEqual([]);
+    };
+
+    test('fails a rate limited task and releases its locks', async () => {
+      const { agentManager } = services;
+      await agentManager.updateAgentConfiguration('devin', { rate_limits: { requests_per_minute: 1 } });
+      agentManager.acquireQuota(await agentManager.getAgentByName('devin'), 0);
+
+      await expect(submitAuthTask()).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+      await expectFailedWithoutLocks(/^Agent devin is rate limited/);
+    });
+
+    test('fails a task whose resources are locked', async () => {
+      const { agentManager, orchestrationService } = services;
+      await orchestrationService.lockManager.acquire(
+        'other-task',
+        { project_id: 'shop', paths: ['src/auth'] },
+        await agentManager.getAgentByName('cursor')
+      );
+
+      await expect(submitAuthTask()).rejects.toMatchObject({ code: 'RESOURCE_LOCKED' });
+      await expectFailedWithoutLocks(/^Resources locked/);
+    });
+  });
+
+  describe('waitForAgentResult', () => {
+    test('treats a status outside the adapter contract as an error', async () => {
+      const adapter = {
+        agentName: 'odd',
+        pollIntervalMs: 10,
+        getStatus: async () => ({ status: undefined })
+      };
+
+      await expect(services.orchestrationService.waitForAgentResult(adapter, 'handle'))
+        .rejects.toMatchObject({ code: 'INVALID_AGENT_STATUS' });
+    });
+
+    test('stops waiting between polls as soon as the signal aborts', async () => {
+      const adapter = {
+        agentName: 'slow',
+        pollIntervalMs: 60000,
+        getStatus: async () => ({ status: 'running' })
+      };
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+
+      const started = Date.now();
+      const waiting = services.orchestrationService.waitForAgentResult(adapter, 'handle', controller.signal);
+      setTimeout(() => controller.abort(reason), 20);
+
+      await expect(waiting).rejects.toBe(reason);
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { TaskQueue } from '../src/core/workflow-engine/task-queue.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('task dependencies', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('keeps a dependent task blocked until its prerequisite completes', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    await agentManager.updateAgentConfiguration('devin', { mock: { steps: 40 }, poll_interval_ms: 20 });
+
+    const prerequisite = await orchestrationService.submitDelegation({
+      task: 'Build the API schema',
+      preferred_agent: 'devin'
+    });
+    const dependent = await orchestrationService.submitDelegation({
+      task: 'Build the API client',
+      depends_on: [prerequisite.task_id]
+    });
+    expect(dependent.status).toBe('blocked');
+
+    await waitForTaskStatus(database, prerequisite.task_id, ['in_progress']);
+    expect((await database.getTask(dependent.task_id)).status).toBe('blocked');
+
+    await waitForTaskStatus(database, prerequisite.task_id, ['completed']);
+    await waitForTaskStatus(database, dependent.task_id, ['completed']);
+  });
+
+  test('rejects unknown prerequisites', async () => {
+    await expect(services.orchestrationService.submitDelegation({
+      task: 'Build the API client',
+      depends_on: ['missing-task']
+    })).rejects.toMatchObject({ code: 'DEPENDENCY_NOT_FOUND' });
+  });
+
+  test('rejects prerequisites whose own dependencies loop back', async () => {
+    const { database, orchestrationService } = services;
+    for (const [taskId, dependsOn] of [['task-a', ['task-b']], ['task-b', ['task-a']]]) {
+      await database.createTask({
+        task_id: taskId,
+        agent_id: null,
+        task_type: 'build',
+        task_description: `Build ${taskId}`,
+        project_context: {},
+        depends_on: dependsOn
+      });
+    }
+
+    await expect(orchestrationService.submitDelegation({
+      task: 'Build on top of the loop',
+      depends_on: ['task-a']
+    })).rejects.toMatchObject({ code: 'DEPENDENCY_CYCLE' });
+  });
+
+  test('the task queue refuses entries that close a cycle', async () => {
+    const queue = new TaskQueue();
+    await queue.addTask({ id: 'first', type: 'build', dependsOn: ['second'] });
+
+    await expect(queue.addTask({ id: 'second', type: 'build', dependsOn: ['first'] }))
+      .rejects.toMatchObject({ code: 'DEPENDENCY_CYCLE' });
+  });
+});
@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_EXECUTION_TIMEOUT_MS,
+  DEFAULT_TIMEOUTS_MS,
+  parseDeadline,
+  resolveExecutionTimeout
+} from '../src/core/agent-manager/execution-timeout.js';
+import { TaskQueue } from '../src/core/workflow-engine/task-queue.js';
+import { createServices, getTaskActions, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('parseDeadline', () => {
+  test('reads timestamps and date strings, and treats empty values as no deadline', () => {
+    expect(parseDeadline(undefined)).toBeNull();
+    expect(parseDeadline(null)).toBeNull();
+    expect(parseDeadline('')).toBeNull();
+    expect(parseDeadline(1767225600000)).toBe(1767225600000);
+    expect(parseDeadline('2026-01-01T00:00:00Z')).toBe(1767225600000);
+  });
+
+  test('refuses deadlines Date cannot parse', () => {
+    expect(() => parseDeadline('next friday')).toThrow('Invalid deadline: next friday');
+  });
+});
+
+describe('resolveExecutionTimeout', () => {
+  const agent = { type: 'ai_editor', configuration: { timeout_ms: 20 * 60 * 1000 } };
+
+  test('takes the project, agent, agent type and global limits in that order', () => {
+    expect(resolveExecutionTimeout(agent, { timeout_ms: 1000 })).toEqual({ timeoutMs: 1000, reason: 'timeout' });
+    expect(resolveExecutionTimeout(agent)).toEqual({ timeoutMs: 20 * 60 * 1000, reason: 'timeout' });
+    expect(resolveExecutionTimeout({ ...agent, configuration: {} }).timeoutMs).toBe(DEFAULT_TIMEOUTS_MS.ai_editor);
+    expect(resolveExecutionTimeout({ type: 'custom', configuration: {} }).timeoutMs).toBe(DEFAULT_EXECUTION_TIMEOUT_MS);
+  });
+
+  test('caps the limit at the time left before the deadline', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    expect(resolveExecutionTimeout(agent, { deadline: '2026-01-01T00:05:00Z' }, now))
+      .toEqual({ timeoutMs: 5 * 60 * 1000, reason: 'deadline' });
+    expect(resolveExecutionTimeout(agent, { deadline: '2026-01-01T05:00:00Z' }, now))
+      .toEqual({ timeoutMs: 20 * 60 * 1000, reason: 'timeout' });
+    expect(resolveExecutionTimeout(agent, { deadline: '2025-12-31T23:00:00Z' }, now))
+      .toEqual({ timeoutMs: 0, reason: 'deadline' });
+  });
+});
+
+describe('TaskQueue deadlines', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new TaskQueue();
+    queue.escalationWindowMs = HOUR_MS;
+  });
+
+  afterEach(async () => {
+    await queue.stop();
+  });
+
+  test('runs tasks by priority, then earliest deadline first', async () => {
+    const order = [];
+    queue.registerHandler('job', task => {
+      order.push(task.id);
+    });
+    const now = Date.now();
+    await queue.addTask({ id: 'no-deadline', type: 'job' });
+    await queue.addTask({ id: 'late', type: 'job', deadline: now + 5 * HOUR_MS });
+    await queue.addTask({ id: 'urgent', type: 'job', priority: 'urgent' });
+    await queue.addTask({ id: 'early', type: 'job', deadline: now + 3 * HOUR_MS });
+
+    await queue.start();
+    const deadline = Date.now() + 10000;
+    while (order.length < 4 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    expect(order).toEqual(['urgent', 'early', 'late', 'no-deadline']);
+  });
+
+  test('escalates tasks whose deadline is close, and to urgent in the last quarter of the window', async () => {
+    const now = Date.now();
+    const far = await queue.addTask({ id: 'far', type: 'job', priority: 'low', deadline: now + 2 * HOUR_MS });
+    const near = await queue.addTask({ id: 'near', type: 'job', priority: 'low', deadline: now + 0.5 * HOUR_MS });
+    const closing = await queue.addTask({ id: 'closing', type: 'job', priority: 'low', deadline: now + 0.2 * HOUR_MS });
+    const high = await queue.addTask({ id: 'high', type: 'job', priority: 'urgent', deadline: now + 0.5 * HOUR_MS });
+
+    queue.escalateApproachingDeadlines(now);
+
+    expect([far, near, closing, high].map(task => task.priority)).toEqual(['low', 'medium', 'urgent', 'urgent']);
+    expect(near.originalPriority).toBe('low');
+
+    // Escalation starts from the original priority, so a task moves up one level only once
+    queue.escalateApproachingDeadlines(now + 10 * 60 * 1000);
+    expect(near.priority).toBe('medium');
+    expect(far.priority).toBe('low');
+  });
+});
+
+describe('delegation timeouts', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const getTimeoutDetails = taskId => JSON.parse(services.database.db.prepare(`
+    SELECT l.details FROM task_execution_logs l
+    JOIN tasks t ON t.id = l.task_id
+    WHERE t.task_id = ? AND l.action = 'task_timed_out'
+  `).get(taskId).details);
+
+  test('refuses deadlines that cannot be parsed', async () => {
+    await expect(services.orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      project_context: { deadline: 'next friday' }
+    })).rejects.toThrow('Invalid deadline: next friday');
+    expect(await services.database.getAllTasks()).toEqual([]);
+  });
+
+  test('stops the agent once the task runs past its execution limit', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    await agentManager.updateAgentConfiguration('devin', { mock: { steps: 1000 }, poll_interval_ms: 20 });
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      preferred_agent: 'devin',
+      // A timed out attempt is otherwise retried on another agent
+      project_context: { timeout_ms: 300, retry_policy: { max_attempts: 1 } }
+    });
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed', 'timed_out']);
+
+    expect(task.status).toBe('timed_out');
+    expect(task.error_message).toBe('Agent devin did not finish within 300ms');
+    expect(getTimeoutDetails(submission.task_id)).toMatchObject({ reason: 'timeout', timeout_ms: 300 });
+    const [job] = agentManager.getAgentAdapter('devin').jobs.values();
+    expect(job.status).toBe('cancelled');
+  });
+
+  test('times out queued tasks whose deadline passed before they could start', async () => {
+    const { database, orchestrationService } = services;
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      project_context: { deadline: new Date(Date.now() - 1000).toISOString() }
+    });
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed', 'timed_out']);
+
+    expect(task.status).toBe('timed_out');
+    expect(getTimeoutDetails(submission.task_id)).toMatchObject({ reason: 'deadline' });
+    expect(await getTaskActions(database, submission.task_id)).not.toContain('task_assigned');
+  });
+});
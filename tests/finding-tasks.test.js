@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { buildFindingTask, selectFindings } from '../src/features/project-health/finding-tasks.js';
+import { createServices, getTaskActions, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+const report = {
+  id: 7,
+  project_path: '/projects/shop',
+  analysis_type: 'comprehensive',
+  analyzed_at: '2026-10-01T12:00:00.000Z',
+  health_score: 70,
+  scores: {},
+  findings: [
+    { rule_id: 'todo-markers', category: 'code_quality', severity: 'low', message: '3 TODO comments are outstanding',
+      file: null, line: null, fingerprint: 'todo', locations: [{ file: 'src/a.js', line: 4 }, { file: 'src/b.js', line: 9 }] },
+    { rule_id: 'missing-tests', category: 'code_quality', severity: 'high', message: 'No test files found for 4 source files',
+      file: null, line: null, fingerprint: 'tests' },
+    { rule_id: 'secret-aws-access-key', category: 'security', severity: 'critical', message: 'AWS access key in src/config.js:3',
+      file: 'src/config.js', line: 3, fingerprint: 'aws' },
+    { rule_id: 'circular-import', category: 'architecture', severity: 'medium', message: 'Circular import: src/a.js -> src/b.js -> src/a.js',
+      file: 'src/a.js', line: null, fingerprint: 'cycle' }
+  ]
+};
+
+const fingerprints = findings => findings.map(finding => finding.fingerprint);
+
+describe('selectFindings', () => {
+  test('picks high and critical findings by default, most severe first', () => {
+    expect(fingerprints(selectFindings(report))).toEqual(['aws', 'tests']);
+  });
+
+  test('filters by minimum severity and categories', () => {
+    expect(fingerprints(selectFindings(report, { min_severity: 'low' }))).toEqual(['aws', 'tests', 'cycle', 'todo']);
+    expect(fingerprints(selectFindings(report, { min_severity: 'medium', categories: ['code_quality', 'architecture'] })))
+      .toEqual(['tests', 'cycle']);
+    expect(fingerprints(selectFindings(report, { min_severity: 'low', max_tasks: 2 }))).toEqual(['aws', 'tests']);
+  });
+
+  test('picks findings by fingerprint regardless of severity', () => {
+    expect(fingerprints(selectFindings(report, { fingerprints: ['todo', 'cycle'], min_severity: 'critical' })))
+      .toEqual(['cycle', 'todo']);
+  });
+});
+
+describe('buildFindingTask', () => {
+  const [todo, missingTests, secret, cycle] = report.findings;
+
+  test('maps severity to priority and rules to task types', () => {
+    expect([secret, missingTests, cycle, todo].map(finding => {
+      const task = buildFindingTask(report, finding);
+      return [task.project_context.priority, task.task_type];
+    })).toEqual([['urgent', 'fix'], ['high', 'test'], ['medium', 'refactor'], ['low', 'general']]);
+  });
+
+  test('describes the fix and locks the affected files', () => {
+    const task = buildFindingTask(report, secret, { project_id: 'shop', preferred_agent: 'devin' });
+
+    expect(task).toMatchObject({
+      task: 'Remove committed secrets, rotate the exposed credentials and load them from the environment: ' +
+        'AWS access key in src/config.js:3',
+      preferred_agent: 'devin',
+      project_context: { project_id: 'shop', paths: ['src/config.js'], project_path: '/projects/shop' }
+    });
+    expect(buildFindingTask(report, todo).project_context.paths).toEqual(['src/a.js', 'src/b.js']);
+    expect(buildFindingTask(report, missingTests).project_context).not.toHaveProperty('paths');
+  });
+
+  test('links the task to its finding through project_context.health_finding', () => {
+    expect(buildFindingTask(report, secret).project_context.health_finding).toEqual({
+      report_id: 7,
+      fingerprint: 'aws',
+      rule_id: 'secret-aws-access-key',
+      category: 'security',
+      severity: 'critical',
+      message: 'AWS access key in src/config.js:3',
+      file: 'src/config.js',
+      line: 3
+    });
+    expect(buildFindingTask(report, todo).project_context.health_finding.locations).toEqual(todo.locations);
+  });
+});
+
+describe('tasks from health reports', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('records the finding of each task and skips findings that already have an open task', async () => {
+    const { database, orchestrationService } = services;
+    const { id: reportId } = await database.createHealthReport(report);
+
+    const first = await orchestrationService.createHealthFindingTasks({ report_id: reportId });
+    const again = await orchestrationService.createHealthFindingTasks({ report_id: reportId });
+
+    expect(first.created.map(task => [task.finding.fingerprint, task.priority]))
+      .toEqual([['aws', 'urgent'], ['tests', 'high']]);
+    expect(again.created).toEqual([]);
+    expect(again.skipped.map(entry => entry.finding.fingerprint)).toEqual(['aws', 'tests']);
+
+    const links = await database.getHealthFindingTasks(reportId);
+    expect(links.map(link => [link.fingerprint, link.task_id]))
+      .toEqual(first.created.map(task => [task.finding.fingerprint, task.task_id]));
+    for (const { task_id: taskId } of first.created) {
+      expect(await getTaskActions(database, taskId)).toContain('health_finding_linked');
+      const { project_context: projectContext } = await database.getTask(taskId);
+      expect(JSON.parse(projectContext).health_finding.report_id).toBe(reportId);
+      await waitForTaskStatus(database, taskId, ['completed', 'failed']);
+    }
+
+    // Once the tasks are finished the findings can be picked up again
+    const third = await orchestrationService.createHealthFindingTasks({ report_id: reportId, fingerprints: ['aws'] });
+    expect(third.created.map(task => task.finding.fingerprint)).toEqual(['aws']);
+    await waitForTaskStatus(database, third.created[0].task_id, ['completed', 'failed']);
+  });
+});
@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { HealthReportStore, diffHealthReports, toSarif } from '../src/features/project-health/health-report.js';
+import { createServices, stopServices } from './helpers.js';
+
+const finding = (ruleId, overrides = {}) => ({
+  rule_id: ruleId,
+  category: 'code_quality',
+  severity: 'medium',
+  message: `${ruleId} finding`,
+  file: null,
+  line: null,
+  fingerprint: `${ruleId}-fingerprint`,
+  ...overrides
+});
+
+const createReport = (findings, overrides = {}) => ({
+  id: 2,
+  project_path: path.resolve(os.tmpdir(), 'shop'),
+  analysis_type: 'comprehensive',
+  analyzed_at: '2026-10-01T12:00:00.000Z',
+  health_score: 80,
+  scores: { security: 60, performance: 100, code_quality: 80, dependencies: 92, architecture: 97 },
+  findings,
+  ...overrides
+});
+
+describe('toSarif', () => {
+  const report = createReport([
+    finding('secret-aws-access-key', {
+      category: 'security',
+      severity: 'high',
+      message: 'AWS access key in src/config.js:3',
+      file: 'src/config.js',
+      line: 3
+    }),
+    finding('secret-aws-access-key', {
+      category: 'security',
+      severity: 'critical',
+      file: 'src/keys.js',
+      line: 1,
+      fingerprint: 'other'
+    }),
+    finding('todo-markers', { severity: 'low', locations: [{ file: 'src/a.js', line: 4 }, { file: 'src/b.js', line: 9 }] }),
+    finding('missing-readme', { category: 'architecture', severity: 'low' })
+  ]);
+
+  test('describes each rule once, as severe as its worst finding', () => {
+    const [run] = toSarif(report).runs;
+    const recommendation = 'Remove committed secrets, rotate the exposed credentials and load them from the environment';
+
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['secret-aws-access-key', 'todo-markers', 'missing-readme']);
+    expect(run.tool.driver.rules[0]).toEqual({
+      id: 'secret-aws-access-key',
+      shortDescription: { text: recommendation },
+      help: { text: recommendation },
+      defaultConfiguration: { level: 'error' },
+      properties: { tags: ['security'], severity: 'critical', 'security-severity': '9.5' }
+    });
+    expect(run.tool.driver.rules[1].defaultConfiguration.level).toBe('note');
+    expect(run.tool.driver.rules[1].properties).not.toHaveProperty('security-severity');
+  });
+
+  test('points each result at its rule and keeps the fingerprint', () => {
+    const sarif = toSarif(report);
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.results.map(result => [result.ruleId, result.ruleIndex, result.level])).toEqual([
+      ['secret-aws-access-key', 0, 'error'],
+      ['secret-aws-access-key', 0, 'error'],
+      ['todo-markers', 1, 'note'],
+      ['missing-readme', 2, 'note']
+    ]);
+    expect(run.results.map(result => result.partialFingerprints)).toEqual([
+      { 'projectHealth/v1': 'secret-aws-access-key-fingerprint' },
+      { 'projectHealth/v1': 'other' },
+      { 'projectHealth/v1': 'todo-markers-fingerprint' },
+      { 'projectHealth/v1': 'missing-readme-fingerprint' }
+    ]);
+    expect(run.automationDetails).toEqual({ id: 'project-health/comprehensive/' });
+    expect(run.properties).toEqual({ report_id: 2, health_score: 80, scores: report.scores });
+  });
+
+  test('gives locations relative to the project root', () => {
+    const [run] = toSarif(report).runs;
+
+    expect(run.originalUriBaseIds.PROJECTROOT.uri).toBe(pathToFileURL(`${report.project_path}${path.sep}`).href);
+    expect(run.originalUriBaseIds.PROJECTROOT.uri.endsWith('/')).toBe(true);
+    expect(run.results[0].locations).toEqual([{
+      physicalLocation: {
+        artifactLocation: { uri: 'src/config.js', uriBaseId: 'PROJECTROOT' },
+        region: { startLine: 3 }
+      }
+    }]);
+    expect(run.results[2].locations.map(location => location.physicalLocation)).toEqual([
+      { artifactLocation: { uri: 'src/a.js', uriBaseId: 'PROJECTROOT' }, region: { startLine: 4 } },
+      { artifactLocation: { uri: 'src/b.js', uriBaseId: 'PROJECTROOT' }, region: { startLine: 9 } }
+    ]);
+    expect(run.results[3].locations).toEqual([]);
+  });
+});
+
+describe('diffHealthReports', () => {
+  test('matches findings by fingerprint', () => {
+    const previous = createReport([
+      finding('todo-markers', { severity: 'low' }),
+      finding('missing-tests', { severity: 'high' })
+    ], { id: 1, health_score: 74, scores: { security: 100, code_quality: 70 } });
+    const current = createReport([
+      // The same finding on another line is not a change
+      finding('todo-markers', { severity: 'low', line: 12 }),
+      finding('secret-aws-access-key', { category: 'security', severity: 'critical' })
+    ], { scores: { security: 75, code_quality: 85, architecture: 97 } });
+
+    const diff = diffHealthReports(previous, current);
+
+    expect(diff).toMatchObject({
+      report_id: 2,
+      previous_report_id: 1,
+      health_score_change: 6,
+      score_changes: { security: -25, code_quality: 15, architecture: 0 },
+      unchanged_count: 1
+    });
+    expect(diff.new_findings.map(entry => entry.rule_id)).toEqual(['secret-aws-access-key']);
+    expect(diff.resolved_findings.map(entry => entry.rule_id)).toEqual(['missing-tests']);
+  });
+});
+
+describe('HealthReportStore', () => {
+  let services;
+  let store;
+  const directories = [];
+
+  beforeEach(async () => {
+    services = await createServices();
+    store = new HealthReportStore(services.database);
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+    for (const directory of directories.splice(0)) {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('diffs each stored report against the previous run of the same analysis', async () => {
+    const first = await store.save(createReport([finding('missing-tests', { severity: 'high' })]));
+    const other = await store.save(createReport([], { analysis_type: 'security' }));
+    const second = await store.save(createReport([finding('todo-markers', { severity: 'low' })]));
+
+    expect(first.diff).toBeNull();
+    expect(other.diff).toBeNull();
+    expect(second.diff).toMatchObject({ report_id: second.report.id, previous_report_id: first.report.id });
+    expect(await store.diff(second.report.id)).toEqual(second.diff);
+    await expect(store.diff(second.report.id, other.report.id)).rejects.toMatchObject({ code: 'HEALTH_REPORT_MISMATCH' });
+    await expect(store.get(999)).rejects.toMatchObject({ code: 'HEALTH_REPORT_NOT_FOUND' });
+  });
+
+  test('writes SARIF relative to the analyzed project', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'health-report-'));
+    directories.push(projectPath);
+    const report = createReport([finding('missing-readme', { category: 'architecture', severity: 'low' })], {
+      project_path: projectPath
+    });
+
+    const target = await store.writeSarif(report, 'reports/health.sarif');
+
+    expect(target).toBe(path.join(projectPath, 'reports', 'health.sarif'));
+    expect(JSON.parse(await fs.readFile(target, 'utf8'))).toEqual(toSarif(report));
+  });
+});
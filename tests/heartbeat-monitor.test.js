@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { HeartbeatMonitor } from '../src/core/agent-manager/heartbeat-monitor.js';
+import { createServices, getTaskActions, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('HeartbeatMonitor', () => {
+  let services;
+  let monitor;
+  let events;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+    monitor = new HeartbeatMonitor(services.agentManager, services.database, {
+      intervalMs: 1000,
+      unhealthyAfterMissed: 2,
+      offlineAfterMissed: 4
+    });
+    events = [];
+    for (const event of ['agent_unhealthy', 'agent_offline', 'agent_recovered']) {
+      monitor.on(event, agent => events.push([event, agent.name]));
+    }
+    for (const event of ['instance_unhealthy', 'instance_offline', 'instance_recovered']) {
+      monitor.on(event, (agent, instance) => events.push([event, agent.name, instance.id]));
+    }
+  });
+
+  afterEach(async () => {
+    monitor.stop();
+    await stopServices(services);
+  });
+
+  // Moves the agent's last heartbeat into the past
+  const missHeartbeats = async (name, ms) => {
+    const agent = await services.agentManager.getAgentByName(name);
+    agent.lastHeartbeat = new Date(Date.now() - ms);
+    return agent;
+  };
+
+  const getStatus = async name => (await services.agentManager.getAgentByName(name)).status;
+
+  test('marks push agents unhealthy, then offline, as heartbeats are missed', async () => {
+    const { database, agentManager } = services;
+    await agentManager.updateAgentConfiguration('devin', { heartbeat_mode: 'push' });
+
+    await missHeartbeats('devin', 1500);
+    await monitor.checkAgents();
+    expect(await getStatus('devin')).toBe('active');
+
+    await missHeartbeats('devin', 2500);
+    await monitor.checkAgents();
+    expect(await getStatus('devin')).toBe('unhealthy');
+
+    await missHeartbeats('devin', 4500);
+    await monitor.checkAgents();
+    expect(await getStatus('devin')).toBe('offline');
+    expect(events).toEqual([['agent_unhealthy', 'devin'], ['agent_offline', 'devin']]);
+    expect((await database.getAgentByName('devin')).status).toBe('offline');
+
+    // The other agents are probed and stay active
+    expect((await agentManager.getAllAgents()).filter(agent => agent.status !== 'active').map(agent => agent.name))
+      .toEqual(['devin']);
+  });
+
+  test('recovers agents that report in again', async () => {
+    const { agentManager } = services;
+    await agentManager.updateAgentConfiguration('devin', { heartbeat_mode: 'push' });
+    await missHeartbeats('devin', 4500);
+    await monitor.checkAgents();
+
+    await agentManager.updateAgentHeartbeat('devin');
+    await monitor.checkAgents();
+
+    expect(await getStatus('devin')).toBe('active');
+    expect(events).toEqual([['agent_offline', 'devin'], ['agent_recovered', 'devin']]);
+  });
+
+  test('counts failed health probes of pull agents as missed heartbeats', async () => {
+    const { agentManager } = services;
+    jest.spyOn(agentManager.getAgentAdapter('devin'), 'checkHealth').mockResolvedValue(false);
+    jest.spyOn(agentManager.getAgentAdapter('cursor'), 'checkHealth').mockRejectedValue(new Error('connection refused'));
+    await missHeartbeats('devin', 2500);
+    await missHeartbeats('cursor', 2500);
+    await missHeartbeats('claude', 2500);
+
+    await monitor.checkAgents();
+
+    expect(await getStatus('devin')).toBe('unhealthy');
+    expect(await getStatus('cursor')).toBe('unhealthy');
+    expect(await getStatus('claude')).toBe('active');
+  });
+
+  test('leaves deactivated agents alone', async () => {
+    const { agentManager } = services;
+    await agentManager.deactivateAgent('devin');
+    await missHeartbeats('devin', 10000);
+
+    await monitor.checkAgents();
+
+    expect(await getStatus('devin')).toBe('inactive');
+    expect(events).toEqual([]);
+  });
+
+  test('tracks pooled instances separately from the agent', async () => {
+    const { agentManager } = services;
+    await agentManager.updateAgentConfiguration('devin', {
+      heartbeat_mode: 'push',
+      instances: [{ id: 'one' }, { id: 'two' }]
+    });
+    const pool = agentManager.getAgentPool('devin');
+    pool.getInstance('two').lastHeartbeat = new Date(Date.now() - 4500);
+
+    await agentManager.updateAgentHeartbeat('devin', 'one');
+    await monitor.checkAgents();
+
+    expect(await getStatus('devin')).toBe('active');
+    expect(pool.getInstance('one').status).toBe('active');
+    expect(pool.getInstance('two').status).toBe('offline');
+    expect(events).toEqual([['instance_offline', 'devin', 'two']]);
+
+    await agentManager.updateAgentHeartbeat('devin', 'two');
+    await monitor.checkAgents();
+    expect(pool.getInstance('two').status).toBe('active');
+    expect(events.at(-1)).toEqual(['instance_recovered', 'devin', 'two']);
+  });
+
+  test('moves the tasks of an agent that went offline to another agent', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    orchestrationService.attachHeartbeatMonitor(monitor);
+    await agentManager.updateAgentConfiguration('devin', {
+      heartbeat_mode: 'push',
+      mock: { steps: 1000 },
+      poll_interval_ms: 20
+    });
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      preferred_agent: 'devin'
+    });
+    await waitForTaskStatus(database, submission.task_id, ['in_progress']);
+
+    await missHeartbeats('devin', 4500);
+    await monitor.checkAgents();
+
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+    expect(task.status).toBe('completed');
+    expect((await agentManager.getAgentById(task.agent_id)).name).not.toBe('devin');
+    const actions = await getTaskActions(database, submission.task_id);
+    expect(actions).toContain('agent_offline');
+    expect(actions).toContain('task_requeued');
+  });
+});
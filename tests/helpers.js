@@ -0,0 +1,51 @@
+import { DatabaseManager } from '../src/database/database.js';
+import { AgentManager } from '../src/core/agent-manager/agent-manager.js';
+import { OrchestrationService } from '../src/core/task-orchestrator/orchestration.js';
+import { TaskQueue } from '../src/core/workflow-engine/task-queue.js';
+
+// Orchestrator on an in-memory database with the default agents, all of them
+// backed by the LocalMockAdapter
+export async function createServices({ withQueue = false } = {}) {
+  const database = new DatabaseManager();
+  await database.initialize(':memory:');
+
+  const agentManager = new AgentManager(database);
+  await agentManager.initialize();
+
+  const orchestrationService = new OrchestrationService(database, agentManager);
+  let taskQueue = null;
+  if (withQueue) {
+    taskQueue = new TaskQueue();
+    orchestrationService.attachTaskQueue(taskQueue);
+    await taskQueue.start();
+  }
+
+  return { database, agentManager, orchestrationService, taskQueue };
+}
+
+export async function stopServices({ database, taskQueue }) {
+  await taskQueue?.stop();
+  database.db.close();
+}
+
+// Polls the task row until its status is one of the given ones
+export async function waitForTaskStatus(database, taskId, statuses, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const task = await database.getTask(taskId);
+    if (statuses.includes(task?.status)) {
+      return task;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Task ${taskId} did not reach ${statuses.join('/')} within ${timeoutMs}ms`);
+}
+
+export async function getTaskActions(database, taskId) {
+  return database.db.prepare(`
+    SELECT l.action FROM task_execution_logs l
+    JOIN tasks t ON t.id = l.task_id
+    WHERE t.task_id = ?
+    ORDER BY l.id ASC
+  `).all(taskId).map(row => row.action);
+}
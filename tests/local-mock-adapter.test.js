@@ -0,0 +1,52 @@
+import { LocalMockAdapter } from '../src/core/agent-adapters/local-mock-adapter.js';
+
+const createAdapter = configuration => new LocalMockAdapter({ name: 'mock', type: 'ai_builder', configuration });
+
+const task = description => ({ taskId: 'task-1', description, taskType: 'build', projectContext: {} });
+
+describe('LocalMockAdapter', () => {
+  test('advances one step per status poll and returns a result once completed', async () => {
+    const adapter = createAdapter({ mock: { steps: 2 } });
+    const { handle } = await adapter.submit(task('Build a dashboard'));
+
+    await expect(adapter.getResult(handle)).rejects.toThrow('no result available');
+    expect((await adapter.getStatus(handle)).status).toBe('running');
+    const status = await adapter.getStatus(handle);
+    expect(status).toMatchObject({ status: 'completed', progress: 100 });
+
+    const result = await adapter.getResult(handle);
+    expect(result).toMatchObject({ success: true, mock: true, agent: 'mock', steps: 2 });
+    expect(result.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('fails tasks matching the configured fail_pattern', async () => {
+    const adapter = createAdapter({ mock: { fail_pattern: 'flaky' } });
+    const { handle } = await adapter.submit(task('Build a FLAKY thing'));
+
+    const status = await adapter.getStatus(handle);
+    expect(status.status).toBe('failed');
+    expect(status.error).toMatch(/rejected task matching/);
+  });
+
+  test('cancels unfinished jobs', async () => {
+    const adapter = createAdapter({ mock: { steps: 5 } });
+    const { handle } = await adapter.submit(task('Build a dashboard'));
+
+    await adapter.getStatus(handle);
+    await adapter.cancel(handle);
+    expect((await adapter.getStatus(handle)).status).toBe('cancelled');
+  });
+
+  test('keeps submitted jobs when reconfigured', async () => {
+    const adapter = createAdapter({ mock: { steps: 5 } });
+    const { handle } = await adapter.submit(task('Build a dashboard'));
+
+    adapter.configure({ mock: { steps: 1 }, poll_interval_ms: 50 });
+    expect(adapter.pollIntervalMs).toBe(50);
+    expect((await adapter.getStatus(handle)).status).toBe('completed');
+  });
+
+  test('rejects unknown handles', async () => {
+    await expect(createAdapter({}).getStatus('missing')).rejects.toThrow('Unknown mock job handle: missing');
+  });
+});
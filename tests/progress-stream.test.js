@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { ProgressStream } from '../src/core/task-orchestrator/progress-stream.js';
+import { createServices, stopServices } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('ProgressStream.follow', () => {
+  let services;
+  let stream;
+
+  beforeEach(async () => {
+    services = await createServices();
+    stream = new ProgressStream(services.database);
+    await services.database.createTask({
+      task_id: 'task',
+      agent_id: null,
+      task_type: 'build',
+      task_description: 'Build a react dashboard',
+      project_context: {}
+    });
+    await services.database.updateTaskStatus('task', 'in_progress', 0);
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const describeEvent = event => [event.event_type, event.status ?? event.progress ?? event.message];
+
+  test('replays the events after the given id, then forwards new ones until the task finishes', async () => {
+    const first = await stream.record('task', 'progress', { progress: 10 });
+    await stream.record('task', 'log', { message: 'step 2' });
+    await stream.record('task', 'progress', { progress: 40 });
+
+    const events = [];
+    const following = stream.follow('task', first.id, event => events.push(describeEvent(event)));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events).toEqual([['log', 'step 2'], ['progress', 40]]);
+
+    await stream.record('task', 'progress', { progress: 80 });
+    await stream.record('task', 'status', { status: 'completed', progress: 100 });
+    await following.done;
+    await stream.record('task', 'log', { message: 'late line' });
+
+    expect(events).toEqual([['log', 'step 2'], ['progress', 40], ['progress', 80], ['status', 'completed']]);
+    expect(stream.listenerCount('task:task')).toBe(0);
+  });
+
+  test('keeps events recorded during the replay in order and delivers each once', async () => {
+    await stream.record('task', 'progress', { progress: 10 });
+    const getTaskProgressEvents = services.database.getTaskProgressEvents.bind(services.database);
+    jest.spyOn(services.database, 'getTaskProgressEvents').mockImplementation(async (...args) => {
+      const history = await getTaskProgressEvents(...args);
+      // Recorded after the history was read but before it was delivered
+      await stream.record('task', 'progress', { progress: 20 });
+      return [...history, ...(await getTaskProgressEvents(...args)).slice(history.length)];
+    });
+
+    const events = [];
+    stream.follow('task', 0, event => events.push(describeEvent(event)));
+    await new Promise(resolve => setImmediate(resolve));
+    await stream.record('task', 'progress', { progress: 30 });
+
+    expect(events).toEqual([['progress', 10], ['progress', 20], ['progress', 30]]);
+  });
+
+  test('replays the history of a finished task and stops', async () => {
+    await stream.record('task', 'progress', { progress: 50 });
+    await stream.record('task', 'status', { status: 'failed', message: 'Tests failed' });
+    await services.database.updateTaskStatus('task', 'failed', 50);
+
+    const events = [];
+    await stream.follow('task', 0, event => events.push(describeEvent(event))).done;
+
+    expect(events).toEqual([['progress', 50], ['status', 'failed']]);
+    expect(stream.listenerCount('task:task')).toBe(0);
+  });
+
+  test('stops when the task does not exist', async () => {
+    const listener = jest.fn();
+
+    await stream.follow('missing', 0, listener).done;
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('forwards nothing after stop is called', async () => {
+    const events = [];
+    const following = stream.follow('task', 0, event => events.push(describeEvent(event)));
+    await stream.record('task', 'progress', { progress: 10 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    following.stop();
+    await following.done;
+    await stream.record('task', 'progress', { progress: 20 });
+
+    expect(events).toEqual([['progress', 10]]);
+    expect(stream.listenerCount('task:task')).toBe(0);
+  });
+});
+
+describe('delegation progress', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('streams a delegated task from queued to completed', async () => {
+    const { orchestrationService } = services;
+    const submission = await orchestrationService.submitDelegation({ task: 'Build a react dashboard' });
+
+    const events = [];
+    await orchestrationService.progressStream.follow(submission.task_id, 0, event => events.push(event)).done;
+
+    const statuses = events.filter(event => event.event_type === 'status').map(event => event.status);
+    expect(statuses[0]).toBe('queued');
+    expect(statuses.at(-1)).toBe('completed');
+    expect(events.some(event => event.event_type === 'log')).toBe(true);
+    expect(events.map(event => event.id)).toEqual([...events.map(event => event.id)].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ProjectAnalyzer } from '../src/features/project-health/project-analyzer.js';
+
+describe('ProjectAnalyzer', () => {
+  const analyzer = new ProjectAnalyzer();
+  const roots = [];
+
+  // Writes a fixture project to a temporary directory outside any git repository
+  const createProject = async files => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'project-analyzer-'));
+    roots.push(root);
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return root;
+  };
+
+  const sourceFiles = count => Object.fromEntries(
+    Array.from({ length: count }, (_, index) => [`src/module-${index}.js`, `export const value = ${index};\n`])
+  );
+
+  const ruleIds = report => report.findings.map(finding => finding.rule_id);
+
+  const packageJson = {
+    name: 'fixture',
+    scripts: { test: 'jest', lint: 'eslint .' },
+    dependencies: { express: '^4.18.2' },
+    devDependencies: { jest: '^29.7.0' }
+  };
+
+  const packageLock = (dependencies, devDependencies) => ({
+    lockfileVersion: 3,
+    packages: { '': { name: 'fixture', dependencies, devDependencies } }
+  });
+
+  afterEach(async () => {
+    for (const root of roots.splice(0)) {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  test('refuses paths that are not directories and unknown analysis types', async () => {
+    const root = await createProject({ 'README.md': '# Fixture\n' });
+
+    await expect(analyzer.analyze(path.join(root, 'README.md'))).rejects.toMatchObject({ code: 'PROJECT_NOT_FOUND' });
+    await expect(analyzer.analyze(root, 'style')).rejects.toThrow('Unknown analysis type: style');
+  });
+
+  test('finds committed secrets without keeping them, and skips placeholders', async () => {
+    // Built at runtime so the fixture keys never appear in the repository
+    const awsKey = `AKIA${'Q'.repeat(16)}`;
+    const root = await createProject({
+      'src/config.js': [
+        `export const awsKey = '${awsKey}';`,
+        "export const password = 'hunter2hunter2hunter2';",
+        "export const apiKey = process.env.API_KEY || 'not-a-real-api-key';",
+        "export const token = 'your_token_goes_here_please';"
+      ].join('\n'),
+      '.env': 'DATABASE_URL=postgres://localhost/app\n'
+    });
+
+    const report = await analyzer.analyze(root, 'security');
+
+    expect(report.findings[0]).toMatchObject({
+      rule_id: 'secret-aws-access-key',
+      severity: 'critical',
+      file: 'src/config.js',
+      line: 1
+    });
+    expect(report.findings.slice(1).map(({ rule_id, severity, file, line }) => ({ rule_id, severity, file, line })))
+      .toEqual(expect.arrayContaining([
+        { rule_id: 'env-file-committed', severity: 'high', file: '.env', line: null },
+        { rule_id: 'secret-hardcoded-credential', severity: 'high', file: 'src/config.js', line: 2 }
+      ]));
+    expect(report.findings).toHaveLength(3);
+    expect(JSON.stringify(report)).not.toContain(awsKey);
+    expect(JSON.stringify(report)).not.toContain('hunter2');
+    expect(report.recommendations).toContain(
+      'Remove committed secrets, rotate the exposed credentials and load them from the environment'
+    );
+  });
+
+  test('keeps fingerprints stable when findings move between lines', async () => {
+    const awsKey = `AKIA${'Q'.repeat(16)}`;
+    const before = await analyzer.analyze(await createProject({ 'config.js': `const key = '${awsKey}';\n` }), 'security');
+    const after = await analyzer.analyze(await createProject({ 'config.js': `\n\nconst key = '${awsKey}';\n` }), 'security');
+
+    expect(after.findings[0].line).toBe(3);
+    expect(after.findings[0].fingerprint).toBe(before.findings[0].fingerprint);
+  });
+
+  test('reports a missing lockfile', async () => {
+    const root = await createProject({ 'package.json': packageJson });
+
+    const report = await analyzer.analyze(root, 'dependencies');
+
+    expect(ruleIds(report)).toEqual(['missing-lockfile']);
+    expect(report.metrics.lockfile).toBeNull();
+  });
+
+  test('accepts a lockfile that matches package.json', async () => {
+    const root = await createProject({
+      'package.json': packageJson,
+      'package-lock.json': packageLock(packageJson.dependencies, packageJson.devDependencies)
+    });
+
+    const report = await analyzer.analyze(root, 'dependencies');
+
+    expect(report.findings).toEqual([]);
+    expect(report.metrics).toMatchObject({ lockfile: 'package-lock.json', dependencies: 1, dev_dependencies: 1 });
+  });
+
+  test('reports a lockfile with missing or changed dependencies', async () => {
+    const root = await createProject({
+      'package.json': { ...packageJson, dependencies: { ...packageJson.dependencies, joi: '^17.11.0' } },
+      'package-lock.json': packageLock({ express: '^4.17.0' }, packageJson.devDependencies)
+    });
+
+    const report = await analyzer.analyze(root, 'dependencies');
+
+    expect(report.findings).toMatchObject([{
+      rule_id: 'lockfile-out-of-sync',
+      severity: 'medium',
+      file: 'package-lock.json',
+      message: 'package-lock.json does not match package.json for joi, express'
+    }]);
+  });
+
+  test('reports a lockfile that cannot be parsed', async () => {
+    const root = await createProject({ 'package.json': packageJson, 'package-lock.json': '{ "lockfileVersion": ' });
+
+    const report = await analyzer.analyze(root, 'dependencies');
+
+    expect(report.findings).toMatchObject([{ rule_id: 'lockfile-out-of-sync', severity: 'high' }]);
+  });
+
+  test('reports each circular import once', async () => {
+    const root = await createProject({
+      'src/a.js': "import { b } from './b.js';\nexport const a = () => b;\n",
+      'src/b.js': "import { a } from './a';\nexport const b = () => a;\n",
+      'src/c.js': "import { a } from './a.js';\nimport { missing } from './missing.js';\nexport const c = a;\n",
+      'src/lib/index.js': "export { c } from '../c.js';\n",
+      'src/d.js': "import { c } from './lib';\nexport const d = c;\n"
+    });
+
+    const report = await analyzer.analyze(root, 'architecture');
+    const cycles = report.findings.filter(finding => finding.rule_id === 'circular-import');
+
+    expect(cycles).toHaveLength(1);
+    expect(cycles[0].message).toMatch(/^Circular import: (src\/a\.js -> src\/b\.js -> src\/a\.js|src\/b\.js -> src\/a\.js -> src\/b\.js)$/);
+  });
+
+  test('reports projects without tests', async () => {
+    const root = await createProject(sourceFiles(10));
+
+    const report = await analyzer.analyze(root, 'code_quality');
+
+    expect(ruleIds(report)).toContain('missing-tests');
+    expect(ruleIds(report)).not.toContain('low-test-ratio');
+    expect(report.metrics).toMatchObject({ source_files: 10, test_files: 0 });
+  });
+
+  test('reports fewer than one test file per ten source files', async () => {
+    const lowRatio = await analyzer.analyze(
+      await createProject({ ...sourceFiles(11), 'tests/module.test.js': 'test("works", () => {});\n' }),
+      'code_quality'
+    );
+    const enough = await analyzer.analyze(
+      await createProject({ ...sourceFiles(10), 'src/__tests__/module.js': 'test("works", () => {});\n' }),
+      'code_quality'
+    );
+
+    expect(lowRatio.metrics).toMatchObject({ source_files: 11, test_files: 1 });
+    expect(ruleIds(lowRatio)).toContain('low-test-ratio');
+    expect(enough.metrics).toMatchObject({ source_files: 10, test_files: 1 });
+    expect(ruleIds(enough)).not.toContain('low-test-ratio');
+    expect(ruleIds(enough)).not.toContain('missing-tests');
+  });
+
+  test('reports the placeholder test script npm init writes', async () => {
+    const root = await createProject({
+      'package.json': { ...packageJson, scripts: { test: 'echo "Error: no test specified" && exit 1' } }
+    });
+
+    const report = await analyzer.analyze(root, 'code_quality');
+
+    expect(ruleIds(report)).toEqual(['missing-test-script', 'missing-lint-script']);
+  });
+
+  test('scores a clean project 100 in every category', async () => {
+    const root = await createProject({
+      'README.md': '# Fixture\n',
+      'package.json': packageJson,
+      'package-lock.json': packageLock(packageJson.dependencies, packageJson.devDependencies),
+      '.eslintrc.json': '{}',
+      'src/index.js': "export const run = () => 'ok';\n",
+      'tests/index.test.js': "test('runs', () => {});\n"
+    });
+
+    const report = await analyzer.analyze(root);
+
+    expect(report.findings).toEqual([]);
+    expect(report.health_score).toBe(100);
+    expect(Object.values(report.scores)).toEqual([100, 100, 100, 100, 100]);
+  });
+
+  test('takes severity weights off each category and averages them into the health score', async () => {
+    const root = await createProject({
+      'src/config.js': `export const awsKey = '${`AKIA${'Q'.repeat(16)}`}';\n// TODO: load from the environment\n`
+    });
+
+    const report = await analyzer.analyze(root);
+
+    // security: critical key; dependencies: no package.json; code_quality: no tests, no lint
+    // config, a TODO; architecture: no README
+    expect(report.scores).toEqual({
+      security: 75,
+      performance: 100,
+      code_quality: 74,
+      dependencies: 92,
+      architecture: 97
+    });
+    expect(report.health_score).toBe(88);
+    expect(report.findings.map(finding => finding.severity)).toEqual(['critical', 'high', 'medium', 'medium', 'low', 'low']);
+
+    const security = await analyzer.analyze(root, 'security');
+    expect(security.health_score).toBe(75);
+    expect(ruleIds(security)).toEqual(['secret-aws-access-key']);
+  });
+
+  test('never scores a category below zero', () => {
+    const findings = Array.from({ length: 5 }, () => ({ category: 'security', severity: 'critical' }));
+
+    expect(analyzer.computeScores(findings)).toMatchObject({ security: 0, performance: 100 });
+  });
+});
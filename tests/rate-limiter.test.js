@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import { RateLimiter, TokenBucket } from '../src/core/agent-manager/rate-limiter.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+const MINUTE_MS = 60 * 1000;
+
+// Date.now under the test's control: stopped, or running from the real clock.
+// Returns a function that moves it forward
+const mockClock = ({ running = false } = {}) => {
+  const realNow = Date.now.bind(Date);
+  const start = realNow();
+  let offsetMs = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => (running ? realNow() : start) + offsetMs);
+  return ms => {
+    offsetMs += ms;
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TokenBucket', () => {
+  test('refills in proportion to the time passed, up to its capacity', () => {
+    const advance = mockClock();
+    const bucket = new TokenBucket(4, MINUTE_MS);
+
+    bucket.remove(4);
+    expect(bucket.msUntilAvailable(1)).toBe(15000);
+
+    advance(7500);
+    expect(bucket.msUntilAvailable(1)).toBe(7500);
+
+    advance(7500);
+    expect(bucket.msUntilAvailable(1)).toBe(0);
+
+    advance(10 * MINUTE_MS);
+    bucket.refill();
+    expect(bucket.tokens).toBe(4);
+  });
+
+  test('lets a request larger than the bucket through once it is full', () => {
+    const advance = mockClock();
+    const bucket = new TokenBucket(10, MINUTE_MS);
+
+    expect(bucket.msUntilAvailable(50)).toBe(0);
+    bucket.remove(50);
+    expect(bucket.tokens).toBe(-40);
+    expect(bucket.msUntilAvailable(1)).toBe(246000);
+
+    advance(5 * MINUTE_MS);
+    expect(bucket.msUntilAvailable(50)).toBe(0);
+  });
+});
+
+describe('RateLimiter', () => {
+  const agent = {
+    name: 'devin',
+    configuration: { provider: 'openai', rate_limits: { requests_per_minute: 2, tokens_per_day: 1000 } }
+  };
+
+  test('takes from every bucket, or from none when one is exhausted', () => {
+    mockClock();
+    const limiter = new RateLimiter({ openai: { requests_per_minute: 5 } });
+
+    expect(limiter.tryAcquire(agent, 600)).toEqual({ allowed: true, retryAfterMs: 0, reason: null });
+
+    const blocked = limiter.tryAcquire(agent, 600);
+    expect(blocked).toMatchObject({ allowed: false, reason: 'agent:devin tokens_per_day limit reached' });
+    expect(blocked.retryAfterMs).toBeGreaterThan(MINUTE_MS);
+    expect(limiter.getStatus(agent)).toEqual([
+      { scope: 'agent:devin', kind: 'requests_per_minute', limit: 2, remaining: 1 },
+      { scope: 'agent:devin', kind: 'tokens_per_day', limit: 1000, remaining: 400 },
+      { scope: 'provider:openai', kind: 'requests_per_minute', limit: 5, remaining: 4 }
+    ]);
+  });
+
+  test('reports the limit that frees up last', () => {
+    mockClock();
+    const limiter = new RateLimiter({ openai: { requests_per_minute: 1 } });
+
+    limiter.tryAcquire(agent, 100);
+    const blocked = limiter.tryAcquire(agent, 100);
+
+    expect(blocked).toEqual({
+      allowed: false,
+      retryAfterMs: MINUTE_MS,
+      reason: 'provider:openai requests_per_minute limit reached'
+    });
+  });
+
+  test('settles the token estimate against actual usage', () => {
+    mockClock();
+    const limiter = new RateLimiter({});
+    const remainingTokens = () => limiter.getStatus(agent).find(status => status.kind === 'tokens_per_day').remaining;
+
+    limiter.tryAcquire(agent, 300);
+    limiter.settleTokens(agent, 300, 100);
+    expect(remainingTokens()).toBe(900);
+
+    limiter.settleTokens(agent, 100, 1200);
+    expect(remainingTokens()).toBe(0);
+    expect(limiter.tryAcquire(agent, 1).allowed).toBe(false);
+  });
+
+  test('starts over when the limits change', () => {
+    mockClock();
+    const limiter = new RateLimiter({});
+    const limited = { name: 'cursor', configuration: { rate_limits: { requests_per_minute: 1 } } };
+
+    limiter.tryAcquire(limited);
+    expect(limiter.tryAcquire(limited).allowed).toBe(false);
+
+    limited.configuration.rate_limits.requests_per_minute = 3;
+    expect(limiter.tryAcquire(limited).allowed).toBe(true);
+  });
+});
+
+describe('rate limited delegations', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('hold tasks in the queue until the agent has quota again', async () => {
+    const { database, agentManager, orchestrationService, taskQueue } = services;
+    const advance = mockClock({ running: true });
+    await agentManager.updateAgentConfiguration('devin', { rate_limits: { requests_per_minute: 1 } });
+
+    const submit = task => orchestrationService.submitDelegation({ task, preferred_agent: 'devin' });
+    const first = await submit('Build a react dashboard');
+    const second = await submit('Build a settings page');
+
+    expect((await waitForTaskStatus(database, first.task_id, ['completed', 'failed'])).status).toBe('completed');
+    const deadline = Date.now() + 10000;
+    while (!(await taskQueue.getTaskStatus(second.task_id))?.holdReason && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    expect(await taskQueue.getTaskStatus(second.task_id)).toMatchObject({
+      status: 'queued',
+      holdReason: 'agent:devin requests_per_minute limit reached'
+    });
+    expect((await database.getTask(second.task_id)).status).toBe('queued');
+
+    advance(MINUTE_MS);
+    const task = await waitForTaskStatus(database, second.task_id, ['completed', 'failed']);
+    expect(task.status).toBe('completed');
+    expect((await agentManager.getAgentById(task.agent_id)).name).toBe('devin');
+  });
+});
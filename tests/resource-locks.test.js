@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import { createServices, getTaskActions, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('resource locks', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+    await services.agentManager.updateAgentConfiguration('devin', { mock: { steps: 150 }, poll_interval_ms: 20 });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const submitAuthTask = (task, projectContext = {}) => services.orchestrationService.submitDelegation({
+    task,
+    preferred_agent: 'devin',
+    project_context: { project_id: 'shop', paths: ['src/auth/login.js'], ...projectContext }
+  });
+
+  test('runs tasks touching the same files one after another', async () => {
+    const { database, orchestrationService } = services;
+
+    const first = await submitAuthTask('Refactor the login handler');
+    await waitForTaskStatus(database, first.task_id, ['in_progress']);
+    const second = await submitAuthTask('Add rate limiting to the login handler', { paths: ['src/auth'] });
+
+    await waitForTaskStatus(database, first.task_id, ['completed']);
+    await waitForTaskStatus(database, second.task_id, ['completed']);
+
+    expect(await getTaskActions(database, second.task_id)).toContain('task_waiting_for_lock');
+    expect(orchestrationService.lockManager.getLocks('shop')).toEqual({ locks: [], waiting: [] });
+  });
+
+  test('fails a conflicting task that asks for conflict_strategy reject', async () => {
+    const { database } = services;
+
+    const first = await submitAuthTask('Refactor the login handler');
+    await waitForTaskStatus(database, first.task_id, ['in_progress']);
+    const second = await submitAuthTask('Rename the login handler', { conflict_strategy: 'reject' });
+
+    const task = await waitForTaskStatus(database, second.task_id, ['failed', 'completed']);
+    expect(task.status).toBe('failed');
+    expect(task.error_message).toMatch(/^Resources locked: src\/auth\/login\.js locked by task/);
+    await waitForTaskStatus(database, first.task_id, ['completed']);
+  });
+
+  test('leaves tasks on unrelated files alone', async () => {
+    const { database } = services;
+
+    const first = await submitAuthTask('Refactor the login handler');
+    const other = await submitAuthTask('Fix the invoice totals', { paths: ['src/billing/invoice.js'] });
+
+    await waitForTaskStatus(database, first.task_id, ['completed']);
+    await waitForTaskStatus(database, other.task_id, ['completed']);
+    expect(await getTaskActions(database, other.task_id)).not.toContain('task_waiting_for_lock');
+  });
+});
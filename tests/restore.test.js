@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { OrchestrationService } from '../src/core/task-orchestrator/orchestration.js';
+import { TaskQueue } from '../src/core/workflow-engine/task-queue.js';
+import { createServices, getTaskActions, stopServices } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('restoring delegations after a restart', () => {
+  let services;
+
+  beforeEach(async () => {
+    // The queue is attached but never started, so submitted tasks stay queued
+    services = await createServices();
+    services.orchestrationService.attachTaskQueue(new TaskQueue());
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const restart = async () => {
+    const orchestrationService = new OrchestrationService(services.database, services.agentManager);
+    const taskQueue = new TaskQueue();
+    orchestrationService.attachTaskQueue(taskQueue);
+    await orchestrationService.restoreQueuedDelegations();
+    return taskQueue;
+  };
+
+  test('keeps the preferred agent and retry state of queued tasks', async () => {
+    const { database, orchestrationService } = services;
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a settings page',
+      preferred_agent: 'cursor'
+    });
+    await database.updateTaskAttempt(submission.task_id, 2, ['devin'], 'cursor');
+
+    const taskQueue = await restart();
+
+    const queued = await taskQueue.getTaskStatus(submission.task_id);
+    expect(queued.args).toMatchObject({
+      task: 'Build a settings page',
+      preferred_agent: 'cursor',
+      attempt: 2,
+      failed_agents: ['devin']
+    });
+  });
+
+  test('queues tasks that were running at shutdown again', async () => {
+    const { database, orchestrationService } = services;
+    const submission = await orchestrationService.submitDelegation({ task: 'Build a billing page' });
+    await database.updateTaskStatus(submission.task_id, 'in_progress', 40);
+
+    const taskQueue = await restart();
+
+    expect((await taskQueue.getTaskStatus(submission.task_id)).status).toBe('queued');
+    expect((await database.getTask(submission.task_id)).status).toBe('queued');
+    expect(await getTaskActions(database, submission.task_id)).toContain('task_requeued');
+  });
+});
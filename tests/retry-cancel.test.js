@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { createServices, getTaskActions, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('retry and cancellation', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('retries a failed attempt on another agent and records one queue entry', async () => {
+    const { database, agentManager, orchestrationService, taskQueue } = services;
+    await agentManager.updateAgentConfiguration('devin', { mock: { fail_pattern: 'flaky' } });
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a flaky react dashboard',
+      preferred_agent: 'devin',
+      project_context: { retry_policy: { max_attempts: 2, backoff_ms: 100 } }
+    });
+
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+    expect(task.status).toBe('completed');
+    expect(await getTaskActions(database, submission.task_id)).toContain('task_attempt_failed');
+    expect(JSON.parse(task.result).agent).not.toBe('devin');
+
+    // The retry replaced the first entry instead of sharing its id
+    expect((await taskQueue.getTaskStatus(submission.task_id)).status).toBe('completed');
+    expect(taskQueue.completed.size).toBe(1);
+    expect(taskQueue.processing.size).toBe(0);
+    expect(taskQueue.queue).toHaveLength(0);
+  });
+
+  test('fails the task once its attempts are used up', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    for (const agent of await agentManager.getAllAgents()) {
+      await agentManager.updateAgentConfiguration(agent.name, { mock: { fail_pattern: 'broken' } });
+    }
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a broken widget',
+      project_context: { retry_policy: { max_attempts: 2, backoff_ms: 100 } }
+    });
+
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+    expect(task.status).toBe('failed');
+    expect((await getTaskActions(database, submission.task_id)).filter(action => action === 'task_attempt_failed'))
+      .toHaveLength(2);
+  });
+
+  test('routes a queued task automatically once its preferred agent turns unhealthy', async () => {
+    const { database, agentManager, orchestrationService } = services;
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a react dashboard',
+      preferred_agent: 'devin'
+    });
+    await agentManager.setAgentStatus('devin', 'unhealthy');
+
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+    expect(task.status).toBe('completed');
+    expect(JSON.parse(task.result).agent).not.toBe('devin');
+  });
+
+  test('cancels a running task without recording an outcome for the agent', async () => {
+    const { database, agentManager, orchestrationService, taskQueue } = services;
+    await agentManager.updateAgentConfiguration('devin', { mock: { steps: 1000 }, poll_interval_ms: 20 });
+
+    const submission = await orchestrationService.submitDelegation({
+      task: 'Build a long running report',
+      preferred_agent: 'devin'
+    });
+    await waitForTaskStatus(database, submission.task_id, ['in_progress']);
+
+    const cancellation = await orchestrationService.cancelDelegatedTask({
+      task_id: submission.task_id,
+      cancelled_by: 'tester'
+    });
+    expect(cancellation).toMatchObject({ previous_status: 'in_progress', status: 'cancelled' });
+
+    await waitForTaskStatus(database, submission.task_id, ['cancelled']);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const devin = await agentManager.getAgentByName('devin');
+    expect(devin.currentTasks).toBe(0);
+    expect(devin.performance).toMatchObject({ totalTasks: 0, failedTasks: 0 });
+    expect((await taskQueue.getTaskStatus(submission.task_id)).status).toBe('cancelled');
+    expect((await database.getTask(submission.task_id)).status).toBe('cancelled');
+  });
+
+  test('refuses to cancel a finished task', async () => {
+    const { database, orchestrationService } = services;
+    const submission = await orchestrationService.submitDelegation({ task: 'Build a small page' });
+    await waitForTaskStatus(database, submission.task_id, ['completed']);
+
+    await expect(orchestrationService.cancelDelegatedTask({ task_id: submission.task_id }))
+      .rejects.toMatchObject({ code: 'TASK_NOT_CANCELLABLE' });
+  });
+});
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { parseReviewVerdict } from '../src/core/task-orchestrator/review-stage.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('parseReviewVerdict', () => {
+  test('reads structured and plain text verdicts', () => {
+    expect(parseReviewVerdict({ review: { verdict: 'rejected', comments: 'Missing tests' } }))
+      .toEqual({ verdict: 'rejected', comments: 'Missing tests' });
+    expect(parseReviewVerdict({ output: 'APPROVED, nice work' }).verdict).toBe('approved');
+    expect(parseReviewVerdict({ output: 'Changes requested: handle empty input' }).verdict).toBe('rejected');
+  });
+
+  test('calls output without a verdict inconclusive', () => {
+    expect(parseReviewVerdict({ output: 'I could not open the diff' }))
+      .toEqual({ verdict: 'inconclusive', comments: 'I could not open the diff' });
+    expect(parseReviewVerdict({}).verdict).toBe('inconclusive');
+  });
+});
+
+describe('review stage', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  // No agent has this capability, so the review never reaches a verdict
+  const requireUnavailableReviewer = approveOnFailure => services.database.setReviewPolicy({
+    scope_type: 'project',
+    scope_value: 'shop',
+    reviewer_capability: 'security_audit',
+    approve_on_failure: approveOnFailure
+  });
+
+  const submit = () => services.orchestrationService.submitDelegation({
+    task: 'Build a react dashboard',
+    preferred_agent: 'devin',
+    project_context: { project_id: 'shop' }
+  });
+
+  test('fails the task when the review is inconclusive', async () => {
+    const { database, agentManager } = services;
+    await requireUnavailableReviewer(false);
+
+    await expect(submit()).rejects.toMatchObject({ code: 'REVIEW_INCONCLUSIVE' });
+
+    const [task] = await database.getAllTasks();
+    expect(task.status).toBe('failed');
+    expect(task.error_message).toMatch(/^Review inconclusive after 1 round\(s\)/);
+    expect(await database.getTaskReviews(task.task_id)).toMatchObject([{ round: 1, verdict: 'inconclusive' }]);
+
+    // The author delivered, so the failed review is not held against it
+    const devin = await agentManager.getAgentByName('devin');
+    expect(devin.performance).toMatchObject({ failedTasks: 0 });
+  });
+
+  test('accepts the result of an inconclusive review when the policy approves on failure', async () => {
+    const { database } = services;
+    await requireUnavailableReviewer(true);
+
+    await submit();
+
+    const [task] = await database.getAllTasks();
+    expect(task.status).toBe('completed');
+    expect(await database.getTaskReviews(task.task_id)).toMatchObject([{ round: 1, verdict: 'inconclusive' }]);
+  });
+});
+
+describe('reviewers', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+    await services.database.setReviewPolicy({ scope_type: 'project', scope_value: 'shop' });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const getReviewers = async () => (await services.agentManager.getAllAgents())
+    .filter(agent => agent.name !== 'devin' && agent.capabilities.includes('code_review'));
+
+  const submit = () => services.orchestrationService.submitDelegation({
+    task: 'Build a react dashboard',
+    preferred_agent: 'devin',
+    project_context: { project_id: 'shop' }
+  });
+
+  test('cancels the review on the reviewer when the task is cancelled', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    for (const reviewer of await getReviewers()) {
+      await agentManager.updateAgentConfiguration(reviewer.name, { mock: { steps: 1000 }, poll_interval_ms: 20 });
+    }
+
+    const submission = await submit();
+    await waitForTaskStatus(database, submission.task_id, ['in_review']);
+    await orchestrationService.cancelDelegatedTask({ task_id: submission.task_id });
+    await waitForTaskStatus(database, submission.task_id, ['cancelled']);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const reviewJobs = (await getReviewers())
+      .flatMap(reviewer => [...agentManager.getAgentAdapter(reviewer.name).jobs.values()])
+      .filter(job => job.task.taskType === 'review');
+    expect(reviewJobs.map(job => job.status)).toEqual(['cancelled']);
+  });
+
+  test('passes over reviewers that are rate limited', async () => {
+    const { database, agentManager } = services;
+    for (const reviewer of await getReviewers()) {
+      await agentManager.updateAgentConfiguration(reviewer.name, { rate_limits: { requests_per_minute: 1 } });
+      agentManager.acquireQuota(await agentManager.getAgentByName(reviewer.name), 0);
+    }
+
+    const submission = await submit();
+    const task = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+
+    expect(task.status).toBe('failed');
+    expect(task.error_message).toMatch(/Review skipped: no available agent other than devin/);
+  });
+});
+
+describe('set_review_policy', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('refuses max_rounds outside 1 to 10', async () => {
+    const { database, orchestrationService } = services;
+
+    for (const maxRounds of [-1, 0, 1.5, 11]) {
+      const response = await orchestrationService.setReviewPolicy({ project_id: 'shop', max_rounds: maxRounds });
+      expect(response.content[0].text).toMatch(/Max rounds must be an integer from 1 to 10/);
+    }
+    expect(await database.getReviewPolicy('project', 'shop')).toBeNull();
+  });
+});
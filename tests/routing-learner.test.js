@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { RoutingLearner } from '../src/core/agent-manager/routing-learner.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('routing learner', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+    services.agentManager.setRoutingLearner(new RoutingLearner(services.database));
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const getWeights = learner => learner.getWeights().map(({ agent_name, task_type, technology, successes, failures }) =>
+    ({ agent_name, task_type, technology, successes, failures }));
+
+  test('rebuilds the same outcomes from history that it recorded live', async () => {
+    const { database, agentManager, orchestrationService } = services;
+    await agentManager.updateAgentConfiguration('devin', {
+      mock: { fail_pattern: 'flaky', steps: 1000 },
+      poll_interval_ms: 20
+    });
+    await database.setReviewPolicy({ scope_type: 'project', scope_value: 'reviewed', reviewer_capability: 'security_audit' });
+
+    // devin fails the first attempt and another agent completes the retry
+    const retried = await orchestrationService.submitDelegation({
+      task: 'Build a flaky react dashboard',
+      preferred_agent: 'devin',
+      project_context: { technology_stack: ['React'], retry_policy: { max_attempts: 2, backoff_ms: 100 } }
+    });
+    // The deadline passes while devin is still working
+    const late = await orchestrationService.submitDelegation({
+      task: 'Build a settings page',
+      preferred_agent: 'devin',
+      project_context: { deadline: Date.now() + 1500 }
+    });
+    // The review finds no reviewer, which says nothing about the author
+    const unreviewed = await orchestrationService.submitDelegation({
+      task: 'Build a billing page',
+      preferred_agent: 'claude',
+      project_context: { project_id: 'reviewed' }
+    });
+
+    expect((await waitForTaskStatus(database, retried.task_id, ['completed', 'failed'])).status).toBe('completed');
+    expect((await waitForTaskStatus(database, late.task_id, ['completed', 'timed_out'])).status).toBe('timed_out');
+    expect((await waitForTaskStatus(database, unreviewed.task_id, ['completed', 'failed'])).status).toBe('failed');
+
+    // Only devin's failed attempt counts as a failure
+    const live = getWeights(agentManager.routingLearner);
+    expect(live.filter(weight => weight.failures > 0)).toEqual([
+      { agent_name: 'devin', task_type: 'build', technology: '*', successes: 0, failures: 1 },
+      { agent_name: 'devin', task_type: 'build', technology: 'react', successes: 0, failures: 1 }
+    ]);
+
+    const rebuilt = new RoutingLearner(database);
+    await rebuilt.initialize();
+    expect(getWeights(rebuilt)).toEqual(live);
+  });
+});
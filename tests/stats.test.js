@@ -0,0 +1,66 @@
+import { createServices, stopServices } from './helpers.js';
+
+describe('task and agent statistics', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  const createTask = (taskId, agentId = null) => services.database.createTask({
+    task_id: taskId,
+    agent_id: agentId,
+    task_type: 'build',
+    task_description: `Build ${taskId}`,
+    project_context: {}
+  });
+
+  test('averages execution time over the releases that reported one', async () => {
+    const { agentManager } = services;
+    for (const [taskId, executionTime] of [['timed-a', 1000], ['untimed', null], ['timed-b', 3000]]) {
+      await agentManager.assignTaskToAgent('devin', taskId);
+      await agentManager.releaseTaskFromAgent('devin', taskId, true, executionTime);
+    }
+
+    const devin = await agentManager.getAgentByName('devin');
+    expect(devin.performance).toMatchObject({ totalTasks: 3, timedTasks: 2, averageExecutionTime: 2000 });
+  });
+
+  test('stamps completed_at on every terminal status', async () => {
+    const { database } = services;
+    for (const status of ['cancelled', 'timed_out', 'rejected', 'skipped']) {
+      await createTask(`task-${status}`);
+      await database.updateTaskStatus(`task-${status}`, status);
+      expect((await database.getTask(`task-${status}`)).completed_at).not.toBeNull();
+    }
+
+    await createTask('task-queued');
+    await database.updateTaskStatus('task-queued', 'queued');
+    expect((await database.getTask('task-queued')).completed_at).toBeNull();
+  });
+
+  test('credits spend to the agents that incurred it', async () => {
+    const { database, agentManager } = services;
+    const agentIds = {};
+    for (const name of ['devin', 'cursor', 'claude']) {
+      agentIds[name] = (await agentManager.getAgentByName(name)).id;
+    }
+    // devin failed the first attempt, cursor finished the task and claude reviewed it
+    await createTask('shared', agentIds.cursor);
+    for (const [name, cost] of [['devin', 2], ['cursor', 3], ['claude', 1]]) {
+      await database.recordTaskCost('shared', cost);
+      await database.recordPerformanceMetric(agentIds[name], 'cost', cost, { task_id: 'shared' });
+    }
+
+    const { spendByAgent } = await database.getAnalytics();
+    expect(spendByAgent).toEqual([
+      { name: 'cursor', spent: 3, task_count: 1 },
+      { name: 'devin', spent: 2, task_count: 1 },
+      { name: 'claude', spent: 1, task_count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { TaskPlanner } from '../src/core/task-orchestrator/task-planner.js';
+import { createServices, stopServices, waitForTaskStatus } from './helpers.js';
+
+jest.setTimeout(30000);
+
+describe('TaskPlanner', () => {
+  const planner = new TaskPlanner();
+
+  test('splits the features out of a request', () => {
+    expect(planner.splitFeatures('Build a SaaS app with auth, billing and a dashboard.')).toEqual({
+      subject: 'Build a SaaS app',
+      features: ['auth', 'billing', 'dashboard']
+    });
+    expect(planner.splitFeatures('Build a landing page')).toEqual({ subject: 'Build a landing page', features: [] });
+  });
+
+  test('plans design, one implementation step per feature, then tests and review', () => {
+    const plan = planner.plan('Build a shop with a cart and checkout');
+
+    expect(plan.map(subtask => [subtask.key, subtask.depends_on])).toEqual([
+      ['design', []],
+      ['implement-cart', ['design']],
+      ['implement-checkout', ['design']],
+      ['test', ['implement-cart', 'implement-checkout']],
+      ['review', ['implement-cart', 'implement-checkout']]
+    ]);
+  });
+
+  test('gives features that slug to the same key distinct keys', () => {
+    const plan = planner.plan('Build code samples with C++, C# and Go');
+
+    expect(plan.map(subtask => subtask.key)).toEqual([
+      'design', 'implement-c', 'implement-c-2', 'implement-go', 'test', 'review'
+    ]);
+    expect(plan.find(subtask => subtask.key === 'implement-c-2').task).toBe('Implement C# for Build code samples');
+  });
+
+  test('rejects explicit plans with duplicate keys, unknown dependencies or cycles', () => {
+    expect(() => planner.plan('Build it', [{ key: 'a', task: 'A' }, { key: 'a', task: 'B' }]))
+      .toThrow('Duplicate subtask key: a');
+    expect(() => planner.plan('Build it', [{ key: 'a', task: 'A', depends_on: ['missing'] }]))
+      .toThrow('Subtask a depends on unknown subtasks: missing');
+    expect(() => planner.plan('Build it', [
+      { key: 'a', task: 'A', depends_on: ['b'] },
+      { key: 'b', task: 'B', depends_on: ['a'] }
+    ])).toThrow('Subtask dependencies form a cycle: a -> b -> a');
+  });
+});
+
+describe('decomposed delegation', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createServices({ withQueue: true });
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('runs the subtasks in dependency order and rolls their status up to the parent', async () => {
+    const { database, orchestrationService } = services;
+
+    const submission = await orchestrationService.submitDecomposedDelegation({
+      task: 'Build a shop with a cart and checkout'
+    });
+    expect(submission.subtasks).toHaveLength(5);
+
+    const parent = await waitForTaskStatus(database, submission.task_id, ['completed', 'failed']);
+    expect(parent.status).toBe('completed');
+    expect(parent.progress).toBe(100);
+
+    const subtasks = await database.getSubtasks(submission.task_id);
+    const startedAt = Object.fromEntries(subtasks.map(subtask => [subtask.task_description, subtask.started_at]));
+    const design = subtasks.find(subtask => subtask.task_description.startsWith('Design'));
+    for (const subtask of subtasks.filter(subtask => subtask !== design)) {
+      expect(startedAt[subtask.task_description] >= design.completed_at).toBe(true);
+    }
+  });
+
+  test('fails the parent when a subtask fails', async () => {
+    const { database, orchestrationService } = services;
+    const parent = { task_id: 'parent', agent_id: null, task_type: 'build', task_description: 'Build it', project_context: {} };
+    await database.createTask(parent);
+    for (const taskId of ['first', 'second']) {
+      await database.createTask({ ...parent, task_id: taskId, parent_task_id: 'parent' });
+    }
+
+    await database.updateTaskStatus('first', 'completed', 100);
+    await orchestrationService.rollUpParentStatus('first');
+    expect((await database.getTask('parent')).status).toBe('in_progress');
+
+    await database.updateTaskStatus('second', 'failed', 0);
+    await orchestrationService.rollUpParentStatus('second');
+    expect((await database.getTask('parent')).status).toBe('failed');
+  });
+
+  test('writes nothing when a subtask cannot be routed', async () => {
+    const { database, orchestrationService } = services;
+    await database.setProjectBudget({ project_id: 'shop', budget_limit: 0 });
+
+    await expect(orchestrationService.submitDecomposedDelegation({
+      task: 'Build a shop with a cart and checkout',
+      project_context: { project_id: 'shop' }
+    })).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(await database.getAllTasks()).toEqual([]);
+  });
+
+  test('cancels the parent and its subtasks when queueing one of them fails', async () => {
+    const { database, orchestrationService } = services;
+    const queueDelegation = orchestrationService.queueDelegation.bind(orchestrationService);
+    let queued = 0;
+    jest.spyOn(orchestrationService, 'queueDelegation').mockImplementation((...args) => {
+      if (++queued === 2) {
+        return Promise.reject(new Error('queue unavailable'));
+      }
+      return queueDelegation(...args);
+    });
+
+    await expect(orchestrationService.submitDecomposedDelegation({
+      task: 'Build a shop with a cart and checkout'
+    })).rejects.toThrow('queue unavailable');
+
+    const tasks = await database.getAllTasks();
+    expect(tasks.map(task => task.status).sort()).toEqual(['cancelled', 'cancelled', 'cancelled']);
+  });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { DEFAULT_TASK_TEMPLATES, TaskTemplateLibrary } from '../src/core/task-orchestrator/task-templates.js';
+import { createServices, stopServices } from './helpers.js';
+
+jest.setTimeout(30000);
+
+const getDefaultTemplate = name => DEFAULT_TASK_TEMPLATES.find(template => template.name === name);
+
+describe('TaskTemplateLibrary.validate', () => {
+  const library = new TaskTemplateLibrary(null);
+
+  test('accepts the default templates', () => {
+    for (const template of DEFAULT_TASK_TEMPLATES) {
+      expect(() => library.validate(template)).not.toThrow();
+    }
+  });
+
+  test('refuses placeholders in the task, criteria or context that are not declared parameters', () => {
+    const template = {
+      name: 'deploy',
+      task: 'Deploy {{ service }} to {{environment}}',
+      parameters: [{ name: 'service', required: true }],
+      project_context: { region: '{{region}}', replicas: 3 },
+      acceptance_criteria: ['{{service}} answers on {{environment}}']
+    };
+
+    expect(() => library.validate(template)).toThrow(expect.objectContaining({
+      code: 'INVALID_TEMPLATE',
+      message: 'Template deploy uses undeclared parameter(s): environment, region'
+    }));
+  });
+
+  test('allows templates without parameters, criteria or context', () => {
+    expect(() => library.validate({ name: 'lint', task: 'Fix the lint errors' })).not.toThrow();
+  });
+});
+
+describe('TaskTemplateLibrary.render', () => {
+  const library = new TaskTemplateLibrary(null);
+
+  test('fills placeholders with the given values and parameter defaults', () => {
+    const rendered = library.render(getDefaultTemplate('crud-endpoint'), { resource: 'invoices' });
+
+    expect(rendered).toEqual({
+      task: 'Add CRUD endpoints for invoices to the API',
+      preferred_agent: 'devin',
+      project_context: {
+        priority: 'medium',
+        acceptance_criteria: [
+          'Create, read, update, delete and list endpoints exist for invoices',
+          'Invalid input is rejected with a 4xx response that names the problem',
+          'Tests cover every endpoint, including not-found cases'
+        ],
+        template: { name: 'crud-endpoint', parameters: { resource: 'invoices', service: 'the API' } }
+      }
+    });
+  });
+
+  test('passes values through as text and keeps context values that are not strings', () => {
+    const rendered = library.render(getDefaultTemplate('upgrade-dependency'), { package: 'react', version: 19 });
+
+    expect(rendered.task).toBe('Upgrade react to 19 and fix any breaking changes');
+    expect(rendered.project_context.paths).toEqual(['package.json', 'package-lock.json']);
+    expect(rendered.project_context.template.parameters).toEqual({ package: 'react', version: '19' });
+  });
+
+  test('drops context values left empty by an optional parameter', () => {
+    const template = getDefaultTemplate('fix-bug');
+
+    expect(library.render(template, { summary: 'Login loops' }).project_context).not.toHaveProperty('reproduction');
+    expect(library.render(template, { summary: 'Login loops', reproduction: 'Log in twice' }).project_context)
+      .toMatchObject({ priority: 'high', reproduction: 'Log in twice' });
+  });
+
+  test('leaves preferred_agent unset when the template has none', () => {
+    const template = { ...getDefaultTemplate('write-tests'), preferred_agent: null };
+
+    expect(library.render(template, { target: 'src/cart.js' }).preferred_agent).toBeUndefined();
+  });
+
+  test('refuses missing required and unknown parameters', () => {
+    const template = getDefaultTemplate('crud-endpoint');
+
+    expect(() => library.render(template, { resource: '', colour: 'blue' })).toThrow(expect.objectContaining({
+      code: 'INVALID_TEMPLATE_PARAMETERS',
+      message: 'Invalid parameters for template crud-endpoint: missing resource; unknown colour'
+    }));
+    expect(() => library.render(template)).toThrow('Invalid parameters for template crud-endpoint: missing resource');
+  });
+});
+
+describe('task template library', () => {
+  let services;
+  let library;
+
+  beforeEach(async () => {
+    services = await createServices();
+    library = services.orchestrationService.templateLibrary;
+    await library.initialize();
+  });
+
+  afterEach(async () => {
+    await stopServices(services);
+  });
+
+  test('seeds the default templates once and keeps later edits', async () => {
+    expect((await library.list()).map(template => template.name))
+      .toEqual(['crud-endpoint', 'fix-bug', 'upgrade-dependency', 'write-tests']);
+
+    await library.save({ ...getDefaultTemplate('fix-bug'), preferred_agent: 'claude' });
+    await library.initialize();
+
+    expect((await library.get('fix-bug')).preferred_agent).toBe('claude');
+  });
+
+  test('refuses to save invalid templates and reports unknown ones', async () => {
+    await expect(library.save({ name: 'deploy', task: 'Deploy {{service}}' }))
+      .rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+    await expect(library.get('deploy')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+    await expect(library.delete('deploy')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+  });
+
+  test('lets the caller override the agent and context of a rendered template', async () => {
+    const delegation = await services.orchestrationService.buildTemplateDelegation({
+      template: 'crud-endpoint',
+      parameters: { resource: 'invoices' },
+      preferred_agent: 'cursor',
+      project_context: { priority: 'urgent', template: 'overwritten' }
+    });
+
+    expect(delegation).toMatchObject({
+      task: 'Add CRUD endpoints for invoices to the API',
+      preferred_agent: 'cursor',
+      project_context: {
+        priority: 'urgent',
+        template: { name: 'crud-endpoint', parameters: { resource: 'invoices', service: 'the API' } }
+      }
+    });
+  });
+
+  test('reports template errors from delegate_from_template', async () => {
+    const result = await services.orchestrationService.delegateFromTemplate({ template: 'write-tests' });
+
+    expect(result.content[0].text)
+      .toBe('❌ Error delegating from template: Invalid parameters for template write-tests: missing target');
+    expect(await services.database.getAllTasks()).toEqual([]);
+  });
+});